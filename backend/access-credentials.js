@@ -0,0 +1,145 @@
+// ThingID Access Pass Credentials
+// Represents an on-chain access pass as a W3C Verifiable Credential (JSON-LD) so that
+// offline or third-party systems can hold a portable proof of access. The device owner
+// (or, for organization devices, an operator or admin) signs the credential with an
+// EthereumEip712Signature2021 proof from their wallet; the backend only assembles and
+// verifies credentials and never holds an owner key.
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+const CREDENTIAL_TYPE = 'ThingIDAccessPass';
+
+const PERMISSION_NAMES = { read: 1, control: 2, admin: 4 };
+
+// EIP-712 structure the owner signs; every field is copied from the credential
+const CREDENTIAL_EIP712_TYPES = {
+    AccessPassCredential: [
+        { name: 'id', type: 'string' },
+        { name: 'issuer', type: 'string' },
+        { name: 'subject', type: 'string' },
+        { name: 'device', type: 'string' },
+        { name: 'deviceId', type: 'bytes32' },
+        { name: 'permissions', type: 'uint8' },
+        { name: 'expiresAt', type: 'uint256' },
+        { name: 'issuanceDate', type: 'string' }
+    ]
+};
+
+function pkhDid(chainId, address) {
+    return `did:pkh:eip155:${chainId}:${ethers.utils.getAddress(address)}`;
+}
+
+// Address from a did:pkh:eip155 identifier (null if it is not one)
+function pkhAddress(did) {
+    const match = /^did:pkh:eip155:\d+:(0x[0-9a-fA-F]{40})$/.exec(did || '');
+    return match ? ethers.utils.getAddress(match[1]) : null;
+}
+
+function permissionNames(mask) {
+    return Object.keys(PERMISSION_NAMES).filter(name => mask & PERMISSION_NAMES[name]);
+}
+
+function permissionMask(names) {
+    return (names || []).reduce((mask, name) => mask | (PERMISSION_NAMES[name] || 0), 0);
+}
+
+function credentialDomain(chainId, contractAddress) {
+    return {
+        name: 'ThingID Access Pass',
+        version: '1',
+        chainId: chainId,
+        verifyingContract: contractAddress
+    };
+}
+
+/**
+ * Build an unsigned access pass credential.
+ * pass: { deviceId, deviceDid, issuer (owner or organization operator), viewer,
+ *         permissions (mask), expiresAt (unix seconds) }
+ */
+function buildAccessCredential(pass, { chainId, contractAddress }) {
+    return {
+        '@context': [
+            'https://www.w3.org/2018/credentials/v1',
+            'https://w3id.org/security/suites/eip712sig-2021/v1'
+        ],
+        id: `urn:uuid:${crypto.randomUUID()}`,
+        type: ['VerifiableCredential', CREDENTIAL_TYPE],
+        issuer: pkhDid(chainId, pass.issuer),
+        issuanceDate: new Date().toISOString().replace(/\.\d{3}Z$/, 'Z'),
+        expirationDate: new Date(pass.expiresAt * 1000).toISOString().replace(/\.\d{3}Z$/, 'Z'),
+        credentialSubject: {
+            id: pkhDid(chainId, pass.viewer),
+            device: pass.deviceDid,
+            deviceId: pass.deviceId,
+            registry: `eip155:${chainId}:${contractAddress}`,
+            permissions: permissionNames(pass.permissions),
+            expiresAt: pass.expiresAt
+        }
+    };
+}
+
+// EIP-712 typed data an owner signs to issue the credential
+function credentialTypedData(credential, domain) {
+    const subject = credential.credentialSubject;
+    return {
+        domain: domain,
+        types: CREDENTIAL_EIP712_TYPES,
+        primaryType: 'AccessPassCredential',
+        message: {
+            id: credential.id,
+            issuer: credential.issuer,
+            subject: subject.id,
+            device: subject.device,
+            deviceId: subject.deviceId,
+            permissions: permissionMask(subject.permissions),
+            expiresAt: subject.expiresAt,
+            issuanceDate: credential.issuanceDate
+        }
+    };
+}
+
+function attachProof(credential, typedData, signature) {
+    return {
+        ...credential,
+        proof: {
+            type: 'EthereumEip712Signature2021',
+            created: new Date().toISOString().replace(/\.\d{3}Z$/, 'Z'),
+            proofPurpose: 'assertionMethod',
+            verificationMethod: `${credential.issuer}#blockchainAccountId`,
+            proofValue: signature,
+            eip712: {
+                domain: typedData.domain,
+                types: typedData.types,
+                primaryType: typedData.primaryType
+            }
+        }
+    };
+}
+
+// Address that produced the credential's proof over the given domain (null if unreadable)
+function recoverCredentialSigner(credential, domain) {
+    const typedData = credentialTypedData(credential, domain);
+    try {
+        return ethers.utils.verifyTypedData(
+            typedData.domain,
+            typedData.types,
+            typedData.message,
+            credential.proof.proofValue
+        );
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    CREDENTIAL_TYPE,
+    pkhAddress,
+    permissionMask,
+    credentialDomain,
+    buildAccessCredential,
+    credentialTypedData,
+    attachProof,
+    recoverCredentialSigner
+};
@@ -0,0 +1,18 @@
+// Deterministic JSON (sorted keys, no whitespace) so devices, the server and auditors
+// sign and hash the same bytes for the same value.
+
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key =>
+            `${JSON.stringify(key)}:${canonicalJson(value[key])}`
+        ).join(',')}}`;
+    }
+
+    return JSON.stringify(value);
+}
+
+module.exports = { canonicalJson };
@@ -0,0 +1,220 @@
+// ThingID Command Store
+// Per-device command queue kept as an append-only, hash-chained JSON Lines log under
+// <dataDir>/commands/<deviceId>.jsonl. Every issued command and every status change is
+// a log entry whose hash covers the previous entry's hash, so the head hash commits to
+// the whole history and can be anchored on chain. Command state is rebuilt by replay.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { canonicalJson } = require('./canonical-json');
+
+// Status a command may move to from each status (the device drives every change after issue)
+const TRANSITIONS = {
+    pending: ['delivered'],
+    delivered: ['accepted', 'rejected', 'completed', 'failed'],
+    accepted: ['completed', 'failed'],
+    rejected: [],
+    completed: [],
+    failed: []
+};
+
+const DEVICE_STATUSES = ['accepted', 'rejected', 'completed', 'failed'];
+
+// Issuer nonces are unique per device log
+function nonceKey(issuedBy, nonce) {
+    return `${issuedBy.toLowerCase()}:${nonce}`;
+}
+
+function hashEntry(entry) {
+    return ethers.utils.keccak256(ethers.utils.toUtf8Bytes(canonicalJson(entry)));
+}
+
+class CommandStore {
+    constructor(dataDir) {
+        this.dir = path.join(dataDir, 'commands');
+        this.logs = new Map(); // deviceId => { entries, commands: Map(commandId => command), nonces: Set }
+        fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    filePath(deviceId) {
+        return path.join(this.dir, `${deviceId}.jsonl`);
+    }
+
+    // Load and replay a device's log on first access
+    load(deviceId) {
+        const key = deviceId.toLowerCase();
+        if (this.logs.has(key)) {
+            return this.logs.get(key);
+        }
+
+        const log = { entries: [], commands: new Map(), nonces: new Set() };
+        const file = this.filePath(key);
+        if (fs.existsSync(file)) {
+            fs.readFileSync(file, 'utf8')
+                .split('\n')
+                .filter(line => line.trim().length > 0)
+                .forEach(line => this.apply(log, JSON.parse(line)));
+        }
+
+        this.logs.set(key, log);
+        return log;
+    }
+
+    apply(log, entry) {
+        log.entries.push(entry);
+
+        if (entry.type === 'issued') {
+            if (entry.nonce !== undefined) {
+                log.nonces.add(nonceKey(entry.issuedBy, entry.nonce));
+            }
+            log.commands.set(entry.commandId, {
+                id: entry.commandId,
+                deviceId: entry.deviceId,
+                command: entry.command,
+                params: entry.params,
+                issuedBy: entry.issuedBy,
+                issuedAt: entry.at,
+                expiresAt: entry.expiresAt,
+                nonce: entry.nonce,
+                issuerSignature: entry.issuerSignature,
+                status: 'pending',
+                history: [{ status: 'pending', at: entry.at }],
+                result: null
+            });
+        } else {
+            const command = log.commands.get(entry.commandId);
+            command.status = entry.status;
+            command.history.push({ status: entry.status, at: entry.at });
+            if (entry.result !== undefined) {
+                command.result = entry.result;
+                command.signature = entry.signature;
+            }
+        }
+    }
+
+    // Chain a new entry onto the device's log and persist it
+    append(deviceId, fields) {
+        const key = deviceId.toLowerCase();
+        const log = this.load(key);
+        const previous = log.entries[log.entries.length - 1];
+
+        const entry = {
+            seq: log.entries.length + 1,
+            deviceId: key,
+            at: Date.now(),
+            ...fields,
+            prevHash: previous ? previous.hash : ethers.constants.HashZero
+        };
+        entry.hash = hashEntry(entry);
+
+        fs.appendFileSync(this.filePath(key), JSON.stringify(entry) + '\n');
+        this.apply(log, entry);
+        return entry;
+    }
+
+    // True if the issuer already used this nonce for a command to the device
+    isNonceUsed(deviceId, issuedBy, nonce) {
+        return this.load(deviceId).nonces.has(nonceKey(issuedBy, nonce));
+    }
+
+    /**
+     * Queue a command signed by its issuer; ttl is how long (seconds) it waits for the
+     * device before expiring. Throws with error.code 'NONCE_USED' when the issuer's
+     * nonce was already spent on this device.
+     */
+    issue(deviceId, { command, params, issuedBy, ttl, nonce, requestExpires, issuerSignature }) {
+        if (this.isNonceUsed(deviceId, issuedBy, nonce)) {
+            throw Object.assign(new Error('Nonce already used'), { code: 'NONCE_USED' });
+        }
+
+        const entry = this.append(deviceId, {
+            type: 'issued',
+            commandId: crypto.randomUUID(),
+            command: command,
+            params: params || {},
+            issuedBy: issuedBy,
+            ttl: ttl,
+            nonce: nonce,
+            requestExpires: requestExpires,
+            issuerSignature: issuerSignature,
+            expiresAt: Date.now() + ttl * 1000
+        });
+        return this.get(deviceId, entry.commandId);
+    }
+
+    // Hand pending commands to the device, marking them delivered
+    deliver(deviceId) {
+        const pending = this.list(deviceId, { status: 'pending' }).reverse();
+        for (const command of pending) {
+            this.append(deviceId, { type: 'status', commandId: command.id, status: 'delivered' });
+        }
+        return pending.map(command => this.get(deviceId, command.id));
+    }
+
+    /**
+     * Record a device acknowledgement or result.
+     * Throws with error.code 'NOT_FOUND' or 'INVALID_TRANSITION' when it cannot apply.
+     */
+    acknowledge(deviceId, commandId, { status, result, timestamp, signature }) {
+        const command = this.get(deviceId, commandId);
+        if (!command) {
+            throw Object.assign(new Error('Command not found'), { code: 'NOT_FOUND' });
+        }
+
+        if (!(TRANSITIONS[command.status] || []).includes(status)) {
+            throw Object.assign(
+                new Error(`Cannot move command from ${command.status} to ${status}`),
+                { code: 'INVALID_TRANSITION' }
+            );
+        }
+
+        this.append(deviceId, {
+            type: 'status',
+            commandId: commandId,
+            status: status,
+            result: result === undefined ? null : result,
+            deviceTimestamp: timestamp,
+            signature: signature
+        });
+        return this.get(deviceId, commandId);
+    }
+
+    // Current view of a command; undelivered commands past their deadline read as expired
+    get(deviceId, commandId) {
+        const command = this.load(deviceId).commands.get(commandId);
+        if (!command) {
+            return null;
+        }
+
+        if (command.status === 'pending' && command.expiresAt <= Date.now()) {
+            return { ...command, status: 'expired' };
+        }
+        return { ...command, history: command.history.slice() };
+    }
+
+    // Commands newest first, optionally filtered by status
+    list(deviceId, { status, limit = 100 } = {}) {
+        return [...this.load(deviceId).commands.keys()]
+            .map(commandId => this.get(deviceId, commandId))
+            .filter(command => !status || command.status === status)
+            .sort((a, b) => b.issuedAt - a.issuedAt)
+            .slice(0, limit);
+    }
+
+    entries(deviceId) {
+        return this.load(deviceId).entries.slice();
+    }
+
+    // Hash and length of the log, as anchored on chain
+    head(deviceId) {
+        const entries = this.load(deviceId).entries;
+        return {
+            hash: entries.length > 0 ? entries[entries.length - 1].hash : null,
+            count: entries.length
+        };
+    }
+}
+
+module.exports = { CommandStore, DEVICE_STATUSES, hashEntry };
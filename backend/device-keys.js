@@ -0,0 +1,78 @@
+// ThingID Device Keys
+// Helpers over a device's on-chain key history (ThingID.getDeviceKeys). A key is valid
+// from addedAt until revokedAt; revokedAt is 0 for the current key. Keys revoked as
+// compromised may have been backdated to the moment of compromise, so anything signed
+// by them after revokedAt must not be trusted even if it was accepted at the time.
+
+const { ethers } = require('ethers');
+
+// Half the secp256k1 group order. For every signature (r, s) the pair (r, n - s) with the
+// other recovery id verifies too, so only the one with s at or below this is accepted.
+const SECP256K1_HALF_ORDER = ethers.BigNumber.from('0x7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a0');
+
+// Ethereum address of a public key (null if the key is not a valid secp256k1 point)
+function keyAddress(publicKey) {
+    try {
+        return ethers.utils.computeAddress(publicKey);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Canonical encoding of a device signature: 65 bytes of lowercase hex with v of 27 or 28.
+ * Compact (EIP-2098) signatures are expanded. Throws with error.code 'INVALID_SIGNATURE'
+ * if the signature cannot be parsed or its s value is in the upper half of the curve order.
+ */
+function canonicalSignature(signature) {
+    let split;
+    try {
+        split = ethers.utils.splitSignature(signature);
+    } catch (error) {
+        throw Object.assign(new Error('Malformed signature'), { code: 'INVALID_SIGNATURE' });
+    }
+
+    if (ethers.BigNumber.from(split.s).gt(SECP256K1_HALF_ORDER)) {
+        throw Object.assign(new Error('Signature s value must be in the lower half of the curve order'), { code: 'INVALID_SIGNATURE' });
+    }
+
+    return ethers.utils.joinSignature(split);
+}
+
+// Plain objects for an on-chain key history, with a status for each key
+function describeKeys(records) {
+    return records.map((record, i) => {
+        const revokedAt = record.revokedAt.toNumber();
+        return {
+            index: i,
+            publicKey: record.publicKey,
+            address: keyAddress(record.publicKey),
+            addedAt: record.addedAt.toNumber(),
+            revokedAt: revokedAt === 0 ? null : revokedAt,
+            status: record.compromised ? 'compromised' : revokedAt === 0 ? 'current' : 'rotated'
+        };
+    });
+}
+
+function isValidAt(key, timestamp) {
+    return key.addedAt <= timestamp && (key.revokedAt === null || timestamp < key.revokedAt);
+}
+
+/**
+ * Find a key by { publicKey } or { address } in a described key history and report
+ * whether it was valid at timestamp (unix seconds). Returns { valid, key }.
+ */
+function checkKeyAt(keys, { publicKey, address }, timestamp) {
+    const key = keys.find(k => publicKey
+        ? k.publicKey.toLowerCase() === publicKey.toLowerCase()
+        : k.address !== null && k.address.toLowerCase() === (address || '').toLowerCase());
+
+    return { valid: Boolean(key) && isValidAt(key, timestamp), key: key || null };
+}
+
+// The key that was valid at timestamp (unix seconds), if any
+function keyAt(keys, timestamp) {
+    return keys.find(k => isValidAt(k, timestamp)) || null;
+}
+
+module.exports = { keyAddress, canonicalSignature, describeKeys, checkKeyAt, keyAt };
@@ -0,0 +1,215 @@
+// ThingID Device Manifests
+// Parses CSV or JSON batch registration manifests into device rows and validates each
+// row on its own, so a provisioning batch can be corrected in one pass rather than
+// failing at the first bad line. CSV headers may use the field names (serialNumber) or
+// the labels used in testdata.md (Serial Number).
+
+const { ethers } = require('ethers');
+
+const DEVICE_TYPES = ['sensor', 'actuator', 'gateway', 'controller', 'camera', 'tracker'];
+
+const FIELDS = ['did', 'name', 'deviceType', 'manufacturer', 'model', 'serialNumber', 'location', 'publicKey'];
+
+// Normalised header (lowercase, letters and digits only) => field name
+const HEADER_ALIASES = {
+    did: 'did',
+    name: 'name',
+    devicename: 'name',
+    type: 'deviceType',
+    devicetype: 'deviceType',
+    manufacturer: 'manufacturer',
+    model: 'model',
+    serial: 'serialNumber',
+    serialnumber: 'serialNumber',
+    location: 'location',
+    publickey: 'publicKey',
+    devicepublickey: 'publicKey'
+};
+
+// Split CSV text into records of fields (RFC 4180: quoted fields, "" escapes, CRLF)
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error('Unterminated quoted field in CSV');
+    }
+
+    if (field.length > 0 || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    // Drop blank lines
+    return records.filter(r => r.some(value => value.trim().length > 0));
+}
+
+// Map a raw object onto the manifest fields, trimming values and dropping unknown keys
+function toRow(raw) {
+    const row = {};
+    for (const [key, value] of Object.entries(raw)) {
+        const field = HEADER_ALIASES[key.toLowerCase().replace(/[^a-z0-9]/g, '')];
+        if (field && value !== undefined && value !== null) {
+            row[field] = String(value).trim();
+        }
+    }
+    for (const field of FIELDS) {
+        row[field] = row[field] || '';
+    }
+    return row;
+}
+
+/**
+ * Parse a manifest into device rows.
+ * format is 'csv' or 'json'; JSON may be an array of devices or { devices: [...] }.
+ * Throws if the manifest itself cannot be read.
+ */
+function parseManifest(text, format) {
+    if (format === 'json') {
+        const parsed = JSON.parse(text);
+        const devices = Array.isArray(parsed) ? parsed : parsed.devices;
+        if (!Array.isArray(devices)) {
+            throw new Error('JSON manifest must be an array of devices or { "devices": [...] }');
+        }
+        return devices.map(toRow);
+    }
+
+    if (format === 'csv') {
+        const [header, ...records] = parseCsv(text);
+        if (!header) {
+            throw new Error('CSV manifest is empty');
+        }
+        return records.map(record => toRow(
+            Object.fromEntries(header.map((name, i) => [name, record[i]]))
+        ));
+    }
+
+    throw new Error(`Unsupported manifest format: ${format}`);
+}
+
+// Field prime of secp256k1
+const SECP256K1_P = 2n ** 256n - 2n ** 32n - 977n;
+
+// True for a compressed (33 byte) or uncompressed (65 byte) key on the secp256k1 curve
+function isPublicKey(publicKey) {
+    if (!ethers.utils.isHexString(publicKey) || ![33, 65].includes(ethers.utils.hexDataLength(publicKey))) {
+        return false;
+    }
+
+    let uncompressed;
+    try {
+        uncompressed = ethers.utils.computePublicKey(publicKey, false);
+    } catch (error) {
+        return false;
+    }
+
+    // computePublicKey neither checks the point nor keeps an out-of-range x, so test both
+    const x = BigInt('0x' + publicKey.slice(4, 68));
+    const y = BigInt('0x' + uncompressed.slice(68));
+    return x < SECP256K1_P && y < SECP256K1_P &&
+        BigInt('0x' + uncompressed.slice(4, 68)) === x &&
+        (y * y - x * x * x - 7n) % SECP256K1_P === 0n;
+}
+
+/**
+ * Rows with every public key in the uncompressed 0x04 form, the only one the contracts
+ * can turn into the device address (validate the rows first)
+ */
+function normalizeKeys(rows) {
+    return rows.map(row => row.publicKey
+        ? { ...row, publicKey: ethers.utils.computePublicKey(row.publicKey, false) }
+        : row);
+}
+
+/**
+ * Validate manifest rows. Returns one entry per invalid row:
+ * { row, serialNumber, errors: [...] } where row is 1-based.
+ * isRegistered(did) may be async and reports DIDs already on chain.
+ */
+async function validateRows(rows, { isRegistered } = {}) {
+    const invalid = [];
+    const seenDids = new Map();
+    const seenSerials = new Map();
+
+    for (let i = 0; i < rows.length; i++) {
+        const row = rows[i];
+        const errors = [];
+
+        for (const field of ['did', 'name', 'deviceType', 'manufacturer', 'model']) {
+            if (!row[field]) {
+                errors.push(`${field} is required`);
+            }
+        }
+
+        if (row.did && !/^did:[a-z0-9]+:\S+$/.test(row.did)) {
+            errors.push('did must look like did:<method>:<id>');
+        }
+
+        if (row.deviceType && !DEVICE_TYPES.includes(row.deviceType)) {
+            errors.push(`deviceType must be one of ${DEVICE_TYPES.join(', ')}`);
+        }
+
+        if (row.publicKey && !isPublicKey(row.publicKey)) {
+            errors.push('publicKey must be a 33 or 65 byte hex secp256k1 public key');
+        }
+
+        if (row.did) {
+            if (seenDids.has(row.did)) {
+                errors.push(`did duplicates row ${seenDids.get(row.did)}`);
+            } else {
+                seenDids.set(row.did, i + 1);
+                if (isRegistered && await isRegistered(row.did)) {
+                    errors.push('did is already registered');
+                }
+            }
+        }
+
+        if (row.serialNumber) {
+            if (seenSerials.has(row.serialNumber)) {
+                errors.push(`serialNumber duplicates row ${seenSerials.get(row.serialNumber)}`);
+            } else {
+                seenSerials.set(row.serialNumber, i + 1);
+            }
+        }
+
+        if (errors.length > 0) {
+            invalid.push({ row: i + 1, serialNumber: row.serialNumber || null, errors });
+        }
+    }
+
+    return invalid;
+}
+
+module.exports = { DEVICE_TYPES, parseManifest, validateRows, isPublicKey, normalizeKeys };
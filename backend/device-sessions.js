@@ -0,0 +1,98 @@
+// ThingID Device Sessions
+// Challenge nonces and session tokens for devices that authenticate with their on-chain key.
+// A device asks for a challenge, signs its message with the device key and trades the
+// signature for an HS256 JWT bound to that key. Challenges are single use and expire after
+// challengeTtl seconds; sessions last sessionTtl seconds.
+
+const crypto = require('crypto');
+
+function base64UrlJson(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+class DeviceSessions {
+    constructor({ sessionSecret, challengeTtl, sessionTtl }) {
+        this.secret = sessionSecret;
+        this.challengeTtl = challengeTtl; // seconds
+        this.sessionTtl = sessionTtl;     // seconds
+        this.challenges = new Map();      // nonce => { deviceId, message, expiresAt }
+    }
+
+    sign(input) {
+        return crypto.createHmac('sha256', this.secret).update(input).digest('base64url');
+    }
+
+    /**
+     * Open a challenge for a device. buildMessage(nonce, expiresAt) returns the text the
+     * device signs. Returns { nonce, message, expiresAt } with expiresAt in unix seconds.
+     */
+    createChallenge(deviceId, buildMessage) {
+        // Drop expired challenges so the map does not grow unbounded
+        const now = Math.floor(Date.now() / 1000);
+        for (const [nonce, challenge] of this.challenges) {
+            if (challenge.expiresAt <= now) {
+                this.challenges.delete(nonce);
+            }
+        }
+
+        const nonce = crypto.randomBytes(32).toString('hex');
+        const expiresAt = now + this.challengeTtl;
+        const message = buildMessage(nonce, expiresAt);
+
+        this.challenges.set(nonce, { deviceId: deviceId.toLowerCase(), message, expiresAt });
+        return { nonce, message, expiresAt };
+    }
+
+    // Consume a challenge, whether or not its answer turns out valid. Returns null if the
+    // nonce is unknown, expired or was issued to another device.
+    takeChallenge(nonce, deviceId) {
+        const challenge = this.challenges.get(nonce);
+        this.challenges.delete(nonce);
+
+        if (!challenge || challenge.deviceId !== deviceId.toLowerCase() ||
+            challenge.expiresAt <= Math.floor(Date.now() / 1000)) {
+            return null;
+        }
+        return challenge;
+    }
+
+    // Issue an HS256 JWT for an authenticated device, bound to the device key it signed with
+    issue(deviceId, did, keyAddress, scopes) {
+        const now = Math.floor(Date.now() / 1000);
+        const header = base64UrlJson({ alg: 'HS256', typ: 'JWT' });
+        const payload = base64UrlJson({
+            iss: 'thingid-backend',
+            sub: deviceId,
+            did: did,
+            key: keyAddress,
+            scope: scopes.join(' '),
+            iat: now,
+            exp: now + this.sessionTtl
+        });
+
+        return `${header}.${payload}.${this.sign(`${header}.${payload}`)}`;
+    }
+
+    // Verify a session token and return its claims (null if invalid or expired)
+    verify(token) {
+        const parts = (token || '').split('.');
+        if (parts.length !== 3) {
+            return null;
+        }
+
+        const expected = Buffer.from(this.sign(`${parts[0]}.${parts[1]}`));
+        const actual = Buffer.from(parts[2]);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        const claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+        if (claims.exp <= Math.floor(Date.now() / 1000)) {
+            return null;
+        }
+
+        return claims;
+    }
+}
+
+module.exports = { DeviceSessions };
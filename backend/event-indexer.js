@@ -0,0 +1,397 @@
+// ThingID Event Indexer
+// Follows every ThingID contract event from the deployment block into an append-only
+// JSON Lines log, <dataDir>/events.jsonl, checkpointing after each batch in the small
+// <dataDir>/events-checkpoint.json so it resumes after a restart. The checkpoint file is
+// the only thing rewritten; each checkpoint records the log's length, so anything written
+// after the last one is cut off on load. Recent checkpoints keep their block hashes so a
+// chain reorganisation can be detected and the log truncated back to the last good block.
+// Memory holds only a small index entry per event; full records are read from the log.
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { ethers } = require('ethers');
+
+// Number of recent checkpoints (with block hashes) kept for reorg detection
+const CHECKPOINT_HISTORY = 64;
+
+// Bytes read at a time when scanning the log on startup
+const SCAN_CHUNK_SIZE = 1024 * 1024;
+
+// Fields of a record kept in memory for filtering, next to its place in the log
+const INDEX_FIELDS = ['id', 'event', 'blockNumber', 'logIndex', 'timestamp', 'deviceId', 'owner', 'viewer'];
+
+class EventIndexer extends EventEmitter {
+    constructor({ provider, contractAddress, abi, dataDir, startBlock = 0, batchSize = 2000, confirmations = 0, pollInterval = 5000 }) {
+        super();
+        this.provider = provider;
+        this.contractAddress = contractAddress;
+        this.iface = new ethers.utils.Interface(abi);
+        this.logFile = path.join(dataDir, 'events.jsonl');
+        this.checkpointFile = path.join(dataDir, 'events-checkpoint.json');
+        this.legacyFile = path.join(dataDir, 'events.json');
+        this.startBlock = startBlock;
+        this.batchSize = batchSize;
+        this.confirmations = confirmations;
+        this.pollInterval = pollInterval;
+        this.timer = null;
+        this.syncing = false;
+        this.lastError = null;
+
+        fs.mkdirSync(dataDir, { recursive: true });
+        this.load();
+    }
+
+    // ============ PERSISTENCE ============
+
+    load() {
+        if (!fs.existsSync(this.checkpointFile) && fs.existsSync(this.legacyFile)) {
+            this.convertLegacy();
+        }
+
+        let state = null;
+        if (fs.existsSync(this.checkpointFile)) {
+            state = JSON.parse(fs.readFileSync(this.checkpointFile, 'utf8'));
+        }
+
+        // A log built for a different contract is discarded
+        if (!state || state.contractAddress.toLowerCase() !== this.contractAddress.toLowerCase()) {
+            state = { contractAddress: this.contractAddress, checkpoints: [] };
+        }
+        this.checkpoints = state.checkpoints;
+
+        // Drop events written after the last checkpoint (a batch interrupted by a restart)
+        this.truncateLog(this.checkpointedSize());
+        this.index = this.scanLog();
+        this.rebuildOwners();
+        this.saveCheckpoints();
+    }
+
+    // Log length covered by the newest checkpoint
+    checkpointedSize() {
+        return this.checkpoints.length > 0 ? this.checkpoints[this.checkpoints.length - 1].logSize : 0;
+    }
+
+    truncateLog(size) {
+        if (!fs.existsSync(this.logFile)) {
+            fs.writeFileSync(this.logFile, '');
+        }
+        if (fs.statSync(this.logFile).size > size) {
+            fs.truncateSync(this.logFile, size);
+        }
+        this.logSize = size;
+    }
+
+    // Index entries for every record in the log, read a chunk at a time
+    scanLog() {
+        const index = [];
+        const fd = fs.openSync(this.logFile, 'r');
+        const buffer = Buffer.alloc(SCAN_CHUNK_SIZE);
+        let pending = Buffer.alloc(0);
+        let position = 0;
+
+        try {
+            let bytesRead;
+            while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, position)) > 0) {
+                let data = Buffer.concat([pending, buffer.subarray(0, bytesRead)]);
+                let offset = position - pending.length;
+                let newline;
+                while ((newline = data.indexOf(10)) !== -1) {
+                    const record = JSON.parse(data.subarray(0, newline).toString('utf8'));
+                    index.push(this.toIndexEntry(record, offset, newline));
+                    offset += newline + 1;
+                    data = data.subarray(newline + 1);
+                }
+                pending = Buffer.from(data);
+                position += bytesRead;
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        return index;
+    }
+
+    toIndexEntry(record, offset, length) {
+        const entry = { offset, length };
+        for (const field of INDEX_FIELDS) {
+            entry[field] = record[field];
+        }
+        return entry;
+    }
+
+    // Full records for index entries, in the order given
+    readRecords(entries) {
+        if (entries.length === 0) {
+            return [];
+        }
+
+        const fd = fs.openSync(this.logFile, 'r');
+        try {
+            return entries.map(entry => {
+                const buffer = Buffer.alloc(entry.length);
+                fs.readSync(fd, buffer, 0, entry.length, entry.offset);
+                return JSON.parse(buffer.toString('utf8'));
+            });
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    // Add records to the end of the log; they only count once a checkpoint covers them
+    appendRecords(records) {
+        if (records.length === 0) {
+            return;
+        }
+
+        const lines = records.map(record => Buffer.from(JSON.stringify(record) + '\n', 'utf8'));
+        fs.appendFileSync(this.logFile, Buffer.concat(lines));
+        for (let i = 0; i < records.length; i++) {
+            this.index.push(this.toIndexEntry(records[i], this.logSize, lines[i].length - 1));
+            this.logSize += lines[i].length;
+        }
+    }
+
+    saveCheckpoints() {
+        const tmp = this.checkpointFile + '.tmp';
+        fs.writeFileSync(tmp, JSON.stringify({
+            contractAddress: this.contractAddress,
+            checkpoints: this.checkpoints
+        }));
+        fs.renameSync(tmp, this.checkpointFile);
+    }
+
+    // Move an events.json database from before the log format into the log
+    convertLegacy() {
+        const db = JSON.parse(fs.readFileSync(this.legacyFile, 'utf8'));
+        const lines = db.events.map(record => JSON.stringify(record) + '\n').join('');
+        fs.writeFileSync(this.logFile, lines);
+
+        // Older checkpoints cannot say where they end in the log, so only the newest is kept
+        const latest = db.checkpoints[db.checkpoints.length - 1];
+        fs.writeFileSync(this.checkpointFile, JSON.stringify({
+            contractAddress: db.contractAddress,
+            checkpoints: latest ? [{ ...latest, logSize: Buffer.byteLength(lines) }] : []
+        }));
+        fs.unlinkSync(this.legacyFile);
+    }
+
+    // Track the owner of every device so each event can be attributed to one
+    // (a DeviceTransferred record's owner is the new owner)
+    rebuildOwners() {
+        this.deviceOwners = new Map();
+        for (const entry of this.index) {
+            this.trackOwner(entry);
+        }
+    }
+
+    trackOwner(event) {
+        if (event.event === 'DeviceRegistered' || event.event === 'DeviceTransferred') {
+            this.deviceOwners.set(event.deviceId, event.owner);
+        }
+    }
+
+    get lastBlock() {
+        return this.checkpoints.length > 0
+            ? this.checkpoints[this.checkpoints.length - 1].number
+            : this.startBlock - 1;
+    }
+
+    // ============ SYNC LOOP ============
+
+    start() {
+        const tick = async () => {
+            await this.sync();
+            this.timer = setTimeout(tick, this.pollInterval);
+        };
+        tick();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    async sync() {
+        if (this.syncing) {
+            return;
+        }
+        this.syncing = true;
+
+        try {
+            await this.checkReorg();
+
+            const head = await this.provider.getBlockNumber() - this.confirmations;
+            while (this.lastBlock < head) {
+                const fromBlock = this.lastBlock + 1;
+                const toBlock = Math.min(fromBlock + this.batchSize - 1, head);
+                await this.indexRange(fromBlock, toBlock);
+            }
+
+            this.lastError = null;
+        } catch (error) {
+            this.lastError = error.message;
+            console.error('Event indexer sync failed:', error.message);
+        } finally {
+            this.syncing = false;
+        }
+    }
+
+    async indexRange(fromBlock, toBlock) {
+        const logs = await this.provider.getLogs({
+            address: this.contractAddress,
+            fromBlock,
+            toBlock
+        });
+
+        const added = [];
+        for (const log of logs) {
+            let parsed;
+            try {
+                parsed = this.iface.parseLog(log);
+            } catch (error) {
+                continue; // event not in our ABI
+            }
+
+            const record = await this.toRecord(log, parsed);
+            if (parsed.name === 'DeviceTransferred') {
+                record.owner = record.args.newOwner.toLowerCase();
+            }
+            this.trackOwner(record);
+            record.owner = record.owner || this.deviceOwners.get(record.deviceId) || null;
+            added.push(record);
+        }
+
+        const block = await this.provider.getBlock(toBlock);
+        this.appendRecords(added);
+        this.checkpoints.push({ number: toBlock, hash: block.hash, logSize: this.logSize });
+        if (this.checkpoints.length > CHECKPOINT_HISTORY) {
+            this.checkpoints.splice(0, this.checkpoints.length - CHECKPOINT_HISTORY);
+        }
+        this.saveCheckpoints();
+
+        if (added.length > 0) {
+            this.emit('events', added);
+        }
+    }
+
+    async toRecord(log, parsed) {
+        const args = {};
+        parsed.eventFragment.inputs.forEach((input, i) => {
+            const value = parsed.args[i];
+            args[input.name] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+        });
+
+        // Every ThingID event carries a timestamp; fall back to the block for any that do not
+        const timestamp = args.timestamp !== undefined
+            ? parseInt(args.timestamp)
+            : (await this.provider.getBlock(log.blockNumber)).timestamp;
+
+        return {
+            id: `${log.transactionHash}:${log.logIndex}`,
+            event: parsed.name,
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash,
+            transactionHash: log.transactionHash,
+            logIndex: log.logIndex,
+            timestamp: timestamp,
+            deviceId: args.deviceId ? args.deviceId.toLowerCase() : null,
+            owner: args.owner ? args.owner.toLowerCase() : null,
+            viewer: args.viewer ? args.viewer.toLowerCase() : null,
+            args: args
+        };
+    }
+
+    // Roll back to the newest checkpoint whose block is still on the canonical chain
+    async checkReorg() {
+        if (this.checkpoints.length === 0) {
+            return;
+        }
+
+        const latest = this.checkpoints[this.checkpoints.length - 1];
+        const block = await this.provider.getBlock(latest.number);
+        if (block && block.hash === latest.hash) {
+            return;
+        }
+
+        let keep = this.checkpoints.length - 1;
+        while (keep >= 0) {
+            const checkpoint = this.checkpoints[keep];
+            const canonical = await this.provider.getBlock(checkpoint.number);
+            if (canonical && canonical.hash === checkpoint.hash) {
+                break;
+            }
+            keep--;
+        }
+
+        // No surviving checkpoint in the history window: re-index from scratch
+        const safeBlock = keep >= 0 ? this.checkpoints[keep].number : this.startBlock - 1;
+        const removed = this.readRecords(this.index.filter(e => e.blockNumber > safeBlock));
+
+        console.warn(`⚠️  Chain reorg detected; rolling event index back to block ${safeBlock}`);
+        this.checkpoints = this.checkpoints.slice(0, keep + 1);
+        this.truncateLog(this.checkpointedSize());
+        this.index = this.index.filter(e => e.blockNumber <= safeBlock);
+        this.rebuildOwners();
+        this.saveCheckpoints();
+
+        this.emit('reorg', { safeBlock, removed });
+    }
+
+    // ============ QUERIES ============
+
+    /**
+     * Query indexed events.
+     * Filters: deviceId, owner, viewer, event (comma separated), fromBlock, toBlock,
+     * fromTime, toTime (unix seconds). Results are ordered by (blockNumber, logIndex);
+     * pass the returned nextCursor back as cursor to get the following page.
+     */
+    query({ deviceId, owner, viewer, event, fromBlock, toBlock, fromTime, toTime, order = 'asc', limit = 50, cursor } = {}) {
+        const eventNames = event ? event.split(',') : null;
+        const lower = value => (value ? value.toLowerCase() : value);
+        deviceId = lower(deviceId);
+        owner = lower(owner);
+        viewer = lower(viewer);
+
+        let matching = this.index.filter(e =>
+            (!deviceId || e.deviceId === deviceId) &&
+            (!owner || e.owner === owner) &&
+            (!viewer || e.viewer === viewer) &&
+            (!eventNames || eventNames.includes(e.event)) &&
+            (fromBlock === undefined || e.blockNumber >= fromBlock) &&
+            (toBlock === undefined || e.blockNumber <= toBlock) &&
+            (fromTime === undefined || e.timestamp >= fromTime) &&
+            (toTime === undefined || e.timestamp <= toTime)
+        );
+
+        if (order === 'desc') {
+            matching = matching.slice().reverse();
+        }
+
+        const total = matching.length;
+        if (cursor) {
+            const index = matching.findIndex(e => e.id === cursor);
+            matching = index >= 0 ? matching.slice(index + 1) : [];
+        }
+
+        const page = matching.slice(0, limit);
+        return {
+            events: this.readRecords(page),
+            total: total,
+            nextCursor: matching.length > limit ? page[page.length - 1].id : null
+        };
+    }
+
+    status() {
+        return {
+            contractAddress: this.contractAddress,
+            startBlock: this.startBlock,
+            lastIndexedBlock: this.lastBlock,
+            totalEvents: this.index.length,
+            syncing: this.syncing,
+            lastError: this.lastError
+        };
+    }
+}
+
+module.exports = { EventIndexer };
@@ -0,0 +1,59 @@
+// ThingID Manufacturer Attestations
+// EIP-712 typed data for the attestations a registered manufacturer signs to vouch for a
+// device: the public key, model and serial number it shipped with. The signature is
+// checked and recorded on chain by ManufacturerRegistry.attestDevice; these helpers let
+// the backend build the payload for a manufacturer wallet and pre-check signatures.
+
+const { ethers } = require('ethers');
+
+// Mirrors ManufacturerRegistry.ATTESTATION_TYPEHASH
+const ATTESTATION_EIP712_TYPES = {
+    DeviceAttestation: [
+        { name: 'publicKey', type: 'string' },
+        { name: 'model', type: 'string' },
+        { name: 'serialNumber', type: 'string' }
+    ]
+};
+
+function attestationDomain(chainId, registryAddress) {
+    return {
+        name: 'ThingID Manufacturer Registry',
+        version: '1.0.0',
+        chainId: chainId,
+        verifyingContract: registryAddress
+    };
+}
+
+/**
+ * Typed data a manufacturer signs for a device.
+ * fields: { publicKey, model, serialNumber } exactly as registered on chain
+ */
+function attestationTypedData(fields, domain) {
+    return {
+        domain: domain,
+        types: ATTESTATION_EIP712_TYPES,
+        primaryType: 'DeviceAttestation',
+        message: {
+            publicKey: fields.publicKey,
+            model: fields.model,
+            serialNumber: fields.serialNumber
+        }
+    };
+}
+
+// Address that signed the attestation (null if the signature is unreadable)
+function recoverAttester(fields, domain, signature) {
+    const typedData = attestationTypedData(fields, domain);
+    try {
+        return ethers.utils.verifyTypedData(
+            typedData.domain,
+            typedData.types,
+            typedData.message,
+            signature
+        );
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = { attestationDomain, attestationTypedData, recoverAttester };
@@ -0,0 +1,225 @@
+// ThingID Device Metadata Schemas
+// JSON Schemas for the off-chain metadata documents devices point to through the
+// DeviceMetadata contract, one per device type, plus a validator for the subset of JSON
+// Schema they use (type, properties, required, additionalProperties, items, enum, pattern,
+// format, minimum/maximum, minLength/maxLength, minItems/maxItems). Every schema shares the
+// common properties; device types without a schema of their own get only those.
+
+const { DEVICE_TYPES } = require('./device-manifest');
+
+const HASH_PATTERN = '^0x[0-9a-fA-F]{64}$';
+
+const stringList = { type: 'array', maxItems: 64, items: { type: 'string', minLength: 1, maxLength: 64 } };
+
+// Properties every metadata document may carry
+const COMMON_PROPERTIES = {
+    firmwareVersion: { type: 'string', minLength: 1, maxLength: 64 },
+    hardwareRevision: { type: 'string', maxLength: 64 },
+    capabilities: stringList,
+    networkInterfaces: {
+        type: 'array',
+        maxItems: 16,
+        items: {
+            type: 'object',
+            required: ['type'],
+            additionalProperties: false,
+            properties: {
+                type: { enum: ['ethernet', 'wifi', 'cellular', 'lorawan', 'zigbee', 'thread', 'bluetooth', 'modbus', 'other'] },
+                address: { type: 'string', maxLength: 64 },
+                protocols: stringList
+            }
+        }
+    },
+    calibrationCertificates: {
+        type: 'array',
+        maxItems: 32,
+        items: {
+            type: 'object',
+            required: ['issuer', 'issuedAt'],
+            additionalProperties: false,
+            properties: {
+                issuer: { type: 'string', minLength: 1, maxLength: 128 },
+                certificateUri: { type: 'string', format: 'uri' },
+                contentHash: { type: 'string', pattern: HASH_PATTERN },
+                issuedAt: { type: 'string', format: 'date' },
+                validUntil: { type: 'string', format: 'date' }
+            }
+        }
+    },
+    documentationUri: { type: 'string', format: 'uri' },
+    // Free-form vendor attributes; rendered but not checked
+    custom: { type: 'object' }
+};
+
+// Properties specific to each device type
+const TYPE_PROPERTIES = {
+    sensor: {
+        measurements: {
+            type: 'array',
+            maxItems: 32,
+            items: {
+                type: 'object',
+                required: ['quantity', 'unit'],
+                additionalProperties: false,
+                properties: {
+                    quantity: { type: 'string', minLength: 1, maxLength: 64 },
+                    unit: { type: 'string', minLength: 1, maxLength: 16 },
+                    rangeMin: { type: 'number' },
+                    rangeMax: { type: 'number' },
+                    accuracy: { type: 'number', minimum: 0 }
+                }
+            }
+        },
+        samplingIntervalSeconds: { type: 'number', minimum: 0 }
+    },
+    actuator: {
+        actuationType: { enum: ['valve', 'motor', 'relay', 'damper', 'switch', 'dimmer', 'other'] },
+        controlRange: {
+            type: 'object',
+            required: ['min', 'max'],
+            additionalProperties: false,
+            properties: {
+                min: { type: 'number' },
+                max: { type: 'number' },
+                unit: { type: 'string', maxLength: 16 }
+            }
+        },
+        ratedPowerWatts: { type: 'number', minimum: 0 }
+    },
+    gateway: {
+        supportedProtocols: stringList,
+        maxConnectedDevices: { type: 'integer', minimum: 0 },
+        uplink: { type: 'string', maxLength: 64 }
+    },
+    controller: {
+        supportedCommands: stringList,
+        ioChannels: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                inputs: { type: 'integer', minimum: 0 },
+                outputs: { type: 'integer', minimum: 0 }
+            }
+        }
+    },
+    camera: {
+        resolution: {
+            type: 'object',
+            required: ['width', 'height'],
+            additionalProperties: false,
+            properties: {
+                width: { type: 'integer', minimum: 1 },
+                height: { type: 'integer', minimum: 1 }
+            }
+        },
+        frameRate: { type: 'number', minimum: 0 },
+        fieldOfViewDegrees: { type: 'number', minimum: 0, maximum: 360 },
+        nightVision: { type: 'boolean' },
+        audio: { type: 'boolean' }
+    },
+    tracker: {
+        positioning: { type: 'array', maxItems: 8, items: { enum: ['gnss', 'wifi', 'cellular', 'ble', 'uwb'] } },
+        reportingIntervalSeconds: { type: 'number', minimum: 0 },
+        batteryCapacityMah: { type: 'number', minimum: 0 }
+    }
+};
+
+// Metadata schema for a device type (the common schema for types without their own)
+function schemaFor(deviceType) {
+    const type = DEVICE_TYPES.includes(deviceType) ? deviceType : 'common';
+    return {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        $id: `urn:thingid:metadata:${type}`,
+        title: `ThingID ${type} metadata`,
+        type: 'object',
+        required: ['firmwareVersion'],
+        additionalProperties: false,
+        properties: { ...COMMON_PROPERTIES, ...(TYPE_PROPERTIES[type] || {}) }
+    };
+}
+
+const FORMATS = {
+    date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+    'date-time': value => /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value)),
+    uri: value => /^[a-z][a-z0-9+.-]*:\S+$/i.test(value)
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Validate a document against a schema. Returns the problems found as
+ * "<path>: <message>" strings (empty when the document is valid).
+ */
+function validateDocument(value, schema, at = '$') {
+    const errors = [];
+    const type = typeOf(value);
+
+    if (schema.type && !(schema.type === type || (schema.type === 'number' && type === 'integer'))) {
+        return [`${at}: must be ${schema.type === 'integer' ? 'an integer' : `of type ${schema.type}`}`];
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at}: must be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (type === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${at}: must not be empty`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${at}: must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${at}: must match ${schema.pattern}`);
+        }
+        if (schema.format && !FORMATS[schema.format](value)) {
+            errors.push(`${at}: must be a ${schema.format}`);
+        }
+    }
+
+    if (type === 'integer' || type === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${at}: must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${at}: must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${at}: must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${at}: must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validateDocument(item, schema.items, `${at}[${i}]`)));
+        }
+    }
+
+    if (type === 'object') {
+        for (const field of schema.required || []) {
+            if (value[field] === undefined) {
+                errors.push(`${at}.${field}: is required`);
+            }
+        }
+        for (const [field, fieldValue] of Object.entries(value)) {
+            const fieldSchema = (schema.properties || {})[field];
+            if (fieldSchema) {
+                errors.push(...validateDocument(fieldValue, fieldSchema, `${at}.${field}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${at}.${field}: is not allowed`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+module.exports = { schemaFor, validateDocument };
@@ -0,0 +1,98 @@
+// ThingID Metadata Content Store
+// Content-addressed store for device metadata documents under <dataDir>/metadata/<hash>.json,
+// where the hash is the keccak256 of the stored bytes, the same hash DeviceMetadata records
+// on chain. Every read is checked against the hash, so a document served from here is
+// exactly the one its owner published. Documents published elsewhere are fetched from their
+// http(s) URI on first use and cached once their hash matches; the fetch never reaches a
+// private address and gives up once the body passes MAX_DOCUMENT_SIZE.
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { request } = require('./outbound-http');
+
+// Largest document the store accepts, in bytes
+const MAX_DOCUMENT_SIZE = 64 * 1024;
+
+const FETCH_TIMEOUT = 10 * 1000;
+
+function hashContent(bytes) {
+    return ethers.utils.keccak256(bytes);
+}
+
+class MetadataStore {
+    constructor(dataDir) {
+        this.dir = path.join(dataDir, 'metadata');
+        fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    filePath(contentHash) {
+        if (!/^0x[0-9a-f]{64}$/.test(contentHash)) {
+            throw new Error('Invalid content hash');
+        }
+        return path.join(this.dir, `${contentHash}.json`);
+    }
+
+    has(contentHash) {
+        return fs.existsSync(this.filePath(contentHash.toLowerCase()));
+    }
+
+    // Store a document's bytes and return their hash
+    put(bytes) {
+        if (bytes.length > MAX_DOCUMENT_SIZE) {
+            throw new Error(`Document exceeds ${MAX_DOCUMENT_SIZE} bytes`);
+        }
+
+        const contentHash = hashContent(bytes);
+        const file = this.filePath(contentHash);
+        if (!fs.existsSync(file)) {
+            fs.writeFileSync(file + '.tmp', bytes);
+            fs.renameSync(file + '.tmp', file);
+        }
+        return contentHash;
+    }
+
+    // Stored bytes for a hash (null if not stored); throws if the file no longer matches it
+    get(contentHash) {
+        const file = this.filePath(contentHash.toLowerCase());
+        if (!fs.existsSync(file)) {
+            return null;
+        }
+
+        const bytes = fs.readFileSync(file);
+        if (hashContent(bytes) !== contentHash.toLowerCase()) {
+            throw new Error('Stored document does not match its content hash');
+        }
+        return bytes;
+    }
+
+    /**
+     * Bytes of the document a metadata version points to: from the store, or fetched from
+     * an http(s) URI and cached. Throws if the document is unavailable, too large, on a
+     * private address, or its hash differs.
+     */
+    async resolve(uri, contentHash) {
+        const stored = this.get(contentHash);
+        if (stored) {
+            return stored;
+        }
+
+        if (!/^https?:\/\//i.test(uri)) {
+            throw new Error('Document is not in the content store and its URI cannot be fetched');
+        }
+
+        const response = await request(uri, { timeout: FETCH_TIMEOUT, maxBytes: MAX_DOCUMENT_SIZE });
+        if (!response.ok) {
+            throw new Error(`Fetching ${uri} failed: HTTP ${response.status}`);
+        }
+        const bytes = response.body;
+        if (hashContent(bytes) !== contentHash.toLowerCase()) {
+            throw new Error('Document does not match its on-chain content hash');
+        }
+
+        this.put(bytes);
+        return bytes;
+    }
+}
+
+module.exports = { MetadataStore, MAX_DOCUMENT_SIZE, hashContent };
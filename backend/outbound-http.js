@@ -0,0 +1,143 @@
+// ThingID Outbound HTTP
+// Requests the backend makes to URLs chosen by its users (webhook deliveries, metadata
+// documents). Every address a host resolves to must be public: loopback, private,
+// link-local and other reserved ranges are refused, both when a URL is registered and
+// on every connection, so DNS that changes after registration cannot reach them either.
+// Redirects are not followed and response bodies are capped while they stream in.
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const BLOCKED_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8],         // "this" network
+    ['10.0.0.0', 8],        // private
+    ['100.64.0.0', 10],     // carrier-grade NAT
+    ['127.0.0.0', 8],       // loopback
+    ['169.254.0.0', 16],    // link-local, cloud metadata
+    ['172.16.0.0', 12],     // private
+    ['192.0.0.0', 24],      // IETF protocol assignments
+    ['192.168.0.0', 16],    // private
+    ['198.18.0.0', 15],     // benchmarking
+    ['224.0.0.0', 4],       // multicast
+    ['240.0.0.0', 4]        // reserved, broadcast
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 127],            // unspecified, loopback (IPv4-mapped addresses match the IPv4 ranges)
+    ['64:ff9b::', 96],      // NAT64, which embeds an IPv4 target
+    ['64:ff9b:1::', 48],    // local-use NAT64
+    ['2002::', 16],         // 6to4, which embeds an IPv4 target
+    ['fc00::', 7],          // unique local
+    ['fe80::', 10],         // link-local
+    ['ff00::', 8]           // multicast
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+function blockedAddressError(hostname) {
+    return Object.assign(new Error(`${hostname} resolves to a private or reserved address`), { code: 'PRIVATE_ADDRESS' });
+}
+
+// True if an IP address is not publicly routable
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    return family === 0 || BLOCKED_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// dns.lookup that fails when any address of the host is private
+function lookupPublic(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+        if (addresses.some(({ address }) => isPrivateAddress(address))) {
+            return callback(blockedAddressError(hostname));
+        }
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// Parsed http(s) URL and its bare host name (IPv6 literals lose their brackets)
+function parseUrl(url) {
+    let target;
+    try {
+        target = new URL(url);
+    } catch (error) {
+        target = null;
+    }
+    if (!target || (target.protocol !== 'http:' && target.protocol !== 'https:')) {
+        throw Object.assign(new Error('URL must be an http or https URL'), { code: 'INVALID_URL' });
+    }
+    return { target, hostname: target.hostname.replace(/^\[|\]$/g, '') };
+}
+
+/**
+ * Check that a URL is http(s) and every address its host resolves to is public.
+ * Throws with error.code 'INVALID_URL' or 'PRIVATE_ADDRESS' (or a DNS error code).
+ */
+async function assertPublicUrl(url) {
+    const { hostname } = parseUrl(url);
+    const addresses = net.isIP(hostname)
+        ? [{ address: hostname }]
+        : await dns.promises.lookup(hostname, { all: true });
+
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+        throw blockedAddressError(hostname);
+    }
+}
+
+/**
+ * Make a request to a public http(s) URL. Resolves with { status, ok, body } once the
+ * whole body is read; rejects on a private address, on a timeout (ms, for the whole
+ * exchange) or when the body would exceed maxBytes.
+ */
+function request(url, { method = 'GET', headers = {}, body = null, timeout = 10 * 1000, maxBytes = Infinity } = {}) {
+    return new Promise((resolve, reject) => {
+        const { target, hostname } = parseUrl(url);
+        if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+            return reject(blockedAddressError(hostname));
+        }
+
+        const client = target.protocol === 'https:' ? https : http;
+        let timer = null;
+        const fail = error => {
+            clearTimeout(timer);
+            req.destroy();
+            reject(error);
+        };
+
+        const req = client.request(target, { method, headers, lookup: lookupPublic }, response => {
+            if (parseInt(response.headers['content-length']) > maxBytes) {
+                return fail(new Error(`Response exceeds ${maxBytes} bytes`));
+            }
+
+            const chunks = [];
+            let size = 0;
+            response.on('data', chunk => {
+                size += chunk.length;
+                if (size > maxBytes) {
+                    return fail(new Error(`Response exceeds ${maxBytes} bytes`));
+                }
+                chunks.push(chunk);
+            });
+            response.on('end', () => {
+                clearTimeout(timer);
+                resolve({
+                    status: response.statusCode,
+                    ok: response.statusCode >= 200 && response.statusCode < 300,
+                    body: Buffer.concat(chunks)
+                });
+            });
+            response.on('error', fail);
+        });
+
+        timer = setTimeout(() => fail(new Error(`No response within ${timeout} ms`)), timeout);
+        req.on('error', fail);
+        req.end(body);
+    });
+}
+
+module.exports = { isPrivateAddress, assertPublicUrl, request };
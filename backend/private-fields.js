@@ -0,0 +1,67 @@
+// ThingID Private Device Fields
+// Decrypts the fields owners keep in the EncryptedFields contract instead of the public
+// registry. The fields are a JSON object encrypted with AES-256-GCM under a random content
+// key; the content key is wrapped for each reader with ECIES over secp256k1:
+//   wrapped key = ephemeral compressed public key (33) | IV (12) | encrypted content key (48)
+// where the wrapping key is keccak256 of the ECDH secret between the ephemeral key and the
+// reader's encryption key. Both ciphertexts use the device ID as additional data, so they
+// cannot be moved to another device.
+//
+// A reader's encryption key is derived from their wallet signature over
+// ENCRYPTION_KEY_MESSAGE, so it never has to be stored. Neither the signature nor the key
+// ever reaches this server: readers unwrap the content key themselves, and API clients that
+// want the backend to decrypt send only the content key of the device's current version,
+// which opens nothing else and stops working when the device is re-keyed.
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+// Device fields that can be encrypted. The device public key is not one of them: signed
+// requests, telemetry, key rotation, attestations and DID documents all read it on chain.
+const PRIVATE_FIELDS = ['serialNumber', 'location'];
+
+// Message a reader signs (EIP-191 personal_sign) to derive their encryption key
+const ENCRYPTION_KEY_MESSAGE = [
+    'ThingID encryption key',
+    '',
+    'Signing this message unlocks the private device fields shared with this address.',
+    'Only sign it in applications you trust with that data.'
+].join('\n');
+
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+function decrypt(key, payload, deviceId) {
+    const bytes = Buffer.from(ethers.utils.arrayify(payload));
+    if (bytes.length < IV_LENGTH + TAG_LENGTH) {
+        throw new Error('Ciphertext too short');
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', Buffer.from(ethers.utils.arrayify(key)), bytes.subarray(0, IV_LENGTH));
+    decipher.setAAD(Buffer.from(ethers.utils.arrayify(deviceId)));
+    decipher.setAuthTag(bytes.subarray(bytes.length - TAG_LENGTH));
+    return Buffer.concat([decipher.update(bytes.subarray(IV_LENGTH, bytes.length - TAG_LENGTH)), decipher.final()]);
+}
+
+// Private fields from a device's ciphertext and its 32-byte content key; throws if the key
+// is malformed or belongs to another device or key version
+function decryptFields(contentKey, ciphertext, deviceId) {
+    if (!ethers.utils.isHexString(contentKey, 32)) {
+        throw new Error('Content key must be 32 bytes of hex');
+    }
+
+    let plaintext;
+    try {
+        plaintext = decrypt(contentKey, ciphertext, deviceId);
+    } catch (error) {
+        throw new Error('Content key does not open the current fields');
+    }
+    const fields = JSON.parse(plaintext.toString('utf8'));
+    return Object.fromEntries(PRIVATE_FIELDS.filter(name => typeof fields[name] === 'string').map(name => [name, fields[name]]));
+}
+
+module.exports = {
+    PRIVATE_FIELDS,
+    ENCRYPTION_KEY_MESSAGE,
+    decryptFields
+};
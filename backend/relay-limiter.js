@@ -0,0 +1,75 @@
+// ThingID Relay Limiter
+// Per-signer bookkeeping for the meta-transaction relay. A relay reserves a quota slot and
+// the signer's only pending slot before anything is awaited, so parallel requests carrying
+// the same signed payload cannot all pass the quota check and the simulation and then all
+// be broadcast. A relay that fails before it is submitted gives both back; a submitted one
+// keeps its quota slot, since the relayer paid for it, and frees the signer once it settles.
+
+class RelayLimiter {
+    constructor({ quota, quotaWindow }) {
+        this.quota = quota;             // relays per signer per window
+        this.quotaWindow = quotaWindow; // seconds
+        this.usage = new Map();         // lowercase signer => reservations, oldest first
+        this.pending = new Set();       // lowercase signers with a relay in flight
+    }
+
+    // Reservations of a signer within the current quota window
+    recent(signer) {
+        const key = signer.toLowerCase();
+        const since = Math.floor(Date.now() / 1000) - this.quotaWindow;
+        const recent = (this.usage.get(key) || []).filter(reservation => reservation.at > since);
+        this.usage.set(key, recent);
+        return recent;
+    }
+
+    describe(signer) {
+        const used = this.recent(signer);
+        return {
+            limit: this.quota,
+            used: used.length,
+            remaining: Math.max(this.quota - used.length, 0),
+            resetsAt: used.length > 0 ? used[0].at + this.quotaWindow : null
+        };
+    }
+
+    isPending(signer) {
+        return this.pending.has(signer.toLowerCase());
+    }
+
+    /**
+     * Take a quota slot and the signer's pending slot. Throws with error.code
+     * 'RELAY_PENDING' while another relay of the signer is in flight, or
+     * 'QUOTA_EXCEEDED' when the window's quota is used up.
+     */
+    reserve(signer) {
+        const key = signer.toLowerCase();
+        if (this.pending.has(key)) {
+            throw Object.assign(new Error('A relayed transaction for this signer is already pending'), { code: 'RELAY_PENDING' });
+        }
+        if (this.recent(key).length >= this.quota) {
+            throw Object.assign(new Error('Relay quota exceeded'), { code: 'QUOTA_EXCEEDED' });
+        }
+
+        const reservation = { signer: key, at: Math.floor(Date.now() / 1000) };
+        this.usage.get(key).push(reservation);
+        this.pending.add(key);
+        return reservation;
+    }
+
+    // Give back both slots of a relay that was never submitted
+    release(reservation) {
+        const list = this.usage.get(reservation.signer) || [];
+        const index = list.indexOf(reservation);
+        if (index !== -1) {
+            list.splice(index, 1);
+        }
+        this.pending.delete(reservation.signer);
+    }
+
+    // A submitted relay was mined or dropped: its quota slot stays used, the signer is free again
+    settle(reservation) {
+        this.pending.delete(reservation.signer);
+    }
+}
+
+module.exports = { RelayLimiter };
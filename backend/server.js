@@ -1,11 +1,31 @@
 // ThingID Backend API Server for DIDLab Network
 // Requirements: npm install express ethers dotenv cors helmet express-rate-limit
 
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const express = require('express');
 const { ethers } = require('ethers');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const { TelemetryStore } = require('./telemetry-store');
+const telemetryMerkle = require('./telemetry-merkle');
+const { CommandStore, DEVICE_STATUSES, hashEntry } = require('./command-store');
+const { canonicalJson } = require('./canonical-json');
+const { EventIndexer } = require('./event-indexer');
+const { WebhookDispatcher, SYNTHETIC_EVENTS, DEFAULT_EXPIRING_MINUTES } = require('./webhook-dispatcher');
+const { assertPublicUrl } = require('./outbound-http');
+const { RelayLimiter } = require('./relay-limiter');
+const { DeviceSessions } = require('./device-sessions');
+const { DEVICE_TYPES, parseManifest, validateRows, isPublicKey, normalizeKeys } = require('./device-manifest');
+const { MetadataStore, MAX_DOCUMENT_SIZE, hashContent } = require('./metadata-store');
+const { schemaFor, validateDocument } = require('./metadata-schemas');
+const privateFields = require('./private-fields');
+const credentials = require('./access-credentials');
+const attestations = require('./manufacturer-attestations');
+const deviceKeys = require('./device-keys');
+const networks = require('../config/networks');
 require('dotenv').config();
 
 const app = express();
@@ -15,89 +35,454 @@ const PORT = process.env.PORT || 3000;
 
 app.use(helmet());
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '1mb' })); // batch manifests can be large
 
 // Rate limiting
 const limiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100 // limit each IP to 100 requests per windowMs
+    max: 100, // limit each IP to 100 requests per windowMs
+    // device traffic has its own limit
+    skip: (req) => req.path.startsWith('/telemetry/') || req.path.startsWith('/commands/device/')
 });
 app.use('/api/', limiter);
 
+// Devices report and poll frequently, so telemetry and device command polling get a higher per-IP allowance
+const telemetryLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: 600
+});
+app.use('/api/telemetry/', telemetryLimiter);
+app.use('/api/commands/device/', telemetryLimiter);
+app.use('/1.0/', limiter);
+
 // ============ CONFIGURATION ============
 
-const DIDLAB_CONFIG = {
-    rpcUrl: process.env.DIDLAB_RPC_URL || 'https://eth.didlab.org',
-    chainId: 252501,
-    contractAddress: process.env.CONTRACT_ADDRESS || '0x5A0d15B2E16b67Bf8dCbd2DfBf147d4A20e5CAC4', // Deploy contract first
+const DEPLOYMENT_INFO_PATH = path.join(__dirname, '..', 'deployment-info.json');
+
+// Contents of deployment-info.json (null if it is missing or unreadable)
+function readDeploymentInfo() {
+    try {
+        return JSON.parse(fs.readFileSync(DEPLOYMENT_INFO_PATH, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Network profile from config/networks.js (THINGID_NETWORK, default didlab), with the
+// addresses recorded for its chain in deployment-info.json. Environment variables override both.
+const NETWORK_NAME = process.env.THINGID_NETWORK || networks.DEFAULT_PROFILE;
+const NETWORK_PROFILE = networks.resolveProfile(NETWORK_NAME, readDeploymentInfo());
+
+const NETWORK_CONFIG = {
+    name: NETWORK_PROFILE.name,
+    rpcUrl: process.env.RPC_URL || (NETWORK_NAME === 'didlab' && process.env.DIDLAB_RPC_URL) || NETWORK_PROFILE.rpcUrl,
+    chainId: NETWORK_PROFILE.chainId,
+    explorerUrl: NETWORK_PROFILE.explorerUrl,
+    faucetUrl: NETWORK_PROFILE.faucetUrl,
+    contractAddress: process.env.CONTRACT_ADDRESS || NETWORK_PROFILE.contractAddress, // Deploy contract first
+    manufacturerRegistryAddress: process.env.MANUFACTURER_REGISTRY_ADDRESS || NETWORK_PROFILE.manufacturerRegistryAddress, // Optional; enables attestations
+    thingIdRegistryAddress: process.env.THINGID_REGISTRY_ADDRESS || NETWORK_PROFILE.thingIdRegistryAddress, // Optional; current release overrides the two above
+    deviceMetadataAddress: process.env.DEVICE_METADATA_ADDRESS || NETWORK_PROFILE.deviceMetadataAddress, // Optional; enables device metadata
+    encryptedFieldsAddress: process.env.ENCRYPTED_FIELDS_ADDRESS || NETWORK_PROFILE.encryptedFieldsAddress, // Optional; enables private fields
+    telemetryAnchorsAddress: process.env.TELEMETRY_ANCHORS_ADDRESS || NETWORK_PROFILE.telemetryAnchorsAddress, // Optional; enables telemetry anchoring
     privateKey: process.env.PRIVATE_KEY // For server-side transactions (optional)
 };
 
+const AUTH_CONFIG = {
+    // Tokens issued with a random secret do not survive a restart; set SESSION_SECRET in production
+    sessionSecret: process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
+    challengeTtl: 5 * 60, // seconds a challenge nonce stays valid
+    sessionTtl: parseInt(process.env.DEVICE_SESSION_TTL) || 15 * 60 // seconds a device session lasts
+};
+
+// Scopes a device session may carry
+const DEVICE_SCOPES = ['commands:read', 'commands:ack'];
+
+const RELAY_CONFIG = {
+    quota: parseInt(process.env.RELAY_QUOTA) || 20, // relayed transactions per signer per window
+    quotaWindow: parseInt(process.env.RELAY_QUOTA_WINDOW) || 24 * 60 * 60, // seconds
+    maxDeadline: 60 * 60 // furthest a signature deadline may be in the future, in seconds
+};
+
+// Devices per registerDevices transaction (the contract allows up to MAX_BATCH_SIZE = 50,
+// but each device costs roughly 375k gas)
+const REGISTER_BATCH_SIZE = parseInt(process.env.REGISTER_BATCH_SIZE) || 20;
+
+// Contract functions the relayer will submit on a signer's behalf (mirrors ThingID._isRelayable)
+const RELAYABLE_FUNCTIONS = [
+    'registerDevice', 'registerDevices', 'grantAccess', 'revokeAccess', 'extendAccess', 'renewAccess',
+    'updateDevice', 'toggleDeviceStatus', 'rotateDeviceKey', 'revokeDeviceKey'
+];
+
+// Access pass permission bits (mirror ThingID.PERMISSION_*)
+const PERMISSIONS = {
+    read: 1,
+    control: 2,
+    admin: 4
+};
+
+// Expand a pass permission bitmask into named flags
+function describePermissions(mask) {
+    return {
+        mask: mask,
+        canRead: (mask & PERMISSIONS.read) !== 0,
+        canControl: (mask & PERMISSIONS.control) !== 0,
+        canAdmin: (mask & PERMISSIONS.admin) !== 0
+    };
+}
+
+// Organization member roles (mirror ThingID.ROLE_*), each including the ones below it
+const ROLES = {
+    none: 0,
+    viewer: 1,
+    operator: 2,
+    admin: 3
+};
+
+function roleName(role) {
+    return Object.keys(ROLES).find(name => ROLES[name] === role) || 'none';
+}
+
+// Local storage for telemetry and other backend state
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
 // ThingID Contract ABI (minimal interface)
 const THINGID_ABI = [
     "function registerDevice(string _did, string _name, string _deviceType, string _manufacturer, string _model, string _serialNumber, string _location, string _publicKey) returns (bytes32)",
-    "function grantAccess(bytes32 deviceId, address viewer, uint256 duration)",
+    "function registerDevices(tuple(string did, string name, string deviceType, string manufacturer, string model, string serialNumber, string location, string publicKey)[] registrations) returns (bytes32[] deviceIds)",
+    "function registerOrganizationDevices(uint256 orgId, tuple(string did, string name, string deviceType, string manufacturer, string model, string serialNumber, string location, string publicKey)[] registrations) returns (bytes32[] deviceIds)",
+    "function grantAccess(bytes32 deviceId, address viewer, uint256 duration, uint8 permissions)",
     "function revokeAccess(bytes32 deviceId, address viewer)",
+    "function extendAccess(bytes32 deviceId, address viewer, uint256 duration)",
+    "function renewAccess(bytes32 deviceId, address viewer, uint256 duration)",
+    "function getActiveViewers(bytes32 deviceId) view returns (address[] viewers, uint256[] passIds)",
     "function hasAccess(bytes32 deviceId, address viewer) view returns (bool)",
+    "function hasPermission(bytes32 deviceId, address viewer, uint8 permission) view returns (bool)",
+    "function viewerAccess(bytes32 deviceId, address viewer) view returns (uint256)",
+    "function viewerPermissions(bytes32 deviceId, address viewer) view returns (uint8)",
     "function getDevice(bytes32 deviceId) view returns (tuple(string did, string name, string deviceType, string manufacturer, string model, string serialNumber, string location, string publicKey, address owner, uint256 registeredAt, bool isActive))",
     "function getOwnerDevices(address owner) view returns (bytes32[])",
-    "function getDeviceAccessPasses(bytes32 deviceId) view returns (tuple(address device_owner, address viewer, uint256 grantedAt, uint256 expiresAt, bool isActive)[])",
+    "function getDeviceAccessPasses(bytes32 deviceId) view returns (tuple(address device_owner, address viewer, uint256 grantedAt, uint256 expiresAt, bool isActive, uint8 permissions, address grantedBy)[])",
     "function getTotalDevices() view returns (uint256)",
-    "function getAccessExpiration(bytes32 deviceId, address viewer) view returns (uint256)",
+    "function getDeviceIdByDid(string _did) view returns (bytes32)",
+    "function getDevicesPaginated(uint256 offset, uint256 limit) view returns (bytes32[] deviceIds, tuple(string did, string name, string deviceType, string manufacturer, string model, string serialNumber, string location, string publicKey, address owner, uint256 registeredAt, bool isActive)[] page)",
+    "function getOwnerDevicesPaginated(address owner, uint256 offset, uint256 limit) view returns (bytes32[] deviceIds, tuple(string did, string name, string deviceType, string manufacturer, string model, string serialNumber, string location, string publicKey, address owner, uint256 registeredAt, bool isActive)[] page)",
+    "function getOwnerDeviceCount(address owner) view returns (uint256)",
+    "function proposeTransfer(bytes32 deviceId, address newOwner)",
+    "function cancelTransfer(bytes32 deviceId)",
+    "function acceptTransfer(bytes32 deviceId)",
+    "function pendingTransfers(bytes32 deviceId) view returns (address)",
+    "function getOwnershipHistory(bytes32 deviceId) view returns (tuple(address owner, uint256 acquiredAt)[])",
     "function updateDevice(bytes32 deviceId, string _name, string _location)",
     "function toggleDeviceStatus(bytes32 deviceId)",
+    "function rotateDeviceKey(bytes32 deviceId, string newPublicKey)",
+    "function revokeDeviceKey(bytes32 deviceId, uint256 compromisedAt)",
+    "function getDeviceKeys(bytes32 deviceId) view returns (tuple(string publicKey, uint256 addedAt, uint256 revokedAt, bool compromised)[])",
+    "function isKeyValidAt(bytes32 deviceId, string publicKey, uint256 timestamp) view returns (bool)",
+    "function anchorCommandLog(bytes32 deviceId, bytes32 logHash, uint256 entryCount)",
+    "function commandLogAnchors(bytes32 deviceId) view returns (bytes32 logHash, uint256 entryCount, uint256 anchoredAt)",
+    "function createOrganization(string name) returns (uint256 orgId)",
+    "function setMemberRole(uint256 orgId, address member, uint8 role)",
+    "function organizations(uint256 orgId) view returns (string name, address account, uint256 createdAt, uint256 adminCount)",
+    "function organizationCount() view returns (uint256)",
+    "function accountOrganization(address account) view returns (uint256)",
+    "function memberRoles(uint256 orgId, address member) view returns (uint8)",
+    "function getOrganizationMembers(uint256 orgId) view returns (address[] members, uint8[] roles)",
+    "function getMemberOrganizations(address member) view returns (uint256[])",
+    "function isOwnerOrMember(bytes32 deviceId, address account, uint8 minRole) view returns (bool)",
+    "function deviceGroups() view returns (address)",
+    "function accessRequests() view returns (address)",
+    "function VERSION() view returns (string)",
+    "function migrator() view returns (address)",
+    "function executeMetaTransaction(address signer, bytes data, uint256 deadline, bytes signature) returns (bytes)",
+    "function nonces(address signer) view returns (uint256)",
+    "function domainSeparator() view returns (bytes32)",
     "event DeviceRegistered(bytes32 indexed deviceId, string did, address indexed owner, string name, string deviceType, uint256 timestamp)",
-    "event AccessGranted(bytes32 indexed deviceId, address indexed owner, address indexed viewer, uint256 expiresAt, uint256 timestamp)",
-    "event AccessRevoked(bytes32 indexed deviceId, address indexed viewer, uint256 timestamp)"
+    "event AccessGranted(bytes32 indexed deviceId, address indexed owner, address indexed viewer, uint256 expiresAt, uint8 permissions, address grantedBy, uint256 timestamp)",
+    "event AccessRevoked(bytes32 indexed deviceId, address indexed viewer, uint256 timestamp)",
+    "event AccessExtended(bytes32 indexed deviceId, address indexed viewer, uint256 passId, uint256 expiresAt, address extendedBy, uint256 timestamp)",
+    "event DeviceStatusChanged(bytes32 indexed deviceId, bool isActive, uint256 timestamp)",
+    "event DeviceUpdated(bytes32 indexed deviceId, string name, string location, uint256 timestamp)",
+    "event DeviceTransferProposed(bytes32 indexed deviceId, address indexed from, address indexed to, uint256 timestamp)",
+    "event DeviceTransferCancelled(bytes32 indexed deviceId, address indexed from, address indexed to, uint256 timestamp)",
+    "event DeviceTransferred(bytes32 indexed deviceId, address indexed previousOwner, address indexed newOwner, uint256 timestamp)",
+    "event DeviceKeyRotated(bytes32 indexed deviceId, string previousKey, string newKey, uint256 timestamp)",
+    "event DeviceKeyRevoked(bytes32 indexed deviceId, string publicKey, uint256 revokedAt, uint256 timestamp)",
+    "event CommandLogAnchored(bytes32 indexed deviceId, bytes32 logHash, uint256 entryCount, address indexed anchoredBy, uint256 timestamp)",
+    "event OrganizationCreated(uint256 indexed orgId, string name, address account, address indexed creator, uint256 timestamp)",
+    "event MemberRoleChanged(uint256 indexed orgId, address indexed member, uint8 role, address indexed changedBy, uint256 timestamp)",
+    "event MetaTransactionExecuted(address indexed signer, address indexed relayer, bytes4 selector, uint256 nonce, uint256 timestamp)",
+    "event MigrationFinalized(address indexed migrator, uint256 totalDevices, uint256 timestamp)"
+];
+
+// ThingIDRegistry ABI (minimal interface)
+const THINGID_REGISTRY_ABI = [
+    "function admin() view returns (address)",
+    "function currentRelease() view returns (tuple(address thingId, address manufacturerRegistry, string version, uint256 publishedAt))",
+    "function getReleases() view returns (tuple(address thingId, address manufacturerRegistry, string version, uint256 publishedAt)[])",
+    "function getReleaseCount() view returns (uint256)",
+    "event ReleasePublished(uint256 indexed releaseId, address indexed thingId, address manufacturerRegistry, string version, uint256 timestamp)"
+];
+
+// ManufacturerRegistry ABI (minimal interface)
+const MANUFACTURER_REGISTRY_ABI = [
+    "function admin() view returns (address)",
+    "function registerManufacturer(address account, string name)",
+    "function setManufacturerStatus(address account, bool isActive)",
+    "function manufacturers(address account) view returns (string name, bool isActive, uint256 registeredAt)",
+    "function getManufacturers() view returns (address[])",
+    "function attestDevice(bytes32 deviceId, bytes signature)",
+    "function deviceAttestations(bytes32 deviceId) view returns (address manufacturer, bytes32 publicKeyHash, uint256 attestedAt)",
+    "function isAttested(bytes32 deviceId) view returns (bool)",
+    "event ManufacturerRegistered(address indexed manufacturer, string name, uint256 timestamp)",
+    "event ManufacturerStatusChanged(address indexed manufacturer, bool isActive, uint256 timestamp)",
+    "event DeviceAttested(bytes32 indexed deviceId, address indexed manufacturer, string model, string serialNumber, uint256 timestamp)"
+];
+
+// DeviceMetadata ABI (minimal interface)
+const DEVICE_METADATA_ABI = [
+    "function thingId() view returns (address)",
+    "function setMetadata(bytes32 deviceId, string uri, bytes32 contentHash) returns (uint256 version)",
+    "function getMetadata(bytes32 deviceId) view returns (tuple(string uri, bytes32 contentHash, address updatedBy, uint256 updatedAt) latest, uint256 version)",
+    "function getMetadataHistory(bytes32 deviceId) view returns (tuple(string uri, bytes32 contentHash, address updatedBy, uint256 updatedAt)[])",
+    "event MetadataUpdated(bytes32 indexed deviceId, uint256 indexed version, string uri, bytes32 contentHash, address indexed updatedBy, uint256 timestamp)"
 ];
 
+// EncryptedFields ABI (minimal interface)
+const ENCRYPTED_FIELDS_ABI = [
+    "function thingId() view returns (address)",
+    "function encryptionKeys(address account) view returns (bytes)",
+    "function getEncryptionKeys(address[] accounts) view returns (bytes[] publicKeys)",
+    "function getEncryptedFields(bytes32 deviceId) view returns (tuple(bytes ciphertext, uint256 keyVersion, address updatedBy, uint256 updatedAt))",
+    "function getWrappedKey(bytes32 deviceId, address recipient) view returns (bytes)",
+    "function getKeyRecipients(bytes32 deviceId) view returns (address[])",
+    "event EncryptionKeyRegistered(address indexed account, bytes publicKey, uint256 timestamp)",
+    "event FieldsEncrypted(bytes32 indexed deviceId, uint256 indexed keyVersion, address indexed updatedBy, uint256 recipients, uint256 timestamp)",
+    "event KeyShared(bytes32 indexed deviceId, uint256 indexed keyVersion, address indexed recipient, address sharedBy, uint256 timestamp)",
+    "event FieldsCleared(bytes32 indexed deviceId, address indexed clearedBy, uint256 timestamp)"
+];
+
+// TelemetryAnchors ABI (minimal interface)
+const TELEMETRY_ANCHORS_ABI = [
+    "function thingId() view returns (address)",
+    "function anchorTelemetry(bytes32 deviceId, bytes32 root, uint256 fromTs, uint256 toTs) returns (uint256 index)",
+    "function getAnchorCount(bytes32 deviceId) view returns (uint256)",
+    "function getAnchor(bytes32 deviceId, uint256 index) view returns (tuple(bytes32 root, uint256 fromTs, uint256 toTs, address anchoredBy, uint256 anchoredAt))",
+    "function getAnchors(bytes32 deviceId) view returns (tuple(bytes32 root, uint256 fromTs, uint256 toTs, address anchoredBy, uint256 anchoredAt)[])",
+    "function findAnchor(bytes32 deviceId, uint256 timestamp) view returns (bool found, uint256 index)",
+    "event TelemetryAnchored(bytes32 indexed deviceId, uint256 indexed index, bytes32 root, uint256 fromTs, uint256 toTs, address indexed anchoredBy, uint256 timestamp)"
+];
+
+// DeviceGroups ABI (minimal interface)
+const DEVICE_GROUPS_ABI = [
+    "function createGroup(string name, address owner) returns (uint256 groupId)",
+    "function renameGroup(uint256 groupId, string name)",
+    "function deleteGroup(uint256 groupId)",
+    "function addDevices(uint256 groupId, bytes32[] deviceIds)",
+    "function removeDevices(uint256 groupId, bytes32[] deviceIds)",
+    "function grantGroupAccess(uint256 groupId, address viewer, uint256 duration, uint8 permissions)",
+    "function extendGroupAccess(uint256 groupId, address viewer, uint256 additionalDuration)",
+    "function revokeGroupAccess(uint256 groupId, address viewer)",
+    "function groups(uint256 groupId) view returns (string name, address owner, uint256 createdAt, bool exists)",
+    "function groupPasses(uint256 groupId, address viewer) view returns (uint256 grantedAt, uint256 expiresAt, uint8 permissions, address grantedBy)",
+    "function groupAccessExpiration(bytes32 deviceId, address owner, address viewer, uint8 permission) view returns (uint256 expiresAt, uint256 groupId)",
+    "function getGroupDevices(uint256 groupId) view returns (bytes32[])",
+    "function getDeviceGroups(bytes32 deviceId) view returns (uint256[])",
+    "function getOwnerGroups(address owner) view returns (uint256[])",
+    "function getGroupPasses(uint256 groupId) view returns (address[] viewers, tuple(uint256 grantedAt, uint256 expiresAt, uint8 permissions, address grantedBy)[] passes)",
+    "event GroupCreated(uint256 indexed groupId, string name, address indexed owner, address createdBy, uint256 timestamp)",
+    "event GroupRenamed(uint256 indexed groupId, string name, uint256 timestamp)",
+    "event GroupDeleted(uint256 indexed groupId, uint256 timestamp)",
+    "event GroupDeviceAdded(uint256 indexed groupId, bytes32 indexed deviceId, uint256 timestamp)",
+    "event GroupDeviceRemoved(uint256 indexed groupId, bytes32 indexed deviceId, uint256 timestamp)",
+    "event GroupAccessGranted(uint256 indexed groupId, address indexed viewer, uint256 expiresAt, uint8 permissions, address indexed grantedBy, uint256 timestamp)",
+    "event GroupAccessExtended(uint256 indexed groupId, address indexed viewer, uint256 expiresAt, address indexed extendedBy, uint256 timestamp)",
+    "event GroupAccessRevoked(uint256 indexed groupId, address indexed viewer, address indexed revokedBy, uint256 timestamp)"
+];
+
+// Devices per addDevices / removeDevices call (DeviceGroups.MAX_BATCH_SIZE)
+const GROUP_BATCH_SIZE = 50;
+
+// AccessRequests ABI (minimal interface)
+const ACCESS_REQUESTS_ABI = [
+    "function requestAccess(bytes32 deviceId, uint256 duration, string message) returns (uint256 requestId)",
+    "function approveRequest(uint256 requestId, uint8 permissions)",
+    "function denyRequest(uint256 requestId)",
+    "function cancelRequest(uint256 requestId)",
+    "function requests(uint256 requestId) view returns (bytes32 deviceId, address requester, uint256 duration, string message, uint8 status, uint256 requestedAt, uint256 decidedAt, address decidedBy)",
+    "function pendingRequestIds(bytes32 deviceId, address requester) view returns (uint256)",
+    "function getPendingRequests(bytes32 deviceId) view returns (uint256[] requestIds, tuple(bytes32 deviceId, address requester, uint256 duration, string message, uint8 status, uint256 requestedAt, uint256 decidedAt, address decidedBy)[] page)",
+    "function getDeviceRequests(bytes32 deviceId) view returns (uint256[] requestIds, tuple(bytes32 deviceId, address requester, uint256 duration, string message, uint8 status, uint256 requestedAt, uint256 decidedAt, address decidedBy)[] page)",
+    "function getRequesterRequests(address requester) view returns (uint256[] requestIds, tuple(bytes32 deviceId, address requester, uint256 duration, string message, uint8 status, uint256 requestedAt, uint256 decidedAt, address decidedBy)[] page)",
+    "event AccessRequested(uint256 indexed requestId, bytes32 indexed deviceId, address indexed requester, uint256 duration, string message, uint256 timestamp)",
+    "event AccessRequestApproved(uint256 indexed requestId, bytes32 indexed deviceId, address indexed requester, uint8 permissions, address approvedBy, uint256 timestamp)",
+    "event AccessRequestDenied(uint256 indexed requestId, bytes32 indexed deviceId, address indexed requester, address deniedBy, uint256 timestamp)",
+    "event AccessRequestCancelled(uint256 indexed requestId, bytes32 indexed deviceId, address indexed requester, uint256 timestamp)",
+    "function setAccessPrice(bytes32 deviceId, uint256 price, uint256 unit)",
+    "function purchaseAccess(bytes32 deviceId, uint256 duration) payable",
+    "function withdraw()",
+    "function listings(bytes32 deviceId) view returns (uint256 price, uint256 unit, address seller, uint256 listedAt)",
+    "function getListings() view returns (bytes32[] deviceIds, tuple(uint256 price, uint256 unit, address seller, uint256 listedAt)[] page)",
+    "function isForSale(bytes32 deviceId) view returns (bool)",
+    "function balances(address seller) view returns (uint256)",
+    "event AccessPriceSet(bytes32 indexed deviceId, address indexed seller, uint256 price, uint256 unit, uint256 timestamp)",
+    "event AccessPurchased(bytes32 indexed deviceId, address indexed buyer, address indexed seller, uint256 duration, uint256 amount, uint256 timestamp)",
+    "event EarningsWithdrawn(address indexed seller, uint256 amount, uint256 timestamp)"
+];
+
+// Access request statuses (mirror AccessRequests.STATUS_*)
+const REQUEST_STATUSES = ['none', 'pending', 'approved', 'denied', 'cancelled'];
+
+// Longest access request message in bytes (AccessRequests.MAX_MESSAGE_LENGTH)
+const MAX_REQUEST_MESSAGE_LENGTH = 280;
+
 // ============ PROVIDER & CONTRACT SETUP ============
 
 let provider;
 let contract;
 let wallet;
+let manufacturerRegistry;
+let deviceMetadata;
+let encryptedFields;
+let telemetryAnchors;
+let deviceGroups;
+let accessRequests;
+let thingIdRegistry;
 
-function initializeProvider() {
+async function initializeProvider() {
     try {
-        provider = new ethers.providers.JsonRpcProvider(DIDLAB_CONFIG.rpcUrl);
-        
-        if (DIDLAB_CONFIG.contractAddress) {
+        provider = new ethers.providers.JsonRpcProvider(NETWORK_CONFIG.rpcUrl);
+
+        if (NETWORK_CONFIG.thingIdRegistryAddress) {
+            thingIdRegistry = new ethers.Contract(
+                NETWORK_CONFIG.thingIdRegistryAddress,
+                THINGID_REGISTRY_ABI,
+                provider
+            );
+            await discoverCurrentRelease();
+        }
+
+        if (NETWORK_CONFIG.contractAddress) {
             contract = new ethers.Contract(
-                DIDLAB_CONFIG.contractAddress,
+                NETWORK_CONFIG.contractAddress,
                 THINGID_ABI,
                 provider
             );
-            
+
             // If private key is provided, create wallet for server-side txs
-            if (DIDLAB_CONFIG.privateKey) {
-                wallet = new ethers.Wallet(DIDLAB_CONFIG.privateKey, provider);
+            if (NETWORK_CONFIG.privateKey) {
+                wallet = new ethers.Wallet(NETWORK_CONFIG.privateKey, provider);
                 contract = contract.connect(wallet);
             }
         }
-        
-        console.log('✅ Connected to DIDLab network');
+
+        if (NETWORK_CONFIG.manufacturerRegistryAddress) {
+            manufacturerRegistry = new ethers.Contract(
+                NETWORK_CONFIG.manufacturerRegistryAddress,
+                MANUFACTURER_REGISTRY_ABI,
+                provider
+            );
+        }
+
+        // A metadata contract is bound to one ThingID; after a migration the recorded one may
+        // still describe the previous version
+        if (NETWORK_CONFIG.deviceMetadataAddress && contract) {
+            deviceMetadata = new ethers.Contract(
+                NETWORK_CONFIG.deviceMetadataAddress,
+                DEVICE_METADATA_ABI,
+                provider
+            );
+            if ((await deviceMetadata.thingId()).toLowerCase() !== NETWORK_CONFIG.contractAddress.toLowerCase()) {
+                console.warn(`⚠️  DeviceMetadata at ${NETWORK_CONFIG.deviceMetadataAddress} belongs to another ThingID; metadata disabled`);
+                deviceMetadata = null;
+            }
+        }
+
+        if (NETWORK_CONFIG.encryptedFieldsAddress && contract) {
+            encryptedFields = new ethers.Contract(
+                NETWORK_CONFIG.encryptedFieldsAddress,
+                ENCRYPTED_FIELDS_ABI,
+                provider
+            );
+            if ((await encryptedFields.thingId()).toLowerCase() !== NETWORK_CONFIG.contractAddress.toLowerCase()) {
+                console.warn(`⚠️  EncryptedFields at ${NETWORK_CONFIG.encryptedFieldsAddress} belongs to another ThingID; private fields disabled`);
+                encryptedFields = null;
+            }
+        }
+
+        if (NETWORK_CONFIG.telemetryAnchorsAddress && contract) {
+            telemetryAnchors = new ethers.Contract(
+                NETWORK_CONFIG.telemetryAnchorsAddress,
+                TELEMETRY_ANCHORS_ABI,
+                provider
+            );
+            if ((await telemetryAnchors.thingId()).toLowerCase() !== NETWORK_CONFIG.contractAddress.toLowerCase()) {
+                console.warn(`⚠️  TelemetryAnchors at ${NETWORK_CONFIG.telemetryAnchorsAddress} belongs to another ThingID; telemetry anchoring disabled`);
+                telemetryAnchors = null;
+            }
+        }
+
+        console.log(`✅ Connected to ${NETWORK_CONFIG.name} (${NETWORK_NAME} profile)`);
         return true;
     } catch (error) {
-        console.error('❌ Failed to connect to DIDLab:', error);
+        console.error(`❌ Failed to connect to ${NETWORK_CONFIG.name}:`, error);
         return false;
     }
 }
 
+// Point NETWORK_CONFIG at the release the version registry marks current, so a migration
+// to a new ThingID only needs a restart. CONTRACT_ADDRESS and MANUFACTURER_REGISTRY_ADDRESS
+// still pin the addresses.
+async function discoverCurrentRelease() {
+    try {
+        if ((await thingIdRegistry.getReleaseCount()).isZero()) {
+            return;
+        }
+
+        const release = await thingIdRegistry.currentRelease();
+        if (!process.env.CONTRACT_ADDRESS) {
+            NETWORK_CONFIG.contractAddress = release.thingId;
+        }
+        if (!process.env.MANUFACTURER_REGISTRY_ADDRESS && release.manufacturerRegistry !== ethers.constants.AddressZero) {
+            NETWORK_CONFIG.manufacturerRegistryAddress = release.manufacturerRegistry;
+        }
+        console.log(`🧭 Current ThingID release: v${release.version} at ${release.thingId}`);
+    } catch (error) {
+        console.warn('Could not read the version registry, using configured addresses:', error.message);
+    }
+}
+
+// DeviceGroups is deployed by the ThingID constructor; its address is read on first use
+async function getDeviceGroups() {
+    if (!deviceGroups) {
+        deviceGroups = new ethers.Contract(await contract.deviceGroups(), DEVICE_GROUPS_ABI, provider);
+    }
+    return deviceGroups;
+}
+
+// AccessRequests is deployed by the ThingID constructor as well
+async function getAccessRequests() {
+    if (!accessRequests) {
+        accessRequests = new ethers.Contract(await contract.accessRequests(), ACCESS_REQUESTS_ABI, provider);
+    }
+    return accessRequests;
+}
+
 // ============ HEALTH CHECK ============
 
 app.get('/health', async (req, res) => {
     try {
         const blockNumber = await provider.getBlockNumber();
         const network = await provider.getNetwork();
-        
+
         res.json({
             status: 'healthy',
             network: {
-                name: 'DIDLab QBFT',
+                name: NETWORK_CONFIG.name,
                 chainId: network.chainId,
                 blockNumber: blockNumber
             },
-            contractAddress: DIDLAB_CONFIG.contractAddress || 'Not deployed',
+            contractAddress: NETWORK_CONFIG.contractAddress || 'Not deployed',
             timestamp: new Date().toISOString()
         });
     } catch (error) {
@@ -115,17 +500,62 @@ app.get('/api/network/info', async (req, res) => {
         const blockNumber = await provider.getBlockNumber();
         const network = await provider.getNetwork();
         const gasPrice = await provider.getGasPrice();
-        
+
         res.json({
             success: true,
             data: {
-                network: 'DIDLab QBFT',
+                network: NETWORK_CONFIG.name,
+                profile: NETWORK_NAME,
                 chainId: network.chainId,
-                rpcUrl: DIDLAB_CONFIG.rpcUrl,
+                rpcUrl: NETWORK_CONFIG.rpcUrl,
                 blockNumber: blockNumber,
                 gasPrice: ethers.utils.formatUnits(gasPrice, 'gwei') + ' gwei',
-                explorer: 'https://explorer.didlab.org',
-                faucet: 'https://faucet.didlab.org'
+                explorer: NETWORK_CONFIG.explorerUrl || null,
+                faucet: NETWORK_CONFIG.faucetUrl || null,
+                contractAddress: NETWORK_CONFIG.contractAddress || null,
+                contractVersion: contract ? await contract.VERSION() : null,
+                manufacturerRegistryAddress: NETWORK_CONFIG.manufacturerRegistryAddress || null,
+                thingIdRegistryAddress: NETWORK_CONFIG.thingIdRegistryAddress || null,
+                deviceMetadataAddress: deviceMetadata ? NETWORK_CONFIG.deviceMetadataAddress : null,
+                encryptedFieldsAddress: encryptedFields ? NETWORK_CONFIG.encryptedFieldsAddress : null,
+                telemetryAnchorsAddress: telemetryAnchors ? NETWORK_CONFIG.telemetryAnchorsAddress : null
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ThingID releases published to the version registry, oldest first
+app.get('/api/network/releases', async (req, res) => {
+    try {
+        if (!thingIdRegistry) {
+            return res.status(400).json({
+                success: false,
+                error: 'Version registry not configured'
+            });
+        }
+
+        const releases = await thingIdRegistry.getReleases();
+
+        res.json({
+            success: true,
+            data: {
+                registryAddress: NETWORK_CONFIG.thingIdRegistryAddress,
+                contractAddress: NETWORK_CONFIG.contractAddress || null,
+                releases: releases.map((release, index) => ({
+                    releaseId: index,
+                    thingId: release.thingId,
+                    manufacturerRegistry: release.manufacturerRegistry === ethers.constants.AddressZero
+                        ? null
+                        : release.manufacturerRegistry,
+                    version: release.version,
+                    publishedAt: release.publishedAt.toNumber(),
+                    isCurrent: index === releases.length - 1
+                }))
             }
         });
     } catch (error) {
@@ -141,15 +571,15 @@ app.get('/api/network/info', async (req, res) => {
 // Register device (client-side transaction - return encoded data)
 app.post('/api/devices/register/encode', (req, res) => {
     try {
-        const { did, name, deviceType, manufacturer, model, serialNumber, location, publicKey } = req.body;
-        
+        const { did, name, deviceType, manufacturer, model, serialNumber, location, publicKey, orgId } = req.body;
+
         if (!contract) {
             return res.status(400).json({
                 success: false,
                 error: 'Contract not initialized'
             });
         }
-        
+
         // Validate required fields
         if (!did || !name || !deviceType || !manufacturer || !model) {
             return res.status(400).json({
@@ -157,10 +587,23 @@ app.post('/api/devices/register/encode', (req, res) => {
                 error: 'Missing required fields'
             });
         }
-        
-        // Encode the transaction data
-        const iface = new ethers.utils.Interface(THINGID_ABI);
-        const data = iface.encodeFunctionData('registerDevice', [
+
+        if (orgId !== undefined && !isOrganizationId(orgId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'orgId must be a positive integer'
+            });
+        }
+
+        if (publicKey && !isPublicKey(publicKey)) {
+            return res.status(400).json({
+                success: false,
+                error: 'publicKey must be a 33 or 65 byte hex secp256k1 public key'
+            });
+        }
+
+        // Keys are stored uncompressed, the only form the contracts can turn into an address
+        const registration = [
             did,
             name,
             deviceType,
@@ -168,13 +611,19 @@ app.post('/api/devices/register/encode', (req, res) => {
             model,
             serialNumber || '',
             location || '',
-            publicKey || ''
-        ]);
-        
+            publicKey ? ethers.utils.computePublicKey(publicKey, false) : ''
+        ];
+
+        // Encode the transaction data; with orgId the organization owns the device
+        const iface = new ethers.utils.Interface(THINGID_ABI);
+        const data = orgId
+            ? iface.encodeFunctionData('registerOrganizationDevices', [orgId, [registration]])
+            : iface.encodeFunctionData('registerDevice', registration);
+
         res.json({
             success: true,
             data: {
-                to: DIDLAB_CONFIG.contractAddress,
+                to: NETWORK_CONFIG.contractAddress,
                 data: data,
                 value: '0'
             }
@@ -187,112 +636,93 @@ app.post('/api/devices/register/encode', (req, res) => {
     }
 });
 
-// Get device by ID
-app.get('/api/devices/:deviceId', async (req, res) => {
+// Validate a batch manifest (CSV or JSON) and encode registerDevices transactions
+app.post('/api/devices/register/batch/encode', async (req, res) => {
     try {
+        const { manifest, format, devices, orgId } = req.body;
+
         if (!contract) {
             return res.status(400).json({
                 success: false,
                 error: 'Contract not initialized'
             });
         }
-        
-        const deviceId = req.params.deviceId;
-        const device = await contract.getDevice(deviceId);
-        
-        res.json({
-            success: true,
-            data: {
-                did: device.did,
-                name: device.name,
-                deviceType: device.deviceType,
-                manufacturer: device.manufacturer,
-                model: device.model,
-                serialNumber: device.serialNumber,
-                location: device.location,
-                publicKey: device.publicKey,
-                owner: device.owner,
-                registeredAt: device.registeredAt.toNumber(),
-                isActive: device.isActive
-            }
-        });
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
-    }
-});
 
-// Get devices by owner
-app.get('/api/devices/owner/:address', async (req, res) => {
-    try {
-        if (!contract) {
+        if (orgId !== undefined && !isOrganizationId(orgId)) {
             return res.status(400).json({
                 success: false,
-                error: 'Contract not initialized'
+                error: 'orgId must be a positive integer'
             });
         }
-        
-        const address = req.params.address;
-        
-        if (!ethers.utils.isAddress(address)) {
+
+        let rows;
+        try {
+            rows = Array.isArray(devices)
+                ? parseManifest(JSON.stringify(devices), 'json')
+                : parseManifest(manifest || '', format);
+        } catch (error) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid address'
+                error: 'Could not read manifest: ' + error.message
             });
         }
-        
-        const deviceIds = await contract.getOwnerDevices(address);
-        
-        // Fetch full device details
-        const devices = await Promise.all(
-            deviceIds.map(async (id) => {
-                const device = await contract.getDevice(id);
-                return {
-                    deviceId: id,
-                    did: device.did,
-                    name: device.name,
-                    deviceType: device.deviceType,
-                    manufacturer: device.manufacturer,
-                    model: device.model,
-                    serialNumber: device.serialNumber,
-                    location: device.location,
-                    owner: device.owner,
-                    registeredAt: device.registeredAt.toNumber(),
-                    isActive: device.isActive
-                };
-            })
-        );
-        
-        res.json({
-            success: true,
-            data: devices
-        });
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
+
+        if (rows.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Manifest contains no devices'
+            });
+        }
+
+        const invalid = await validateRows(rows, {
+            isRegistered: async did => {
+                try {
+                    await contract.getDeviceIdByDid(did);
+                    return true;
+                } catch (error) {
+                    if (error.reason === 'DID not registered') {
+                        return false;
+                    }
+                    throw error;
+                }
+            }
         });
-    }
-});
 
-// Get total devices
-app.get('/api/devices/stats/total', async (req, res) => {
-    try {
-        if (!contract) {
+        if (invalid.length > 0) {
             return res.status(400).json({
                 success: false,
-                error: 'Contract not initialized'
+                error: `${invalid.length} of ${rows.length} rows are invalid`,
+                data: {
+                    rows: rows,
+                    errors: invalid
+                }
             });
         }
-        
-        const total = await contract.getTotalDevices();
-        
+
+        // Compressed keys are stored uncompressed, as the single-device form does
+        rows = normalizeKeys(rows);
+
+        // Split into transactions that fit comfortably in a block
+        const iface = new ethers.utils.Interface(THINGID_ABI);
+        const transactions = [];
+        for (let i = 0; i < rows.length; i += REGISTER_BATCH_SIZE) {
+            const chunk = rows.slice(i, i + REGISTER_BATCH_SIZE);
+            transactions.push({
+                rows: [i + 1, i + chunk.length],
+                to: NETWORK_CONFIG.contractAddress,
+                data: orgId
+                    ? iface.encodeFunctionData('registerOrganizationDevices', [orgId, chunk])
+                    : iface.encodeFunctionData('registerDevices', [chunk]),
+                value: '0'
+            });
+        }
+
         res.json({
             success: true,
             data: {
-                totalDevices: total.toNumber()
+                rows: rows,
+                errors: [],
+                transactions: transactions
             }
         });
     } catch (error) {
@@ -303,45 +733,53 @@ app.get('/api/devices/stats/total', async (req, res) => {
     }
 });
 
-// ============ ACCESS CONTROL ENDPOINTS ============
-
-// Grant access (encode transaction)
-app.post('/api/access/grant/encode', (req, res) => {
+// Transfer device ownership (encode transaction)
+// action: 'propose' (default, requires newOwner), 'accept' or 'cancel'
+app.post('/api/devices/transfer/encode', (req, res) => {
     try {
-        const { deviceId, viewer, duration } = req.body;
-        
+        const { deviceId, newOwner } = req.body;
+        const action = req.body.action || 'propose';
+
         if (!contract) {
             return res.status(400).json({
                 success: false,
                 error: 'Contract not initialized'
             });
         }
-        
-        if (!deviceId || !viewer || !duration) {
+
+        if (!deviceId) {
             return res.status(400).json({
                 success: false,
                 error: 'Missing required fields'
             });
         }
-        
-        if (!ethers.utils.isAddress(viewer)) {
+
+        const iface = new ethers.utils.Interface(THINGID_ABI);
+        let data;
+
+        if (action === 'propose') {
+            if (!newOwner || !ethers.utils.isAddress(newOwner)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid new owner address'
+                });
+            }
+            data = iface.encodeFunctionData('proposeTransfer', [deviceId, newOwner]);
+        } else if (action === 'accept') {
+            data = iface.encodeFunctionData('acceptTransfer', [deviceId]);
+        } else if (action === 'cancel') {
+            data = iface.encodeFunctionData('cancelTransfer', [deviceId]);
+        } else {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid viewer address'
+                error: 'Invalid action (expected propose, accept or cancel)'
             });
         }
-        
-        const iface = new ethers.utils.Interface(THINGID_ABI);
-        const data = iface.encodeFunctionData('grantAccess', [
-            deviceId,
-            viewer,
-            duration
-        ]);
-        
+
         res.json({
             success: true,
             data: {
-                to: DIDLAB_CONFIG.contractAddress,
+                to: NETWORK_CONFIG.contractAddress,
                 data: data,
                 value: '0'
             }
@@ -354,8 +792,9 @@ app.post('/api/access/grant/encode', (req, res) => {
     }
 });
 
-// Check access
-app.get('/api/access/check/:deviceId/:viewer', async (req, res) => {
+// Get device by ID. Encrypted private fields are filled in for readers who send the
+// device's current content key in the X-ThingID-Content-Key header.
+app.get('/api/devices/:deviceId', async (req, res) => {
     try {
         if (!contract) {
             return res.status(400).json({
@@ -363,25 +802,35 @@ app.get('/api/access/check/:deviceId/:viewer', async (req, res) => {
                 error: 'Contract not initialized'
             });
         }
-        
-        const { deviceId, viewer } = req.params;
-        
-        if (!ethers.utils.isAddress(viewer)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid viewer address'
-            });
-        }
-        
-        const hasAccess = await contract.hasAccess(deviceId, viewer);
-        const expiration = await contract.getAccessExpiration(deviceId, viewer);
-        
+
+        const deviceId = req.params.deviceId;
+        const device = await contract.getDevice(deviceId);
+        const [attestation, organization, metadata, encrypted] = await Promise.all([
+            getDeviceAttestation(deviceId, device),
+            getOwnerOrganization(device.owner),
+            getDeviceMetadata(deviceId, device),
+            getPrivateFields(deviceId, req.get(CONTENT_KEY_HEADER))
+        ]);
+        const fields = (encrypted && encrypted.fields) || {};
+
         res.json({
             success: true,
             data: {
-                hasAccess: hasAccess,
-                expiresAt: expiration.toNumber(),
-                isExpired: expiration.toNumber() < Math.floor(Date.now() / 1000)
+                did: device.did,
+                name: device.name,
+                deviceType: device.deviceType,
+                manufacturer: device.manufacturer,
+                model: device.model,
+                serialNumber: fields.serialNumber ?? device.serialNumber,
+                location: fields.location ?? device.location,
+                publicKey: device.publicKey,
+                owner: device.owner,
+                registeredAt: device.registeredAt.toNumber(),
+                isActive: device.isActive,
+                organization: organization,
+                attestation: attestation,
+                metadata: metadata,
+                privateFields: encrypted && { ...encrypted, fields: undefined }
             }
         });
     } catch (error) {
@@ -392,8 +841,8 @@ app.get('/api/access/check/:deviceId/:viewer', async (req, res) => {
     }
 });
 
-// Get access passes for device
-app.get('/api/access/passes/:deviceId', async (req, res) => {
+// Get ownership history and pending transfer for a device
+app.get('/api/devices/:deviceId/ownership', async (req, res) => {
     try {
         if (!contract) {
             return res.status(400).json({
@@ -401,22 +850,22 @@ app.get('/api/access/passes/:deviceId', async (req, res) => {
                 error: 'Contract not initialized'
             });
         }
-        
+
         const deviceId = req.params.deviceId;
-        const passes = await contract.getDeviceAccessPasses(deviceId);
-        
-        const formattedPasses = passes.map(pass => ({
-            deviceOwner: pass.device_owner,
-            viewer: pass.viewer,
-            grantedAt: pass.grantedAt.toNumber(),
-            expiresAt: pass.expiresAt.toNumber(),
-            isActive: pass.isActive,
-            isExpired: pass.expiresAt.toNumber() < Math.floor(Date.now() / 1000)
-        }));
-        
+        const device = await contract.getDevice(deviceId);
+        const history = await contract.getOwnershipHistory(deviceId);
+        const pending = await contract.pendingTransfers(deviceId);
+
         res.json({
             success: true,
-            data: formattedPasses
+            data: {
+                owner: device.owner,
+                pendingTransfer: pending === ethers.constants.AddressZero ? null : pending,
+                history: history.map(record => ({
+                    owner: record.owner,
+                    acquiredAt: record.acquiredAt.toNumber()
+                }))
+            }
         });
     } catch (error) {
         res.status(500).json({
@@ -426,36 +875,4784 @@ app.get('/api/access/passes/:deviceId', async (req, res) => {
     }
 });
 
-// ============ EVENTS ============
-
-// Listen for contract events
-app.get('/api/events/devices', async (req, res) => {
+// Rotate or revoke a device key (encode transaction)
+// action: 'rotate' (requires publicKey) or 'revoke' (optional compromisedAt, unix seconds)
+app.post('/api/devices/keys/encode', (req, res) => {
     try {
+        const { deviceId, action, publicKey, compromisedAt = 0 } = req.body;
+
         if (!contract) {
             return res.status(400).json({
                 success: false,
                 error: 'Contract not initialized'
             });
         }
-        
-        const fromBlock = req.query.fromBlock || 'latest';
-        const filter = contract.filters.DeviceRegistered();
-        const events = await contract.queryFilter(filter, fromBlock);
-        
-        const formattedEvents = events.map(event => ({
-            deviceId: event.args.deviceId,
-            did: event.args.did,
-            owner: event.args.owner,
-            name: event.args.name,
-            deviceType: event.args.deviceType,
-            timestamp: event.args.timestamp.toNumber(),
-            blockNumber: event.blockNumber,
-            transactionHash: event.transactionHash
-        }));
-        
-        res.json({
+
+        if (!deviceId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields'
+            });
+        }
+
+        const iface = new ethers.utils.Interface(THINGID_ABI);
+        let data;
+
+        if (action === 'rotate') {
+            if (!deviceKeys.keyAddress(publicKey || '')) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'publicKey must be a 33 or 65 byte hex secp256k1 public key'
+                });
+            }
+            data = iface.encodeFunctionData('rotateDeviceKey', [deviceId, publicKey]);
+        } else if (action === 'revoke') {
+            const at = Number(compromisedAt);
+            // The contract checks the time against the key's lifetime in block time
+            if (!Number.isInteger(at) || at < 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'compromisedAt must be a unix time in seconds (0 for now)'
+                });
+            }
+            data = iface.encodeFunctionData('revokeDeviceKey', [deviceId, at]);
+        } else {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid action (expected rotate or revoke)'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                to: NETWORK_CONFIG.contractAddress,
+                data: data,
+                value: '0'
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Get the key history of a device
+app.get('/api/devices/:deviceId/keys', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        const keys = deviceKeys.describeKeys(await contract.getDeviceKeys(req.params.deviceId));
+
+        res.json({
+            success: true,
+            data: {
+                current: keys.find(k => k.status === 'current') || null,
+                history: keys
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Was a key (publicKey or address query parameter) valid for the device at time T?
+// at is unix seconds and defaults to now
+app.get('/api/devices/:deviceId/keys/valid', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        const { publicKey, address } = req.query;
+        const at = req.query.at === undefined ? Math.floor(Date.now() / 1000) : parseInt(req.query.at);
+
+        if ((!publicKey && !address) || !Number.isInteger(at)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Expected a publicKey or address and an optional at (unix seconds)'
+            });
+        }
+
+        const keys = deviceKeys.describeKeys(await contract.getDeviceKeys(req.params.deviceId));
+        const result = deviceKeys.checkKeyAt(keys, { publicKey, address }, at);
+
+        res.json({
+            success: true,
+            data: {
+                valid: result.valid,
+                at: at,
+                key: result.key
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Get devices by owner (paginated with offset/limit)
+app.get('/api/devices/owner/:address', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        const address = req.params.address;
+
+        if (!ethers.utils.isAddress(address)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid address'
+            });
+        }
+
+        const offset = parseInt(req.query.offset) || 0;
+        const limit = Math.min(parseInt(req.query.limit) || DEVICE_PAGE_SIZE, DEVICE_PAGE_MAX);
+        const total = await contract.getOwnerDeviceCount(address);
+        const [deviceIds, page] = await contract.getOwnerDevicesPaginated(address, offset, limit);
+
+        res.json({
+            success: true,
+            data: page.map((device, i) => formatDevice(deviceIds[i], device)),
+            pagination: {
+                total: total.toNumber(),
+                offset: offset,
+                limit: limit
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ============ DEVICE CATALOG ============
+
+const DEVICE_PAGE_SIZE = 20;
+const DEVICE_PAGE_MAX = 100;
+const DEVICE_SORT_FIELDS = ['registeredAt', 'name', 'deviceType', 'manufacturer'];
+
+// In-memory copy of every device, kept current from the event index
+const deviceCatalog = new Map();
+
+function formatDevice(deviceId, device) {
+    return {
+        deviceId: deviceId,
+        did: device.did,
+        name: device.name,
+        deviceType: device.deviceType,
+        manufacturer: device.manufacturer,
+        model: device.model,
+        serialNumber: device.serialNumber,
+        location: device.location,
+        publicKey: device.publicKey,
+        owner: device.owner,
+        registeredAt: device.registeredAt.toNumber(),
+        isActive: device.isActive
+    };
+}
+
+// Load every device through the paginated view
+async function syncDeviceCatalog() {
+    const total = (await contract.getTotalDevices()).toNumber();
+
+    deviceCatalog.clear();
+    for (let offset = 0; offset < total; offset += DEVICE_PAGE_MAX) {
+        const [deviceIds, page] = await contract.getDevicesPaginated(offset, DEVICE_PAGE_MAX);
+        page.forEach((device, i) => {
+            deviceCatalog.set(deviceIds[i].toLowerCase(), formatDevice(deviceIds[i], device));
+        });
+    }
+}
+
+async function refreshCatalogDevice(deviceId) {
+    const device = await contract.getDevice(deviceId);
+    deviceCatalog.set(deviceId.toLowerCase(), formatDevice(deviceId, device));
+}
+
+// Keep the catalog in step with the event indexer
+function initializeDeviceCatalog() {
+    syncDeviceCatalog().catch(error => console.error('Device catalog sync failed:', error.message));
+
+    eventIndexer.on('events', (events) => {
+        const deviceIds = new Set(events.filter(e => e.deviceId).map(e => e.deviceId));
+        for (const deviceId of deviceIds) {
+            // Key and status changes must reach signature checks without waiting out the cache
+            deviceCache.delete(deviceId.toLowerCase());
+            refreshCatalogDevice(deviceId).catch(error => 
+                console.error(`Device catalog refresh failed for ${deviceId}:`, error.message)
+            );
+        }
+    });
+
+    eventIndexer.on('reorg', () => {
+        syncDeviceCatalog().catch(error => console.error('Device catalog sync failed:', error.message));
+    });
+}
+
+function compareDevices(a, b, sort) {
+    const left = typeof a[sort] === 'string' ? a[sort].toLowerCase() : a[sort];
+    const right = typeof b[sort] === 'string' ? b[sort].toLowerCase() : b[sort];
+
+    if (left !== right) {
+        return left < right ? -1 : 1;
+    }
+    return a.deviceId.toLowerCase().localeCompare(b.deviceId.toLowerCase());
+}
+
+// Cursors encode the sort key of the last item returned, so pages stay stable as devices are added
+function encodeCursor(device, sort) {
+    return Buffer.from(JSON.stringify({ value: device[sort], deviceId: device.deviceId })).toString('base64url');
+}
+
+// Position a cursor points after, or null if it is malformed or was made for another sort field
+function decodeCursor(cursor, sort) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    } catch (error) {
+        return null;
+    }
+
+    const { value, deviceId } = decoded || {};
+    const validValue = sort === 'registeredAt' ? Number.isInteger(value) : typeof value === 'string';
+    if (!validValue || typeof deviceId !== 'string' || !ethers.utils.isHexString(deviceId, 32)) {
+        return null;
+    }
+    return { [sort]: value, deviceId: deviceId };
+}
+
+// Search all devices
+// Filters: deviceType, manufacturer (substring), owner, active, registeredFrom, registeredTo (unix seconds)
+app.get('/api/devices', (req, res) => {
+    try {
+        if (!eventIndexer) {
+            return res.status(400).json({
+                success: false,
+                error: 'Device catalog not available'
+            });
+        }
+
+        const { deviceType, manufacturer, owner, active, cursor } = req.query;
+        const sort = req.query.sort || 'registeredAt';
+        const order = req.query.order === 'asc' ? 'asc' : 'desc';
+        const limit = Math.min(parseInt(req.query.limit) || DEVICE_PAGE_SIZE, DEVICE_PAGE_MAX);
+        const registeredFrom = parseInt(req.query.registeredFrom) || 0;
+        const registeredTo = parseInt(req.query.registeredTo) || Number.MAX_SAFE_INTEGER;
+
+        if (!DEVICE_SORT_FIELDS.includes(sort)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid sort field (allowed: ${DEVICE_SORT_FIELDS.join(', ')})`
+            });
+        }
+
+        if (owner && !ethers.utils.isAddress(owner)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid address'
+            });
+        }
+
+        if (active !== undefined && active !== 'true' && active !== 'false') {
+            return res.status(400).json({
+                success: false,
+                error: 'active must be true or false'
+            });
+        }
+
+        const after = cursor ? decodeCursor(cursor, sort) : null;
+        if (cursor && !after) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid cursor'
+            });
+        }
+
+        const direction = order === 'asc' ? 1 : -1;
+        let matching = [...deviceCatalog.values()].filter(d =>
+            (!deviceType || d.deviceType === deviceType) &&
+            (!manufacturer || d.manufacturer.toLowerCase().includes(manufacturer.toLowerCase())) &&
+            (!owner || d.owner.toLowerCase() === owner.toLowerCase()) &&
+            (active === undefined || d.isActive === (active === 'true')) &&
+            d.registeredAt >= registeredFrom &&
+            d.registeredAt <= registeredTo
+        ).sort((a, b) => direction * compareDevices(a, b, sort));
+
+        const total = matching.length;
+        if (after) {
+            matching = matching.filter(d => direction * compareDevices(d, after, sort) > 0);
+        }
+
+        const page = matching.slice(0, limit);
+
+        res.json({
+            success: true,
+            data: page,
+            pagination: {
+                total: total,
+                nextCursor: matching.length > limit ? encodeCursor(page[page.length - 1], sort) : null
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Get total devices
+app.get('/api/devices/stats/total', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        const total = await contract.getTotalDevices();
+
+        res.json({
+            success: true,
+            data: {
+                totalDevices: total.toNumber()
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ============ ORGANIZATIONS ============
+
+function isOrganizationId(value) {
+    return /^[1-9]\d*$/.test(String(value));
+}
+
+// Organization owning a device, from the owner address (null for personal owners)
+async function getOwnerOrganization(owner) {
+    const orgId = await contract.accountOrganization(owner);
+    if (orgId.isZero()) {
+        return null;
+    }
+
+    const org = await contract.organizations(orgId);
+    return {
+        id: orgId.toNumber(),
+        name: org.name,
+        account: org.account
+    };
+}
+
+// Create an organization (encode transaction); the sender becomes its first admin
+app.post('/api/organizations/create/encode', (req, res) => {
+    try {
+        const { name } = req.body;
+
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        if (!name || !String(name).trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Organization name is required'
+            });
+        }
+
+        const iface = new ethers.utils.Interface(THINGID_ABI);
+        const data = iface.encodeFunctionData('createOrganization', [String(name).trim()]);
+
+        res.json({
+            success: true,
+            data: {
+                to: NETWORK_CONFIG.contractAddress,
+                data: data,
+                value: '0'
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Add, change or remove a member (encode transaction; organization admins only)
+// role: 'admin', 'operator', 'viewer' or 'none' to remove
+app.post('/api/organizations/members/encode', (req, res) => {
+    try {
+        const { orgId, member, role } = req.body;
+
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        if (!isOrganizationId(orgId) || !ethers.utils.isAddress(member || '')) {
+            return res.status(400).json({
+                success: false,
+                error: 'orgId and member address are required'
+            });
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(ROLES, role)) {
+            return res.status(400).json({
+                success: false,
+                error: `role must be one of: ${Object.keys(ROLES).join(', ')}`
+            });
+        }
+
+        const iface = new ethers.utils.Interface(THINGID_ABI);
+        const data = iface.encodeFunctionData('setMemberRole', [orgId, member, ROLES[role]]);
+
+        res.json({
+            success: true,
+            data: {
+                to: NETWORK_CONFIG.contractAddress,
+                data: data,
+                value: '0'
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Organizations an address is a member of, with its role in each
+app.get('/api/organizations/member/:address', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        const address = req.params.address;
+
+        if (!ethers.utils.isAddress(address)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid address'
+            });
+        }
+
+        const orgIds = await contract.getMemberOrganizations(address);
+        const organizations = await Promise.all(orgIds.map(async orgId => {
+            const [org, role] = await Promise.all([
+                contract.organizations(orgId),
+                contract.memberRoles(orgId, address)
+            ]);
+            return {
+                id: orgId.toNumber(),
+                name: org.name,
+                account: org.account,
+                role: roleName(role)
+            };
+        }));
+
+        res.json({
+            success: true,
+            data: organizations
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Organization details, members and device count
+// (its devices are listed by GET /api/devices/owner/<account>)
+app.get('/api/organizations/:orgId', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        const orgId = req.params.orgId;
+
+        if (!isOrganizationId(orgId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid organization ID'
+            });
+        }
+
+        const org = await contract.organizations(orgId);
+        if (org.createdAt.isZero()) {
+            return res.status(404).json({
+                success: false,
+                error: 'Organization not found'
+            });
+        }
+
+        const [[members, roles], deviceCount] = await Promise.all([
+            contract.getOrganizationMembers(orgId),
+            contract.getOwnerDeviceCount(org.account)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                id: Number(orgId),
+                name: org.name,
+                account: org.account,
+                createdAt: org.createdAt.toNumber(),
+                members: members.map((address, i) => ({
+                    address: address,
+                    role: roleName(roles[i])
+                })),
+                deviceCount: deviceCount.toNumber()
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ============ DEVICE GROUPS ============
+
+function isGroupId(value) {
+    return /^[1-9]\d*$/.test(String(value));
+}
+
+// Transaction calling DeviceGroups (encode only; the owner or an organization operator signs it)
+async function encodeGroupTransaction(functionName, args) {
+    const groups = await getDeviceGroups();
+    return {
+        to: groups.address,
+        data: groups.interface.encodeFunctionData(functionName, args),
+        value: '0'
+    };
+}
+
+// Group details with its devices and passes (null if the group does not exist)
+async function describeGroup(groupId) {
+    const groups = await getDeviceGroups();
+    const group = await groups.groups(groupId);
+    if (!group.exists) {
+        return null;
+    }
+
+    const [deviceIds, [viewers, passes]] = await Promise.all([
+        groups.getGroupDevices(groupId),
+        groups.getGroupPasses(groupId)
+    ]);
+    const now = Math.floor(Date.now() / 1000);
+
+    return {
+        id: Number(groupId),
+        name: group.name,
+        owner: group.owner,
+        createdAt: group.createdAt.toNumber(),
+        deviceIds: deviceIds,
+        passes: viewers.map((viewer, i) => ({
+            viewer: viewer,
+            grantedAt: passes[i].grantedAt.toNumber(),
+            expiresAt: passes[i].expiresAt.toNumber(),
+            isExpired: passes[i].expiresAt.toNumber() < now,
+            permissions: describePermissions(passes[i].permissions),
+            grantedBy: passes[i].grantedBy
+        }))
+    };
+}
+
+// Create a device group (encode transaction)
+// owner: the sender, or an organization account the sender operates
+app.post('/api/groups/create/encode', async (req, res) => {
+    try {
+        const { name, owner } = req.body;
+
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        if (!name || !String(name).trim() || !ethers.utils.isAddress(owner || '')) {
+            return res.status(400).json({
+                success: false,
+                error: 'Group name and owner address are required'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: await encodeGroupTransaction('createGroup', [String(name).trim(), owner])
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Rename a device group (encode transaction)
+app.post('/api/groups/update/encode', async (req, res) => {
+    try {
+        const { groupId, name } = req.body;
+
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        if (!isGroupId(groupId) || !name || !String(name).trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'groupId and name are required'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: await encodeGroupTransaction('renameGroup', [groupId, String(name).trim()])
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Delete a device group, revoking its passes (encode transaction)
+app.post('/api/groups/delete/encode', async (req, res) => {
+    try {
+        const { groupId } = req.body;
+
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        if (!isGroupId(groupId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid group ID'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: await encodeGroupTransaction('deleteGroup', [groupId])
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Add devices to or remove them from a group (encode transaction)
+// action: 'add' or 'remove'; devices must be owned by the group owner
+app.post('/api/groups/devices/encode', async (req, res) => {
+    try {
+        const { groupId, action, deviceIds } = req.body;
+
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        if (!isGroupId(groupId) || !['add', 'remove'].includes(action)) {
+            return res.status(400).json({
+                success: false,
+                error: "groupId and action ('add' or 'remove') are required"
+            });
+        }
+
+        if (!Array.isArray(deviceIds) || deviceIds.length === 0 || deviceIds.length > GROUP_BATCH_SIZE ||
+            !deviceIds.every(id => ethers.utils.isHexString(id, 32))) {
+            return res.status(400).json({
+                success: false,
+                error: `deviceIds must be 1 to ${GROUP_BATCH_SIZE} device IDs`
+            });
+        }
+
+        res.json({
+            success: true,
+            data: await encodeGroupTransaction(action === 'add' ? 'addDevices' : 'removeDevices', [groupId, deviceIds])
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Grant, extend or revoke a viewer's pass for every device in a group (encode transaction)
+// action: 'grant' (duration, permissions), 'extend' (duration to add) or 'revoke'
+app.post('/api/groups/access/encode', async (req, res) => {
+    try {
+        const { groupId, viewer, action, duration, permissions = PERMISSIONS.read } = req.body;
+
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        if (!isGroupId(groupId) || !['grant', 'extend', 'revoke'].includes(action)) {
+            return res.status(400).json({
+                success: false,
+                error: "groupId and action ('grant', 'extend' or 'revoke') are required"
+            });
+        }
+
+        if (!ethers.utils.isAddress(viewer || '')) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid viewer address'
+            });
+        }
+
+        if (action !== 'revoke' && !(Number(duration) > 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'duration is required'
+            });
+        }
+
+        // Group passes cannot delegate pass management
+        const mask = Number(permissions);
+        if (action === 'grant' && (!Number.isInteger(mask) || !(mask & PERMISSIONS.read) || mask > 3)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid permissions: bitmask of read (1) and control (2) that includes read'
+            });
+        }
+
+        const calls = {
+            grant: ['grantGroupAccess', [groupId, viewer, duration, mask]],
+            extend: ['extendGroupAccess', [groupId, viewer, duration]],
+            revoke: ['revokeGroupAccess', [groupId, viewer]]
+        };
+
+        res.json({
+            success: true,
+            data: await encodeGroupTransaction(...calls[action])
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Groups owned by an address (personal or organization account), with devices and passes
+app.get('/api/groups/owner/:address', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        const address = req.params.address;
+
+        if (!ethers.utils.isAddress(address)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid address'
+            });
+        }
+
+        const groupIds = await (await getDeviceGroups()).getOwnerGroups(address);
+        const groups = await Promise.all(groupIds.map(groupId => describeGroup(groupId)));
+
+        res.json({
+            success: true,
+            data: groups
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Group details, devices and passes
+app.get('/api/groups/:groupId', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        const groupId = req.params.groupId;
+
+        if (!isGroupId(groupId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid group ID'
+            });
+        }
+
+        const group = await describeGroup(groupId);
+        if (!group) {
+            return res.status(404).json({
+                success: false,
+                error: 'Group not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: group
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ============ ACCESS CONTROL ENDPOINTS ============
+
+// Grant access (encode transaction)
+app.post('/api/access/grant/encode', (req, res) => {
+    try {
+        const { deviceId, viewer, duration, permissions = PERMISSIONS.read } = req.body;
+
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        if (!deviceId || !viewer || !duration) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields'
+            });
+        }
+
+        if (!ethers.utils.isAddress(viewer)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid viewer address'
+            });
+        }
+
+        const mask = Number(permissions);
+        if (!Number.isInteger(mask) || !(mask & PERMISSIONS.read) || mask > 7) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid permissions: bitmask of read (1), control (2) and admin (4) that includes read'
+            });
+        }
+
+        const iface = new ethers.utils.Interface(THINGID_ABI);
+        const data = iface.encodeFunctionData('grantAccess', [
+            deviceId,
+            viewer,
+            duration,
+            mask
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                to: NETWORK_CONFIG.contractAddress,
+                data: data,
+                value: '0'
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Revoke access (encode transaction)
+app.post('/api/access/revoke/encode', (req, res) => {
+    try {
+        const { deviceId, viewer } = req.body;
+
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        if (!deviceId || !viewer) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields'
+            });
+        }
+
+        if (!ethers.utils.isAddress(viewer)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid viewer address'
+            });
+        }
+
+        const iface = new ethers.utils.Interface(THINGID_ABI);
+        const data = iface.encodeFunctionData('revokeAccess', [
+            deviceId,
+            viewer
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                to: NETWORK_CONFIG.contractAddress,
+                data: data,
+                value: '0'
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Encode extendAccess or renewAccess: both keep the pass ID and permissions
+function encodePassExtension(functionName) {
+    return (req, res) => {
+        try {
+            const { deviceId, viewer, duration } = req.body;
+
+            if (!contract) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Contract not initialized'
+                });
+            }
+
+            if (!deviceId || !viewer || !duration) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Missing required fields'
+                });
+            }
+
+            if (!ethers.utils.isAddress(viewer)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid viewer address'
+                });
+            }
+
+            const iface = new ethers.utils.Interface(THINGID_ABI);
+            const data = iface.encodeFunctionData(functionName, [deviceId, viewer, duration]);
+
+            res.json({
+                success: true,
+                data: {
+                    to: NETWORK_CONFIG.contractAddress,
+                    data: data,
+                    value: '0'
+                }
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    };
+}
+
+// Add time to an unexpired pass (encode transaction)
+app.post('/api/access/extend/encode', encodePassExtension('extendAccess'));
+
+// Restart an expired pass from now (encode transaction)
+app.post('/api/access/renew/encode', encodePassExtension('renewAccess'));
+
+// Check access
+app.get('/api/access/check/:deviceId/:viewer', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        const { deviceId, viewer } = req.params;
+
+        if (!ethers.utils.isAddress(viewer)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid viewer address'
+            });
+        }
+
+        const hasAccess = await contract.hasAccess(deviceId, viewer);
+        const expiration = await contract.viewerAccess(deviceId, viewer);
+        const isExpired = expiration.toNumber() < Math.floor(Date.now() / 1000);
+
+        // The owner and organization operators hold every permission, organization viewers
+        // can read; expired passes hold none. Group passes add read and control.
+        let mask = 0;
+        let role = ROLES.none;
+        let groupAccess = null;
+        if (hasAccess) {
+            const device = await contract.getDevice(deviceId);
+            const organization = await getOwnerOrganization(device.owner);
+            role = organization ? await contract.memberRoles(organization.id, viewer) : ROLES.none;
+
+            if (device.owner.toLowerCase() === viewer.toLowerCase() || role >= ROLES.operator) {
+                mask = PERMISSIONS.read | PERMISSIONS.control | PERMISSIONS.admin;
+            } else {
+                mask = isExpired ? 0 : await contract.viewerPermissions(deviceId, viewer);
+                if (role === ROLES.viewer) {
+                    mask |= PERMISSIONS.read;
+                }
+
+                const groups = await getDeviceGroups();
+                const [read, control] = await Promise.all([PERMISSIONS.read, PERMISSIONS.control].map(permission =>
+                    groups.groupAccessExpiration(deviceId, device.owner, viewer, permission)
+                ));
+                if (!read.groupId.isZero()) {
+                    mask |= control.groupId.isZero() ? PERMISSIONS.read : PERMISSIONS.read | PERMISSIONS.control;
+                    groupAccess = {
+                        groupId: read.groupId.toNumber(),
+                        expiresAt: read.expiresAt.toNumber()
+                    };
+                }
+            }
+        }
+
+        res.json({
+            success: true,
+            data: {
+                hasAccess: hasAccess,
+                expiresAt: expiration.toNumber(),
+                isExpired: isExpired,
+                permissions: describePermissions(mask),
+                organizationRole: roleName(role),
+                groupAccess: groupAccess
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Pass state: revoked or replaced passes are closed, passes of an inactive device suspended
+function passStatus(pass, deviceActive) {
+    if (!pass.isActive) {
+        return 'closed';
+    }
+    if (pass.expiresAt.toNumber() <= Math.floor(Date.now() / 1000)) {
+        return 'expired';
+    }
+    return deviceActive ? 'active' : 'suspended';
+}
+
+function formatAccessPass(passId, pass, deviceActive) {
+    return {
+        passId: passId,
+        deviceOwner: pass.device_owner,
+        viewer: pass.viewer,
+        grantedAt: pass.grantedAt.toNumber(),
+        expiresAt: pass.expiresAt.toNumber(),
+        isActive: pass.isActive,
+        isExpired: pass.expiresAt.toNumber() <= Math.floor(Date.now() / 1000),
+        status: passStatus(pass, deviceActive),
+        permissions: describePermissions(pass.permissions),
+        grantedBy: pass.grantedBy
+    };
+}
+
+// Get access passes for device
+app.get('/api/access/passes/:deviceId', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        const deviceId = req.params.deviceId;
+        const [passes, device] = await Promise.all([
+            contract.getDeviceAccessPasses(deviceId),
+            contract.getDevice(deviceId)
+        ]);
+
+        const formattedPasses = passes.map((pass, passId) => formatAccessPass(passId, pass, device.isActive));
+
+        res.json({
+            success: true,
+            data: formattedPasses
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Viewers whose device pass currently grants access, with their passes
+app.get('/api/access/viewers/:deviceId', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        const deviceId = req.params.deviceId;
+        const [[, passIds], passes] = await Promise.all([
+            contract.getActiveViewers(deviceId),
+            contract.getDeviceAccessPasses(deviceId)
+        ]);
+
+        res.json({
+            success: true,
+            data: passIds.map(passId => formatAccessPass(passId.toNumber(), passes[passId.toNumber()], true))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ============ ACCESS REQUESTS ============
+
+function isRequestId(value) {
+    return /^[1-9]\d*$/.test(String(value));
+}
+
+function formatAccessRequest(requestId, request) {
+    return {
+        id: Number(requestId),
+        deviceId: request.deviceId,
+        requester: request.requester,
+        duration: request.duration.toNumber(),
+        message: request.message,
+        status: REQUEST_STATUSES[request.status],
+        requestedAt: request.requestedAt.toNumber(),
+        decidedAt: request.decidedAt.isZero() ? null : request.decidedAt.toNumber(),
+        decidedBy: request.decidedAt.isZero() ? null : request.decidedBy
+    };
+}
+
+// Request, approve, deny or cancel access (encode transaction)
+// action: 'request' (deviceId, duration, message), 'approve' (requestId, permissions),
+// 'deny' or 'cancel' (requestId). The requester signs requests and cancellations; the
+// owner, an organization operator or a delegated admin signs approvals and denials.
+app.post('/api/access/requests/encode', async (req, res) => {
+    try {
+        const { action, deviceId, duration, message = '', requestId, permissions = PERMISSIONS.read } = req.body;
+
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        if (!['request', 'approve', 'deny', 'cancel'].includes(action)) {
+            return res.status(400).json({
+                success: false,
+                error: "action ('request', 'approve', 'deny' or 'cancel') is required"
+            });
+        }
+
+        let call;
+        if (action === 'request') {
+            if (!deviceId || !(Number(duration) > 0) || Number(duration) > 365 * 24 * 60 * 60) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'deviceId and a duration of at most 365 days are required'
+                });
+            }
+
+            if (Buffer.byteLength(String(message)) > MAX_REQUEST_MESSAGE_LENGTH) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Message too long (max ${MAX_REQUEST_MESSAGE_LENGTH} bytes)`
+                });
+            }
+
+            call = ['requestAccess', [deviceId, duration, String(message)]];
+        } else {
+            if (!isRequestId(requestId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid request ID'
+                });
+            }
+
+            const mask = Number(permissions);
+            if (action === 'approve' && (!Number.isInteger(mask) || !(mask & PERMISSIONS.read) || mask > 7)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid permissions: bitmask of read (1), control (2) and admin (4) that includes read'
+                });
+            }
+
+            call = {
+                approve: ['approveRequest', [requestId, mask]],
+                deny: ['denyRequest', [requestId]],
+                cancel: ['cancelRequest', [requestId]]
+            }[action];
+        }
+
+        const requests = await getAccessRequests();
+        res.json({
+            success: true,
+            data: {
+                to: requests.address,
+                data: requests.interface.encodeFunctionData(...call),
+                value: '0'
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Devices whose access requests an address may decide: its own, those of organizations it
+ * is an operator or admin of, and those it holds an admin pass for. Admin passes are found
+ * through the event index and confirmed on chain.
+ */
+async function getDecidableDevices(address) {
+    const deviceIds = new Set((await contract.getOwnerDevices(address)).map(id => id.toLowerCase()));
+
+    const orgIds = await contract.getMemberOrganizations(address);
+    for (const orgId of orgIds) {
+        const [org, role] = await Promise.all([
+            contract.organizations(orgId),
+            contract.memberRoles(orgId, address)
+        ]);
+        if (role >= ROLES.operator) {
+            (await contract.getOwnerDevices(org.account)).forEach(id => deviceIds.add(id.toLowerCase()));
+        }
+    }
+
+    if (eventIndexer) {
+        const { events } = eventIndexer.query({ viewer: address, event: 'AccessGranted', limit: Number.MAX_SAFE_INTEGER });
+        const candidates = [...new Set(events
+            .filter(e => (parseInt(e.args.permissions) & PERMISSIONS.admin) !== 0)
+            .map(e => e.deviceId))]
+            .filter(deviceId => !deviceIds.has(deviceId));
+        const allowed = await Promise.all(candidates.map(deviceId =>
+            contract.hasPermission(deviceId, address, PERMISSIONS.admin)
+        ));
+        candidates.forEach((deviceId, i) => allowed[i] && deviceIds.add(deviceId));
+    }
+
+    return [...deviceIds];
+}
+
+// Inbox: pending requests for the devices an address may decide on (see getDecidableDevices),
+// oldest first (status=all includes decided and cancelled requests)
+app.get('/api/access/requests/owner/:address', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        const address = req.params.address;
+
+        if (!ethers.utils.isAddress(address)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid address'
+            });
+        }
+
+        const requests = await getAccessRequests();
+        const deviceIds = await getDecidableDevices(address);
+        const perDevice = await Promise.all(deviceIds.map(async deviceId => {
+            const [requestIds, page] = req.query.status === 'all'
+                ? await requests.getDeviceRequests(deviceId)
+                : await requests.getPendingRequests(deviceId);
+            if (requestIds.length === 0) {
+                return [];
+            }
+            const device = await contract.getDevice(deviceId);
+            return requestIds.map((requestId, i) => ({
+                ...formatAccessRequest(requestId, page[i]),
+                deviceName: device.name
+            }));
+        }));
+
+        res.json({
+            success: true,
+            data: perDevice.flat().sort((a, b) => a.requestedAt - b.requestedAt || a.id - b.id)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Viewer outbox: every request an address has made, oldest first
+app.get('/api/access/requests/requester/:address', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        const address = req.params.address;
+
+        if (!ethers.utils.isAddress(address)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid address'
+            });
+        }
+
+        const [requestIds, page] = await (await getAccessRequests()).getRequesterRequests(address);
+
+        res.json({
+            success: true,
+            data: requestIds.map((requestId, i) => formatAccessRequest(requestId, page[i]))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Access request details
+app.get('/api/access/requests/:requestId', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        const requestId = req.params.requestId;
+
+        if (!isRequestId(requestId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid request ID'
+            });
+        }
+
+        const request = await (await getAccessRequests()).requests(requestId);
+        if (request.status === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Request not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: formatAccessRequest(requestId, request)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ============ MARKETPLACE ============
+
+// Listing of a device, with the price formatted in the network currency
+function formatListing(deviceId, listing) {
+    return {
+        deviceId: deviceId,
+        price: listing.price.toString(),
+        priceFormatted: `${ethers.utils.formatEther(listing.price)} ${NETWORK_PROFILE.currency.symbol}`,
+        unit: listing.unit.toNumber(),
+        seller: listing.seller,
+        listedAt: listing.listedAt.toNumber()
+    };
+}
+
+// Set, change or remove a device's price, buy access, or withdraw earnings (encode transaction)
+// action: 'price' (deviceId, price in wei per unit, 0 to remove; unit in seconds),
+// 'purchase' (deviceId, duration; value is the current price) or 'withdraw'
+app.post('/api/marketplace/encode', async (req, res) => {
+    try {
+        const { action, deviceId, price, unit, duration } = req.body;
+
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        if (!['price', 'purchase', 'withdraw'].includes(action)) {
+            return res.status(400).json({
+                success: false,
+                error: "action ('price', 'purchase' or 'withdraw') is required"
+            });
+        }
+
+        if (action !== 'withdraw' && !deviceId) {
+            return res.status(400).json({
+                success: false,
+                error: 'deviceId is required'
+            });
+        }
+
+        const requests = await getAccessRequests();
+        let call;
+        let value = ethers.constants.Zero;
+        if (action === 'price') {
+            if (!/^\d+$/.test(String(price)) || (String(price) !== '0' && !(Number(unit) > 0))) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'price (wei per unit) and unit (seconds) are required'
+                });
+            }
+            call = ['setAccessPrice', [deviceId, price, unit || 0]];
+        } else if (action === 'purchase') {
+            const [listing, forSale] = await Promise.all([requests.listings(deviceId), requests.isForSale(deviceId)]);
+            if (!forSale) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Device not for sale'
+                });
+            }
+
+            if (!(Number(duration) > 0) || Number(duration) % listing.unit.toNumber() !== 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: `duration must be a whole number of ${listing.unit.toNumber()} second units`
+                });
+            }
+            call = ['purchaseAccess', [deviceId, duration]];
+            value = listing.price.mul(Number(duration) / listing.unit.toNumber());
+        } else {
+            call = ['withdraw', []];
+        }
+
+        res.json({
+            success: true,
+            data: {
+                to: requests.address,
+                data: requests.interface.encodeFunctionData(...call),
+                value: value.toString()
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Devices for sale, with device details. Listings ended by a transfer, listings whose
+// seller no longer owns or administers the device, and inactive devices are left out.
+app.get('/api/marketplace', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        const requests = await getAccessRequests();
+        const [deviceIds, page] = await requests.getListings();
+        const listings = await Promise.all(deviceIds.map(async (deviceId, i) => {
+            const [device, forSale] = await Promise.all([
+                contract.getDevice(deviceId),
+                requests.isForSale(deviceId)
+            ]);
+            if (!forSale || !device.isActive) {
+                return null;
+            }
+            return {
+                ...formatListing(deviceId, page[i]),
+                name: device.name,
+                deviceType: device.deviceType,
+                manufacturer: device.manufacturer,
+                model: device.model,
+                location: device.location,
+                owner: device.owner
+            };
+        }));
+
+        res.json({
+            success: true,
+            data: listings.filter(listing => listing !== null)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Marketplace earnings a seller can withdraw
+app.get('/api/marketplace/earnings/:address', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        const address = req.params.address;
+
+        if (!ethers.utils.isAddress(address)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid address'
+            });
+        }
+
+        const balance = await (await getAccessRequests()).balances(address);
+
+        res.json({
+            success: true,
+            data: {
+                address: address,
+                balance: balance.toString(),
+                balanceFormatted: `${ethers.utils.formatEther(balance)} ${NETWORK_PROFILE.currency.symbol}`
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ============ DID RESOLUTION ============
+
+const DID_METHOD = 'didlab';
+const DID_PATTERN = /^did:([a-z0-9]+):([A-Za-z0-9._%-]+(?::[A-Za-z0-9._%-]+)*)$/;
+
+// Convert a hex encoded secp256k1 public key into a JWK
+function publicKeyToJwk(publicKey) {
+    const uncompressed = ethers.utils.computePublicKey(publicKey, false);
+    const bytes = Buffer.from(uncompressed.slice(4), 'hex');
+
+    return {
+        kty: 'EC',
+        crv: 'secp256k1',
+        x: bytes.subarray(0, 32).toString('base64url'),
+        y: bytes.subarray(32).toString('base64url')
+    };
+}
+
+// Build a W3C DID Document from an on-chain device record, the device key to publish
+// (an entry of the described key history, or null for none) and the device metadata
+// (see getDeviceMetadata), which is linked as a service only once validated
+function buildDidDocument(did, device, key, metadata) {
+    const document = {
+        '@context': [
+            'https://www.w3.org/ns/did/v1',
+            'https://w3id.org/security/suites/secp256k1-2019/v1'
+        ],
+        id: did,
+        controller: `did:pkh:eip155:${NETWORK_CONFIG.chainId}:${device.owner}`,
+        verificationMethod: [],
+        authentication: [],
+        assertionMethod: []
+    };
+
+    if (key) {
+        try {
+            // Key fragments follow the key history, so a rotated key gets a new id
+            const keyId = `${did}#key-${key.index + 1}`;
+            document.verificationMethod.push({
+                id: keyId,
+                type: 'EcdsaSecp256k1VerificationKey2019',
+                controller: did,
+                publicKeyJwk: publicKeyToJwk(key.publicKey)
+            });
+            document.authentication.push(keyId);
+            document.assertionMethod.push(keyId);
+        } catch (error) {
+            // Keys that are not valid secp256k1 points are left out of the document
+            console.warn(`Skipping invalid public key for ${did}:`, error.message);
+        }
+    }
+
+    if (metadata && metadata.valid) {
+        document.service = [{
+            id: `${did}#metadata`,
+            type: 'DeviceMetadata',
+            serviceEndpoint: metadata.uri
+        }];
+    }
+
+    return document;
+}
+
+function sendResolutionError(res, status, error) {
+    res.status(status).json({
+        '@context': 'https://w3id.org/did-resolution/v1',
+        didDocument: null,
+        didResolutionMetadata: { error: error },
+        didDocumentMetadata: {}
+    });
+}
+
+// Resolve a did:didlab identifier (Universal Resolver driver interface)
+app.get('/1.0/identifiers/:did', async (req, res) => {
+    try {
+        if (!contract) {
+            return sendResolutionError(res, 500, 'internalError');
+        }
+
+        const did = req.params.did;
+        const match = DID_PATTERN.exec(did);
+
+        if (!match) {
+            return sendResolutionError(res, 400, 'invalidDid');
+        }
+
+        if (match[1] !== DID_METHOD) {
+            return sendResolutionError(res, 501, 'methodNotSupported');
+        }
+
+        let deviceId;
+        try {
+            deviceId = await contract.getDeviceIdByDid(did);
+        } catch (error) {
+            return sendResolutionError(res, 404, 'notFound');
+        }
+
+        const [device, keyRecords] = await Promise.all([
+            contract.getDevice(deviceId),
+            contract.getDeviceKeys(deviceId)
+        ]);
+        const keys = deviceKeys.describeKeys(keyRecords);
+
+        // versionTime resolves the document as it stood at that time (key and metadata history)
+        let versionTime = null;
+        if (req.query.versionTime) {
+            versionTime = Math.floor(Date.parse(req.query.versionTime) / 1000);
+            if (!Number.isFinite(versionTime)) {
+                return sendResolutionError(res, 400, 'invalidOptions');
+            }
+        }
+
+        const key = versionTime === null
+            ? keys.find(k => k.status === 'current') || null
+            : deviceKeys.keyAt(keys, versionTime);
+        const metadata = await getDeviceMetadata(deviceId, device, versionTime);
+        const didDocument = buildDidDocument(did, device, key, metadata);
+        const changes = keys.flatMap(k => [k.addedAt, k.revokedAt])
+            .filter(t => t !== null && (versionTime === null || t <= versionTime));
+        if (metadata) {
+            changes.push(metadata.updatedAt);
+        }
+
+        // Plain DID Document representation when explicitly requested
+        if ((req.get('Accept') || '').includes('application/did+ld+json')) {
+            res.type('application/did+ld+json');
+            return res.send(JSON.stringify(didDocument));
+        }
+
+        res.type('application/ld+json;profile="https://w3id.org/did-resolution"');
+        res.send(JSON.stringify({
+            '@context': 'https://w3id.org/did-resolution/v1',
+            didDocument: didDocument,
+            didResolutionMetadata: {
+                contentType: 'application/did+ld+json',
+                retrieved: new Date().toISOString()
+            },
+            didDocumentMetadata: {
+                created: new Date(device.registeredAt.toNumber() * 1000).toISOString(),
+                updated: new Date(Math.max(device.registeredAt.toNumber(), ...changes) * 1000).toISOString(),
+                deactivated: !device.isActive,
+                deviceId: deviceId,
+                contractAddress: NETWORK_CONFIG.contractAddress,
+                manufacturerAttestation: await getDeviceAttestation(deviceId, device),
+                deviceMetadata: metadata && {
+                    version: metadata.version,
+                    contentHash: metadata.contentHash,
+                    updated: new Date(metadata.updatedAt * 1000).toISOString(),
+                    schema: metadata.schema,
+                    valid: metadata.valid,
+                    errors: metadata.errors,
+                    attributes: metadata.attributes
+                },
+                keyHistory: keys.map(k => ({
+                    id: `${did}#key-${k.index + 1}`,
+                    status: k.status,
+                    addedAt: new Date(k.addedAt * 1000).toISOString(),
+                    revokedAt: k.revokedAt === null ? null : new Date(k.revokedAt * 1000).toISOString()
+                }))
+            }
+        }));
+    } catch (error) {
+        console.error('DID resolution error:', error);
+        sendResolutionError(res, 500, 'internalError');
+    }
+});
+
+// ============ MANUFACTURER ATTESTATIONS ============
+
+async function getAttestationDomain() {
+    const network = await provider.getNetwork();
+    return attestations.attestationDomain(network.chainId, NETWORK_CONFIG.manufacturerRegistryAddress);
+}
+
+function requireRegistry(res) {
+    if (!manufacturerRegistry) {
+        res.status(400).json({
+            success: false,
+            error: 'Manufacturer registry not configured'
+        });
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Attestation status of a device. verified is true only while the attesting manufacturer
+ * is active and the device still has the key that was attested; otherwise the
+ * manufacturer, model and serial number fields are self-asserted.
+ * Returns null when no manufacturer registry is configured.
+ */
+async function getDeviceAttestation(deviceId, device) {
+    if (!manufacturerRegistry) {
+        return null;
+    }
+
+    const record = await manufacturerRegistry.deviceAttestations(deviceId);
+    if (record.manufacturer === ethers.constants.AddressZero) {
+        return { verified: false, manufacturer: null };
+    }
+
+    const [manufacturer, verified] = await Promise.all([
+        manufacturerRegistry.manufacturers(record.manufacturer),
+        manufacturerRegistry.isAttested(deviceId)
+    ]);
+
+    return {
+        verified: verified,
+        manufacturer: record.manufacturer,
+        manufacturerName: manufacturer.name,
+        manufacturerActive: manufacturer.isActive,
+        keyMatches: record.publicKeyHash === ethers.utils.keccak256(ethers.utils.toUtf8Bytes(device.publicKey)),
+        attestedAt: record.attestedAt.toNumber()
+    };
+}
+
+// List registered manufacturers
+app.get('/api/manufacturers', async (req, res) => {
+    try {
+        if (!requireRegistry(res)) {
+            return;
+        }
+
+        const [admin, addresses] = await Promise.all([
+            manufacturerRegistry.admin(),
+            manufacturerRegistry.getManufacturers()
+        ]);
+        const entries = await Promise.all(addresses.map(a => manufacturerRegistry.manufacturers(a)));
+
+        res.json({
+            success: true,
+            data: {
+                registry: NETWORK_CONFIG.manufacturerRegistryAddress,
+                admin: admin,
+                manufacturers: addresses.map((address, i) => ({
+                    address: address,
+                    name: entries[i].name,
+                    isActive: entries[i].isActive,
+                    registeredAt: entries[i].registeredAt.toNumber()
+                }))
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Encode adding a manufacturer (registry admin only)
+app.post('/api/manufacturers/register/encode', (req, res) => {
+    try {
+        if (!requireRegistry(res)) {
+            return;
+        }
+
+        const { address, name } = req.body;
+
+        if (!address || !name) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields'
+            });
+        }
+
+        if (!ethers.utils.isAddress(address)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid manufacturer address'
+            });
+        }
+
+        const iface = new ethers.utils.Interface(MANUFACTURER_REGISTRY_ABI);
+        const data = iface.encodeFunctionData('registerManufacturer', [address, name]);
+
+        res.json({
+            success: true,
+            data: {
+                to: NETWORK_CONFIG.manufacturerRegistryAddress,
+                data: data,
+                value: '0'
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Encode suspending or reinstating a manufacturer (registry admin only)
+app.post('/api/manufacturers/status/encode', (req, res) => {
+    try {
+        if (!requireRegistry(res)) {
+            return;
+        }
+
+        const { address, isActive } = req.body;
+
+        if (!ethers.utils.isAddress(address || '') || typeof isActive !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                error: 'Expected { address, isActive (boolean) }'
+            });
+        }
+
+        const iface = new ethers.utils.Interface(MANUFACTURER_REGISTRY_ABI);
+        const data = iface.encodeFunctionData('setManufacturerStatus', [address, isActive]);
+
+        res.json({
+            success: true,
+            data: {
+                to: NETWORK_CONFIG.manufacturerRegistryAddress,
+                data: data,
+                value: '0'
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Typed data for a manufacturer to sign. Takes { deviceId } for a registered device or
+ * { publicKey, model, serialNumber } to attest a device before it is registered.
+ */
+app.post('/api/attestations/prepare', async (req, res) => {
+    try {
+        if (!requireRegistry(res)) {
+            return;
+        }
+
+        let fields = req.body;
+        if (req.body.deviceId) {
+            if (!contract) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Contract not initialized'
+                });
+            }
+
+            fields = await contract.getDevice(req.body.deviceId);
+        }
+
+        if (!fields.publicKey || !fields.model) {
+            return res.status(400).json({
+                success: false,
+                error: 'Device public key and model are required'
+            });
+        }
+
+        const typedData = attestations.attestationTypedData({
+            publicKey: fields.publicKey,
+            model: fields.model,
+            serialNumber: fields.serialNumber || ''
+        }, await getAttestationDomain());
+
+        res.json({
+            success: true,
+            data: typedData
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Check a manufacturer signature against the device and encode attestDevice
+app.post('/api/attestations/encode', async (req, res) => {
+    try {
+        if (!requireRegistry(res)) {
+            return;
+        }
+
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        const { deviceId, signature } = req.body;
+
+        if (!deviceId || !signature) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields'
+            });
+        }
+
+        const device = await contract.getDevice(deviceId);
+        const signer = attestations.recoverAttester(device, await getAttestationDomain(), signature);
+        const manufacturer = signer ? await manufacturerRegistry.manufacturers(signer) : null;
+
+        // Surface the reasons attestDevice would revert before anyone pays gas
+        if (!manufacturer || !manufacturer.isActive) {
+            return res.status(400).json({
+                success: false,
+                error: 'Signature is not from an active registered manufacturer, or does not match the device key, model and serial number'
+            });
+        }
+
+        if (manufacturer.name !== device.manufacturer) {
+            return res.status(400).json({
+                success: false,
+                error: `Device is registered under "${device.manufacturer}" but the signer is registered as "${manufacturer.name}"`
+            });
+        }
+
+        const iface = new ethers.utils.Interface(MANUFACTURER_REGISTRY_ABI);
+        const data = iface.encodeFunctionData('attestDevice', [deviceId, signature]);
+
+        res.json({
+            success: true,
+            data: {
+                to: NETWORK_CONFIG.manufacturerRegistryAddress,
+                data: data,
+                value: '0',
+                manufacturer: signer,
+                manufacturerName: manufacturer.name
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ============ DEVICE METADATA ============
+
+const metadataStore = new MetadataStore(DATA_DIR);
+
+// Longest metadata URI in bytes (DeviceMetadata.MAX_URI_LENGTH)
+const MAX_METADATA_URI_LENGTH = 256;
+
+// Maximum lifetime (seconds) of a signed document upload
+const METADATA_REQUEST_MAX_TTL = 10 * 60;
+
+function requireDeviceMetadata(res) {
+    if (!deviceMetadata) {
+        res.status(400).json({
+            success: false,
+            error: 'Device metadata contract not configured'
+        });
+        return false;
+    }
+    return true;
+}
+
+function formatMetadataVersion(record, index) {
+    return {
+        version: index + 1,
+        uri: record.uri,
+        contentHash: record.contentHash,
+        updatedBy: record.updatedBy,
+        updatedAt: record.updatedAt.toNumber()
+    };
+}
+
+/**
+ * Metadata of a device as of versionTime (default: the latest version). The document is
+ * checked against its on-chain hash and validated against the schema for the device type;
+ * attributes is only set when both pass. Returns null without a DeviceMetadata contract or
+ * when the device had no metadata yet.
+ */
+async function getDeviceMetadata(deviceId, device, versionTime = null) {
+    if (!deviceMetadata) {
+        return null;
+    }
+
+    const history = await deviceMetadata.getMetadataHistory(deviceId);
+    let index = history.length - 1;
+    while (index >= 0 && versionTime !== null && history[index].updatedAt.toNumber() > versionTime) {
+        index--;
+    }
+    if (index < 0) {
+        return null;
+    }
+
+    const schema = schemaFor(device.deviceType);
+    const metadata = {
+        ...formatMetadataVersion(history[index], index),
+        schema: schema.$id,
+        available: false,
+        valid: false,
+        errors: [],
+        attributes: null
+    };
+
+    try {
+        const bytes = await metadataStore.resolve(metadata.uri, metadata.contentHash);
+        metadata.available = true;
+        const document = JSON.parse(bytes.toString('utf8'));
+        metadata.errors = validateDocument(document, schema);
+        metadata.valid = metadata.errors.length === 0;
+        metadata.attributes = metadata.valid ? document : null;
+    } catch (error) {
+        metadata.errors = [error.message];
+    }
+
+    return metadata;
+}
+
+// List the metadata schemas, one per device type
+app.get('/api/metadata/schemas', (req, res) => {
+    res.json({
+        success: true,
+        data: DEVICE_TYPES.map(deviceType => ({ deviceType, schema: schemaFor(deviceType).$id }))
+    });
+});
+
+// Metadata schema for a device type (types without their own schema get the common one)
+app.get('/api/metadata/schemas/:deviceType', (req, res) => {
+    res.json(schemaFor(req.params.deviceType));
+});
+
+// Message the device owner, or an operator or admin of its organization, signs (EIP-191
+// personal_sign) to add a document to the content store
+function buildMetadataDocumentMessage(deviceId, contentHash, expires) {
+    return canonicalJson({
+        action: 'ThingID metadata document',
+        contentHash,
+        deviceId: deviceId.toLowerCase(),
+        expires
+    });
+}
+
+// Validate a metadata document and, when the device owner signed it, add it to the content
+// store. The document is stored as canonical JSON, so the same attributes always get the
+// same hash. With deviceType instead of deviceId the document is only validated.
+app.post('/api/metadata/documents', async (req, res) => {
+    try {
+        const { deviceId, document, signer, signature } = req.body;
+        const expires = req.body.expires;
+        let { deviceType } = req.body;
+
+        if (!document || typeof document !== 'object' || Array.isArray(document)) {
+            return res.status(400).json({
+                success: false,
+                error: 'document must be a JSON object'
+            });
+        }
+
+        if (!deviceId && !deviceType) {
+            return res.status(400).json({
+                success: false,
+                error: 'deviceId or deviceType is required'
+            });
+        }
+
+        if (deviceId) {
+            if (!contract) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Contract not initialized'
+                });
+            }
+            try {
+                deviceType = (await contract.getDevice(deviceId)).deviceType;
+            } catch (error) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Device not found'
+                });
+            }
+        }
+
+        const schema = schemaFor(deviceType);
+        const errors = validateDocument(document, schema);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Document does not match the metadata schema',
+                schema: schema.$id,
+                errors: errors
+            });
+        }
+
+        const bytes = Buffer.from(canonicalJson(document), 'utf8');
+        if (bytes.length > MAX_DOCUMENT_SIZE) {
+            return res.status(400).json({
+                success: false,
+                error: `Document exceeds ${MAX_DOCUMENT_SIZE} bytes`
+            });
+        }
+
+        const contentHash = hashContent(bytes);
+        if (!deviceId) {
+            return res.json({
+                success: true,
+                data: {
+                    contentHash: contentHash,
+                    size: bytes.length,
+                    schema: schema.$id,
+                    stored: false
+                }
+            });
+        }
+
+        // Only the device's publishers may store documents, so the disk cannot be filled anonymously
+        const now = Math.floor(Date.now() / 1000);
+        if (!signer || !ethers.utils.isAddress(signer) || !signature || !Number.isInteger(expires)) {
+            return res.status(401).json({
+                success: false,
+                error: 'Missing signer, expires or signature'
+            });
+        }
+
+        if (expires <= now || expires > now + METADATA_REQUEST_MAX_TTL) {
+            return res.status(401).json({
+                success: false,
+                error: 'Document signature expired or expiry too far in the future'
+            });
+        }
+
+        let recovered;
+        try {
+            recovered = ethers.utils.verifyMessage(
+                buildMetadataDocumentMessage(deviceId, contentHash, expires),
+                signature
+            );
+        } catch (error) {
+            recovered = null;
+        }
+
+        if (!recovered || recovered !== ethers.utils.getAddress(signer)) {
+            return res.status(401).json({
+                success: false,
+                error: 'Document signature does not match signer'
+            });
+        }
+
+        if (!(await contract.isOwnerOrMember(deviceId, recovered, ROLES.operator))) {
+            return res.status(403).json({
+                success: false,
+                error: 'Signer must be the device owner or an operator of the owning organization'
+            });
+        }
+
+        metadataStore.put(bytes);
+        const baseUrl = process.env.METADATA_BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+        res.json({
+            success: true,
+            data: {
+                contentHash: contentHash,
+                uri: `${baseUrl}/api/metadata/documents/${contentHash}`,
+                size: bytes.length,
+                schema: schema.$id,
+                stored: true
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Serve a stored document, exactly as hashed
+app.get('/api/metadata/documents/:contentHash', (req, res) => {
+    try {
+        const contentHash = req.params.contentHash.toLowerCase();
+        if (!/^0x[0-9a-f]{64}$/.test(contentHash)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid content hash'
+            });
+        }
+
+        const bytes = metadataStore.get(contentHash);
+        if (!bytes) {
+            return res.status(404).json({
+                success: false,
+                error: 'Document not found'
+            });
+        }
+
+        res.type('application/json');
+        res.set('Cache-Control', 'public, max-age=31536000, immutable');
+        res.send(bytes);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Publish a metadata version for a device (encode transaction)
+app.post('/api/metadata/encode', async (req, res) => {
+    try {
+        if (!requireDeviceMetadata(res)) {
+            return;
+        }
+
+        const { deviceId, uri, contentHash } = req.body;
+
+        if (!deviceId || !uri || !contentHash) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields'
+            });
+        }
+
+        if (Buffer.byteLength(uri, 'utf8') > MAX_METADATA_URI_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                error: `uri must be at most ${MAX_METADATA_URI_LENGTH} bytes`
+            });
+        }
+
+        if (!ethers.utils.isHexString(contentHash, 32)) {
+            return res.status(400).json({
+                success: false,
+                error: 'contentHash must be a 32-byte hex string'
+            });
+        }
+
+        const data = deviceMetadata.interface.encodeFunctionData('setMetadata', [deviceId, uri, contentHash]);
+
+        res.json({
+            success: true,
+            data: {
+                to: NETWORK_CONFIG.deviceMetadataAddress,
+                data: data,
+                value: '0',
+                stored: metadataStore.has(contentHash)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Current metadata of a device with its validated attributes
+app.get('/api/metadata/:deviceId', async (req, res) => {
+    try {
+        if (!requireDeviceMetadata(res)) {
+            return;
+        }
+
+        const deviceId = req.params.deviceId;
+        const device = await contract.getDevice(deviceId);
+
+        res.json({
+            success: true,
+            data: await getDeviceMetadata(deviceId, device)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Every metadata version of a device, oldest first
+app.get('/api/metadata/:deviceId/history', async (req, res) => {
+    try {
+        if (!requireDeviceMetadata(res)) {
+            return;
+        }
+
+        const history = await deviceMetadata.getMetadataHistory(req.params.deviceId);
+
+        res.json({
+            success: true,
+            data: history.map((record, index) => ({
+                ...formatMetadataVersion(record, index),
+                stored: metadataStore.has(record.contentHash)
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ============ PRIVATE FIELDS ============
+
+// Header carrying the content key of a device's current key version, which the reader
+// unwraps locally; their signature and encryption key never leave the client
+const CONTENT_KEY_HEADER = 'X-ThingID-Content-Key';
+
+function requireEncryptedFields(res) {
+    if (!encryptedFields) {
+        res.status(400).json({
+            success: false,
+            error: 'Encrypted fields contract not configured'
+        });
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Encrypted private fields of a device. With the content key of the current key version,
+ * the fields are decrypted; otherwise error says why not. Anyone holding that key can
+ * decrypt the public ciphertext themselves, so no access check is needed. Returns null
+ * without an EncryptedFields contract or when the device keeps no encrypted fields.
+ */
+async function getPrivateFields(deviceId, contentKey) {
+    if (!encryptedFields) {
+        return null;
+    }
+
+    const record = await encryptedFields.getEncryptedFields(deviceId);
+    if (ethers.utils.hexDataLength(record.ciphertext) === 0) {
+        return null;
+    }
+
+    const result = {
+        keyVersion: record.keyVersion.toNumber(),
+        updatedBy: record.updatedBy,
+        updatedAt: record.updatedAt.toNumber(),
+        decrypted: false,
+        fields: null,
+        error: null
+    };
+    if (!contentKey) {
+        return result;
+    }
+
+    try {
+        result.fields = privateFields.decryptFields(contentKey, record.ciphertext, deviceId);
+        result.decrypted = true;
+    } catch (error) {
+        result.error = error.message;
+    }
+
+    return result;
+}
+
+// Message readers sign (locally) to derive their encryption key, and the header that
+// carries an unwrapped content key
+app.get('/api/private/message', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            message: privateFields.ENCRYPTION_KEY_MESSAGE,
+            header: CONTENT_KEY_HEADER,
+            fields: privateFields.PRIVATE_FIELDS
+        }
+    });
+});
+
+// Registered encryption key of an account
+app.get('/api/private/keys/:address', async (req, res) => {
+    try {
+        if (!requireEncryptedFields(res)) {
+            return;
+        }
+
+        const { address } = req.params;
+        if (!ethers.utils.isAddress(address)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid address'
+            });
+        }
+
+        const encryptionKey = await encryptedFields.encryptionKeys(address);
+
+        res.json({
+            success: true,
+            data: {
+                address: ethers.utils.getAddress(address),
+                encryptionKey: ethers.utils.hexDataLength(encryptionKey) > 0 ? encryptionKey : null
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Encrypted fields of a device, with the key wrapped for ?reader= so the reader can unwrap
+// it locally, and decrypted when the request carries the current content key
+app.get('/api/private/:deviceId', async (req, res) => {
+    try {
+        if (!requireEncryptedFields(res)) {
+            return;
+        }
+
+        const deviceId = req.params.deviceId;
+        const reader = req.query.reader;
+        if (reader !== undefined && !ethers.utils.isAddress(reader)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid reader address'
+            });
+        }
+
+        await contract.getDevice(deviceId);
+        const [result, record, wrappedKey] = await Promise.all([
+            getPrivateFields(deviceId, req.get(CONTENT_KEY_HEADER)),
+            encryptedFields.getEncryptedFields(deviceId),
+            reader ? encryptedFields.getWrappedKey(deviceId, reader) : null
+        ]);
+
+        res.json({
+            success: true,
+            data: result && {
+                ...result,
+                ciphertext: record.ciphertext,
+                wrappedKey: wrappedKey && ethers.utils.hexDataLength(wrappedKey) > 0 ? wrappedKey : null
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Who should hold the current content key: the owner (or the owning organization's
+// members) and active pass holders. pending lists those with an encryption key but no
+// share yet; stale lists recipients who have lost access, which calls for a re-key.
+app.get('/api/private/:deviceId/recipients', async (req, res) => {
+    try {
+        if (!requireEncryptedFields(res)) {
+            return;
+        }
+
+        const deviceId = req.params.deviceId;
+        const device = await contract.getDevice(deviceId);
+        const organization = await getOwnerOrganization(device.owner);
+        const [[viewers], recipients, record] = await Promise.all([
+            contract.getActiveViewers(deviceId),
+            encryptedFields.getKeyRecipients(deviceId),
+            encryptedFields.getEncryptedFields(deviceId)
+        ]);
+
+        const readers = organization
+            ? (await contract.getOrganizationMembers(organization.id)).members
+            : [device.owner];
+        const authorized = [...new Set([...readers, ...viewers])];
+        const encryptionKeys = await encryptedFields.getEncryptionKeys(authorized);
+        const access = await Promise.all(recipients.map(recipient => contract.hasAccess(deviceId, recipient)));
+        const stale = recipients.filter((recipient, i) => !access[i]);
+
+        res.json({
+            success: true,
+            data: {
+                encrypted: ethers.utils.hexDataLength(record.ciphertext) > 0,
+                keyVersion: record.keyVersion.toNumber(),
+                authorized: authorized.map((address, i) => ({
+                    address,
+                    encryptionKey: ethers.utils.hexDataLength(encryptionKeys[i]) > 0 ? encryptionKeys[i] : null,
+                    hasKey: recipients.includes(address)
+                })),
+                pending: authorized.filter((address, i) => !recipients.includes(address) && ethers.utils.hexDataLength(encryptionKeys[i]) > 0),
+                stale: stale,
+                rekeyNeeded: stale.length > 0
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ============ VERIFIABLE CREDENTIALS ============
+
+async function getCredentialContext() {
+    const network = await provider.getNetwork();
+    return {
+        chainId: network.chainId,
+        contractAddress: NETWORK_CONFIG.contractAddress,
+        domain: credentials.credentialDomain(network.chainId, NETWORK_CONFIG.contractAddress)
+    };
+}
+
+/**
+ * Check an access pass credential against its proof and the live contract state.
+ * Returns { verified, checks, errors }; every check is reported even after a failure.
+ */
+async function verifyAccessCredential(credential) {
+    const context = await getCredentialContext();
+    const checks = {};
+    const errors = [];
+    const fail = (check, message) => {
+        checks[check] = false;
+        errors.push(message);
+    };
+
+    const subject = credential && credential.credentialSubject;
+    const issuer = credentials.pkhAddress(credential && credential.issuer);
+    const viewer = credentials.pkhAddress(subject && subject.id);
+
+    checks.format = Boolean(
+        Array.isArray(credential.type) && credential.type.includes(credentials.CREDENTIAL_TYPE) &&
+        issuer && viewer && subject.device && ethers.utils.isHexString(subject.deviceId, 32) &&
+        Number.isInteger(subject.expiresAt) && Array.isArray(subject.permissions) &&
+        // expirationDate is not covered by the proof, so it must agree with the signed expiresAt
+        Date.parse(credential.expirationDate) === subject.expiresAt * 1000
+    );
+    if (!checks.format) {
+        fail('format', `Not a well-formed ${credentials.CREDENTIAL_TYPE} credential`);
+        return { verified: false, checks, errors };
+    }
+
+    const registry = `eip155:${context.chainId}:${context.contractAddress}`;
+    checks.registry = (subject.registry || '').toLowerCase() === registry.toLowerCase();
+    if (!checks.registry) {
+        fail('registry', `Credential was issued for ${subject.registry}, not ${registry}`);
+    }
+
+    checks.signature = Boolean(credential.proof && credential.proof.type === 'EthereumEip712Signature2021' &&
+        credentials.recoverCredentialSigner(credential, context.domain) === issuer);
+    if (!checks.signature) {
+        fail('signature', 'Proof is missing or was not signed by the issuer');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    checks.expiry = subject.expiresAt > now;
+    if (!checks.expiry) {
+        fail('expiry', 'Credential has expired');
+    }
+
+    let device = null;
+    try {
+        device = await contract.getDevice(subject.deviceId);
+    } catch (error) {
+        // reported below
+    }
+
+    checks.issuer = Boolean(device && device.did === subject.device &&
+        await contract.isOwnerOrMember(subject.deviceId, issuer, ROLES.operator));
+    if (!checks.issuer) {
+        fail('issuer', 'Issuer is not the current owner of the device or an operator of its organization');
+    }
+
+    // The pass must still be the one the credential describes: revoking zeroes the
+    // expiry and a newer grant replaces it
+    const [hasAccess, expiresAt, mask] = device ? await Promise.all([
+        contract.hasAccess(subject.deviceId, viewer),
+        contract.viewerAccess(subject.deviceId, viewer),
+        contract.viewerPermissions(subject.deviceId, viewer)
+    ]) : [false, ethers.constants.Zero, 0];
+
+    checks.onChainAccess = hasAccess && expiresAt.toNumber() === subject.expiresAt;
+    if (!checks.onChainAccess) {
+        fail('onChainAccess', expiresAt.isZero()
+            ? 'Access pass has been revoked'
+            : 'Access pass is no longer active on chain or has been replaced by a newer grant');
+    }
+
+    const claimed = credentials.permissionMask(subject.permissions);
+    checks.permissions = claimed !== 0 && (mask & claimed) === claimed;
+    if (!checks.permissions) {
+        fail('permissions', 'Claimed permissions exceed the on-chain pass');
+    }
+
+    return { verified: errors.length === 0, checks, errors };
+}
+
+// Build an unsigned credential for an active pass, plus the EIP-712 data the issuer signs
+// (the owner, or for organization devices the operator or admin given as issuer)
+app.post('/api/credentials/prepare', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        const { deviceId, viewer, issuer } = req.body;
+
+        if (!deviceId || !ethers.utils.isHexString(deviceId, 32) || !ethers.utils.isAddress(viewer || '')) {
+            return res.status(400).json({
+                success: false,
+                error: 'deviceId (bytes32) and viewer (address) are required'
+            });
+        }
+
+        if (issuer !== undefined && !ethers.utils.isAddress(issuer)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid issuer address'
+            });
+        }
+
+        let device;
+        try {
+            device = await contract.getDevice(deviceId);
+        } catch (error) {
+            return res.status(404).json({
+                success: false,
+                error: 'Device not found'
+            });
+        }
+
+        // Organization devices have no owner key; an operator or admin issues instead
+        if (!issuer && !(await contract.accountOrganization(device.owner)).isZero()) {
+            return res.status(400).json({
+                success: false,
+                error: 'issuer is required for organization devices'
+            });
+        }
+
+        const issuedBy = issuer ? ethers.utils.getAddress(issuer) : device.owner;
+        if (!(await contract.isOwnerOrMember(deviceId, issuedBy, ROLES.operator))) {
+            return res.status(403).json({
+                success: false,
+                error: 'Issuer must be the device owner or an operator of the owning organization'
+            });
+        }
+
+        const [expiresAt, permissions] = await Promise.all([
+            contract.viewerAccess(deviceId, viewer),
+            contract.viewerPermissions(deviceId, viewer)
+        ]);
+
+        if (expiresAt.toNumber() <= Math.floor(Date.now() / 1000)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Viewer has no active access pass for this device'
+            });
+        }
+
+        const context = await getCredentialContext();
+        const credential = credentials.buildAccessCredential({
+            deviceId: deviceId,
+            deviceDid: device.did,
+            issuer: issuedBy,
+            viewer: viewer,
+            permissions: permissions,
+            expiresAt: expiresAt.toNumber()
+        }, context);
+
+        res.json({
+            success: true,
+            data: {
+                credential: credential,
+                typedData: credentials.credentialTypedData(credential, context.domain)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Attach the issuer's signature to a prepared credential, checking it before returning it
+app.post('/api/credentials/issue', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        const { credential, signature } = req.body;
+
+        if (!credential || !credential.credentialSubject || !signature) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields'
+            });
+        }
+
+        const context = await getCredentialContext();
+        const typedData = credentials.credentialTypedData(credential, context.domain);
+        const signed = credentials.attachProof(credential, typedData, signature);
+        const result = await verifyAccessCredential(signed);
+
+        if (!result.verified) {
+            return res.status(400).json({
+                success: false,
+                error: 'Credential could not be issued: ' + result.errors.join('; '),
+                data: result
+            });
+        }
+
+        res.json({
+            success: true,
+            data: signed
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Verify a presented access pass credential
+app.post('/api/credentials/verify', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        const { credential } = req.body;
+
+        if (!credential || typeof credential !== 'object') {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing credential'
+            });
+        }
+
+        const result = await verifyAccessCredential(credential);
+        const subject = credential.credentialSubject || {};
+
+        res.json({
+            success: true,
+            data: {
+                ...result,
+                holder: credentials.pkhAddress(subject.id),
+                deviceId: subject.deviceId || null,
+                device: subject.device || null,
+                permissions: subject.permissions || [],
+                expiresAt: subject.expiresAt || null
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ============ DEVICE AUTHENTICATION ============
+
+const deviceSessions = new DeviceSessions(AUTH_CONFIG);
+
+// Express middleware requiring a device session token carrying the given scope,
+// issued for the device's current key (sessions end when the key is rotated or revoked)
+function requireDeviceSession(scope) {
+    return async (req, res, next) => {
+        const header = req.get('Authorization') || '';
+        const claims = header.startsWith('Bearer ') ? deviceSessions.verify(header.slice(7)) : null;
+
+        if (!claims) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid or expired device session'
+            });
+        }
+
+        if (!claims.scope.split(' ').includes(scope)) {
+            return res.status(403).json({
+                success: false,
+                error: `Session is missing required scope: ${scope}`
+            });
+        }
+
+        try {
+            const device = await getDeviceCached(claims.sub);
+            if (deviceKeys.keyAddress(device.publicKey) !== claims.key) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Device key has been rotated or revoked; authenticate again'
+                });
+            }
+        } catch (error) {
+            return res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        req.deviceSession = claims;
+        next();
+    };
+}
+
+// Message a device signs (EIP-191 personal_sign) to answer a challenge
+function buildChallengeMessage(deviceId, nonce, expiresAt) {
+    return [
+        'ThingID device authentication',
+        `Device: ${deviceId}`,
+        `Nonce: ${nonce}`,
+        `Chain ID: ${NETWORK_CONFIG.chainId}`,
+        `Contract: ${NETWORK_CONFIG.contractAddress}`,
+        `Expires: ${new Date(expiresAt * 1000).toISOString()}`
+    ].join('\n');
+}
+
+// Request a challenge nonce for a device
+app.post('/api/auth/device/challenge', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        const { deviceId } = req.body;
+
+        if (!deviceId || !ethers.utils.isHexString(deviceId, 32)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid device ID'
+            });
+        }
+
+        const device = await contract.getDevice(deviceId);
+
+        if (!device.isActive) {
+            return res.status(403).json({
+                success: false,
+                error: 'Device is not active'
+            });
+        }
+
+        const { nonce, message, expiresAt } = deviceSessions.createChallenge(deviceId,
+            (nonce, expiresAt) => buildChallengeMessage(deviceId, nonce, expiresAt));
+
+        res.json({
+            success: true,
+            data: {
+                nonce: nonce,
+                message: message,
+                expiresAt: expiresAt
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Verify a signed challenge against the device's on-chain public key
+app.post('/api/auth/device/verify', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        const { deviceId, nonce, signature } = req.body;
+        const scopes = req.body.scopes || DEVICE_SCOPES;
+
+        if (!deviceId || !nonce || !signature) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields'
+            });
+        }
+
+        if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(s => !DEVICE_SCOPES.includes(s))) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid scopes (allowed: ${DEVICE_SCOPES.join(', ')})`
+            });
+        }
+
+        // Challenges are single use, whether or not verification succeeds
+        const challenge = deviceSessions.takeChallenge(nonce, deviceId);
+
+        if (!challenge) {
+            return res.status(401).json({
+                success: false,
+                error: 'Unknown or expired challenge'
+            });
+        }
+
+        const device = await contract.getDevice(deviceId);
+
+        if (!device.isActive) {
+            return res.status(403).json({
+                success: false,
+                error: 'Device is not active'
+            });
+        }
+
+        if (!device.publicKey) {
+            return res.status(403).json({
+                success: false,
+                error: 'Device has no active key (revoked)'
+            });
+        }
+
+        let recovered;
+        let expected;
+        try {
+            recovered = ethers.utils.verifyMessage(challenge.message, signature);
+            expected = ethers.utils.computeAddress(device.publicKey);
+        } catch (error) {
+            return res.status(401).json({
+                success: false,
+                error: 'Signature verification failed'
+            });
+        }
+
+        if (recovered !== expected) {
+            return res.status(401).json({
+                success: false,
+                error: 'Signature does not match device public key'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                token: deviceSessions.issue(deviceId, device.did, expected, scopes),
+                tokenType: 'Bearer',
+                scope: scopes.join(' '),
+                expiresIn: AUTH_CONFIG.sessionTtl
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Inspect the current device session
+app.get('/api/auth/device/session', (req, res) => {
+    const header = req.get('Authorization') || '';
+    const claims = header.startsWith('Bearer ') ? deviceSessions.verify(header.slice(7)) : null;
+
+    if (!claims) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid or expired device session'
+        });
+    }
+
+    res.json({
+        success: true,
+        data: claims
+    });
+});
+
+// ============ VIEWER AUTHENTICATION ============
+
+// Maximum lifetime a viewer may request for a signed access proof
+const VIEWER_PROOF_MAX_TTL = 60 * 60;
+
+// Message a viewer signs (EIP-191 personal_sign) to prove control of their address
+function buildViewerMessage(deviceId, viewer, expires) {
+    return [
+        'ThingID viewer access',
+        `Device: ${deviceId}`,
+        `Viewer: ${viewer}`,
+        `Expires: ${expires}`
+    ].join('\n');
+}
+
+// Authenticate a viewer from the viewer, expires and signature query parameters and
+// check on chain that they hold the permission (read by default, i.e. hasAccess).
+// Returns the checksummed viewer address or sends an error.
+async function authenticateViewer(req, res, deviceId, permission = PERMISSIONS.read) {
+    const { viewer, signature } = req.query;
+    const expires = parseInt(req.query.expires);
+    const now = Math.floor(Date.now() / 1000);
+
+    if (!viewer || !ethers.utils.isAddress(viewer) || !signature || !expires) {
+        res.status(401).json({
+            success: false,
+            error: 'Missing viewer, expires or signature'
+        });
+        return null;
+    }
+
+    if (expires <= now || expires > now + VIEWER_PROOF_MAX_TTL) {
+        res.status(401).json({
+            success: false,
+            error: 'Viewer signature expired or expiry too far in the future'
+        });
+        return null;
+    }
+
+    let recovered;
+    try {
+        recovered = ethers.utils.verifyMessage(buildViewerMessage(deviceId, viewer, expires), signature);
+    } catch (error) {
+        recovered = null;
+    }
+
+    if (!recovered || recovered !== ethers.utils.getAddress(viewer)) {
+        res.status(401).json({
+            success: false,
+            error: 'Viewer signature does not match address'
+        });
+        return null;
+    }
+
+    const allowed = permission === PERMISSIONS.read
+        ? await contract.hasAccess(deviceId, recovered)
+        : await contract.hasPermission(deviceId, recovered, permission);
+
+    if (!allowed) {
+        res.status(403).json({
+            success: false,
+            error: permission === PERMISSIONS.read
+                ? 'Viewer does not have access to this device'
+                : 'Viewer does not have the required permission for this device'
+        });
+        return null;
+    }
+
+    return recovered;
+}
+
+// ============ TELEMETRY ============
+
+// Accepted clock skew between a device's reading timestamp and the server (ms)
+const TELEMETRY_MAX_SKEW = 5 * 60 * 1000;
+// How long device records are cached for device session checks (ms)
+const DEVICE_CACHE_TTL = 30 * 1000;
+// How often open streams re-check the subscriber's access (ms)
+const STREAM_ACCESS_RECHECK = 60 * 1000;
+// Length of the time windows readings are batched into for anchoring (ms)
+const TELEMETRY_ANCHOR_WINDOW = (parseInt(process.env.TELEMETRY_ANCHOR_WINDOW) || 60 * 60) * 1000;
+
+const telemetryStore = new TelemetryStore(DATA_DIR);
+const deviceCache = new Map();
+const telemetrySubscribers = new Map(); // deviceId => Set of { res, viewer }
+
+// Fetch a device, reusing recent lookups so session-authenticated device calls do not hit the
+// RPC per request. Telemetry ingestion reads the device on chain instead: a cached record would
+// keep accepting readings signed by a deactivated device or a rotated key until it expired.
+async function getDeviceCached(deviceId) {
+    const key = deviceId.toLowerCase();
+    const cached = deviceCache.get(key);
+
+    if (cached && Date.now() - cached.fetchedAt < DEVICE_CACHE_TTL) {
+        return cached.device;
+    }
+
+    const device = await contract.getDevice(deviceId);
+    deviceCache.set(key, { device, fetchedAt: Date.now() });
+    return device;
+}
+
+// Message a device signs (EIP-191 personal_sign) for each reading
+function buildTelemetryMessage(deviceId, timestamp, data) {
+    return canonicalJson({ deviceId: deviceId.toLowerCase(), timestamp, data });
+}
+
+// Flag each stored reading with keyValid: whether its signing key was valid at the
+// reading's timestamp. Rotation does not invalidate earlier readings, so signatures only
+// need checking once a key has been revoked as compromised (possibly backdated).
+async function markReadingKeyValidity(deviceId, readings) {
+    const keys = deviceKeys.describeKeys(await contract.getDeviceKeys(deviceId));
+
+    if (!keys.some(k => k.status === 'compromised')) {
+        return readings.map(reading => ({ ...reading, keyValid: true }));
+    }
+
+    return readings.map(reading => {
+        let signer = null;
+        try {
+            signer = ethers.utils.verifyMessage(
+                buildTelemetryMessage(deviceId, reading.timestamp, reading.data),
+                reading.signature
+            );
+        } catch (error) {
+            // unreadable signatures are reported as invalid
+        }
+
+        const check = deviceKeys.checkKeyAt(keys, { address: signer }, Math.floor(reading.timestamp / 1000));
+        return { ...reading, keyValid: check.valid };
+    });
+}
+
+function publishReading(reading) {
+    const subscribers = telemetrySubscribers.get(reading.deviceId) || new Set();
+    const payload = `event: reading\ndata: ${JSON.stringify(reading)}\n\n`;
+
+    for (const subscriber of subscribers) {
+        subscriber.res.write(payload);
+    }
+}
+
+// Ingest a signed reading from a device
+app.post('/api/telemetry/:deviceId', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        const deviceId = req.params.deviceId.toLowerCase();
+        const { timestamp, data, signature } = req.body;
+
+        if (!ethers.utils.isHexString(deviceId, 32)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid device ID'
+            });
+        }
+
+        if (!Number.isInteger(timestamp) || !data || typeof data !== 'object' || !signature) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields (timestamp in ms, data object, signature)'
+            });
+        }
+
+        if (Math.abs(Date.now() - timestamp) > TELEMETRY_MAX_SKEW) {
+            return res.status(400).json({
+                success: false,
+                error: 'Reading timestamp outside accepted clock skew'
+            });
+        }
+
+        let canonical;
+        try {
+            canonical = deviceKeys.canonicalSignature(signature);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        const device = await contract.getDevice(deviceId);
+
+        if (!device.isActive) {
+            return res.status(403).json({
+                success: false,
+                error: 'Device is not active'
+            });
+        }
+
+        if (!device.publicKey) {
+            return res.status(403).json({
+                success: false,
+                error: 'Device has no active key (revoked)'
+            });
+        }
+
+        let recovered;
+        try {
+            recovered = ethers.utils.verifyMessage(buildTelemetryMessage(deviceId, timestamp, data), canonical);
+        } catch (error) {
+            recovered = null;
+        }
+
+        if (recovered !== ethers.utils.computeAddress(device.publicKey)) {
+            return res.status(401).json({
+                success: false,
+                error: 'Signature does not match device public key'
+            });
+        }
+
+        if (telemetryStore.hasReadingAt(deviceId, timestamp)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Duplicate reading: the device already has a reading at this timestamp'
+            });
+        }
+
+        const reading = telemetryStore.append({
+            deviceId: deviceId,
+            timestamp: timestamp,
+            data: data,
+            signature: canonical,
+            receivedAt: Date.now()
+        });
+
+        publishReading(reading);
+
+        res.status(201).json({
+            success: true,
+            data: reading
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Query historical readings (from/to in ms since epoch)
+app.get('/api/telemetry/:deviceId', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        const deviceId = req.params.deviceId.toLowerCase();
+
+        if (!ethers.utils.isHexString(deviceId, 32)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid device ID'
+            });
+        }
+
+        if (!(await authenticateViewer(req, res, deviceId))) {
+            return;
+        }
+
+        const readings = telemetryStore.query(deviceId, {
+            from: parseInt(req.query.from) || 0,
+            to: parseInt(req.query.to) || Date.now(),
+            limit: Math.min(parseInt(req.query.limit) || 500, 5000)
+        });
+
+        res.json({
+            success: true,
+            data: await markReadingKeyValidity(deviceId, readings)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Live readings as Server-Sent Events
+app.get('/api/telemetry/:deviceId/stream', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        const deviceId = req.params.deviceId.toLowerCase();
+
+        if (!ethers.utils.isHexString(deviceId, 32)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid device ID'
+            });
+        }
+
+        const viewer = await authenticateViewer(req, res, deviceId);
+        if (!viewer) {
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+
+        const latest = telemetryStore.latest(deviceId);
+        if (latest) {
+            res.write(`event: reading\ndata: ${JSON.stringify(latest)}\n\n`);
+        }
+
+        const subscriber = { res, viewer };
+        if (!telemetrySubscribers.has(deviceId)) {
+            telemetrySubscribers.set(deviceId, new Set());
+        }
+        telemetrySubscribers.get(deviceId).add(subscriber);
+
+        // Drop the subscriber once its pass is revoked or expires
+        const recheck = setInterval(async () => {
+            try {
+                if (!(await contract.hasAccess(deviceId, viewer))) {
+                    res.write(`event: revoked\ndata: {}\n\n`);
+                    res.end();
+                    return;
+                }
+                res.write(': keep-alive\n\n');
+            } catch (error) {
+                console.error('Stream access check failed:', error.message);
+            }
+        }, STREAM_ACCESS_RECHECK);
+
+        res.on('close', () => {
+            clearInterval(recheck);
+            telemetrySubscribers.get(deviceId).delete(subscriber);
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ============ TELEMETRY ANCHORS ============
+
+function requireTelemetryAnchors(res) {
+    if (!telemetryAnchors) {
+        res.status(400).json({
+            success: false,
+            error: 'Telemetry anchors contract not configured'
+        });
+        return false;
+    }
+    return true;
+}
+
+function describeAnchor(anchor, index) {
+    return {
+        index: index,
+        root: anchor.root,
+        fromTs: anchor.fromTs.toNumber(),
+        toTs: anchor.toTs.toNumber(),
+        anchoredBy: anchor.anchoredBy,
+        anchoredAt: anchor.anchoredAt.toNumber()
+    };
+}
+
+/**
+ * A device's readings batched for anchoring. Anchored windows keep the bounds they were
+ * anchored with; the readings after the last anchor are grouped into TELEMETRY_ANCHOR_WINDOW
+ * windows. Each batch has a status:
+ *   anchored  - the on-chain root matches the stored readings
+ *   mismatch  - the stored readings no longer produce the anchored root
+ *   pending   - closed (no more readings can arrive) and ready to anchor
+ *   open      - still accepting readings
+ *   missed    - before the last anchor but not covered by one; it can no longer be anchored
+ */
+async function getTelemetryBatches(deviceId) {
+    const anchors = (await telemetryAnchors.getAnchors(deviceId)).map(describeAnchor);
+    const readings = telemetryStore.query(deviceId, { limit: Number.MAX_SAFE_INTEGER });
+    const lastAnchoredTs = anchors.length > 0 ? anchors[anchors.length - 1].toTs : -1;
+    // A window is final once a reading for it would fall outside the accepted clock skew
+    const closedBefore = Date.now() - TELEMETRY_MAX_SKEW;
+
+    const batches = anchors.map(anchor => {
+        const batch = readings.filter(r => r.timestamp >= anchor.fromTs && r.timestamp <= anchor.toTs);
+        const { root } = telemetryMerkle.buildTree(batch);
+        return {
+            fromTs: anchor.fromTs,
+            toTs: anchor.toTs,
+            readings: batch.length,
+            root: root,
+            status: root === anchor.root ? 'anchored' : 'mismatch',
+            anchor: anchor
+        };
+    });
+
+    const unanchored = new Map(); // window start => batch
+    for (const reading of readings) {
+        if (anchors.some(a => reading.timestamp >= a.fromTs && reading.timestamp <= a.toTs)) {
+            continue;
+        }
+
+        const window = telemetryMerkle.windowFor(reading.timestamp, TELEMETRY_ANCHOR_WINDOW);
+        if (reading.timestamp > lastAnchoredTs) {
+            // A configured window may start inside the last anchored one if the size changed
+            window.fromTs = Math.max(window.fromTs, lastAnchoredTs + 1);
+        }
+        if (!unanchored.has(window.fromTs)) {
+            unanchored.set(window.fromTs, { ...window, batch: [] });
+        }
+        unanchored.get(window.fromTs).batch.push(reading);
+    }
+
+    for (const { fromTs, toTs, batch } of unanchored.values()) {
+        batches.push({
+            fromTs: fromTs,
+            toTs: toTs,
+            readings: batch.length,
+            root: telemetryMerkle.buildTree(batch).root,
+            status: toTs <= lastAnchoredTs ? 'missed' : toTs < closedBefore ? 'pending' : 'open',
+            anchor: null
+        });
+    }
+
+    return batches.sort((a, b) => a.fromTs - b.fromTs);
+}
+
+// Telemetry batches and their anchoring status (from/to in ms filter by window)
+app.get('/api/telemetry/:deviceId/batches', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        if (!requireTelemetryAnchors(res)) {
+            return;
+        }
+
+        const deviceId = req.params.deviceId.toLowerCase();
+
+        if (!ethers.utils.isHexString(deviceId, 32)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid device ID'
+            });
+        }
+
+        if (!(await authenticateViewer(req, res, deviceId))) {
+            return;
+        }
+
+        const from = parseInt(req.query.from) || 0;
+        const to = parseInt(req.query.to) || Number.MAX_SAFE_INTEGER;
+        const batches = (await getTelemetryBatches(deviceId)).filter(b => b.toTs >= from && b.fromTs <= to);
+
+        res.json({
+            success: true,
+            data: {
+                windowSize: TELEMETRY_ANCHOR_WINDOW,
+                batches: batches
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Anchor the oldest closed batch (encode transaction for the device key, the owner or an operator)
+app.post('/api/telemetry/:deviceId/anchor/encode', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        if (!requireTelemetryAnchors(res)) {
+            return;
+        }
+
+        const deviceId = req.params.deviceId.toLowerCase();
+
+        if (!ethers.utils.isHexString(deviceId, 32)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid device ID'
+            });
+        }
+
+        const batch = (await getTelemetryBatches(deviceId)).find(b => b.status === 'pending');
+        if (!batch) {
+            return res.status(400).json({
+                success: false,
+                error: 'No closed telemetry window to anchor'
+            });
+        }
+
+        const data = telemetryAnchors.interface.encodeFunctionData('anchorTelemetry', [
+            deviceId,
+            batch.root,
+            batch.fromTs,
+            batch.toTs
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                to: NETWORK_CONFIG.telemetryAnchorsAddress,
+                data: data,
+                value: '0',
+                batch: batch
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Merkle inclusion proof of one reading against its anchor. The reading is picked by
+// timestamp (ms) or, if several share one, by readingSignature; signature stays the viewer's.
+app.get('/api/telemetry/:deviceId/proof', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        if (!requireTelemetryAnchors(res)) {
+            return;
+        }
+
+        const deviceId = req.params.deviceId.toLowerCase();
+
+        if (!ethers.utils.isHexString(deviceId, 32)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid device ID'
+            });
+        }
+
+        const { readingSignature } = req.query;
+        if (!readingSignature && !req.query.timestamp) {
+            return res.status(400).json({
+                success: false,
+                error: 'Provide the reading timestamp or readingSignature'
+            });
+        }
+
+        if (!(await authenticateViewer(req, res, deviceId))) {
+            return;
+        }
+
+        const matching = telemetryStore.query(deviceId, { limit: Number.MAX_SAFE_INTEGER }).filter(r =>
+            readingSignature ? r.signature.toLowerCase() === readingSignature.toLowerCase() : r.timestamp === parseInt(req.query.timestamp)
+        );
+
+        if (matching.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Reading not found'
+            });
+        }
+
+        if (matching.length > 1) {
+            return res.status(400).json({
+                success: false,
+                error: 'Several readings share this timestamp; pass readingSignature instead'
+            });
+        }
+
+        const reading = matching[0];
+        const batch = (await getTelemetryBatches(deviceId))
+            .find(b => reading.timestamp >= b.fromTs && reading.timestamp <= b.toTs);
+        const readings = telemetryStore.query(deviceId, {
+            from: batch.fromTs,
+            to: batch.toTs,
+            limit: Number.MAX_SAFE_INTEGER
+        });
+        const { leaf, proof, root, leafCount } = telemetryMerkle.getProof(readings, reading.signature);
+
+        res.json({
+            success: true,
+            data: {
+                reading: (await markReadingKeyValidity(deviceId, [reading]))[0],
+                leaf: leaf,
+                proof: proof,
+                root: root,
+                leafCount: leafCount,
+                window: { fromTs: batch.fromTs, toTs: batch.toTs },
+                status: batch.status,
+                anchor: batch.anchor ? {
+                    ...batch.anchor,
+                    contractAddress: NETWORK_CONFIG.telemetryAnchorsAddress
+                } : null,
+                // Whether the proof leads to the root anchored on chain
+                verified: Boolean(batch.anchor) && telemetryMerkle.verifyProof(reading, proof, batch.anchor.root)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ============ COMMANDS ============
+
+// Default and maximum time (seconds) a command waits for the device before expiring
+const COMMAND_DEFAULT_TTL = 5 * 60;
+const COMMAND_MAX_TTL = 24 * 60 * 60;
+// Maximum lifetime (seconds) of a signed command request, and the nonce format it carries
+const COMMAND_REQUEST_MAX_TTL = 10 * 60;
+const COMMAND_NONCE_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+const commandStore = new CommandStore(DATA_DIR);
+
+// Message an issuer signs (EIP-191 personal_sign) to queue a command
+function buildCommandMessage(deviceId, command, params, ttl, nonce, expires) {
+    return canonicalJson({ command, deviceId: deviceId.toLowerCase(), expires, nonce, params, ttl });
+}
+
+// Message a device signs (EIP-191 personal_sign) to acknowledge a command or report its result
+function buildCommandAckMessage(deviceId, commandId, status, result, timestamp) {
+    return canonicalJson({ commandId, deviceId: deviceId.toLowerCase(), result, status, timestamp });
+}
+
+// Check that a device session's device is still active; sends an error otherwise
+async function requireActiveDevice(req, res) {
+    const device = await getDeviceCached(req.deviceSession.sub);
+    if (!device.isActive) {
+        res.status(403).json({
+            success: false,
+            error: 'Device is not active'
+        });
+        return null;
+    }
+    return device;
+}
+
+// Device: fetch pending commands (they are marked delivered)
+app.get('/api/commands/device/pending', requireDeviceSession('commands:read'), async (req, res) => {
+    try {
+        if (!(await requireActiveDevice(req, res))) {
+            return;
+        }
+
+        res.json({
+            success: true,
+            data: commandStore.deliver(req.deviceSession.sub)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Device: post a signed acknowledgement or result for a delivered command
+app.post('/api/commands/device/:commandId/ack', requireDeviceSession('commands:ack'), async (req, res) => {
+    try {
+        const device = await requireActiveDevice(req, res);
+        if (!device) {
+            return;
+        }
+
+        const deviceId = req.deviceSession.sub;
+        const { commandId } = req.params;
+        const { status, timestamp, signature } = req.body;
+        const result = req.body.result === undefined ? null : req.body.result;
+
+        if (!DEVICE_STATUSES.includes(status) || !Number.isInteger(timestamp) || !signature) {
+            return res.status(400).json({
+                success: false,
+                error: `Missing required fields (status: ${DEVICE_STATUSES.join('|')}, timestamp in ms, signature)`
+            });
+        }
+
+        let recovered;
+        try {
+            recovered = ethers.utils.verifyMessage(
+                buildCommandAckMessage(deviceId, commandId, status, result, timestamp),
+                signature
+            );
+        } catch (error) {
+            recovered = null;
+        }
+
+        if (!device.publicKey || recovered !== ethers.utils.computeAddress(device.publicKey)) {
+            return res.status(401).json({
+                success: false,
+                error: 'Signature does not match device public key'
+            });
+        }
+
+        try {
+            const command = commandStore.acknowledge(deviceId, commandId, { status, result, timestamp, signature });
+            res.json({
+                success: true,
+                data: command
+            });
+        } catch (error) {
+            res.status(error.code === 'NOT_FOUND' ? 404 : 409).json({
+                success: false,
+                error: error.message
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Queue a command for a device (owner, or a viewer holding PERMISSION_CONTROL). The issuer
+// signs the request itself, so a leaked viewer proof cannot be replayed to send commands.
+app.post('/api/commands/:deviceId', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        const deviceId = req.params.deviceId.toLowerCase();
+        const { issuer, command, nonce, signature } = req.body;
+        const params = req.body.params === undefined ? {} : req.body.params;
+        const ttl = req.body.ttl === undefined ? COMMAND_DEFAULT_TTL : req.body.ttl;
+        const expires = req.body.expires;
+        const now = Math.floor(Date.now() / 1000);
+
+        if (!ethers.utils.isHexString(deviceId, 32)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid device ID'
+            });
+        }
+
+        if (!command || typeof command !== 'string' || typeof params !== 'object' || params === null) {
+            return res.status(400).json({
+                success: false,
+                error: 'command (string) is required and params must be an object'
+            });
+        }
+
+        if (!Number.isInteger(ttl) || ttl <= 0 || ttl > COMMAND_MAX_TTL) {
+            return res.status(400).json({
+                success: false,
+                error: `ttl must be between 1 and ${COMMAND_MAX_TTL} seconds`
+            });
+        }
+
+        if (typeof nonce !== 'string' || !COMMAND_NONCE_PATTERN.test(nonce)) {
+            return res.status(400).json({
+                success: false,
+                error: 'nonce must be 8 to 128 letters, digits, "-" or "_"'
+            });
+        }
+
+        if (!issuer || !ethers.utils.isAddress(issuer) || !signature || !Number.isInteger(expires)) {
+            return res.status(401).json({
+                success: false,
+                error: 'Missing issuer, expires or signature'
+            });
+        }
+
+        if (expires <= now || expires > now + COMMAND_REQUEST_MAX_TTL) {
+            return res.status(401).json({
+                success: false,
+                error: 'Command request expired or expiry too far in the future'
+            });
+        }
+
+        let recovered;
+        try {
+            recovered = ethers.utils.verifyMessage(
+                buildCommandMessage(deviceId, command, params, ttl, nonce, expires),
+                signature
+            );
+        } catch (error) {
+            recovered = null;
+        }
+
+        if (!recovered || recovered !== ethers.utils.getAddress(issuer)) {
+            return res.status(401).json({
+                success: false,
+                error: 'Command signature does not match issuer'
+            });
+        }
+
+        if (!(await contract.hasPermission(deviceId, recovered, PERMISSIONS.control))) {
+            return res.status(403).json({
+                success: false,
+                error: 'Issuer does not have the control permission for this device'
+            });
+        }
+
+        const device = await getDeviceCached(deviceId);
+        if (!device.isActive) {
+            return res.status(403).json({
+                success: false,
+                error: 'Device is not active'
+            });
+        }
+
+        try {
+            const issued = commandStore.issue(deviceId, {
+                command,
+                params,
+                issuedBy: recovered,
+                ttl,
+                nonce,
+                requestExpires: expires,
+                issuerSignature: signature
+            });
+            res.status(201).json({
+                success: true,
+                data: issued
+            });
+        } catch (error) {
+            if (error.code !== 'NONCE_USED') {
+                throw error;
+            }
+            res.status(409).json({
+                success: false,
+                error: error.message
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// List a device's commands with their status (any viewer with access)
+app.get('/api/commands/:deviceId', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        const deviceId = req.params.deviceId.toLowerCase();
+        if (!ethers.utils.isHexString(deviceId, 32)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid device ID'
+            });
+        }
+
+        if (!(await authenticateViewer(req, res, deviceId))) {
+            return;
+        }
+
+        res.json({
+            success: true,
+            data: commandStore.list(deviceId, {
+                status: req.query.status,
+                limit: Math.min(parseInt(req.query.limit) || 100, 500)
+            })
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Full command log with a hash-chain integrity check and the on-chain anchor
+app.get('/api/commands/:deviceId/log', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        const deviceId = req.params.deviceId.toLowerCase();
+        if (!ethers.utils.isHexString(deviceId, 32)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid device ID'
+            });
+        }
+
+        if (!(await authenticateViewer(req, res, deviceId))) {
+            return;
+        }
+
+        const entries = commandStore.entries(deviceId);
+        let prevHash = ethers.constants.HashZero;
+        const intact = entries.every(entry => {
+            const { hash, ...fields } = entry;
+            const ok = entry.prevHash === prevHash && hashEntry(fields) === hash;
+            prevHash = hash;
+            return ok;
+        });
+
+        const anchor = await contract.commandLogAnchors(deviceId);
+        const anchorCount = anchor.entryCount.toNumber();
+
+        res.json({
+            success: true,
+            data: {
+                head: commandStore.head(deviceId),
+                intact: intact,
+                anchor: anchorCount > 0 ? {
+                    logHash: anchor.logHash,
+                    entryCount: anchorCount,
+                    anchoredAt: anchor.anchoredAt.toNumber(),
+                    // The anchored hash must match the log entry at that position
+                    matches: Boolean(entries[anchorCount - 1] && entries[anchorCount - 1].hash === anchor.logHash)
+                } : null,
+                entries: entries
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Anchor the current command log head on chain (encode transaction for the owner or an admin)
+app.post('/api/commands/:deviceId/anchor/encode', (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        const deviceId = req.params.deviceId.toLowerCase();
+        if (!ethers.utils.isHexString(deviceId, 32)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid device ID'
+            });
+        }
+
+        const head = commandStore.head(deviceId);
+        if (head.count === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Command log is empty'
+            });
+        }
+
+        const iface = new ethers.utils.Interface(THINGID_ABI);
+        const data = iface.encodeFunctionData('anchorCommandLog', [deviceId, head.hash, head.count]);
+
+        res.json({
+            success: true,
+            data: {
+                to: NETWORK_CONFIG.contractAddress,
+                data: data,
+                value: '0',
+                head: head
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ============ EVENTS ============
+
+let eventIndexer;
+
+// Block the indexer starts from: INDEXER_START_BLOCK, else the deployment block
+// recorded in deployment-info.json for this contract, else genesis
+async function resolveIndexerStartBlock() {
+    if (process.env.INDEXER_START_BLOCK) {
+        return parseInt(process.env.INDEXER_START_BLOCK);
+    }
+
+    try {
+        const info = networks.deploymentForChain(readDeploymentInfo(), NETWORK_CONFIG.chainId);
+        if (info && info.contractAddress.toLowerCase() === NETWORK_CONFIG.contractAddress.toLowerCase()) {
+            if (info.blockNumber !== undefined) {
+                return info.blockNumber;
+            }
+            const receipt = await provider.getTransactionReceipt(info.deploymentTxHash);
+            if (receipt) {
+                return receipt.blockNumber;
+            }
+        }
+    } catch (error) {
+        console.warn('Could not read deployment block from deployment-info.json:', error.message);
+    }
+
+    return 0;
+}
+
+async function initializeIndexer() {
+    if (!NETWORK_CONFIG.contractAddress) {
+        return;
+    }
+
+    eventIndexer = new EventIndexer({
+        provider: provider,
+        contractAddress: NETWORK_CONFIG.contractAddress,
+        abi: THINGID_ABI,
+        dataDir: DATA_DIR,
+        startBlock: await resolveIndexerStartBlock(),
+        confirmations: parseInt(process.env.INDEXER_CONFIRMATIONS) || 0
+    });
+    eventIndexer.start();
+    initializeDeviceCatalog();
+
+    webhookDispatcher = new WebhookDispatcher({
+        dataDir: DATA_DIR,
+        eventIndexer: eventIndexer,
+        authorize: (deviceId, account) => contract.isOwnerOrMember(deviceId, account, ROLES.operator),
+        maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+        backoffBase: (parseInt(process.env.WEBHOOK_BACKOFF) || 10) * 1000
+    });
+    webhookDispatcher.start();
+
+    console.log(`📚 Event indexer started from block ${eventIndexer.startBlock}`);
+}
+
+function parseOptionalInt(value) {
+    return value === undefined ? undefined : parseInt(value);
+}
+
+// Query indexed contract events (paginated, filterable)
+app.get('/api/events', (req, res) => {
+    try {
+        if (!eventIndexer) {
+            return res.status(400).json({
+                success: false,
+                error: 'Event indexer not running'
+            });
+        }
+
+        const { deviceId, owner, viewer, event, order, cursor } = req.query;
+
+        if ((owner && !ethers.utils.isAddress(owner)) || (viewer && !ethers.utils.isAddress(viewer))) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid address'
+            });
+        }
+
+        const result = eventIndexer.query({
+            deviceId,
+            owner,
+            viewer,
+            event,
+            cursor,
+            order: order === 'desc' ? 'desc' : 'asc',
+            fromBlock: parseOptionalInt(req.query.fromBlock),
+            toBlock: parseOptionalInt(req.query.toBlock),
+            fromTime: parseOptionalInt(req.query.fromTime),
+            toTime: parseOptionalInt(req.query.toTime),
+            limit: Math.min(parseInt(req.query.limit) || 50, 500)
+        });
+
+        res.json({
+            success: true,
+            data: result.events,
+            pagination: {
+                total: result.total,
+                nextCursor: result.nextCursor
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Indexer progress
+app.get('/api/events/status', (req, res) => {
+    if (!eventIndexer) {
+        return res.status(400).json({
+            success: false,
+            error: 'Event indexer not running'
+        });
+    }
+
+    res.json({
+        success: true,
+        data: eventIndexer.status()
+    });
+});
+
+// Device registrations (served from the event index)
+app.get('/api/events/devices', (req, res) => {
+    try {
+        if (!eventIndexer) {
+            return res.status(400).json({
+                success: false,
+                error: 'Event indexer not running'
+            });
+        }
+
+        const { events } = eventIndexer.query({
+            event: 'DeviceRegistered',
+            fromBlock: parseInt(req.query.fromBlock) || 0,
+            limit: Number.MAX_SAFE_INTEGER
+        });
+
+        const formattedEvents = events.map(event => ({
+            deviceId: event.deviceId,
+            did: event.args.did,
+            owner: event.args.owner,
+            name: event.args.name,
+            deviceType: event.args.deviceType,
+            timestamp: event.timestamp,
+            blockNumber: event.blockNumber,
+            transactionHash: event.transactionHash
+        }));
+
+        res.json({
+            success: true,
+            data: formattedEvents
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ============ WEBHOOKS ============
+
+let webhookDispatcher;
+
+// Event names a subscription may filter on: the indexed ThingID events plus the synthetic ones
+const WEBHOOK_EVENTS = Object.values(new ethers.utils.Interface(THINGID_ABI).events)
+    .map(fragment => fragment.name)
+    .concat(SYNTHETIC_EVENTS);
+
+// Longest PassExpiring warning a subscription may ask for (7 days)
+const MAX_EXPIRING_MINUTES = 7 * 24 * 60;
+
+// Maximum lifetime (seconds) of a signed subscription request
+const WEBHOOK_REQUEST_MAX_TTL = 10 * 60;
+
+// Subscription a request manages, authenticated with its secret as a bearer token;
+// sends the error response and returns null otherwise
+function authenticateWebhook(req, res) {
+    if (!webhookDispatcher) {
+        res.status(400).json({
+            success: false,
+            error: 'Event indexer not running'
+        });
+        return null;
+    }
+
+    const subscription = webhookDispatcher.get(req.params.id);
+    const header = req.get('Authorization') || '';
+    const token = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+    const secret = Buffer.from(subscription ? subscription.secret : '');
+
+    if (!subscription || token.length !== secret.length || !crypto.timingSafeEqual(token, secret)) {
+        res.status(401).json({
+            success: false,
+            error: 'Unknown subscription or invalid secret'
+        });
+        return null;
+    }
+
+    return subscription;
+}
+
+function formatSubscription(subscription) {
+    const { secret, ...details } = subscription;
+    return { ...details, ...webhookDispatcher.status(subscription.id) };
+}
+
+// Message the registering account signs (EIP-191 personal_sign) to subscribe a URL
+function buildWebhookMessage({ url, events, deviceId, owner, expiringMinutes, expires }) {
+    return canonicalJson({
+        action: 'ThingID webhook subscription',
+        deviceId: deviceId ? deviceId.toLowerCase() : null,
+        events: events || null,
+        expires,
+        expiringMinutes,
+        owner: owner ? owner.toLowerCase() : null,
+        url
+    });
+}
+
+// Register a webhook URL. The response carries the signing secret, which is not shown again.
+// Body: url, events (names or comma-separated, default all), deviceId, owner,
+// expiringMinutes (PassExpiring warning, default 15), and signer, expires and signature
+// proving that signer is the owner filter and controls the deviceId filter
+app.post('/api/webhooks', async (req, res) => {
+    try {
+        const { url, deviceId, owner, signer, signature } = req.body;
+        const expiringMinutes = req.body.expiringMinutes === undefined
+            ? DEFAULT_EXPIRING_MINUTES
+            : parseInt(req.body.expiringMinutes);
+        const events = typeof req.body.events === 'string' ? req.body.events.split(',') : req.body.events;
+        const expires = req.body.expires;
+        const now = Math.floor(Date.now() / 1000);
+
+        if (!webhookDispatcher) {
+            return res.status(400).json({
+                success: false,
+                error: 'Event indexer not running'
+            });
+        }
+
+        if (events !== undefined && (!Array.isArray(events) || events.length === 0 ||
+            events.some(event => !WEBHOOK_EVENTS.includes(event)))) {
+            return res.status(400).json({
+                success: false,
+                error: `events must be a list of: ${WEBHOOK_EVENTS.join(', ')}`
+            });
+        }
+
+        if (!deviceId && !owner) {
+            return res.status(400).json({
+                success: false,
+                error: 'A subscription must filter on deviceId or owner'
+            });
+        }
+
+        if (deviceId && !ethers.utils.isHexString(deviceId, 32)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid device ID'
+            });
+        }
+
+        if (owner && !ethers.utils.isAddress(owner)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid address'
+            });
+        }
+
+        if (!(expiringMinutes >= 1 && expiringMinutes <= MAX_EXPIRING_MINUTES)) {
+            return res.status(400).json({
+                success: false,
+                error: `expiringMinutes must be between 1 and ${MAX_EXPIRING_MINUTES}`
+            });
+        }
+
+        try {
+            await assertPublicUrl(url);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.code === 'INVALID_URL' || error.code === 'PRIVATE_ADDRESS'
+                    ? error.message
+                    : 'url host could not be resolved'
+            });
+        }
+
+        if (!signer || !ethers.utils.isAddress(signer) || !signature || !Number.isInteger(expires)) {
+            return res.status(401).json({
+                success: false,
+                error: 'Missing signer, expires or signature'
+            });
+        }
+
+        if (expires <= now || expires > now + WEBHOOK_REQUEST_MAX_TTL) {
+            return res.status(401).json({
+                success: false,
+                error: 'Subscription request expired or expiry too far in the future'
+            });
+        }
+
+        let recovered;
+        try {
+            recovered = ethers.utils.verifyMessage(
+                buildWebhookMessage({ url, events, deviceId, owner, expiringMinutes, expires }),
+                signature
+            );
+        } catch (error) {
+            recovered = null;
+        }
+
+        if (!recovered || recovered !== ethers.utils.getAddress(signer)) {
+            return res.status(401).json({
+                success: false,
+                error: 'Subscription signature does not match signer'
+            });
+        }
+
+        if (deviceId) {
+            try {
+                await contract.getDevice(deviceId);
+            } catch (error) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Device not found'
+                });
+            }
+        }
+
+        // Events are only sent about accounts and devices the signer controls
+        const controlsOwner = !owner || ethers.utils.getAddress(owner) === recovered;
+        const controlsDevice = !deviceId || await contract.isOwnerOrMember(deviceId, recovered, ROLES.operator);
+        if (!controlsOwner || !controlsDevice) {
+            return res.status(403).json({
+                success: false,
+                error: 'Signer is not the owner filter or does not control the device'
+            });
+        }
+
+        const subscription = webhookDispatcher.subscribe({
+            url,
+            signer: recovered,
+            events: events || null,
+            deviceId: deviceId || null,
+            owner: owner || null,
+            expiringMinutes
+        });
+
+        res.json({
             success: true,
-            data: formattedEvents
+            data: { ...formatSubscription(subscription), secret: subscription.secret }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Subscription details, with its queued deliveries and dead-letter count
+app.get('/api/webhooks/:id', (req, res) => {
+    const subscription = authenticateWebhook(req, res);
+    if (!subscription) {
+        return;
+    }
+
+    res.json({
+        success: true,
+        data: formatSubscription(subscription)
+    });
+});
+
+// Remove a subscription and its queued deliveries
+app.delete('/api/webhooks/:id', (req, res) => {
+    try {
+        const subscription = authenticateWebhook(req, res);
+        if (!subscription) {
+            return;
+        }
+
+        webhookDispatcher.unsubscribe(subscription.id);
+
+        res.json({
+            success: true,
+            message: 'Subscription removed'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Send the subscription's matching indexed events again from a block. Body: fromBlock, toBlock
+app.post('/api/webhooks/:id/replay', async (req, res) => {
+    try {
+        const subscription = authenticateWebhook(req, res);
+        if (!subscription) {
+            return;
+        }
+
+        const fromBlock = parseInt(req.body.fromBlock);
+        const toBlock = parseOptionalInt(req.body.toBlock);
+
+        if (!(fromBlock >= 0) || (toBlock !== undefined && !(toBlock >= fromBlock))) {
+            return res.status(400).json({
+                success: false,
+                error: 'fromBlock must be a block number, and toBlock at least fromBlock'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: await webhookDispatcher.replay(subscription.id, fromBlock, toBlock)
+        });
+    } catch (error) {
+        res.status(error.code === 'NOT_AUTHORIZED' ? 403 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Deliveries that ran out of retries, oldest first
+app.get('/api/webhooks/:id/dead-letters', (req, res) => {
+    try {
+        const subscription = authenticateWebhook(req, res);
+        if (!subscription) {
+            return;
+        }
+
+        res.json({
+            success: true,
+            data: webhookDispatcher.deadLetters(subscription.id)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ============ META-TRANSACTION RELAY ============
+
+// EIP-712 type signed for a relayed call (mirrors ThingID.META_TRANSACTION_TYPEHASH)
+const META_TRANSACTION_TYPES = {
+    MetaTransaction: [
+        { name: 'signer', type: 'address' },
+        { name: 'data', type: 'bytes' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+// Relay quota use and in-flight relays per signer
+const relayLimiter = new RelayLimiter(RELAY_CONFIG);
+
+// Submissions run one at a time so the relayer wallet's nonces never collide
+let relayQueue = Promise.resolve();
+
+function enqueueRelay(task) {
+    const run = relayQueue.then(task);
+    relayQueue = run.catch(() => {});
+    return run;
+}
+
+async function getRelayDomain() {
+    const network = await provider.getNetwork();
+    return {
+        name: 'ThingID',
+        version: await contract.VERSION(),
+        chainId: network.chainId,
+        verifyingContract: NETWORK_CONFIG.contractAddress
+    };
+}
+
+// Check a meta-transaction's signature against the signer's current nonce, simulate it and
+// submit it. Resolves with { tx }, or { status, error } when it is refused before submission.
+async function submitRelay(signer, data, deadline, signature) {
+    const nonce = await contract.nonces(signer);
+    const domain = await getRelayDomain();
+    let recovered;
+    try {
+        recovered = ethers.utils.verifyTypedData(
+            domain,
+            META_TRANSACTION_TYPES,
+            { signer, data, nonce, deadline },
+            signature
+        );
+    } catch (error) {
+        recovered = null;
+    }
+
+    if (!recovered || recovered.toLowerCase() !== signer.toLowerCase()) {
+        return { status: 401, error: 'Signature does not match signer or nonce is stale' };
+    }
+
+    return enqueueRelay(async () => {
+        // Simulate first so reverting calls are rejected without paying for them
+        try {
+            await contract.callStatic.executeMetaTransaction(signer, data, deadline, signature);
+        } catch (error) {
+            return { status: 400, error: 'Transaction would revert: ' + (error.reason || error.message) };
+        }
+
+        return { tx: await contract.executeMetaTransaction(signer, data, deadline, signature) };
+    });
+}
+
+// Everything a client needs to sign a meta-transaction for an address
+app.get('/api/relay/nonce/:address', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        const { address } = req.params;
+
+        if (!ethers.utils.isAddress(address)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid address'
+            });
+        }
+
+        const nonce = await contract.nonces(address);
+
+        res.json({
+            success: true,
+            data: {
+                signer: ethers.utils.getAddress(address),
+                nonce: nonce.toString(),
+                domain: await getRelayDomain(),
+                types: META_TRANSACTION_TYPES,
+                functions: RELAYABLE_FUNCTIONS,
+                relayerEnabled: Boolean(wallet),
+                quota: relayLimiter.describe(address),
+                pending: relayLimiter.isPending(address)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Submit a signed meta-transaction, paying its gas from the backend wallet
+app.post('/api/relay', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contract not initialized'
+            });
+        }
+
+        if (!wallet) {
+            return res.status(503).json({
+                success: false,
+                error: 'Relayer not configured (PRIVATE_KEY not set)'
+            });
+        }
+
+        const { signer, data, deadline, signature } = req.body;
+
+        if (!signer || !data || !deadline || !signature) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields'
+            });
+        }
+
+        if (!ethers.utils.isAddress(signer)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid signer address'
+            });
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        if (!Number.isInteger(deadline) || deadline <= now || deadline > now + RELAY_CONFIG.maxDeadline) {
+            return res.status(400).json({
+                success: false,
+                error: `Deadline must be a unix timestamp within the next ${RELAY_CONFIG.maxDeadline} seconds`
+            });
+        }
+
+        let call;
+        try {
+            call = contract.interface.parseTransaction({ data });
+        } catch (error) {
+            call = null;
+        }
+
+        if (!call || !RELAYABLE_FUNCTIONS.includes(call.name)) {
+            return res.status(400).json({
+                success: false,
+                error: `Only ${RELAYABLE_FUNCTIONS.join(', ')} can be relayed`
+            });
+        }
+
+        // Reserve the quota slot and the signer's nonce before awaiting anything, so parallel
+        // copies of one signed request cannot all pass the checks below and be broadcast
+        let reservation;
+        try {
+            reservation = relayLimiter.reserve(signer);
+        } catch (error) {
+            return res.status(error.code === 'RELAY_PENDING' ? 409 : 429).json({
+                success: false,
+                error: error.message,
+                quota: relayLimiter.describe(signer)
+            });
+        }
+
+        let submission;
+        try {
+            submission = await submitRelay(signer, data, deadline, signature);
+        } catch (error) {
+            relayLimiter.release(reservation);
+            throw error;
+        }
+
+        if (submission.error) {
+            relayLimiter.release(reservation);
+            return res.status(submission.status).json({
+                success: false,
+                error: submission.error
+            });
+        }
+
+        let receipt;
+        try {
+            receipt = await submission.tx.wait();
+        } finally {
+            relayLimiter.settle(reservation);
+        }
+
+        // Report device IDs back to clients that relayed a registration
+        const registered = [];
+        for (const log of receipt.logs) {
+            try {
+                const parsed = contract.interface.parseLog(log);
+                if (parsed.name === 'DeviceRegistered') {
+                    registered.push({ deviceId: parsed.args.deviceId, did: parsed.args.did });
+                }
+            } catch (error) {
+                // not a ThingID event
+            }
+        }
+
+        res.json({
+            success: true,
+            data: {
+                function: call.name,
+                signer: ethers.utils.getAddress(signer),
+                transactionHash: receipt.transactionHash,
+                blockNumber: receipt.blockNumber,
+                gasUsed: receipt.gasUsed.toString(),
+                deviceId: registered.length > 0 ? registered[0].deviceId : null,
+                registeredDevices: registered,
+                quota: relayLimiter.describe(signer)
+            }
         });
     } catch (error) {
         res.status(500).json({
@@ -471,13 +5668,13 @@ app.get('/api/events/devices', async (req, res) => {
 app.post('/api/utils/estimate-gas', async (req, res) => {
     try {
         const { to, data, from } = req.body;
-        
+
         const gasEstimate = await provider.estimateGas({
             to: to,
             data: data,
             from: from || ethers.constants.AddressZero
         });
-        
+
         res.json({
             success: true,
             data: {
@@ -497,16 +5694,16 @@ app.post('/api/utils/estimate-gas', async (req, res) => {
 app.get('/api/account/:address/balance', async (req, res) => {
     try {
         const address = req.params.address;
-        
+
         if (!ethers.utils.isAddress(address)) {
             return res.status(400).json({
                 success: false,
                 error: 'Invalid address'
             });
         }
-        
+
         const balance = await provider.getBalance(address);
-        
+
         res.json({
             success: true,
             data: {
@@ -537,12 +5734,14 @@ app.use((err, req, res, next) => {
 // ============ START SERVER ============
 
 async function startServer() {
-    const initialized = initializeProvider();
-    
+    const initialized = await initializeProvider();
+
     if (!initialized) {
         console.error('⚠️  Warning: Provider initialization failed. Some features may not work.');
+    } else {
+        await initializeIndexer();
     }
-    
+
     app.listen(PORT, () => {
         console.log(`
 ╔════════════════════════════════════════════════════════╗
@@ -551,21 +5750,95 @@ async function startServer() {
 ╚════════════════════════════════════════════════════════╝
 
 🚀 Server running on port ${PORT}
-🌐 Network: DIDLab QBFT (Chain ID: ${DIDLAB_CONFIG.chainId})
-📡 RPC: ${DIDLAB_CONFIG.rpcUrl}
-📝 Contract: ${DIDLAB_CONFIG.contractAddress || 'Not deployed'}
+🌐 Network: ${NETWORK_CONFIG.name} (Chain ID: ${NETWORK_CONFIG.chainId}, profile: ${NETWORK_NAME})
+📡 RPC: ${NETWORK_CONFIG.rpcUrl}
+📝 Contract: ${NETWORK_CONFIG.contractAddress || 'Not deployed'}
 
 Endpoints:
   GET  /health
   GET  /api/network/info
+  GET  /api/network/releases
+  GET  /api/devices
   POST /api/devices/register/encode
+  POST /api/devices/register/batch/encode
+  POST /api/devices/transfer/encode
   GET  /api/devices/:deviceId
+  GET  /api/devices/:deviceId/ownership
+  GET  /api/devices/:deviceId/keys
+  GET  /api/devices/:deviceId/keys/valid
+  POST /api/devices/keys/encode
   GET  /api/devices/owner/:address
   GET  /api/devices/stats/total
+  POST /api/organizations/create/encode
+  POST /api/organizations/members/encode
+  GET  /api/organizations/member/:address
+  GET  /api/organizations/:orgId
+  POST /api/groups/create/encode
+  POST /api/groups/update/encode
+  POST /api/groups/delete/encode
+  POST /api/groups/devices/encode
+  POST /api/groups/access/encode
+  GET  /api/groups/owner/:address
+  GET  /api/groups/:groupId
   POST /api/access/grant/encode
+  POST /api/access/revoke/encode
+  POST /api/access/extend/encode
+  POST /api/access/renew/encode
   GET  /api/access/check/:deviceId/:viewer
   GET  /api/access/passes/:deviceId
+  GET  /api/access/viewers/:deviceId
+  POST /api/access/requests/encode
+  GET  /api/access/requests/owner/:address
+  GET  /api/access/requests/requester/:address
+  GET  /api/access/requests/:requestId
+  GET  /api/marketplace
+  POST /api/marketplace/encode
+  GET  /api/marketplace/earnings/:address
+  GET  /api/events
+  GET  /api/events/status
   GET  /api/events/devices
+  POST /api/webhooks
+  GET  /api/webhooks/:id
+  DELETE /api/webhooks/:id
+  POST /api/webhooks/:id/replay
+  GET  /api/webhooks/:id/dead-letters
+  GET  /1.0/identifiers/:did
+  GET  /api/manufacturers
+  POST /api/manufacturers/register/encode
+  POST /api/manufacturers/status/encode
+  POST /api/attestations/prepare
+  POST /api/attestations/encode
+  GET  /api/metadata/schemas
+  GET  /api/metadata/schemas/:deviceType
+  POST /api/metadata/documents
+  GET  /api/metadata/documents/:contentHash
+  POST /api/metadata/encode
+  GET  /api/metadata/:deviceId
+  GET  /api/metadata/:deviceId/history
+  GET  /api/private/message
+  GET  /api/private/keys/:address
+  GET  /api/private/:deviceId
+  GET  /api/private/:deviceId/recipients
+  POST /api/credentials/prepare
+  POST /api/credentials/issue
+  POST /api/credentials/verify
+  POST /api/auth/device/challenge
+  POST /api/auth/device/verify
+  GET  /api/auth/device/session
+  POST /api/telemetry/:deviceId
+  GET  /api/telemetry/:deviceId
+  GET  /api/telemetry/:deviceId/stream
+  GET  /api/telemetry/:deviceId/batches
+  POST /api/telemetry/:deviceId/anchor/encode
+  GET  /api/telemetry/:deviceId/proof
+  POST /api/commands/:deviceId
+  GET  /api/commands/:deviceId
+  GET  /api/commands/:deviceId/log
+  POST /api/commands/:deviceId/anchor/encode
+  GET  /api/commands/device/pending
+  POST /api/commands/device/:commandId/ack
+  GET  /api/relay/nonce/:address
+  POST /api/relay
   GET  /api/account/:address/balance
   POST /api/utils/estimate-gas
         `);
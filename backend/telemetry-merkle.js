@@ -0,0 +1,103 @@
+// ThingID Telemetry Merkle Trees
+// Readings are batched into fixed time windows and each batch is committed to with a
+// Merkle root that the device or its owner anchors in the TelemetryAnchors contract. An
+// inclusion proof then shows that one reading was part of an anchored batch, unchanged.
+//
+//   leaf = keccak256(0x00 | canonicalJson({ deviceId, timestamp, data, signature }))
+//   node = keccak256(0x01 | min(left, right) | max(left, right))
+//
+// Leaves are ordered by timestamp, then signature. Pairs are hashed in sorted order so a
+// proof is just the list of sibling hashes; a node without a sibling moves up a level
+// unchanged. The prefixes keep a leaf from ever being passed off as an inner node.
+
+const { ethers } = require('ethers');
+const { canonicalJson } = require('./canonical-json');
+
+const LEAF_PREFIX = '0x00';
+const NODE_PREFIX = '0x01';
+
+// Window (ms, both ends inclusive) of size windowSize that contains timestamp
+function windowFor(timestamp, windowSize) {
+    const fromTs = Math.floor(timestamp / windowSize) * windowSize;
+    return { fromTs, toTs: fromTs + windowSize - 1 };
+}
+
+// Hash of a reading as committed to in the tree; server-side fields such as receivedAt are left out
+function hashLeaf(reading) {
+    const fields = {
+        deviceId: reading.deviceId.toLowerCase(),
+        timestamp: reading.timestamp,
+        data: reading.data,
+        signature: reading.signature
+    };
+    return ethers.utils.keccak256(ethers.utils.concat([LEAF_PREFIX, ethers.utils.toUtf8Bytes(canonicalJson(fields))]));
+}
+
+function hashPair(a, b) {
+    const [left, right] = a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a];
+    return ethers.utils.keccak256(ethers.utils.concat([NODE_PREFIX, left, right]));
+}
+
+// Readings in leaf order
+function sortReadings(readings) {
+    return [...readings].sort((a, b) =>
+        a.timestamp - b.timestamp || (a.signature < b.signature ? -1 : a.signature > b.signature ? 1 : 0)
+    );
+}
+
+// Every level of the tree over a batch of readings, leaves first (null root for an empty batch)
+function buildTree(readings) {
+    const levels = [sortReadings(readings).map(hashLeaf)];
+
+    while (levels[levels.length - 1].length > 1) {
+        const level = levels[levels.length - 1];
+        const next = [];
+        for (let i = 0; i < level.length; i += 2) {
+            next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+        }
+        levels.push(next);
+    }
+
+    return {
+        levels,
+        root: levels[0].length > 0 ? levels[levels.length - 1][0] : null
+    };
+}
+
+// Root, leaf and sibling hashes proving one reading (matched by signature) is in the batch
+function getProof(readings, signature) {
+    const sorted = sortReadings(readings);
+    let index = sorted.findIndex(r => r.signature === signature);
+    if (index === -1) {
+        return null;
+    }
+
+    const { levels, root } = buildTree(sorted);
+    const leaf = levels[0][index];
+    const proof = [];
+
+    for (const level of levels.slice(0, -1)) {
+        const sibling = index % 2 === 0 ? index + 1 : index - 1;
+        if (sibling < level.length) {
+            proof.push(level[sibling]);
+        }
+        index = Math.floor(index / 2);
+    }
+
+    return { leaf, proof, root, leafCount: sorted.length };
+}
+
+// True if the reading and proof lead to root
+function verifyProof(reading, proof, root) {
+    const computed = proof.reduce((hash, sibling) => hashPair(hash, sibling), hashLeaf(reading));
+    return computed.toLowerCase() === root.toLowerCase();
+}
+
+module.exports = {
+    windowFor,
+    hashLeaf,
+    hashPair,
+    buildTree,
+    getProof,
+    verifyProof
+};
@@ -0,0 +1,79 @@
+// ThingID Telemetry Store
+// Append-only, per-device JSON Lines time-series store for signed device readings.
+// Each device gets its own file under <dataDir>/telemetry/<deviceId>.jsonl, with
+// readings kept in timestamp order in memory once the file has been loaded.
+
+const fs = require('fs');
+const path = require('path');
+
+class TelemetryStore {
+    constructor(dataDir) {
+        this.dir = path.join(dataDir, 'telemetry');
+        this.series = new Map(); // deviceId => readings sorted by timestamp
+        this.timestamps = new Map(); // deviceId => Set of stored reading timestamps
+        fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    filePath(deviceId) {
+        return path.join(this.dir, `${deviceId}.jsonl`);
+    }
+
+    // Load a device's readings from disk on first access
+    load(deviceId) {
+        const key = deviceId.toLowerCase();
+        if (this.series.has(key)) {
+            return this.series.get(key);
+        }
+
+        let readings = [];
+        const file = this.filePath(key);
+        if (fs.existsSync(file)) {
+            readings = fs.readFileSync(file, 'utf8')
+                .split('\n')
+                .filter(line => line.trim().length > 0)
+                .map(line => JSON.parse(line))
+                .sort((a, b) => a.timestamp - b.timestamp);
+        }
+
+        this.series.set(key, readings);
+        this.timestamps.set(key, new Set(readings.map(r => r.timestamp)));
+        return readings;
+    }
+
+    // Persist a reading and insert it in timestamp order
+    append(reading) {
+        const key = reading.deviceId.toLowerCase();
+        const readings = this.load(key);
+
+        fs.appendFileSync(this.filePath(key), JSON.stringify(reading) + '\n');
+
+        let index = readings.length;
+        while (index > 0 && readings[index - 1].timestamp > reading.timestamp) {
+            index--;
+        }
+        readings.splice(index, 0, reading);
+        this.timestamps.get(key).add(reading.timestamp);
+
+        return reading;
+    }
+
+    // True if the device already has a reading at this timestamp (replay protection). A device
+    // signs one reading per timestamp, so this holds however the signature was re-encoded.
+    hasReadingAt(deviceId, timestamp) {
+        this.load(deviceId);
+        return this.timestamps.get(deviceId.toLowerCase()).has(timestamp);
+    }
+
+    // Readings with from <= timestamp <= to (milliseconds), oldest first, capped at limit
+    query(deviceId, { from = 0, to = Number.MAX_SAFE_INTEGER, limit = 500 } = {}) {
+        const matching = this.load(deviceId).filter(r => r.timestamp >= from && r.timestamp <= to);
+        return matching.slice(Math.max(matching.length - limit, 0));
+    }
+
+    latest(deviceId) {
+        const readings = this.load(deviceId);
+        return readings.length > 0 ? readings[readings.length - 1] : null;
+    }
+}
+
+module.exports = { TelemetryStore };
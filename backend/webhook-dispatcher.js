@@ -0,0 +1,471 @@
+// ThingID Webhook Dispatcher
+// Delivers indexed ThingID events, plus synthetic PassExpiring and PassExpired events the
+// contract never emits, to subscribed URLs. Every delivery is a JSON POST signed with the
+// subscription's secret and retried with exponential backoff; deliveries that run out of
+// attempts are appended to a dead-letter log. A subscription filtered on a device only
+// receives events while the account that created it still controls the device; once it
+// does not, the subscription is removed. Subscriptions, the retry queue and the expiry
+// notices already sent live in <dataDir>/webhooks.json, written shortly after they change
+// rather than on every delivery; dead letters go to <dataDir>/webhook-dead-letters.jsonl.
+// Deliveries go through outbound-http, so a URL that resolves to a private address is
+// never contacted.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { request } = require('./outbound-http');
+
+// Events derived from access passes rather than read from the chain
+const SYNTHETIC_EVENTS = ['PassExpiring', 'PassExpired'];
+
+const DEFAULT_EXPIRING_MINUTES = 15;
+
+// How long after expiry a PassExpired notice is still sent (covers backend downtime);
+// notices for older passes are forgotten
+const EXPIRED_NOTICE_WINDOW = 24 * 60 * 60;
+
+// Events queued by one replay request
+const REPLAY_LIMIT = 1000;
+
+const DELIVERY_TIMEOUT = 10 * 1000;
+
+// Receivers only need to answer with a status; a longer response body fails the delivery
+const MAX_RESPONSE_SIZE = 64 * 1024;
+
+// Delay (ms) before queue and notice changes are written, so a burst of deliveries is one write
+const SAVE_DELAY = 1000;
+
+// Indexed events that change which passes are standing
+const PASS_EVENTS = ['AccessGranted', 'AccessExtended', 'AccessRevoked', 'DeviceTransferred'];
+
+// Signature header value: HMAC-SHA256 of "<timestamp>.<body>" under the subscription secret
+function signPayload(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+class WebhookDispatcher {
+    /**
+     * authorize(deviceId, account) resolves true while account may receive the device's
+     * events; it is asked before every delivery and replay of a device subscription.
+     */
+    constructor({ dataDir, eventIndexer, authorize, maxAttempts = 6, backoffBase = 10 * 1000, pollInterval = 15 * 1000 }) {
+        this.file = path.join(dataDir, 'webhooks.json');
+        this.deadLetterFile = path.join(dataDir, 'webhook-dead-letters.jsonl');
+        this.eventIndexer = eventIndexer;
+        this.authorize = authorize;
+        this.maxAttempts = maxAttempts;
+        this.backoffBase = backoffBase;
+        this.pollInterval = pollInterval;
+        this.timer = null;
+        this.saveTimer = null;
+        this.delivering = false;
+        this.passes = new Map();
+
+        fs.mkdirSync(dataDir, { recursive: true });
+        this.load();
+    }
+
+    // ============ PERSISTENCE ============
+
+    load() {
+        const db = fs.existsSync(this.file)
+            ? JSON.parse(fs.readFileSync(this.file, 'utf8'))
+            : { subscriptions: [], queue: [], notices: [] };
+
+        this.subscriptions = new Map(db.subscriptions.map(s => [s.id, s]));
+        this.queue = db.queue;
+        this.notices = new Map(db.notices.map(n => [n.key, n.expiresAt]));
+    }
+
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        const tmp = this.file + '.tmp';
+        fs.writeFileSync(tmp, JSON.stringify({
+            subscriptions: [...this.subscriptions.values()],
+            queue: this.queue,
+            notices: [...this.notices].map(([key, expiresAt]) => ({ key, expiresAt }))
+        }));
+        fs.renameSync(tmp, this.file);
+    }
+
+    // Write within SAVE_DELAY, once for all changes made until then
+    saveSoon() {
+        if (!this.saveTimer) {
+            this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY);
+        }
+    }
+
+    // ============ SUBSCRIPTIONS ============
+
+    /**
+     * Register a URL for signer. Filters: events (names, null for all), deviceId, owner
+     * (the device owner). Live delivery starts after the last indexed block; earlier events
+     * are only sent by replay.
+     */
+    subscribe({ url, signer, events = null, deviceId = null, owner = null, expiringMinutes = DEFAULT_EXPIRING_MINUTES }) {
+        const subscription = {
+            id: crypto.randomUUID(),
+            url,
+            secret: crypto.randomBytes(32).toString('hex'),
+            signer: signer.toLowerCase(),
+            events,
+            deviceId: deviceId ? deviceId.toLowerCase() : null,
+            owner: owner ? owner.toLowerCase() : null,
+            expiringMinutes,
+            fromBlock: this.eventIndexer.lastBlock,
+            createdAt: Math.floor(Date.now() / 1000)
+        };
+
+        this.subscriptions.set(subscription.id, subscription);
+        this.save();
+        return subscription;
+    }
+
+    get(id) {
+        return this.subscriptions.get(id) || null;
+    }
+
+    // Remove a subscription along with its queued deliveries (dead letters are kept)
+    unsubscribe(id) {
+        this.subscriptions.delete(id);
+        this.queue = this.queue.filter(d => d.subscriptionId !== id);
+        for (const key of this.notices.keys()) {
+            if (key.startsWith(`${id}:`)) {
+                this.notices.delete(key);
+            }
+        }
+        this.save();
+    }
+
+    /**
+     * True while the subscription's signer may receive its events. Only device filters are
+     * checked: an owner filter is the signer's own address. Subscriptions made before
+     * signers were recorded fall back to their owner filter.
+     */
+    async isAuthorized(subscription) {
+        if (!subscription.deviceId) {
+            return true;
+        }
+
+        const account = subscription.signer || subscription.owner;
+        return Boolean(account) && await this.authorize(subscription.deviceId, account);
+    }
+
+    // Remove a subscription whose signer lost control of its device
+    revoke(subscription) {
+        console.warn(`⚠️  Webhook subscription ${subscription.id} removed: its signer no longer controls device ${subscription.deviceId}`);
+        this.unsubscribe(subscription.id);
+    }
+
+    matches(subscription, record) {
+        return (!subscription.events || subscription.events.includes(record.event)) &&
+            (!subscription.deviceId || record.deviceId === subscription.deviceId) &&
+            (!subscription.owner || record.owner === subscription.owner);
+    }
+
+    // Queued deliveries and dead letters of a subscription
+    status(id) {
+        return {
+            queued: this.queue.filter(d => d.subscriptionId === id).length,
+            deadLetters: this.deadLetters(id).length
+        };
+    }
+
+    // ============ DISPATCH ============
+
+    start() {
+        this.rebuildPasses();
+        this.eventIndexer.on('events', records => this.dispatch(records));
+        this.eventIndexer.on('reorg', () => this.rebuildPasses());
+
+        const tick = async () => {
+            this.checkExpiries();
+            await this.deliverDue();
+            this.timer = setTimeout(tick, this.pollInterval);
+        };
+        tick();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.saveTimer) {
+            this.save();
+        }
+    }
+
+    // Queue newly indexed events for every subscription they match
+    dispatch(records) {
+        records.filter(record => PASS_EVENTS.includes(record.event)).forEach(record => this.applyPassEvent(record));
+
+        let queued = 0;
+        for (const subscription of this.subscriptions.values()) {
+            for (const record of records) {
+                if (record.blockNumber > subscription.fromBlock && this.matches(subscription, record)) {
+                    this.enqueue(subscription, record);
+                    queued++;
+                }
+            }
+        }
+
+        if (queued > 0) {
+            this.saveSoon();
+            this.deliverDue();
+        }
+    }
+
+    /**
+     * Queue the indexed events a subscription matches from fromBlock (to toBlock, if
+     * given), marked as replays. At most REPLAY_LIMIT events are queued; nextBlock is
+     * where to continue when more remain. Rejects with error.code 'NOT_AUTHORIZED', and
+     * removes the subscription, when its signer no longer controls the filtered device.
+     */
+    async replay(id, fromBlock, toBlock) {
+        const subscription = this.subscriptions.get(id);
+        if (!(await this.isAuthorized(subscription))) {
+            this.revoke(subscription);
+            throw Object.assign(new Error('Signer no longer controls the device'), { code: 'NOT_AUTHORIZED' });
+        }
+
+        const records = this.eventIndexer.query({
+            fromBlock,
+            toBlock,
+            deviceId: subscription.deviceId || undefined,
+            owner: subscription.owner || undefined,
+            event: subscription.events ? subscription.events.join(',') : undefined,
+            limit: REPLAY_LIMIT + 1
+        }).events;
+
+        // Stop at a block boundary so continuing from nextBlock neither skips nor repeats events
+        let page = records.slice(0, REPLAY_LIMIT);
+        if (records.length > REPLAY_LIMIT) {
+            const whole = page.filter(record => record.blockNumber < records[REPLAY_LIMIT].blockNumber);
+            page = whole.length > 0 ? whole : page;
+        }
+
+        page.forEach(record => this.enqueue(subscription, record, { replay: true }));
+        this.saveSoon();
+        this.deliverDue();
+
+        return {
+            queued: page.length,
+            nextBlock: records.length > page.length ? records[page.length].blockNumber : null
+        };
+    }
+
+    enqueue(subscription, record, { replay = false } = {}) {
+        this.queue.push({
+            id: crypto.randomUUID(),
+            subscriptionId: subscription.id,
+            event: record.event,
+            replay,
+            data: record,
+            attempts: 0,
+            nextAttemptAt: Date.now(),
+            lastError: null,
+            createdAt: Date.now()
+        });
+    }
+
+    // Attempt every delivery whose retry time has come, one at a time. Device subscriptions
+    // are checked once per run; if the check itself fails, their deliveries wait for the next.
+    async deliverDue() {
+        if (this.delivering) {
+            return;
+        }
+        this.delivering = true;
+
+        try {
+            const authorized = new Map();
+            const due = this.queue.filter(d => d.nextAttemptAt <= Date.now());
+            for (const delivery of due) {
+                const subscription = this.subscriptions.get(delivery.subscriptionId);
+                if (!subscription) {
+                    continue;
+                }
+
+                if (!authorized.has(subscription.id)) {
+                    try {
+                        authorized.set(subscription.id, await this.isAuthorized(subscription));
+                    } catch (error) {
+                        authorized.set(subscription.id, null);
+                    }
+                    if (authorized.get(subscription.id) === false) {
+                        this.revoke(subscription);
+                    }
+                }
+
+                if (authorized.get(subscription.id)) {
+                    await this.attempt(subscription, delivery);
+                }
+            }
+        } finally {
+            this.delivering = false;
+        }
+    }
+
+    async attempt(subscription, delivery) {
+        const timestamp = Math.floor(Date.now() / 1000);
+        const body = JSON.stringify({
+            id: delivery.id,
+            subscriptionId: subscription.id,
+            event: delivery.event,
+            synthetic: SYNTHETIC_EVENTS.includes(delivery.event),
+            replay: delivery.replay,
+            data: delivery.data
+        });
+
+        delivery.attempts++;
+        try {
+            const response = await request(subscription.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'ThingID-Webhooks/1.0',
+                    'X-ThingID-Event': delivery.event,
+                    'X-ThingID-Delivery': delivery.id,
+                    'X-ThingID-Timestamp': String(timestamp),
+                    'X-ThingID-Signature': signPayload(subscription.secret, timestamp, body)
+                },
+                body,
+                timeout: DELIVERY_TIMEOUT,
+                maxBytes: MAX_RESPONSE_SIZE
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            this.queue = this.queue.filter(d => d.id !== delivery.id);
+            subscription.lastDeliveryAt = timestamp;
+        } catch (error) {
+            delivery.lastError = error.message;
+
+            if (delivery.attempts >= this.maxAttempts) {
+                this.queue = this.queue.filter(d => d.id !== delivery.id);
+                fs.appendFileSync(this.deadLetterFile, JSON.stringify({
+                    ...delivery,
+                    url: subscription.url,
+                    failedAt: Date.now()
+                }) + '\n');
+                console.warn(`⚠️  Webhook delivery ${delivery.id} to ${subscription.url} dead-lettered: ${error.message}`);
+            } else {
+                const delay = this.backoffBase * 2 ** (delivery.attempts - 1);
+                delivery.nextAttemptAt = Date.now() + delay;
+                setTimeout(() => this.deliverDue(), delay).unref();
+            }
+        }
+
+        this.saveSoon();
+    }
+
+    // Dead letters of a subscription, oldest first
+    deadLetters(id) {
+        if (!fs.existsSync(this.deadLetterFile)) {
+            return [];
+        }
+
+        return fs.readFileSync(this.deadLetterFile, 'utf8')
+            .split('\n')
+            .filter(line => line.trim().length > 0)
+            .map(line => JSON.parse(line))
+            .filter(letter => letter.subscriptionId === id);
+    }
+
+    // ============ PASS EXPIRY ============
+
+    // Passes still standing after the indexed grants, extensions and revocations, keyed by
+    // device and viewer. Built from the index once, then kept current from new events.
+    rebuildPasses() {
+        this.passes = new Map();
+        this.eventIndexer.query({
+            event: PASS_EVENTS.join(','),
+            limit: Number.MAX_SAFE_INTEGER
+        }).events.forEach(record => this.applyPassEvent(record));
+    }
+
+    // An extension moves the expiry of the grant it belongs to, and a transfer revokes
+    // every pass on the device
+    applyPassEvent(record) {
+        const key = `${record.deviceId}:${record.viewer}`;
+        if (record.event === 'AccessGranted') {
+            this.passes.set(key, {
+                deviceId: record.deviceId,
+                viewer: record.viewer,
+                owner: record.owner,
+                expiresAt: parseInt(record.args.expiresAt),
+                permissions: record.args.permissions,
+                grantedBy: record.args.grantedBy,
+                transactionHash: record.transactionHash
+            });
+        } else if (record.event === 'AccessExtended' && this.passes.has(key)) {
+            this.passes.get(key).expiresAt = parseInt(record.args.expiresAt);
+        } else if (record.event === 'AccessRevoked') {
+            this.passes.delete(key);
+        } else if (record.event === 'DeviceTransferred') {
+            for (const other of [...this.passes.keys()]) {
+                if (other.startsWith(`${record.deviceId}:`)) {
+                    this.passes.delete(other);
+                }
+            }
+        }
+    }
+
+    // Queue PassExpiring once a pass is within a subscription's warning window, and
+    // PassExpired once it has run out; each notice is sent once per pass expiry
+    checkExpiries() {
+        const now = Math.floor(Date.now() / 1000);
+        const watching = [...this.subscriptions.values()].filter(s =>
+            !s.events || s.events.some(event => SYNTHETIC_EVENTS.includes(event))
+        );
+        if (watching.length === 0) {
+            return;
+        }
+
+        let queued = 0;
+        for (const pass of this.passes.values()) {
+            const expiresAt = pass.expiresAt;
+            const event = expiresAt <= now ? 'PassExpired' : 'PassExpiring';
+            const record = {
+                event,
+                deviceId: pass.deviceId,
+                owner: this.eventIndexer.deviceOwners.get(pass.deviceId) || pass.owner,
+                viewer: pass.viewer,
+                expiresAt,
+                permissions: pass.permissions,
+                grantedBy: pass.grantedBy,
+                grantedInTransaction: pass.transactionHash,
+                timestamp: now
+            };
+
+            for (const subscription of watching) {
+                const key = `${subscription.id}:${pass.deviceId}:${pass.viewer}:${expiresAt}:${event}`;
+                const due = event === 'PassExpired'
+                    ? expiresAt > Math.max(subscription.createdAt, now - EXPIRED_NOTICE_WINDOW)
+                    : expiresAt - now <= subscription.expiringMinutes * 60;
+
+                if (due && !this.notices.has(key) && this.matches(subscription, record)) {
+                    const minutesLeft = Math.ceil((expiresAt - now) / 60);
+                    this.enqueue(subscription, event === 'PassExpiring' ? { ...record, minutesLeft } : record);
+                    this.notices.set(key, expiresAt);
+                    queued++;
+                }
+            }
+        }
+
+        let pruned = 0;
+        for (const [key, expiresAt] of this.notices) {
+            if (expiresAt < now - EXPIRED_NOTICE_WINDOW) {
+                this.notices.delete(key);
+                pruned++;
+            }
+        }
+
+        if (queued > 0 || pruned > 0) {
+            this.saveSoon();
+        }
+    }
+}
+
+module.exports = { WebhookDispatcher, SYNTHETIC_EVENTS, DEFAULT_EXPIRING_MINUTES, signPayload };
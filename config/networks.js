@@ -0,0 +1,99 @@
+// ThingID Network Profiles
+// Chain, RPC, explorer and contract addresses for each network the stack runs on, in one
+// place. The backend, Hardhat config and deploy script load this file with require(); the
+// frontend loads it with a <script> tag and reads window.THINGID_NETWORKS. Profile names
+// match the Hardhat network names, so `--network localhost` deploys to the localhost profile.
+//
+// deployment-info.json records one deployment per chain ID. Addresses found there take
+// precedence over the ones listed here, so redeploying does not require editing this file.
+// When a profile has a ThingIDRegistry, clients ask it for the current ThingID and
+// manufacturer registry instead, so migrating to a new version needs no edits either.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.THINGID_NETWORKS = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const PROFILES = {
+        didlab: {
+            name: 'DIDLab QBFT',
+            chainId: 252501,
+            rpcUrl: 'https://eth.didlab.org',
+            explorerUrl: 'https://explorer.didlab.org',
+            faucetUrl: 'https://faucet.didlab.org',
+            currency: { name: 'TRUST', symbol: 'TT', decimals: 18 },
+            contractAddress: '0x5A0d15B2E16b67Bf8dCbd2DfBf147d4A20e5CAC4',
+            manufacturerRegistryAddress: '',
+            thingIdRegistryAddress: '',
+            deviceMetadataAddress: '',
+            encryptedFieldsAddress: '',
+            telemetryAnchorsAddress: '',
+            backendUrl: 'http://localhost:3000',
+            seedFixtures: false
+        },
+        // Local Hardhat node (`npx hardhat node`); deploying here also seeds the testdata.md fixtures
+        localhost: {
+            name: 'Hardhat Local',
+            chainId: 31337,
+            rpcUrl: 'http://127.0.0.1:8545',
+            explorerUrl: '',
+            faucetUrl: '',
+            currency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+            contractAddress: '',
+            manufacturerRegistryAddress: '',
+            thingIdRegistryAddress: '',
+            deviceMetadataAddress: '',
+            encryptedFieldsAddress: '',
+            telemetryAnchorsAddress: '',
+            backendUrl: 'http://localhost:3000',
+            seedFixtures: true
+        }
+    };
+
+    const DEFAULT_PROFILE = 'didlab';
+
+    function getProfile(name) {
+        const profile = PROFILES[name || DEFAULT_PROFILE];
+        if (!profile) {
+            throw new Error(`Unknown network profile "${name}" (expected one of: ${Object.keys(PROFILES).join(', ')})`);
+        }
+        return profile;
+    }
+
+    // Name of the profile for a chain ID (null if there is none)
+    function profileNameByChainId(chainId) {
+        return Object.keys(PROFILES).find(name => PROFILES[name].chainId === Number(chainId)) || null;
+    }
+
+    // Deployment recorded for a chain in the contents of deployment-info.json. The file is keyed
+    // by chain ID; older files hold a single deployment with its chainId at the top level.
+    function deploymentForChain(info, chainId) {
+        if (!info) {
+            return null;
+        }
+        if (info[String(chainId)]) {
+            return info[String(chainId)];
+        }
+        return Number(info.chainId) === Number(chainId) ? info : null;
+    }
+
+    // Profile with the addresses of its recorded deployment, if any, applied
+    function resolveProfile(name, deploymentInfo) {
+        const profile = getProfile(name);
+        const deployment = deploymentForChain(deploymentInfo, profile.chainId);
+
+        return Object.assign({}, profile, deployment ? {
+            contractAddress: deployment.contractAddress,
+            manufacturerRegistryAddress: deployment.manufacturerRegistryAddress || '',
+            thingIdRegistryAddress: deployment.thingIdRegistryAddress || profile.thingIdRegistryAddress,
+            deviceMetadataAddress: deployment.deviceMetadataAddress || '',
+            encryptedFieldsAddress: deployment.encryptedFieldsAddress || '',
+            telemetryAnchorsAddress: deployment.telemetryAnchorsAddress || ''
+        } : {});
+    }
+
+    return { PROFILES, DEFAULT_PROFILE, getProfile, profileNameByChainId, deploymentForChain, resolveProfile };
+});
@@ -0,0 +1,487 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/IThingID.sol";
+
+/**
+ * @title AccessRequests - Access requests and paid access passes
+ * @notice Viewers ask for access to a device with a duration and a message. The owner, an
+ *         organization operator or a delegated admin approves the request, which grants the
+ *         pass in ThingID, or denies it; the requester can cancel while it is pending.
+ *         Owners can also list a device at a price per time unit, and viewers buy read
+ *         passes outright with purchaseAccess; earnings are withdrawn by the seller.
+ * @dev Deployed by the ThingID constructor so the core registry stays under the contract
+ *      size limit. Approvals and purchases call ThingID.grantAccess (or extendAccess) with
+ *      the approver or seller appended to the calldata, which ThingID accepts from this contract (ERC-2771
+ *      style), so the pass is checked and recorded exactly like a direct grant by them.
+ */
+contract AccessRequests {
+    
+    // ============ STRUCTS ============
+    
+    struct AccessRequest {
+        bytes32 deviceId;           // Requested device
+        address requester;          // Address asking for access
+        uint256 duration;           // Requested access duration in seconds
+        string message;             // Note from the requester to the owner
+        uint8 status;               // STATUS_*
+        uint256 requestedAt;        // When the request was made
+        uint256 decidedAt;          // When it was approved, denied or cancelled (0 while pending)
+        address decidedBy;          // Approver, denier or the cancelling requester
+    }
+    
+    struct Listing {
+        uint256 price;              // Price in wei per unit (0 when not for sale)
+        uint256 unit;               // Length of one priced time unit in seconds
+        address seller;             // Owner or organization admin who listed the device; grants and is paid
+        uint256 listedAt;           // When the current price was set
+    }
+    
+    // ============ STATE VARIABLES ============
+    
+    // ThingID registry that deployed this contract
+    IThingID public immutable thingId;
+    
+    // Mapping from request ID to AccessRequest
+    mapping(uint256 => AccessRequest) public requests;
+    
+    // Total number of requests ever made (request IDs start at 1)
+    uint256 public requestCount;
+    
+    // Mapping from device ID to all of its requests (oldest first)
+    mapping(bytes32 => uint256[]) public deviceRequests;
+    
+    // Mapping from device ID to its pending requests
+    mapping(bytes32 => uint256[]) public devicePendingRequests;
+    
+    // Mapping from requester to all of their requests (oldest first)
+    mapping(address => uint256[]) public requesterRequests;
+    
+    // Mapping from device ID to requester to their pending request (0 if none)
+    mapping(bytes32 => mapping(address => uint256)) public pendingRequestIds;
+    
+    // Mapping from device ID to its marketplace listing
+    mapping(bytes32 => Listing) public listings;
+    
+    // Mapping from device ID to its number of owners when it was listed; a transfer ends the listing
+    mapping(bytes32 => uint256) internal listingOwnerCounts;
+    
+    // Devices with a price, for enumeration
+    bytes32[] internal listedDevices;
+    
+    // Mapping from device ID to its position in listedDevices plus one (0 if unlisted)
+    mapping(bytes32 => uint256) internal listedDeviceIndex;
+    
+    // Earnings each seller can withdraw, in wei
+    mapping(address => uint256) public balances;
+    
+    // Contract metadata
+    string public constant VERSION = "1.0.0";
+    
+    // Request statuses
+    uint8 public constant STATUS_PENDING = 1;
+    uint8 public constant STATUS_APPROVED = 2;
+    uint8 public constant STATUS_DENIED = 3;
+    uint8 public constant STATUS_CANCELLED = 4;
+    
+    // Mirrors ThingID's permission bits and organization roles
+    uint8 public constant PERMISSION_READ = 1;
+    uint8 public constant PERMISSION_ADMIN = 4;
+    uint8 public constant ROLE_ADMIN = 3;
+    
+    // Longest message a request can carry, in bytes
+    uint256 public constant MAX_MESSAGE_LENGTH = 280;
+    
+    // ============ EVENTS ============
+    
+    event AccessRequested(
+        uint256 indexed requestId,
+        bytes32 indexed deviceId,
+        address indexed requester,
+        uint256 duration,
+        string message,
+        uint256 timestamp
+    );
+    
+    event AccessRequestApproved(
+        uint256 indexed requestId,
+        bytes32 indexed deviceId,
+        address indexed requester,
+        uint8 permissions,
+        address approvedBy,
+        uint256 timestamp
+    );
+    
+    event AccessRequestDenied(
+        uint256 indexed requestId,
+        bytes32 indexed deviceId,
+        address indexed requester,
+        address deniedBy,
+        uint256 timestamp
+    );
+    
+    event AccessRequestCancelled(
+        uint256 indexed requestId,
+        bytes32 indexed deviceId,
+        address indexed requester,
+        uint256 timestamp
+    );
+    
+    event AccessPriceSet(
+        bytes32 indexed deviceId,
+        address indexed seller,
+        uint256 price,
+        uint256 unit,
+        uint256 timestamp
+    );
+    
+    event AccessPurchased(
+        bytes32 indexed deviceId,
+        address indexed buyer,
+        address indexed seller,
+        uint256 duration,
+        uint256 amount,
+        uint256 timestamp
+    );
+    
+    event EarningsWithdrawn(
+        address indexed seller,
+        uint256 amount,
+        uint256 timestamp
+    );
+    
+    // ============ MODIFIERS ============
+    
+    modifier onlyPending(uint256 requestId) {
+        require(requests[requestId].status == STATUS_PENDING, "Request not pending");
+        _;
+    }
+    
+    // ============ CONSTRUCTOR ============
+    
+    constructor() {
+        thingId = IThingID(msg.sender);
+    }
+    
+    // ============ REQUESTS ============
+    
+    /**
+     * @notice Ask the owner of a device for access
+     * @dev One pending request per device and requester; cancel it to change the terms
+     * @param deviceId Device identifier
+     * @param duration Requested access duration in seconds
+     * @param message Note to the owner, at most MAX_MESSAGE_LENGTH bytes
+     * @return requestId Request identifier
+     */
+    function requestAccess(
+        bytes32 deviceId,
+        uint256 duration,
+        string memory message
+    ) external returns (uint256 requestId) {
+        IThingID.Device memory device = thingId.getDevice(deviceId);
+        require(device.isActive, "Device is not active");
+        require(device.owner != msg.sender, "Cannot request access to own device");
+        require(duration > 0 && duration <= 365 days, "Invalid duration");
+        require(bytes(message).length <= MAX_MESSAGE_LENGTH, "Message too long");
+        require(pendingRequestIds[deviceId][msg.sender] == 0, "Request already pending");
+        
+        requestId = ++requestCount;
+        requests[requestId] = AccessRequest({
+            deviceId: deviceId,
+            requester: msg.sender,
+            duration: duration,
+            message: message,
+            status: STATUS_PENDING,
+            requestedAt: block.timestamp,
+            decidedAt: 0,
+            decidedBy: address(0)
+        });
+        deviceRequests[deviceId].push(requestId);
+        devicePendingRequests[deviceId].push(requestId);
+        requesterRequests[msg.sender].push(requestId);
+        pendingRequestIds[deviceId][msg.sender] = requestId;
+        
+        emit AccessRequested(requestId, deviceId, msg.sender, duration, message, block.timestamp);
+    }
+    
+    /**
+     * @notice Approve a pending request, granting the requester a pass for the requested duration
+     * @dev Callable by whoever may grant access to the device; ThingID applies the same checks
+     *      as grantAccess, e.g. delegates cannot grant PERMISSION_ADMIN. The pass starts now.
+     * @param requestId Request identifier
+     * @param permissions Permission bitmask for the pass; must include PERMISSION_READ
+     */
+    function approveRequest(uint256 requestId, uint8 permissions) external onlyPending(requestId) {
+        AccessRequest storage request = requests[requestId];
+        _close(requestId, STATUS_APPROVED);
+        
+        _forward(
+            abi.encodeCall(IThingID.grantAccess, (request.deviceId, request.requester, request.duration, permissions)),
+            msg.sender
+        );
+        
+        emit AccessRequestApproved(
+            requestId,
+            request.deviceId,
+            request.requester,
+            permissions,
+            msg.sender,
+            block.timestamp
+        );
+    }
+    
+    /**
+     * @notice Deny a pending request
+     * @dev Callable by the owner, organization operators and admins, or a delegated admin
+     * @param requestId Request identifier
+     */
+    function denyRequest(uint256 requestId) external onlyPending(requestId) {
+        AccessRequest storage request = requests[requestId];
+        require(thingId.hasPermission(request.deviceId, msg.sender, PERMISSION_ADMIN), "Not device owner or admin");
+        
+        _close(requestId, STATUS_DENIED);
+        
+        emit AccessRequestDenied(requestId, request.deviceId, request.requester, msg.sender, block.timestamp);
+    }
+    
+    /**
+     * @notice Withdraw a pending request
+     * @param requestId Request identifier
+     */
+    function cancelRequest(uint256 requestId) external onlyPending(requestId) {
+        AccessRequest storage request = requests[requestId];
+        require(request.requester == msg.sender, "Not requester");
+        
+        _close(requestId, STATUS_CANCELLED);
+        
+        emit AccessRequestCancelled(requestId, request.deviceId, msg.sender, block.timestamp);
+    }
+    
+    // ============ MARKETPLACE ============
+    
+    /**
+     * @notice List a device for sale, change its price, or take it off sale
+     * @dev Callable by the owner, or an admin of the owning organization, who becomes the
+     *      seller. Passes already sold keep their expiry; a purchase must pay the price at
+     *      the time it is mined, so a price change makes purchases in flight revert. The
+     *      listing ends when the device is transferred, even if it returns to the seller.
+     * @param deviceId Device identifier
+     * @param price Price in wei per unit; 0 takes the device off sale
+     * @param unit Length of one unit in seconds (e.g. 3600 for a price per hour)
+     */
+    function setAccessPrice(bytes32 deviceId, uint256 price, uint256 unit) external {
+        require(thingId.isOwnerOrMember(deviceId, msg.sender, ROLE_ADMIN), "Not device owner");
+        
+        if (price == 0) {
+            delete listings[deviceId];
+            delete listingOwnerCounts[deviceId];
+            _unlist(deviceId);
+        } else {
+            require(unit > 0 && unit <= 365 days, "Invalid unit");
+            listings[deviceId] = Listing({
+                price: price,
+                unit: unit,
+                seller: msg.sender,
+                listedAt: block.timestamp
+            });
+            listingOwnerCounts[deviceId] = thingId.getOwnershipHistory(deviceId).length;
+            if (listedDeviceIndex[deviceId] == 0) {
+                listedDevices.push(deviceId);
+                listedDeviceIndex[deviceId] = listedDevices.length;
+            }
+        }
+        
+        emit AccessPriceSet(deviceId, msg.sender, price, unit, block.timestamp);
+    }
+    
+    /**
+     * @notice Buy read access to a listed device
+     * @dev Pays exactly price * duration / unit. The seller grants the pass through
+     *      ThingID.grantAccess, so it is recorded like any other pass. Buying while holding
+     *      an unexpired pass extends it through ThingID.extendAccess, keeping its pass ID and
+     *      permissions; passes last at most 365 days.
+     * @param deviceId Device identifier
+     * @param duration Access duration in seconds, a whole number of units
+     */
+    function purchaseAccess(bytes32 deviceId, uint256 duration) external payable {
+        require(isForSale(deviceId), "Device not for sale");
+        
+        Listing memory listing = listings[deviceId];
+        require(duration > 0 && duration % listing.unit == 0, "Invalid duration");
+        require(msg.value == listing.price * (duration / listing.unit), "Incorrect payment");
+        
+        balances[listing.seller] += msg.value;
+        if (thingId.viewerAccess(deviceId, msg.sender) > block.timestamp) {
+            _forward(abi.encodeCall(IThingID.extendAccess, (deviceId, msg.sender, duration)), listing.seller);
+        } else {
+            _forward(abi.encodeCall(IThingID.grantAccess, (deviceId, msg.sender, duration, PERMISSION_READ)), listing.seller);
+        }
+        
+        emit AccessPurchased(deviceId, msg.sender, listing.seller, duration, msg.value, block.timestamp);
+    }
+    
+    /**
+     * @notice Withdraw the caller's marketplace earnings
+     */
+    function withdraw() external {
+        uint256 amount = balances[msg.sender];
+        require(amount > 0, "Nothing to withdraw");
+        
+        balances[msg.sender] = 0;
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "Withdrawal failed");
+        
+        emit EarningsWithdrawn(msg.sender, amount, block.timestamp);
+    }
+    
+    // ============ VIEW FUNCTIONS ============
+    
+    /**
+     * @notice Get request details
+     * @param requestId Request identifier
+     * @return AccessRequest struct
+     */
+    function getRequest(uint256 requestId) external view returns (AccessRequest memory) {
+        require(requests[requestId].status != 0, "Request does not exist");
+        return requests[requestId];
+    }
+    
+    /**
+     * @notice Get the pending requests for a device (an owner's inbox, per device)
+     * @param deviceId Device identifier
+     * @return requestIds Request identifiers
+     * @return page Request of each identifier
+     */
+    function getPendingRequests(bytes32 deviceId)
+        external
+        view
+        returns (uint256[] memory requestIds, AccessRequest[] memory page)
+    {
+        return _describe(devicePendingRequests[deviceId]);
+    }
+    
+    /**
+     * @notice Get every request made for a device, oldest first
+     * @param deviceId Device identifier
+     * @return requestIds Request identifiers
+     * @return page Request of each identifier
+     */
+    function getDeviceRequests(bytes32 deviceId)
+        external
+        view
+        returns (uint256[] memory requestIds, AccessRequest[] memory page)
+    {
+        return _describe(deviceRequests[deviceId]);
+    }
+    
+    /**
+     * @notice Get every request made by an address, oldest first (a viewer's outbox)
+     * @param requester Requester address
+     * @return requestIds Request identifiers
+     * @return page Request of each identifier
+     */
+    function getRequesterRequests(address requester)
+        external
+        view
+        returns (uint256[] memory requestIds, AccessRequest[] memory page)
+    {
+        return _describe(requesterRequests[requester]);
+    }
+    
+    /**
+     * @notice Check whether a device's listing can be bought
+     * @dev False once the device has been transferred since it was listed, or when the seller
+     *      is no longer the owner or an admin of the owning organization
+     * @param deviceId Device identifier
+     * @return bool True if purchaseAccess would accept a correct payment
+     */
+    function isForSale(bytes32 deviceId) public view returns (bool) {
+        Listing storage listing = listings[deviceId];
+        return listing.price > 0 &&
+            thingId.getOwnershipHistory(deviceId).length == listingOwnerCounts[deviceId] &&
+            thingId.isOwnerOrMember(deviceId, listing.seller, ROLE_ADMIN);
+    }
+    
+    /**
+     * @notice Get every device with a price, and its listing
+     * @dev Includes listings ended by a transfer or whose seller has lost admin rights;
+     *      isForSale tells which ones can still be bought
+     * @return deviceIds Listed devices
+     * @return page Listing of each device
+     */
+    function getListings() external view returns (bytes32[] memory deviceIds, Listing[] memory page) {
+        deviceIds = listedDevices;
+        page = new Listing[](deviceIds.length);
+        for (uint256 i = 0; i < deviceIds.length; i++) {
+            page[i] = listings[deviceIds[i]];
+        }
+    }
+    
+    // ============ INTERNAL FUNCTIONS ============
+    
+    /**
+     * @dev Call ThingID on behalf of sender (appended for ThingID's _msgSender), bubbling up
+     *      its revert reason
+     */
+    function _forward(bytes memory data, address sender) internal {
+        (bool success, bytes memory result) = address(thingId).call(abi.encodePacked(data, sender));
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+    }
+    
+    /**
+     * @dev Remove a device from listedDevices (swap and pop)
+     */
+    function _unlist(bytes32 deviceId) internal {
+        uint256 index = listedDeviceIndex[deviceId];
+        if (index == 0) {
+            return;
+        }
+        
+        bytes32 last = listedDevices[listedDevices.length - 1];
+        listedDevices[index - 1] = last;
+        listedDeviceIndex[last] = index;
+        listedDevices.pop();
+        delete listedDeviceIndex[deviceId];
+    }
+    
+    /**
+     * @dev Record the decision and drop the request from the pending indexes
+     */
+    function _close(uint256 requestId, uint8 status) internal {
+        AccessRequest storage request = requests[requestId];
+        request.status = status;
+        request.decidedAt = block.timestamp;
+        request.decidedBy = msg.sender;
+        
+        delete pendingRequestIds[request.deviceId][request.requester];
+        
+        uint256[] storage pending = devicePendingRequests[request.deviceId];
+        for (uint256 i = 0; i < pending.length; i++) {
+            if (pending[i] == requestId) {
+                pending[i] = pending[pending.length - 1];
+                pending.pop();
+                break;
+            }
+        }
+    }
+    
+    /**
+     * @dev Load the requests for a list of IDs
+     */
+    function _describe(uint256[] storage ids)
+        internal
+        view
+        returns (uint256[] memory requestIds, AccessRequest[] memory page)
+    {
+        requestIds = ids;
+        page = new AccessRequest[](ids.length);
+        for (uint256 i = 0; i < ids.length; i++) {
+            page[i] = requests[ids[i]];
+        }
+    }
+}
+    
\ No newline at end of file
@@ -0,0 +1,502 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/IThingID.sol";
+
+/**
+ * @title DeviceGroups - Named device groups with group-level access passes
+ * @notice Owners group their devices (e.g. "Building A - Floor 2") and grant, extend or
+ *         revoke access for every device in a group in one transaction. ThingID consults
+ *         the group passes in hasAccess and hasPermission.
+ * @dev Deployed by the ThingID constructor so the core registry stays under the contract
+ *      size limit. ThingID removes a device from all of its groups when the device is
+ *      transferred, so group passes never follow it to a new owner or back to an old one.
+ */
+contract DeviceGroups {
+    
+    // ============ STRUCTS ============
+    
+    struct Group {
+        string name;                // Group name
+        address owner;              // Personal or organization account owning the devices
+        uint256 createdAt;          // Creation timestamp
+        bool exists;                // False once the group is deleted
+    }
+    
+    struct GroupPass {
+        uint256 grantedAt;          // When the pass was granted
+        uint256 expiresAt;          // When the pass expires
+        uint8 permissions;          // Permission bitmask (PERMISSION_READ | PERMISSION_CONTROL)
+        address grantedBy;          // Owner or organization member who granted the pass
+    }
+    
+    // ============ STATE VARIABLES ============
+    
+    // ThingID registry that deployed this contract
+    IThingID public immutable thingId;
+    
+    // Mapping from group ID to Group
+    mapping(uint256 => Group) public groups;
+    
+    // Total number of groups ever created (group IDs start at 1)
+    uint256 public groupCount;
+    
+    // Mapping from group ID to its devices
+    mapping(uint256 => bytes32[]) public groupDevices;
+    
+    // Mapping from group ID to device ID to membership
+    mapping(uint256 => mapping(bytes32 => bool)) public isGroupDevice;
+    
+    // Mapping from device ID to the groups it belongs to
+    mapping(bytes32 => uint256[]) public deviceGroupIds;
+    
+    // Mapping from owner address to its groups
+    mapping(address => uint256[]) public ownerGroups;
+    
+    // Mapping from group ID to viewer to their group pass
+    mapping(uint256 => mapping(address => GroupPass)) public groupPasses;
+    
+    // Mapping from group ID to viewers holding a pass, for enumeration
+    mapping(uint256 => address[]) public groupViewers;
+    
+    // Contract metadata
+    string public constant VERSION = "1.0.0";
+    
+    // Mirrors ThingID's permission bits and organization roles
+    uint8 public constant PERMISSION_READ = 1;
+    uint8 public constant PERMISSION_CONTROL = 2;
+    uint8 public constant ROLE_OPERATOR = 2;
+    
+    // Maximum number of devices added or removed in one call
+    uint256 public constant MAX_BATCH_SIZE = 50;
+    
+    // Maximum number of groups a device can belong to, bounding access checks
+    uint256 public constant MAX_GROUPS_PER_DEVICE = 16;
+    
+    // Maximum number of devices and pass holders in one group, bounding deleteGroup
+    uint256 public constant MAX_GROUP_DEVICES = 100;
+    uint256 public constant MAX_GROUP_VIEWERS = 100;
+    
+    // ============ EVENTS ============
+    
+    event GroupCreated(
+        uint256 indexed groupId,
+        string name,
+        address indexed owner,
+        address createdBy,
+        uint256 timestamp
+    );
+    
+    event GroupRenamed(
+        uint256 indexed groupId,
+        string name,
+        uint256 timestamp
+    );
+    
+    event GroupDeleted(
+        uint256 indexed groupId,
+        uint256 timestamp
+    );
+    
+    event GroupDeviceAdded(
+        uint256 indexed groupId,
+        bytes32 indexed deviceId,
+        uint256 timestamp
+    );
+    
+    event GroupDeviceRemoved(
+        uint256 indexed groupId,
+        bytes32 indexed deviceId,
+        uint256 timestamp
+    );
+    
+    event GroupAccessGranted(
+        uint256 indexed groupId,
+        address indexed viewer,
+        uint256 expiresAt,
+        uint8 permissions,
+        address indexed grantedBy,
+        uint256 timestamp
+    );
+    
+    event GroupAccessExtended(
+        uint256 indexed groupId,
+        address indexed viewer,
+        uint256 expiresAt,
+        address indexed extendedBy,
+        uint256 timestamp
+    );
+    
+    event GroupAccessRevoked(
+        uint256 indexed groupId,
+        address indexed viewer,
+        address indexed revokedBy,
+        uint256 timestamp
+    );
+    
+    // ============ MODIFIERS ============
+    
+    modifier onlyGroupManager(uint256 groupId) {
+        require(groups[groupId].exists, "Group does not exist");
+        require(_canManage(groups[groupId].owner, msg.sender), "Not group owner");
+        _;
+    }
+    
+    // ============ CONSTRUCTOR ============
+    
+    constructor() {
+        thingId = IThingID(msg.sender);
+    }
+    
+    // ============ GROUP MANAGEMENT ============
+    
+    /**
+     * @notice Create an empty device group
+     * @dev Organization operators and admins can create groups owned by the organization account
+     * @param name Group name
+     * @param owner Owner of the grouped devices: the caller or an organization account
+     * @return groupId Group identifier
+     */
+    function createGroup(string memory name, address owner) external returns (uint256 groupId) {
+        require(bytes(name).length > 0, "Name cannot be empty");
+        require(_canManage(owner, msg.sender), "Not owner or organization operator");
+        
+        groupId = ++groupCount;
+        groups[groupId] = Group({
+            name: name,
+            owner: owner,
+            createdAt: block.timestamp,
+            exists: true
+        });
+        ownerGroups[owner].push(groupId);
+        
+        emit GroupCreated(groupId, name, owner, msg.sender, block.timestamp);
+    }
+    
+    /**
+     * @notice Rename a group
+     * @param groupId Group identifier
+     * @param name New group name
+     */
+    function renameGroup(uint256 groupId, string memory name) external onlyGroupManager(groupId) {
+        require(bytes(name).length > 0, "Name cannot be empty");
+        
+        groups[groupId].name = name;
+        
+        emit GroupRenamed(groupId, name, block.timestamp);
+    }
+    
+    /**
+     * @notice Delete a group, removing its devices and revoking its passes
+     * @dev Bounded by MAX_GROUP_DEVICES and MAX_GROUP_VIEWERS
+     * @param groupId Group identifier
+     */
+    function deleteGroup(uint256 groupId) external onlyGroupManager(groupId) {
+        bytes32[] storage members = groupDevices[groupId];
+        while (members.length > 0) {
+            _removeDevice(groupId, members[members.length - 1]);
+        }
+        
+        address[] storage viewers = groupViewers[groupId];
+        while (viewers.length > 0) {
+            _revokePass(groupId, viewers[viewers.length - 1]);
+        }
+        
+        groups[groupId].exists = false;
+        _removeGroupId(ownerGroups[groups[groupId].owner], groupId);
+        
+        emit GroupDeleted(groupId, block.timestamp);
+    }
+    
+    /**
+     * @notice Add devices to a group
+     * @dev Every device must be owned by the group owner. Devices already in the group are
+     *      skipped. A group holds at most MAX_GROUP_DEVICES devices.
+     * @param groupId Group identifier
+     * @param deviceIds Devices to add
+     */
+    function addDevices(uint256 groupId, bytes32[] memory deviceIds) external onlyGroupManager(groupId) {
+        require(deviceIds.length > 0 && deviceIds.length <= MAX_BATCH_SIZE, "Invalid batch size");
+        
+        address owner = groups[groupId].owner;
+        for (uint256 i = 0; i < deviceIds.length; i++) {
+            bytes32 deviceId = deviceIds[i];
+            require(thingId.getDevice(deviceId).owner == owner, "Device not owned by group owner");
+            if (isGroupDevice[groupId][deviceId]) {
+                continue;
+            }
+            
+            require(deviceGroupIds[deviceId].length < MAX_GROUPS_PER_DEVICE, "Device is in too many groups");
+            require(groupDevices[groupId].length < MAX_GROUP_DEVICES, "Group is full");
+            
+            isGroupDevice[groupId][deviceId] = true;
+            groupDevices[groupId].push(deviceId);
+            deviceGroupIds[deviceId].push(groupId);
+            
+            emit GroupDeviceAdded(groupId, deviceId, block.timestamp);
+        }
+    }
+    
+    /**
+     * @notice Remove devices from a group
+     * @dev Devices that are not in the group are skipped
+     * @param groupId Group identifier
+     * @param deviceIds Devices to remove
+     */
+    function removeDevices(uint256 groupId, bytes32[] memory deviceIds) external onlyGroupManager(groupId) {
+        require(deviceIds.length > 0 && deviceIds.length <= MAX_BATCH_SIZE, "Invalid batch size");
+        
+        for (uint256 i = 0; i < deviceIds.length; i++) {
+            if (isGroupDevice[groupId][deviceIds[i]]) {
+                _removeDevice(groupId, deviceIds[i]);
+            }
+        }
+    }
+    
+    /**
+     * @notice Remove a device from every group it is in
+     * @dev Called by ThingID when the device is transferred; a device is in at most
+     *      MAX_GROUPS_PER_DEVICE groups
+     * @param deviceId Device identifier
+     */
+    function releaseDevice(bytes32 deviceId) external {
+        require(msg.sender == address(thingId), "Not ThingID");
+        
+        uint256[] storage ids = deviceGroupIds[deviceId];
+        while (ids.length > 0) {
+            _removeDevice(ids[ids.length - 1], deviceId);
+        }
+    }
+    
+    // ============ GROUP ACCESS ============
+    
+    /**
+     * @notice Grant time-limited access to every device in a group
+     * @dev Replaces any existing pass the viewer holds for the group. Group passes cannot
+     *      carry PERMISSION_ADMIN; delegating pass management stays per device. A group has
+     *      at most MAX_GROUP_VIEWERS pass holders; revoke passes to make room.
+     * @param groupId Group identifier
+     * @param viewer Address to grant access to
+     * @param duration Access duration in seconds
+     * @param permissions PERMISSION_READ, optionally with PERMISSION_CONTROL
+     */
+    function grantGroupAccess(
+        uint256 groupId,
+        address viewer,
+        uint256 duration,
+        uint8 permissions
+    ) external onlyGroupManager(groupId) {
+        require(viewer != address(0), "Invalid viewer address");
+        require(viewer != msg.sender && viewer != groups[groupId].owner, "Cannot grant access to self");
+        require(duration > 0 && duration <= 365 days, "Invalid duration");
+        require(
+            permissions & PERMISSION_READ != 0 && permissions <= (PERMISSION_READ | PERMISSION_CONTROL),
+            "Invalid permissions"
+        );
+        
+        if (groupPasses[groupId][viewer].grantedAt == 0) {
+            require(groupViewers[groupId].length < MAX_GROUP_VIEWERS, "Group has too many viewers");
+            groupViewers[groupId].push(viewer);
+        }
+        
+        uint256 expiresAt = block.timestamp + duration;
+        groupPasses[groupId][viewer] = GroupPass({
+            grantedAt: block.timestamp,
+            expiresAt: expiresAt,
+            permissions: permissions,
+            grantedBy: msg.sender
+        });
+        
+        emit GroupAccessGranted(groupId, viewer, expiresAt, permissions, msg.sender, block.timestamp);
+    }
+    
+    /**
+     * @notice Extend a viewer's group pass, keeping its permissions
+     * @dev An expired pass is renewed from now
+     * @param groupId Group identifier
+     * @param viewer Pass holder
+     * @param additionalDuration Seconds to add to the pass
+     */
+    function extendGroupAccess(
+        uint256 groupId,
+        address viewer,
+        uint256 additionalDuration
+    ) external onlyGroupManager(groupId) {
+        GroupPass storage pass = groupPasses[groupId][viewer];
+        require(pass.grantedAt != 0, "No group pass");
+        require(additionalDuration > 0, "Invalid duration");
+        
+        uint256 from = pass.expiresAt > block.timestamp ? pass.expiresAt : block.timestamp;
+        require(from + additionalDuration <= block.timestamp + 365 days, "Invalid duration");
+        
+        pass.expiresAt = from + additionalDuration;
+        
+        emit GroupAccessExtended(groupId, viewer, pass.expiresAt, msg.sender, block.timestamp);
+    }
+    
+    /**
+     * @notice Revoke a viewer's group pass
+     * @param groupId Group identifier
+     * @param viewer Pass holder
+     */
+    function revokeGroupAccess(uint256 groupId, address viewer) external onlyGroupManager(groupId) {
+        require(groupPasses[groupId][viewer].grantedAt != 0, "No group pass");
+        
+        _revokePass(groupId, viewer);
+    }
+    
+    // ============ VIEW FUNCTIONS ============
+    
+    /**
+     * @notice Find the unexpired group pass that gives a viewer a permission on a device
+     * @dev Only groups owned by the current device owner count; ThingID passes the owner in
+     * @param deviceId Device identifier
+     * @param owner Current device owner
+     * @param viewer Address to check
+     * @param permission Permission bitmask (PERMISSION_*) to require
+     * @return expiresAt Expiration of the longest-lasting matching pass (0 if none)
+     * @return groupId Group of that pass (0 if none)
+     */
+    function groupAccessExpiration(
+        bytes32 deviceId,
+        address owner,
+        address viewer,
+        uint8 permission
+    ) external view returns (uint256 expiresAt, uint256 groupId) {
+        uint256[] storage ids = deviceGroupIds[deviceId];
+        for (uint256 i = 0; i < ids.length; i++) {
+            if (groups[ids[i]].owner != owner) {
+                continue;
+            }
+            
+            GroupPass storage pass = groupPasses[ids[i]][viewer];
+            if (pass.expiresAt > block.timestamp && pass.expiresAt > expiresAt &&
+                pass.permissions & permission == permission) {
+                expiresAt = pass.expiresAt;
+                groupId = ids[i];
+            }
+        }
+    }
+    
+    /**
+     * @notice Get group details
+     * @param groupId Group identifier
+     * @return Group struct
+     */
+    function getGroup(uint256 groupId) external view returns (Group memory) {
+        require(groups[groupId].exists, "Group does not exist");
+        return groups[groupId];
+    }
+    
+    /**
+     * @notice Get the devices in a group
+     * @param groupId Group identifier
+     * @return Array of device IDs
+     */
+    function getGroupDevices(uint256 groupId) external view returns (bytes32[] memory) {
+        return groupDevices[groupId];
+    }
+    
+    /**
+     * @notice Get the groups a device belongs to
+     * @param deviceId Device identifier
+     * @return Array of group IDs
+     */
+    function getDeviceGroups(bytes32 deviceId) external view returns (uint256[] memory) {
+        return deviceGroupIds[deviceId];
+    }
+    
+    /**
+     * @notice Get the groups owned by an address
+     * @param owner Personal or organization account
+     * @return Array of group IDs
+     */
+    function getOwnerGroups(address owner) external view returns (uint256[] memory) {
+        return ownerGroups[owner];
+    }
+    
+    /**
+     * @notice Get the passes granted for a group, including expired ones
+     * @param groupId Group identifier
+     * @return viewers Pass holders
+     * @return passes Pass of each holder
+     */
+    function getGroupPasses(uint256 groupId)
+        external
+        view
+        returns (address[] memory viewers, GroupPass[] memory passes)
+    {
+        viewers = groupViewers[groupId];
+        passes = new GroupPass[](viewers.length);
+        for (uint256 i = 0; i < viewers.length; i++) {
+            passes[i] = groupPasses[groupId][viewers[i]];
+        }
+    }
+    
+    // ============ INTERNAL FUNCTIONS ============
+    
+    /**
+     * @dev True if account is the owner, or an operator or admin of the owner's organization
+     */
+    function _canManage(address owner, address account) internal view returns (bool) {
+        if (owner == account) {
+            return true;
+        }
+        
+        // Personal owners map to organization 0, which has no members
+        return thingId.memberRoles(thingId.accountOrganization(owner), account) >= ROLE_OPERATOR;
+    }
+    
+    /**
+     * @dev Remove a device from a group and the group from the device's list. Searches from
+     *      the end, so deleteGroup's removal of the last device is constant time.
+     */
+    function _removeDevice(uint256 groupId, bytes32 deviceId) internal {
+        isGroupDevice[groupId][deviceId] = false;
+        
+        bytes32[] storage members = groupDevices[groupId];
+        for (uint256 i = members.length; i > 0; i--) {
+            if (members[i - 1] == deviceId) {
+                members[i - 1] = members[members.length - 1];
+                members.pop();
+                break;
+            }
+        }
+        _removeGroupId(deviceGroupIds[deviceId], groupId);
+        
+        emit GroupDeviceRemoved(groupId, deviceId, block.timestamp);
+    }
+    
+    /**
+     * @dev Delete a viewer's group pass and drop them from the viewer list, searching from
+     *      the end like _removeDevice
+     */
+    function _revokePass(uint256 groupId, address viewer) internal {
+        delete groupPasses[groupId][viewer];
+        
+        address[] storage viewers = groupViewers[groupId];
+        for (uint256 i = viewers.length; i > 0; i--) {
+            if (viewers[i - 1] == viewer) {
+                viewers[i - 1] = viewers[viewers.length - 1];
+                viewers.pop();
+                break;
+            }
+        }
+        
+        emit GroupAccessRevoked(groupId, viewer, msg.sender, block.timestamp);
+    }
+    
+    /**
+     * @dev Remove a group ID from a list (swap and pop)
+     */
+    function _removeGroupId(uint256[] storage list, uint256 value) internal {
+        for (uint256 i = 0; i < list.length; i++) {
+            if (list[i] == value) {
+                list[i] = list[list.length - 1];
+                list.pop();
+                return;
+            }
+        }
+    }
+}
+    
\ No newline at end of file
@@ -0,0 +1,156 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/IThingID.sol";
+
+/**
+ * @title DeviceMetadata - Versioned off-chain metadata documents for ThingID devices
+ * @notice Owners attach a metadata URI and the keccak256 hash of the document behind it to a
+ *         device: firmware version, calibration certificates, capabilities, network
+ *         interfaces and whatever else the device type's schema allows. Every update adds a
+ *         version, and earlier versions stay on chain, so any past document can be checked
+ *         against the hash it was published with.
+ * @dev Kept separate from ThingID so the core registry stays under the contract size limit
+ */
+contract DeviceMetadata {
+    
+    // ============ STRUCTS ============
+    
+    struct MetadataVersion {
+        string uri;                 // Where the document can be fetched
+        bytes32 contentHash;        // keccak256 of the document bytes
+        address updatedBy;          // Owner or organization member who published the version
+        uint256 updatedAt;          // When the version was published
+    }
+    
+    // ============ STATE VARIABLES ============
+    
+    // ThingID registry the devices live in
+    IThingID public immutable thingId;
+    
+    // Account that may import history from a previous deployment (zero once finalized)
+    address public migrator;
+    
+    // Mapping from device ID to its metadata versions (version N is at index N - 1)
+    mapping(bytes32 => MetadataVersion[]) internal metadataVersions;
+    
+    // Contract metadata
+    string public constant VERSION = "1.0.0";
+    
+    // Mirrors ThingID's organization roles
+    uint8 public constant ROLE_OPERATOR = 2;
+    
+    // Longest metadata URI, in bytes
+    uint256 public constant MAX_URI_LENGTH = 256;
+    
+    // ============ EVENTS ============
+    
+    event MetadataUpdated(
+        bytes32 indexed deviceId,
+        uint256 indexed version,
+        string uri,
+        bytes32 contentHash,
+        address indexed updatedBy,
+        uint256 timestamp
+    );
+    
+    event MigrationFinalized(
+        address indexed migrator,
+        uint256 timestamp
+    );
+    
+    // ============ CONSTRUCTOR ============
+    
+    constructor(address _thingId) {
+        require(_thingId != address(0), "Invalid ThingID address");
+        thingId = IThingID(_thingId);
+        migrator = msg.sender;
+    }
+    
+    // ============ METADATA ============
+    
+    /**
+     * @notice Publish a new metadata version for a device
+     * @dev Callable by the owner, or an operator or admin of the owning organization
+     * @param deviceId ThingID device identifier
+     * @param uri Where the document can be fetched (https://, ipfs:// or a content store URL)
+     * @param contentHash keccak256 of the document bytes
+     * @return version Number of the new version (the first is 1)
+     */
+    function setMetadata(bytes32 deviceId, string calldata uri, bytes32 contentHash)
+        external
+        returns (uint256 version)
+    {
+        require(thingId.isOwnerOrMember(deviceId, msg.sender, ROLE_OPERATOR), "Not device owner");
+        require(bytes(uri).length > 0 && bytes(uri).length <= MAX_URI_LENGTH, "Invalid metadata URI");
+        require(contentHash != bytes32(0), "Invalid content hash");
+        
+        metadataVersions[deviceId].push(MetadataVersion({
+            uri: uri,
+            contentHash: contentHash,
+            updatedBy: msg.sender,
+            updatedAt: block.timestamp
+        }));
+        version = metadataVersions[deviceId].length;
+        
+        emit MetadataUpdated(deviceId, version, uri, contentHash, msg.sender, block.timestamp);
+    }
+    
+    // ============ MIGRATION ============
+    
+    /**
+     * @notice Copy a device's metadata history from the previous deployment
+     * @dev Only the migrator can import, only into devices without metadata, and only until
+     *      finalizeMigration is called
+     * @param deviceId ThingID device identifier
+     * @param versions Metadata versions, oldest first
+     */
+    function importMetadata(bytes32 deviceId, MetadataVersion[] calldata versions) external {
+        require(migrator != address(0) && msg.sender == migrator, "Not migrator");
+        require(metadataVersions[deviceId].length == 0, "Metadata already imported");
+        
+        for (uint256 i = 0; i < versions.length; i++) {
+            metadataVersions[deviceId].push(versions[i]);
+        }
+    }
+    
+    /**
+     * @notice Close the import path for good
+     * @dev Fresh deployments call this straight away; migrations call it after the import
+     */
+    function finalizeMigration() external {
+        require(migrator != address(0) && msg.sender == migrator, "Not migrator");
+        
+        emit MigrationFinalized(migrator, block.timestamp);
+        migrator = address(0);
+    }
+    
+    // ============ VIEW FUNCTIONS ============
+    
+    /**
+     * @notice Get a device's current metadata
+     * @param deviceId ThingID device identifier
+     * @return latest Latest version (empty if the device has no metadata)
+     * @return version Number of the latest version (0 if the device has no metadata)
+     */
+    function getMetadata(bytes32 deviceId)
+        external
+        view
+        returns (MetadataVersion memory latest, uint256 version)
+    {
+        version = metadataVersions[deviceId].length;
+        if (version > 0) {
+            latest = metadataVersions[deviceId][version - 1];
+        }
+    }
+    
+    /**
+     * @notice Get every metadata version of a device
+     * @param deviceId ThingID device identifier
+     * @return MetadataVersion[] Versions, oldest first
+     */
+    function getMetadataHistory(bytes32 deviceId) external view returns (MetadataVersion[] memory) {
+        return metadataVersions[deviceId];
+    }
+}
+    
\ No newline at end of file
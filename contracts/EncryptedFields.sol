@@ -0,0 +1,311 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/IThingID.sol";
+
+/**
+ * @title EncryptedFields - Private device fields readable only by authorized parties
+ * @notice Owners can keep a device's serial number and location out of the public
+ *         registry; the device public key stays on chain, where signed requests and key
+ *         rotation read it. The fields are encrypted off chain with a random content key and
+ *         stored here as ciphertext; the content key is wrapped (ECIES over secp256k1) to the
+ *         registered encryption key of each party allowed to read it: the owner, organization
+ *         members and viewers holding a pass. Re-encrypting under a new content key starts a
+ *         new key version, which is how revoked viewers are cut off from later updates.
+ * @dev Kept separate from ThingID so the core registry stays under the contract size limit.
+ *      The contract never sees a content key; it only checks who a wrapped key is for.
+ */
+contract EncryptedFields {
+    
+    // ============ STRUCTS ============
+    
+    struct EncryptedRecord {
+        bytes ciphertext;           // AES-256-GCM encrypted fields (empty when cleared)
+        uint256 keyVersion;         // Content key generation; increases on every re-key
+        address updatedBy;          // Owner or organization member who encrypted this version
+        uint256 updatedAt;          // When this version was stored
+    }
+    
+    struct WrappedKey {
+        address recipient;          // Party the content key is wrapped for
+        bytes wrappedKey;           // Ephemeral public key, IV and encrypted content key
+    }
+    
+    // ============ STATE VARIABLES ============
+    
+    // ThingID registry the devices live in
+    IThingID public immutable thingId;
+    
+    // Account that may import state from a previous deployment (zero once finalized)
+    address public migrator;
+    
+    // Mapping from account to its encryption public key (33 byte compressed secp256k1)
+    mapping(address => bytes) public encryptionKeys;
+    
+    // Mapping from device ID to its encrypted fields
+    mapping(bytes32 => EncryptedRecord) internal records;
+    
+    // Mapping from device ID to key version to recipient to wrapped content key
+    mapping(bytes32 => mapping(uint256 => mapping(address => bytes))) internal wrappedKeys;
+    
+    // Mapping from device ID to key version to the recipients of that version
+    mapping(bytes32 => mapping(uint256 => address[])) internal keyRecipients;
+    
+    // Contract metadata
+    string public constant VERSION = "1.0.0";
+    
+    // Mirrors ThingID's permission bits and organization roles
+    uint8 public constant PERMISSION_READ = 1;
+    uint8 public constant ROLE_OPERATOR = 2;
+    
+    // Size limits, in bytes
+    uint256 public constant MAX_CIPHERTEXT_LENGTH = 2048;
+    uint256 public constant ENCRYPTION_KEY_LENGTH = 33;
+    uint256 public constant WRAPPED_KEY_LENGTH = 93;
+    
+    // Most recipients a single call can wrap for
+    uint256 public constant MAX_RECIPIENTS = 50;
+    
+    // ============ EVENTS ============
+    
+    event EncryptionKeyRegistered(
+        address indexed account,
+        bytes publicKey,
+        uint256 timestamp
+    );
+    
+    event FieldsEncrypted(
+        bytes32 indexed deviceId,
+        uint256 indexed keyVersion,
+        address indexed updatedBy,
+        uint256 recipients,
+        uint256 timestamp
+    );
+    
+    event KeyShared(
+        bytes32 indexed deviceId,
+        uint256 indexed keyVersion,
+        address indexed recipient,
+        address sharedBy,
+        uint256 timestamp
+    );
+    
+    event FieldsCleared(
+        bytes32 indexed deviceId,
+        address indexed clearedBy,
+        uint256 timestamp
+    );
+    
+    event MigrationFinalized(
+        address indexed migrator,
+        uint256 timestamp
+    );
+    
+    // ============ MODIFIERS ============
+    
+    modifier onlyDeviceOwner(bytes32 deviceId) {
+        require(thingId.isOwnerOrMember(deviceId, msg.sender, ROLE_OPERATOR), "Not device owner");
+        _;
+    }
+    
+    modifier onlyMigrator() {
+        require(migrator != address(0) && msg.sender == migrator, "Not migrator");
+        _;
+    }
+    
+    // ============ CONSTRUCTOR ============
+    
+    constructor(address _thingId) {
+        require(_thingId != address(0), "Invalid ThingID address");
+        thingId = IThingID(_thingId);
+        migrator = msg.sender;
+    }
+    
+    // ============ ENCRYPTION KEYS ============
+    
+    /**
+     * @notice Register or replace the caller's encryption public key
+     * @dev Keys wrapped to a replaced key stay readable only with the old private key;
+     *      the owner has to share them again
+     * @param publicKey 33 byte compressed secp256k1 public key
+     */
+    function registerEncryptionKey(bytes calldata publicKey) external {
+        require(
+            publicKey.length == ENCRYPTION_KEY_LENGTH && (publicKey[0] == 0x02 || publicKey[0] == 0x03),
+            "Invalid encryption key"
+        );
+        
+        encryptionKeys[msg.sender] = publicKey;
+        
+        emit EncryptionKeyRegistered(msg.sender, publicKey, block.timestamp);
+    }
+    
+    // ============ ENCRYPTED FIELDS ============
+    
+    /**
+     * @notice Store newly encrypted fields under a new content key
+     * @dev Callable by the owner, or an operator or admin of the owning organization. Every
+     *      recipient must have read access to the device. Wrapped keys of earlier versions
+     *      are not carried over, so this is also how a device is re-keyed after a revocation.
+     * @param deviceId ThingID device identifier
+     * @param ciphertext Fields encrypted with the new content key
+     * @param keys New content key wrapped for each recipient
+     * @return keyVersion Number of the new key version (the first is 1)
+     */
+    function setEncryptedFields(bytes32 deviceId, bytes calldata ciphertext, WrappedKey[] calldata keys)
+        external
+        onlyDeviceOwner(deviceId)
+        returns (uint256 keyVersion)
+    {
+        require(ciphertext.length > 0 && ciphertext.length <= MAX_CIPHERTEXT_LENGTH, "Invalid ciphertext");
+        require(keys.length > 0, "No recipients");
+        
+        EncryptedRecord storage record = records[deviceId];
+        keyVersion = record.keyVersion + 1;
+        record.ciphertext = ciphertext;
+        record.keyVersion = keyVersion;
+        record.updatedBy = msg.sender;
+        record.updatedAt = block.timestamp;
+        
+        _storeKeys(deviceId, keyVersion, keys);
+        
+        emit FieldsEncrypted(deviceId, keyVersion, msg.sender, keys.length, block.timestamp);
+    }
+    
+    /**
+     * @notice Share the current content key with more recipients, such as a new pass holder
+     * @param deviceId ThingID device identifier
+     * @param keys Current content key wrapped for each new recipient
+     */
+    function shareKey(bytes32 deviceId, WrappedKey[] calldata keys) external onlyDeviceOwner(deviceId) {
+        EncryptedRecord storage record = records[deviceId];
+        require(record.ciphertext.length > 0, "No encrypted fields");
+        require(keys.length > 0, "No recipients");
+        
+        _storeKeys(deviceId, record.keyVersion, keys);
+    }
+    
+    /**
+     * @notice Remove a device's encrypted fields
+     * @dev The key version is kept, so keys wrapped for earlier versions are never reused
+     * @param deviceId ThingID device identifier
+     */
+    function clearEncryptedFields(bytes32 deviceId) external onlyDeviceOwner(deviceId) {
+        EncryptedRecord storage record = records[deviceId];
+        require(record.ciphertext.length > 0, "No encrypted fields");
+        
+        delete record.ciphertext;
+        record.updatedBy = msg.sender;
+        record.updatedAt = block.timestamp;
+        
+        emit FieldsCleared(deviceId, msg.sender, block.timestamp);
+    }
+    
+    // ============ MIGRATION ============
+    
+    /**
+     * @notice Copy a device's encrypted fields and current wrapped keys from the previous deployment
+     * @dev Only into devices without encrypted fields, and only until finalizeMigration is called
+     * @param deviceId ThingID device identifier
+     * @param record Encrypted fields, keeping their key version
+     * @param keys Content key wrapped for each recipient of that version
+     */
+    function importEncryptedFields(bytes32 deviceId, EncryptedRecord calldata record, WrappedKey[] calldata keys)
+        external
+        onlyMigrator
+    {
+        require(records[deviceId].keyVersion == 0, "Fields already imported");
+        
+        records[deviceId] = record;
+        for (uint256 i = 0; i < keys.length; i++) {
+            wrappedKeys[deviceId][record.keyVersion][keys[i].recipient] = keys[i].wrappedKey;
+            keyRecipients[deviceId][record.keyVersion].push(keys[i].recipient);
+        }
+    }
+    
+    /**
+     * @notice Copy registered encryption keys from the previous deployment
+     * @param accounts Accounts with a registered key
+     * @param publicKeys Their encryption public keys, in the same order
+     */
+    function importEncryptionKeys(address[] calldata accounts, bytes[] calldata publicKeys) external onlyMigrator {
+        require(accounts.length == publicKeys.length, "Length mismatch");
+        
+        for (uint256 i = 0; i < accounts.length; i++) {
+            encryptionKeys[accounts[i]] = publicKeys[i];
+        }
+    }
+    
+    /**
+     * @notice Close the import path for good
+     * @dev Fresh deployments call this straight away; migrations call it after the import
+     */
+    function finalizeMigration() external onlyMigrator {
+        emit MigrationFinalized(migrator, block.timestamp);
+        migrator = address(0);
+    }
+    
+    // ============ VIEW FUNCTIONS ============
+    
+    /**
+     * @notice Get a device's encrypted fields
+     * @param deviceId ThingID device identifier
+     * @return EncryptedRecord Ciphertext (empty if the device has none) and its key version
+     */
+    function getEncryptedFields(bytes32 deviceId) external view returns (EncryptedRecord memory) {
+        return records[deviceId];
+    }
+    
+    /**
+     * @notice Get the current content key of a device as wrapped for one recipient
+     * @param deviceId ThingID device identifier
+     * @param recipient Party the key was wrapped for
+     * @return bytes Wrapped key (empty if the recipient has none for the current version)
+     */
+    function getWrappedKey(bytes32 deviceId, address recipient) external view returns (bytes memory) {
+        return wrappedKeys[deviceId][records[deviceId].keyVersion][recipient];
+    }
+    
+    /**
+     * @notice Get everyone the current content key of a device is wrapped for
+     * @param deviceId ThingID device identifier
+     * @return address[] Recipients of the current key version
+     */
+    function getKeyRecipients(bytes32 deviceId) external view returns (address[] memory) {
+        return keyRecipients[deviceId][records[deviceId].keyVersion];
+    }
+    
+    /**
+     * @notice Get the encryption keys of several accounts
+     * @param accounts Accounts to look up
+     * @return publicKeys Their encryption public keys (empty for accounts without one)
+     */
+    function getEncryptionKeys(address[] calldata accounts) external view returns (bytes[] memory publicKeys) {
+        publicKeys = new bytes[](accounts.length);
+        for (uint256 i = 0; i < accounts.length; i++) {
+            publicKeys[i] = encryptionKeys[accounts[i]];
+        }
+    }
+    
+    // ============ INTERNAL FUNCTIONS ============
+    
+    /**
+     * @dev Record wrapped keys for a key version; every recipient must be able to read the device
+     */
+    function _storeKeys(bytes32 deviceId, uint256 keyVersion, WrappedKey[] calldata keys) internal {
+        require(keys.length <= MAX_RECIPIENTS, "Too many recipients");
+        
+        for (uint256 i = 0; i < keys.length; i++) {
+            address recipient = keys[i].recipient;
+            require(thingId.hasPermission(deviceId, recipient, PERMISSION_READ), "Recipient has no access");
+            require(keys[i].wrappedKey.length == WRAPPED_KEY_LENGTH, "Invalid wrapped key");
+            require(wrappedKeys[deviceId][keyVersion][recipient].length == 0, "Key already shared");
+            
+            wrappedKeys[deviceId][keyVersion][recipient] = keys[i].wrappedKey;
+            keyRecipients[deviceId][keyVersion].push(recipient);
+            
+            emit KeyShared(deviceId, keyVersion, recipient, msg.sender, block.timestamp);
+        }
+    }
+}
+    
\ No newline at end of file
@@ -0,0 +1,275 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/IThingID.sol";
+
+/**
+ * @title ManufacturerRegistry - Verified manufacturers and signed device attestations
+ * @notice Registered manufacturers sign attestations binding a model and serial number to a
+ *         device public key. Attestations recorded here turn the self-asserted manufacturer
+ *         fields of a ThingID device into verified ones.
+ * @dev Kept separate from ThingID so the core registry stays under the contract size limit
+ */
+contract ManufacturerRegistry {
+    
+    // ============ STRUCTS ============
+    
+    struct Manufacturer {
+        string name;                // Manufacturer name devices must be registered under
+        bool isActive;              // Attestations only count while the manufacturer is active
+        uint256 registeredAt;       // When the manufacturer was added to the registry
+    }
+    
+    struct DeviceAttestation {
+        address manufacturer;       // Registered manufacturer that signed the attestation
+        bytes32 publicKeyHash;      // keccak256 of the device public key that was attested
+        uint256 attestedAt;         // When the attestation was recorded
+    }
+    
+    // ============ STATE VARIABLES ============
+    
+    // ThingID registry the attested devices live in
+    IThingID public immutable thingId;
+    
+    // Account that adds and suspends manufacturers
+    address public admin;
+    
+    // Mapping from manufacturer signing address to its registry entry
+    mapping(address => Manufacturer) public manufacturers;
+    
+    // Array of all manufacturer addresses for enumeration
+    address[] public manufacturerList;
+    
+    // Mapping from device ID to its manufacturer attestation
+    mapping(bytes32 => DeviceAttestation) public deviceAttestations;
+    
+    // Mapping from attested public key hash to the device it was attested for
+    mapping(bytes32 => bytes32) public attestedKeys;
+    
+    // Contract metadata
+    string public constant VERSION = "1.0.0";
+    
+    // EIP-712 type hashes for manufacturer attestations
+    bytes32 public constant DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+    bytes32 public constant ATTESTATION_TYPEHASH = keccak256(
+        "DeviceAttestation(string publicKey,string model,string serialNumber)"
+    );
+    
+    // ============ EVENTS ============
+    
+    event ManufacturerRegistered(
+        address indexed manufacturer,
+        string name,
+        uint256 timestamp
+    );
+    
+    event ManufacturerStatusChanged(
+        address indexed manufacturer,
+        bool isActive,
+        uint256 timestamp
+    );
+    
+    event AdminTransferred(
+        address indexed previousAdmin,
+        address indexed newAdmin,
+        uint256 timestamp
+    );
+    
+    event DeviceAttested(
+        bytes32 indexed deviceId,
+        address indexed manufacturer,
+        string model,
+        string serialNumber,
+        uint256 timestamp
+    );
+    
+    // ============ MODIFIERS ============
+    
+    modifier onlyAdmin() {
+        require(msg.sender == admin, "Not registry admin");
+        _;
+    }
+    
+    // ============ CONSTRUCTOR ============
+    
+    constructor(address _thingId) {
+        require(_thingId != address(0), "Invalid ThingID address");
+        thingId = IThingID(_thingId);
+        admin = msg.sender;
+    }
+    
+    // ============ MANUFACTURER MANAGEMENT ============
+    
+    /**
+     * @notice Add a manufacturer signing address to the registry
+     * @param account Address the manufacturer signs attestations with
+     * @param name Manufacturer name; attested devices must be registered under this name
+     */
+    function registerManufacturer(address account, string memory name) external onlyAdmin {
+        require(account != address(0), "Invalid manufacturer address");
+        require(bytes(name).length > 0, "Name cannot be empty");
+        require(manufacturers[account].registeredAt == 0, "Manufacturer already registered");
+        
+        manufacturers[account] = Manufacturer({
+            name: name,
+            isActive: true,
+            registeredAt: block.timestamp
+        });
+        manufacturerList.push(account);
+        
+        emit ManufacturerRegistered(account, name, block.timestamp);
+    }
+    
+    /**
+     * @notice Suspend or reinstate a manufacturer
+     * @dev Attestations by an inactive manufacturer stop counting as verified
+     * @param account Manufacturer address
+     * @param isActive New status
+     */
+    function setManufacturerStatus(address account, bool isActive) external onlyAdmin {
+        require(manufacturers[account].registeredAt != 0, "Manufacturer not registered");
+        
+        manufacturers[account].isActive = isActive;
+        
+        emit ManufacturerStatusChanged(account, isActive, block.timestamp);
+    }
+    
+    /**
+     * @notice Hand the registry to a new admin
+     * @param newAdmin Address of the new admin
+     */
+    function transferAdmin(address newAdmin) external onlyAdmin {
+        require(newAdmin != address(0), "Invalid admin address");
+        
+        emit AdminTransferred(admin, newAdmin, block.timestamp);
+        
+        admin = newAdmin;
+    }
+    
+    // ============ ATTESTATIONS ============
+    
+    /**
+     * @notice Record a manufacturer's attestation of a registered device
+     * @dev The manufacturer signs an EIP-712 DeviceAttestation over the device public key,
+     *      model and serial number, typically at the factory before the device is registered.
+     *      The signed values must match the ThingID device record, and the device must be
+     *      registered under the manufacturer's registry name. Anyone may submit the signature.
+     * @param deviceId ThingID device identifier
+     * @param signature 65-byte EIP-712 signature by a registered manufacturer
+     */
+    function attestDevice(bytes32 deviceId, bytes calldata signature) external {
+        IThingID.Device memory device = thingId.getDevice(deviceId);
+        require(bytes(device.publicKey).length > 0, "Device has no public key");
+        
+        address manufacturer = _recoverSigner(
+            attestationDigest(device.publicKey, device.model, device.serialNumber),
+            signature
+        );
+        require(manufacturers[manufacturer].isActive, "Not an active manufacturer");
+        require(
+            keccak256(bytes(device.manufacturer)) == keccak256(bytes(manufacturers[manufacturer].name)),
+            "Manufacturer name mismatch"
+        );
+        
+        // An attested key vouches for one device only
+        bytes32 keyHash = keccak256(bytes(device.publicKey));
+        require(
+            attestedKeys[keyHash] == bytes32(0) || attestedKeys[keyHash] == deviceId,
+            "Key attested to another device"
+        );
+        
+        attestedKeys[keyHash] = deviceId;
+        deviceAttestations[deviceId] = DeviceAttestation({
+            manufacturer: manufacturer,
+            publicKeyHash: keyHash,
+            attestedAt: block.timestamp
+        });
+        
+        emit DeviceAttested(deviceId, manufacturer, device.model, device.serialNumber, block.timestamp);
+    }
+    
+    // ============ VIEW FUNCTIONS ============
+    
+    /**
+     * @notice Check whether a device carries a current manufacturer attestation
+     * @dev False once the manufacturer is suspended or the device key no longer matches
+     * @param deviceId ThingID device identifier
+     * @return bool True if the attestation is current
+     */
+    function isAttested(bytes32 deviceId) external view returns (bool) {
+        DeviceAttestation memory attestation = deviceAttestations[deviceId];
+        if (attestation.manufacturer == address(0) || !manufacturers[attestation.manufacturer].isActive) {
+            return false;
+        }
+        
+        return attestation.publicKeyHash == keccak256(bytes(thingId.getDevice(deviceId).publicKey));
+    }
+    
+    /**
+     * @notice Get all registered manufacturer addresses
+     * @return address[] Manufacturer addresses in registration order
+     */
+    function getManufacturers() external view returns (address[] memory) {
+        return manufacturerList;
+    }
+    
+    /**
+     * @notice EIP-712 domain separator for attestation signatures
+     * @return bytes32 Domain separator for the current chain
+     */
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256(bytes("ThingID Manufacturer Registry")),
+            keccak256(bytes(VERSION)),
+            block.chainid,
+            address(this)
+        ));
+    }
+    
+    /**
+     * @notice Digest a manufacturer signs to attest a device
+     * @param publicKey Device public key, exactly as registered
+     * @param model Device model
+     * @param serialNumber Device serial number
+     * @return bytes32 EIP-712 digest
+     */
+    function attestationDigest(
+        string memory publicKey,
+        string memory model,
+        string memory serialNumber
+    ) public view returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(
+            ATTESTATION_TYPEHASH,
+            keccak256(bytes(publicKey)),
+            keccak256(bytes(model)),
+            keccak256(bytes(serialNumber))
+        ));
+        return keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+    }
+    
+    // ============ INTERNAL FUNCTIONS ============
+    
+    /**
+     * @dev Recover the signer of a digest from a 65-byte (r, s, v) signature,
+     *      rejecting malleable high-s signatures
+     */
+    function _recoverSigner(bytes32 digest, bytes calldata signature) internal pure returns (address) {
+        require(signature.length == 65, "Invalid signature length");
+        
+        bytes32 r = bytes32(signature[:32]);
+        bytes32 s = bytes32(signature[32:64]);
+        uint8 v = uint8(signature[64]);
+        
+        require(
+            uint256(s) <= 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0,
+            "Invalid signature"
+        );
+        require(v == 27 || v == 28, "Invalid signature");
+        
+        return ecrecover(digest, v, r, s);
+    }
+}
+    
\ No newline at end of file
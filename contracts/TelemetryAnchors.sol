@@ -0,0 +1,248 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/IThingID.sol";
+
+/**
+ * @title TelemetryAnchors - On-chain Merkle roots of device telemetry
+ * @notice Signed readings stay off chain. For each time window the backend builds a Merkle
+ *         tree over the device's readings, and the device or its owner anchors the root here.
+ *         Anyone holding a reading and its inclusion proof can later show the reading was part
+ *         of the anchored batch and has not been altered since.
+ * @dev Kept separate from ThingID so the core registry stays under the contract size limit.
+ *      Anchors are append-only and each window must start after the previous one ends, so a
+ *      window, once anchored, cannot be replaced with a different batch.
+ */
+contract TelemetryAnchors {
+    
+    // ============ STRUCTS ============
+    
+    struct TelemetryAnchor {
+        bytes32 root;               // Merkle root of the window's readings
+        uint256 fromTs;             // First millisecond of the window (inclusive)
+        uint256 toTs;               // Last millisecond of the window (inclusive)
+        address anchoredBy;         // Device key, owner or organization member who anchored it
+        uint256 anchoredAt;         // When the root was anchored
+    }
+    
+    // ============ STATE VARIABLES ============
+    
+    // ThingID registry the devices live in
+    IThingID public immutable thingId;
+    
+    // Account that may import state from a previous deployment (zero once finalized)
+    address public migrator;
+    
+    // Mapping from device ID to its anchors, in window order
+    mapping(bytes32 => TelemetryAnchor[]) internal anchors;
+    
+    // Contract metadata
+    string public constant VERSION = "1.0.0";
+    
+    // Mirrors ThingID's organization roles
+    uint8 public constant ROLE_OPERATOR = 2;
+    
+    // ============ EVENTS ============
+    
+    event TelemetryAnchored(
+        bytes32 indexed deviceId,
+        uint256 indexed index,
+        bytes32 root,
+        uint256 fromTs,
+        uint256 toTs,
+        address indexed anchoredBy,
+        uint256 timestamp
+    );
+    
+    event MigrationFinalized(
+        address indexed migrator,
+        uint256 timestamp
+    );
+    
+    // ============ MODIFIERS ============
+    
+    modifier onlyMigrator() {
+        require(migrator != address(0) && msg.sender == migrator, "Not migrator");
+        _;
+    }
+    
+    // ============ CONSTRUCTOR ============
+    
+    constructor(address _thingId) {
+        require(_thingId != address(0), "Invalid ThingID address");
+        thingId = IThingID(_thingId);
+        migrator = msg.sender;
+    }
+    
+    // ============ ANCHORING ============
+    
+    /**
+     * @notice Anchor the Merkle root of a device's readings for one time window
+     * @dev Callable by the device's current key, the owner, or an operator or admin of the
+     *      owning organization. Windows are in milliseconds, like reading timestamps, and
+     *      must be anchored oldest first; windows without readings can be skipped.
+     * @param deviceId ThingID device identifier
+     * @param root Merkle root of the readings with fromTs <= timestamp <= toTs
+     * @param fromTs First millisecond of the window
+     * @param toTs Last millisecond of the window
+     * @return index Position of the new anchor in the device's anchor list
+     */
+    function anchorTelemetry(bytes32 deviceId, bytes32 root, uint256 fromTs, uint256 toTs)
+        external
+        returns (uint256 index)
+    {
+        require(root != bytes32(0), "Invalid root");
+        require(fromTs <= toTs, "Invalid window");
+        require(toTs <= block.timestamp * 1000, "Window has not ended");
+        
+        IThingID.Device memory device = thingId.getDevice(deviceId);
+        require(device.isActive, "Device is not active");
+        require(
+            msg.sender == _keyAddress(device.publicKey) ||
+                thingId.isOwnerOrMember(deviceId, msg.sender, ROLE_OPERATOR),
+            "Not device or owner"
+        );
+        
+        TelemetryAnchor[] storage list = anchors[deviceId];
+        require(list.length == 0 || fromTs > list[list.length - 1].toTs, "Window overlaps last anchor");
+        
+        index = list.length;
+        list.push(TelemetryAnchor({
+            root: root,
+            fromTs: fromTs,
+            toTs: toTs,
+            anchoredBy: msg.sender,
+            anchoredAt: block.timestamp
+        }));
+        
+        emit TelemetryAnchored(deviceId, index, root, fromTs, toTs, msg.sender, block.timestamp);
+    }
+    
+    // ============ MIGRATION ============
+    
+    /**
+     * @notice Copy a device's anchors from the previous deployment
+     * @dev Only into devices without anchors, and only until finalizeMigration is called
+     * @param deviceId ThingID device identifier
+     * @param imported Anchors in window order, keeping who anchored them and when
+     */
+    function importAnchors(bytes32 deviceId, TelemetryAnchor[] calldata imported) external onlyMigrator {
+        require(anchors[deviceId].length == 0, "Anchors already imported");
+        
+        for (uint256 i = 0; i < imported.length; i++) {
+            anchors[deviceId].push(imported[i]);
+        }
+    }
+    
+    /**
+     * @notice Close the import path for good
+     * @dev Fresh deployments call this straight away; migrations call it after the import
+     */
+    function finalizeMigration() external onlyMigrator {
+        emit MigrationFinalized(migrator, block.timestamp);
+        migrator = address(0);
+    }
+    
+    // ============ VIEW FUNCTIONS ============
+    
+    /**
+     * @notice Get the number of anchors recorded for a device
+     * @param deviceId ThingID device identifier
+     * @return uint256 Number of anchors
+     */
+    function getAnchorCount(bytes32 deviceId) external view returns (uint256) {
+        return anchors[deviceId].length;
+    }
+    
+    /**
+     * @notice Get one anchor of a device
+     * @param deviceId ThingID device identifier
+     * @param index Position in the device's anchor list
+     * @return TelemetryAnchor Anchored root and window
+     */
+    function getAnchor(bytes32 deviceId, uint256 index) external view returns (TelemetryAnchor memory) {
+        require(index < anchors[deviceId].length, "Anchor not found");
+        return anchors[deviceId][index];
+    }
+    
+    /**
+     * @notice Get all anchors of a device
+     * @param deviceId ThingID device identifier
+     * @return TelemetryAnchor[] Anchors in window order
+     */
+    function getAnchors(bytes32 deviceId) external view returns (TelemetryAnchor[] memory) {
+        return anchors[deviceId];
+    }
+    
+    /**
+     * @notice Find the anchor whose window contains a reading timestamp
+     * @param deviceId ThingID device identifier
+     * @param timestamp Reading timestamp in milliseconds
+     * @return found Whether an anchored window covers the timestamp
+     * @return index Position of that anchor (0 if not found)
+     */
+    function findAnchor(bytes32 deviceId, uint256 timestamp) external view returns (bool found, uint256 index) {
+        TelemetryAnchor[] storage list = anchors[deviceId];
+        uint256 low = 0;
+        uint256 high = list.length;
+        
+        // Windows are ordered and disjoint: find the last one starting at or before timestamp
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            if (list[mid].fromTs <= timestamp) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        
+        if (low > 0 && timestamp <= list[low - 1].toTs) {
+            return (true, low - 1);
+        }
+        return (false, 0);
+    }
+    
+    // ============ INTERNAL FUNCTIONS ============
+    
+    /**
+     * @dev Address of a device key given as an uncompressed hex public key ("0x04" followed by
+     *      128 hex digits, as ethers reports it); zero for any other format, including a revoked key
+     */
+    function _keyAddress(string memory publicKey) internal pure returns (address) {
+        bytes memory hexKey = bytes(publicKey);
+        if (hexKey.length != 132 || hexKey[0] != "0" || (hexKey[1] != "x" && hexKey[1] != "X") ||
+            hexKey[2] != "0" || hexKey[3] != "4") {
+            return address(0);
+        }
+        
+        bytes memory key = new bytes(64);
+        for (uint256 i = 0; i < 64; i++) {
+            (bool okHigh, uint8 high) = _hexDigit(hexKey[4 + 2 * i]);
+            (bool okLow, uint8 low) = _hexDigit(hexKey[5 + 2 * i]);
+            if (!okHigh || !okLow) {
+                return address(0);
+            }
+            key[i] = bytes1(high * 16 + low);
+        }
+        
+        return address(uint160(uint256(keccak256(key))));
+    }
+    
+    /**
+     * @dev Value of one hex digit, and whether the character is one
+     */
+    function _hexDigit(bytes1 char) internal pure returns (bool, uint8) {
+        uint8 c = uint8(char);
+        if (c >= 0x30 && c <= 0x39) {
+            return (true, c - 0x30);        // 0-9
+        }
+        if (c >= 0x61 && c <= 0x66) {
+            return (true, c - 0x61 + 10);   // a-f
+        }
+        if (c >= 0x41 && c <= 0x46) {
+            return (true, c - 0x41 + 10);   // A-F
+        }
+        return (false, 0);
+    }
+}
+    
\ No newline at end of file
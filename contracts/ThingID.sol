@@ -1,6 +1,9 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
+import "./DeviceGroups.sol";
+import "./AccessRequests.sol";
+
 /**
  * @title ThingID - IoT Device Identity and Access Management on DIDLab
  * @notice Decentralized IoT device registration and access control system
@@ -29,30 +32,164 @@ contract ThingID {
         address viewer;             // Address granted access
         uint256 grantedAt;          // When access was granted
         uint256 expiresAt;          // When access expires
+        bool isActive;              // False once revoked or replaced by a new grant
+        uint8 permissions;          // Permission bitmask (PERMISSION_*)
+        address grantedBy;          // Owner or delegated admin who granted the pass
+    }
+    
+    struct DeviceRegistration {
+        string did;                 // Decentralized Identifier
+        string name;                // Device name
+        string deviceType;          // sensor, actuator, gateway, etc.
+        string manufacturer;        // Manufacturer name
+        string model;               // Device model
+        string serialNumber;        // Serial number
+        string location;            // Physical location
+        string publicKey;           // Device public key
+    }
+    
+    struct CommandLogAnchor {
+        bytes32 logHash;            // Head hash of the off-chain command log
+        uint256 entryCount;         // Number of log entries covered by the hash
+        uint256 anchoredAt;         // When the anchor was recorded
+    }
+    
+    struct DeviceKey {
+        string publicKey;           // Device public key
+        uint256 addedAt;            // When the key became the device key
+        uint256 revokedAt;          // When the key stopped being valid (0 while current)
+        bool compromised;           // Revoked as compromised rather than rotated out
+    }
+    
+    struct OwnershipRecord {
+        address owner;              // Owner address
+        uint256 acquiredAt;         // When ownership started
+    }
+    
+    struct Organization {
+        string name;                // Organization name
+        address account;            // Owner address of the organization's devices
+        uint256 createdAt;          // Creation timestamp
+        uint256 adminCount;         // Number of members with ROLE_ADMIN
+    }
+    
+    struct DeviceImport {
+        bytes32 deviceId;           // Device ID in the previous deployment
+        address owner;              // Current owner
+        uint256 registeredAt;       // Original registration timestamp
         bool isActive;              // Active status
+        DeviceRegistration registration;    // Device fields
+    }
+    
+    struct ViewerAccessImport {
+        address viewer;             // Viewer address
+        uint256 expiresAt;          // viewerAccess entry (0 if revoked)
+        uint8 permissions;          // viewerPermissions entry
     }
     
     // ============ STATE VARIABLES ============
     
+    // Collections read through explicit view functions (getDevice, getOwnerDevices, ...)
+    // are internal; their generated getters would push the contract past the size limit.
+    
     // Mapping from device ID (hash of DID) to Device
-    mapping(bytes32 => Device) public devices;
+    mapping(bytes32 => Device) internal devices;
     
     // Mapping from owner address to array of their device IDs
-    mapping(address => bytes32[]) public ownerDevices;
+    mapping(address => bytes32[]) internal ownerDevices;
     
     // Mapping from device ID to array of access passes
-    mapping(bytes32 => AccessPass[]) public deviceAccessPasses;
+    mapping(bytes32 => AccessPass[]) internal deviceAccessPasses;
+    
+    // Mapping from device ID to the expiry of each viewer's current pass, read through
+    // viewerAccess, which ignores passes from before the last transfer
+    mapping(bytes32 => mapping(address => uint256)) internal passExpirations;
+    
+    // Mapping from device ID to the permission bitmask of each viewer's current pass,
+    // read through viewerPermissions
+    mapping(bytes32 => mapping(address => uint8)) internal passPermissions;
+    
+    // Mapping from device ID to each viewer's current pass ID (its index in
+    // deviceAccessPasses) plus one; 0 when the viewer has no current pass
+    mapping(bytes32 => mapping(address => uint256)) internal currentPasses;
     
-    // Mapping to check if viewer has active access to device
-    mapping(bytes32 => mapping(address => uint256)) public viewerAccess;
+    // Mapping from device ID to the number of passes it had at its last transfer; passes
+    // below this index were revoked by the transfer
+    mapping(bytes32 => uint256) internal accessEpochs;
     
     // Array of all device IDs for enumeration
-    bytes32[] public allDeviceIds;
+    bytes32[] internal allDeviceIds;
+    
+    // Reverse index from DID hash (keccak256 of the DID string) to device ID
+    mapping(bytes32 => bytes32) internal didToDeviceId;
+    
+    // Mapping from device ID to the address a transfer has been proposed to
+    mapping(bytes32 => address) public pendingTransfers;
+    
+    // Mapping from device ID to its ownership history (oldest first)
+    mapping(bytes32 => OwnershipRecord[]) internal ownershipHistory;
+    
+    // Mapping from device ID to every key the device has had (oldest first)
+    mapping(bytes32 => DeviceKey[]) internal deviceKeys;
+    
+    // Next meta-transaction nonce for each signer
+    mapping(address => uint256) public nonces;
+    
+    // Mapping from device ID to the latest anchored command log head
+    mapping(bytes32 => CommandLogAnchor) public commandLogAnchors;
+    
+    // Mapping from organization ID (starting at 1) to Organization
+    mapping(uint256 => Organization) public organizations;
+    
+    // Number of organizations created; also the latest organization ID
+    uint256 public organizationCount;
+    
+    // Reverse index from organization account to organization ID (0 for other addresses)
+    mapping(address => uint256) public accountOrganization;
+    
+    // Mapping from organization ID to each member's role (ROLE_*)
+    mapping(uint256 => mapping(address => uint8)) public memberRoles;
+    
+    // Mapping from organization ID to its members, for enumeration
+    mapping(uint256 => address[]) internal organizationMembers;
+    
+    // Mapping from member address to the organizations it belongs to
+    mapping(address => uint256[]) internal memberOrganizations;
+    
+    // Device groups and their group-level access passes, deployed with this contract
+    DeviceGroups public immutable deviceGroups;
+    
+    // Access requests from viewers, deployed with this contract; approvals are forwarded to grantAccess
+    AccessRequests public immutable accessRequests;
+    
+    // Account that may import state from a previous deployment (zero once migration is finalized)
+    address public migrator;
     
     // Contract metadata
-    string public constant VERSION = "1.0.0";
+    string public constant VERSION = "1.3.0";
     string public constant NETWORK = "DIDLab QBFT";
     
+    // Access pass permissions (bitmask). Every pass includes READ.
+    uint8 public constant PERMISSION_READ = 1;      // Read telemetry and device data
+    uint8 public constant PERMISSION_CONTROL = 2;   // Send commands to the device
+    uint8 public constant PERMISSION_ADMIN = 4;     // Grant and revoke passes on the owner's behalf
+    
+    // Organization member roles, each including the rights of the ones below it
+    uint8 public constant ROLE_VIEWER = 1;          // Read access to every organization device
+    uint8 public constant ROLE_OPERATOR = 2;        // Manage organization devices, except transfers
+    uint8 public constant ROLE_ADMIN = 3;           // Transfer devices and manage members
+    
+    // Maximum number of devices in one registerDevices call
+    uint256 public constant MAX_BATCH_SIZE = 50;
+    
+    // EIP-712 type hashes for signed meta-transactions
+    bytes32 public constant DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+    bytes32 public constant META_TRANSACTION_TYPEHASH = keccak256(
+        "MetaTransaction(address signer,bytes data,uint256 nonce,uint256 deadline)"
+    );
+    
     // ============ EVENTS ============
     
     event DeviceRegistered(
@@ -69,6 +206,8 @@ contract ThingID {
         address indexed owner,
         address indexed viewer,
         uint256 expiresAt,
+        uint8 permissions,
+        address grantedBy,
         uint256 timestamp
     );
     
@@ -78,6 +217,15 @@ contract ThingID {
         uint256 timestamp
     );
     
+    event AccessExtended(
+        bytes32 indexed deviceId,
+        address indexed viewer,
+        uint256 passId,
+        uint256 expiresAt,
+        address extendedBy,
+        uint256 timestamp
+    );
+    
     event DeviceStatusChanged(
         bytes32 indexed deviceId,
         bool isActive,
@@ -91,15 +239,95 @@ contract ThingID {
         uint256 timestamp
     );
     
+    event DeviceTransferProposed(
+        bytes32 indexed deviceId,
+        address indexed from,
+        address indexed to,
+        uint256 timestamp
+    );
+    
+    event DeviceTransferCancelled(
+        bytes32 indexed deviceId,
+        address indexed from,
+        address indexed to,
+        uint256 timestamp
+    );
+    
+    event DeviceTransferred(
+        bytes32 indexed deviceId,
+        address indexed previousOwner,
+        address indexed newOwner,
+        uint256 timestamp
+    );
+    
+    event DeviceKeyRotated(
+        bytes32 indexed deviceId,
+        string previousKey,
+        string newKey,
+        uint256 timestamp
+    );
+    
+    event DeviceKeyRevoked(
+        bytes32 indexed deviceId,
+        string publicKey,
+        uint256 revokedAt,
+        uint256 timestamp
+    );
+    
+    event CommandLogAnchored(
+        bytes32 indexed deviceId,
+        bytes32 logHash,
+        uint256 entryCount,
+        address indexed anchoredBy,
+        uint256 timestamp
+    );
+    
+    event OrganizationCreated(
+        uint256 indexed orgId,
+        string name,
+        address account,
+        address indexed creator,
+        uint256 timestamp
+    );
+    
+    event MemberRoleChanged(
+        uint256 indexed orgId,
+        address indexed member,
+        uint8 role,
+        address indexed changedBy,
+        uint256 timestamp
+    );
+    
+    event MetaTransactionExecuted(
+        address indexed signer,
+        address indexed relayer,
+        bytes4 selector,
+        uint256 nonce,
+        uint256 timestamp
+    );
+    
+    event MigrationFinalized(
+        address indexed migrator,
+        uint256 totalDevices,
+        uint256 timestamp
+    );
+    
     // ============ MODIFIERS ============
     
-    modifier onlyDeviceOwner(bytes32 deviceId) {
-        require(devices[deviceId].owner == msg.sender, "Not device owner");
+    // Modifier checks live in internal functions so each use does not repeat their code
+    
+    modifier onlyDeviceOwner(bytes32 deviceId, uint8 minRole) {
+        _checkDeviceOwner(deviceId, minRole);
         _;
     }
     
     modifier deviceExists(bytes32 deviceId) {
-        require(devices[deviceId].owner != address(0), "Device does not exist");
+        _checkDeviceExists(deviceId);
+        _;
+    }
+    
+    modifier onlyAccessManager(bytes32 deviceId) {
+        _checkAccessManager(deviceId);
         _;
     }
     
@@ -108,6 +336,24 @@ contract ThingID {
         _;
     }
     
+    modifier onlyOrganizationAdmin(uint256 orgId) {
+        require(memberRoles[orgId][_msgSender()] == ROLE_ADMIN, "Not organization admin");
+        _;
+    }
+    
+    modifier onlyMigrator() {
+        require(migrator != address(0) && _msgSender() == migrator, "Not migrator");
+        _;
+    }
+    
+    // ============ CONSTRUCTOR ============
+    
+    constructor() {
+        deviceGroups = new DeviceGroups();
+        accessRequests = new AccessRequests();
+        migrator = msg.sender;
+    }
+    
     // ============ MAIN FUNCTIONS ============
     
     /**
@@ -132,17 +378,7 @@ contract ThingID {
         string memory _location,
         string memory _publicKey
     ) external returns (bytes32) {
-        require(bytes(_did).length > 0, "DID cannot be empty");
-        require(bytes(_name).length > 0, "Name cannot be empty");
-        
-        // Generate unique device ID from DID
-        bytes32 deviceId = keccak256(abi.encodePacked(_did, msg.sender, block.timestamp));
-        
-        // Ensure device doesn't already exist
-        require(devices[deviceId].owner == address(0), "Device ID collision");
-        
-        // Create device
-        devices[deviceId] = Device({
+        return _registerDevice(_msgSender(), DeviceRegistration({
             did: _did,
             name: _name,
             deviceType: _deviceType,
@@ -150,85 +386,167 @@ contract ThingID {
             model: _model,
             serialNumber: _serialNumber,
             location: _location,
-            publicKey: _publicKey,
-            owner: msg.sender,
-            registeredAt: block.timestamp,
-            isActive: true
-        });
-        
-        // Track ownership
-        ownerDevices[msg.sender].push(deviceId);
-        allDeviceIds.push(deviceId);
+            publicKey: _publicKey
+        }));
+    }
+    
+    /**
+     * @notice Register several devices in one transaction
+     * @dev Reverts as a whole if any entry is invalid (e.g. a duplicate DID)
+     * @param registrations Devices to register, at most MAX_BATCH_SIZE
+     * @return deviceIds Identifiers of the registered devices, in input order
+     */
+    function registerDevices(DeviceRegistration[] memory registrations) 
+        external 
+        returns (bytes32[] memory deviceIds) 
+    {
+        require(registrations.length > 0, "Empty batch");
+        require(registrations.length <= MAX_BATCH_SIZE, "Batch too large");
         
-        emit DeviceRegistered(
-            deviceId,
-            _did,
-            msg.sender,
-            _name,
-            _deviceType,
-            block.timestamp
-        );
+        deviceIds = new bytes32[](registrations.length);
+        for (uint256 i = 0; i < registrations.length; i++) {
+            deviceIds[i] = _registerDevice(_msgSender(), registrations[i]);
+        }
+    }
+    
+    /**
+     * @notice Register devices owned by an organization
+     * @dev Callable by organization operators and admins. Reverts as a whole if any entry is invalid.
+     * @param orgId Organization identifier
+     * @param registrations Devices to register, at most MAX_BATCH_SIZE
+     * @return deviceIds Identifiers of the registered devices, in input order
+     */
+    function registerOrganizationDevices(uint256 orgId, DeviceRegistration[] memory registrations) 
+        external 
+        returns (bytes32[] memory deviceIds) 
+    {
+        require(memberRoles[orgId][_msgSender()] >= ROLE_OPERATOR, "Not organization operator");
+        require(registrations.length > 0, "Empty batch");
+        require(registrations.length <= MAX_BATCH_SIZE, "Batch too large");
         
-        return deviceId;
+        address account = organizations[orgId].account;
+        deviceIds = new bytes32[](registrations.length);
+        for (uint256 i = 0; i < registrations.length; i++) {
+            deviceIds[i] = _registerDevice(account, registrations[i]);
+        }
     }
     
     /**
      * @notice Grant time-limited access to a device
+     * @dev Callable by the owner, organization operators and admins, or a delegated admin.
+     *      Delegates cannot grant PERMISSION_ADMIN or grant access that outlasts their own pass.
+     *      A new pass replaces the viewer's current one, which is marked inactive.
      * @param deviceId Device identifier
      * @param viewer Address to grant access to
      * @param duration Access duration in seconds
+     * @param permissions Permission bitmask; must include PERMISSION_READ
      */
     function grantAccess(
         bytes32 deviceId,
         address viewer,
-        uint256 duration
-    ) external deviceExists(deviceId) onlyDeviceOwner(deviceId) deviceActive(deviceId) {
+        uint256 duration,
+        uint8 permissions
+    ) external deviceExists(deviceId) onlyAccessManager(deviceId) deviceActive(deviceId) {
+        address owner = devices[deviceId].owner;
+        address sender = _msgSender();
+        
         require(viewer != address(0), "Invalid viewer address");
-        require(viewer != msg.sender, "Cannot grant access to self");
+        require(viewer != sender && viewer != owner, "Cannot grant access to self");
         require(duration > 0 && duration <= 365 days, "Invalid duration");
+        require(
+            permissions & PERMISSION_READ != 0 && permissions <= (PERMISSION_READ | PERMISSION_CONTROL | PERMISSION_ADMIN),
+            "Invalid permissions"
+        );
         
         uint256 expiresAt = block.timestamp + duration;
         
+        if (!_isOwnerOrMember(deviceId, sender, ROLE_OPERATOR)) {
+            require(permissions & PERMISSION_ADMIN == 0, "Delegates cannot grant admin");
+            require(expiresAt <= viewerAccess(deviceId, sender), "Grant outlasts delegate access");
+        }
+        
+        _closePass(deviceId, viewer);
+        
         // Create access pass
         AccessPass memory pass = AccessPass({
-            device_owner: msg.sender,
+            device_owner: owner,
             viewer: viewer,
             grantedAt: block.timestamp,
             expiresAt: expiresAt,
-            isActive: true
+            isActive: true,
+            permissions: permissions,
+            grantedBy: sender
         });
         
         deviceAccessPasses[deviceId].push(pass);
-        viewerAccess[deviceId][viewer] = expiresAt;
+        currentPasses[deviceId][viewer] = deviceAccessPasses[deviceId].length;
+        passExpirations[deviceId][viewer] = expiresAt;
+        passPermissions[deviceId][viewer] = permissions;
         
         emit AccessGranted(
             deviceId,
-            msg.sender,
+            owner,
             viewer,
             expiresAt,
+            permissions,
+            sender,
             block.timestamp
         );
     }
     
     /**
      * @notice Revoke access for a viewer
+     * @dev Callable by the owner, organization operators and admins, or a delegated admin;
+     *      delegated admins cannot revoke another admin
      * @param deviceId Device identifier
      * @param viewer Address to revoke access from
      */
     function revokeAccess(
         bytes32 deviceId,
         address viewer
-    ) external deviceExists(deviceId) onlyDeviceOwner(deviceId) {
-        viewerAccess[deviceId][viewer] = 0;
+    ) external deviceExists(deviceId) onlyAccessManager(deviceId) {
+        if (!_isOwnerOrMember(deviceId, _msgSender(), ROLE_OPERATOR)) {
+            require(viewerPermissions(deviceId, viewer) & PERMISSION_ADMIN == 0, "Delegates cannot revoke admin");
+        }
+        
+        _closePass(deviceId, viewer);
+        passExpirations[deviceId][viewer] = 0;
+        passPermissions[deviceId][viewer] = 0;
         
         emit AccessRevoked(deviceId, viewer, block.timestamp);
     }
     
+    /**
+     * @notice Add time to a viewer's unexpired pass, keeping its pass ID and permissions
+     * @dev Same callers and limits as grantAccess: the pass may run at most 365 days from
+     *      now, and delegates cannot extend admin passes or past their own pass
+     * @param deviceId Device identifier
+     * @param viewer Pass holder
+     * @param duration Seconds to add to the current expiry
+     */
+    function extendAccess(bytes32 deviceId, address viewer, uint256 duration) external {
+        require(viewerAccess(deviceId, viewer) > block.timestamp, "No unexpired pass");
+        _extendPass(deviceId, viewer, viewerAccess(deviceId, viewer) + duration);
+    }
+    
+    /**
+     * @notice Restart a viewer's expired pass from now, keeping its pass ID and permissions
+     * @dev Revoked and replaced passes cannot be renewed; grant a new pass instead
+     * @param deviceId Device identifier
+     * @param viewer Pass holder
+     * @param duration Access duration in seconds, counted from now
+     */
+    function renewAccess(bytes32 deviceId, address viewer, uint256 duration) external {
+        require(viewerAccess(deviceId, viewer) <= block.timestamp, "Pass has not expired");
+        _extendPass(deviceId, viewer, block.timestamp + duration);
+    }
+    
     /**
      * @notice Check if an address has valid access to a device
      * @param deviceId Device identifier
      * @param viewer Address to check
-     * @return bool True if viewer has valid access
+     * @return bool True if viewer is the owner, an organization member or holds a valid
+     *         device or group pass
      */
     function hasAccess(bytes32 deviceId, address viewer) 
         external 
@@ -236,14 +554,24 @@ contract ThingID {
         deviceExists(deviceId) 
         returns (bool) 
     {
-        // Owner always has access
-        if (devices[deviceId].owner == viewer) {
-            return true;
-        }
-        
-        // Check if viewer has valid access pass
-        uint256 expiresAt = viewerAccess[deviceId][viewer];
-        return expiresAt > block.timestamp;
+        return _hasPermission(deviceId, viewer, PERMISSION_READ);
+    }
+    
+    /**
+     * @notice Check if an address holds all of the given permissions on a device
+     * @param deviceId Device identifier
+     * @param viewer Address to check
+     * @param permission Permission bitmask (PERMISSION_*) to require
+     * @return bool True if viewer is the owner, a member whose role covers the permissions,
+     *         or has a valid device or group pass with the permissions
+     */
+    function hasPermission(bytes32 deviceId, address viewer, uint8 permission) 
+        external 
+        view 
+        deviceExists(deviceId) 
+        returns (bool) 
+    {
+        return _hasPermission(deviceId, viewer, permission);
     }
     
     /**
@@ -256,7 +584,7 @@ contract ThingID {
         bytes32 deviceId,
         string memory _name,
         string memory _location
-    ) external deviceExists(deviceId) onlyDeviceOwner(deviceId) {
+    ) external deviceExists(deviceId) onlyDeviceOwner(deviceId, ROLE_OPERATOR) {
         require(bytes(_name).length > 0, "Name cannot be empty");
         
         devices[deviceId].name = _name;
@@ -267,12 +595,15 @@ contract ThingID {
     
     /**
      * @notice Toggle device active status
+     * @dev Deactivation suspends the device's passes: they grant no access, and none can be
+     *      granted, extended or renewed, until the device is reactivated. Expiry keeps
+     *      running, so only passes that are still unexpired then resume.
      * @param deviceId Device identifier
      */
     function toggleDeviceStatus(bytes32 deviceId) 
         external 
         deviceExists(deviceId) 
-        onlyDeviceOwner(deviceId) 
+        onlyDeviceOwner(deviceId, ROLE_OPERATOR) 
     {
         devices[deviceId].isActive = !devices[deviceId].isActive;
         
@@ -283,82 +614,982 @@ contract ThingID {
         );
     }
     
-    // ============ VIEW FUNCTIONS ============
+    /**
+     * @notice Replace the device key, e.g. after re-flashing the device
+     * @dev The previous key stays in the key history, valid up to now. Keys that were
+     *      used before cannot be brought back.
+     * @param deviceId Device identifier
+     * @param newPublicKey New device public key
+     */
+    function rotateDeviceKey(bytes32 deviceId, string memory newPublicKey) 
+        external 
+        deviceExists(deviceId) 
+        onlyDeviceOwner(deviceId, ROLE_OPERATOR) 
+    {
+        require(bytes(newPublicKey).length > 0, "Public key cannot be empty");
+        
+        DeviceKey[] storage keys = deviceKeys[deviceId];
+        bytes32 newKeyHash = keccak256(bytes(newPublicKey));
+        for (uint256 i = 0; i < keys.length; i++) {
+            require(keccak256(bytes(keys[i].publicKey)) != newKeyHash, "Key was used before");
+        }
+        
+        string memory previousKey = devices[deviceId].publicKey;
+        if (bytes(previousKey).length > 0) {
+            keys[keys.length - 1].revokedAt = block.timestamp;
+        }
+        
+        keys.push(DeviceKey({
+            publicKey: newPublicKey,
+            addedAt: block.timestamp,
+            revokedAt: 0,
+            compromised: false
+        }));
+        devices[deviceId].publicKey = newPublicKey;
+        
+        emit DeviceKeyRotated(deviceId, previousKey, newPublicKey, block.timestamp);
+    }
     
     /**
-     * @notice Get device details
+     * @notice Emergency revocation of a compromised device key
+     * @dev Leaves the device without a key until rotateDeviceKey sets a new one. The
+     *      revocation can be backdated to when the key was compromised, so signatures
+     *      made after that point are no longer considered valid.
      * @param deviceId Device identifier
-     * @return Device struct
+     * @param compromisedAt When the key was compromised (0 for now)
      */
-    function getDevice(bytes32 deviceId) 
+    function revokeDeviceKey(bytes32 deviceId, uint256 compromisedAt) 
         external 
-        view 
         deviceExists(deviceId) 
-        returns (Device memory) 
+        onlyDeviceOwner(deviceId, ROLE_OPERATOR) 
     {
-        return devices[deviceId];
+        string memory publicKey = devices[deviceId].publicKey;
+        require(bytes(publicKey).length > 0, "Device has no active key");
+        
+        DeviceKey storage key = deviceKeys[deviceId][deviceKeys[deviceId].length - 1];
+        uint256 revokedAt = compromisedAt == 0 ? block.timestamp : compromisedAt;
+        require(revokedAt >= key.addedAt && revokedAt <= block.timestamp, "Invalid revocation time");
+        
+        key.revokedAt = revokedAt;
+        key.compromised = true;
+        devices[deviceId].publicKey = "";
+        
+        emit DeviceKeyRevoked(deviceId, publicKey, revokedAt, block.timestamp);
     }
     
     /**
-     * @notice Get all devices owned by an address
-     * @param owner Owner address
-     * @return Array of device IDs
+     * @notice Anchor the head hash of a device's off-chain command log
+     * @dev The log is hash-chained, so anchoring its head commits to every earlier entry.
+     *      Anchors must cover more entries than the previous one.
+     * @param deviceId Device identifier
+     * @param logHash Hash of the latest log entry
+     * @param entryCount Number of entries in the log up to and including that entry
      */
-    function getOwnerDevices(address owner) 
+    function anchorCommandLog(
+        bytes32 deviceId,
+        bytes32 logHash,
+        uint256 entryCount
+    ) external deviceExists(deviceId) onlyAccessManager(deviceId) {
+        require(logHash != bytes32(0), "Invalid log hash");
+        require(entryCount > commandLogAnchors[deviceId].entryCount, "Anchor must cover new entries");
+        
+        commandLogAnchors[deviceId] = CommandLogAnchor({
+            logHash: logHash,
+            entryCount: entryCount,
+            anchoredAt: block.timestamp
+        });
+        
+        emit CommandLogAnchored(deviceId, logHash, entryCount, _msgSender(), block.timestamp);
+    }
+    
+    // ============ OWNERSHIP TRANSFER ============
+    
+    /**
+     * @notice Propose transferring a device to a new owner
+     * @dev The recipient must call acceptTransfer to complete the transfer.
+     *      Proposing again replaces any pending proposal. Organization devices are
+     *      transferred by organization admins.
+     * @param deviceId Device identifier
+     * @param newOwner Address of the proposed new owner, or an organization account
+     */
+    function proposeTransfer(bytes32 deviceId, address newOwner) 
         external 
-        view 
-        returns (bytes32[] memory) 
+        deviceExists(deviceId) 
+        onlyDeviceOwner(deviceId, ROLE_ADMIN) 
     {
-        return ownerDevices[owner];
+        address owner = devices[deviceId].owner;
+        require(newOwner != address(0), "Invalid new owner address");
+        require(newOwner != owner, "Cannot transfer to self");
+        
+        pendingTransfers[deviceId] = newOwner;
+        
+        emit DeviceTransferProposed(deviceId, owner, newOwner, block.timestamp);
     }
     
     /**
-     * @notice Get access passes for a device
+     * @notice Cancel a pending transfer proposal
      * @param deviceId Device identifier
-     * @return Array of access passes
      */
-    function getDeviceAccessPasses(bytes32 deviceId) 
+    function cancelTransfer(bytes32 deviceId) 
         external 
-        view 
         deviceExists(deviceId) 
-        returns (AccessPass[] memory) 
+        onlyDeviceOwner(deviceId, ROLE_ADMIN) 
     {
-        return deviceAccessPasses[deviceId];
+        address pending = pendingTransfers[deviceId];
+        require(pending != address(0), "No pending transfer");
+        
+        delete pendingTransfers[deviceId];
+        
+        emit DeviceTransferCancelled(deviceId, devices[deviceId].owner, pending, block.timestamp);
     }
     
     /**
-     * @notice Get total number of registered devices
-     * @return uint256 Total device count
+     * @notice Accept a pending transfer and become the device owner
+     * @dev All access passes granted before the transfer are revoked at once, by moving the
+     *      device's access epoch past them rather than touching each pass, and the device
+     *      leaves its groups. Transfers to an organization account are accepted by one of its admins.
+     * @param deviceId Device identifier
      */
-    function getTotalDevices() external view returns (uint256) {
-        return allDeviceIds.length;
+    function acceptTransfer(bytes32 deviceId) external deviceExists(deviceId) {
+        address newOwner = pendingTransfers[deviceId];
+        require(
+            newOwner != address(0) && (newOwner == _msgSender() ||
+                memberRoles[accountOrganization[newOwner]][_msgSender()] == ROLE_ADMIN),
+            "No pending transfer to caller"
+        );
+        
+        address previousOwner = devices[deviceId].owner;
+        
+        delete pendingTransfers[deviceId];
+        devices[deviceId].owner = newOwner;
+        
+        _removeOwnerDevice(previousOwner, deviceId);
+        ownerDevices[newOwner].push(deviceId);
+        ownershipHistory[deviceId].push(OwnershipRecord({
+            owner: newOwner,
+            acquiredAt: block.timestamp
+        }));
+        
+        accessEpochs[deviceId] = deviceAccessPasses[deviceId].length;
+        deviceGroups.releaseDevice(deviceId);
+        
+        emit DeviceTransferred(deviceId, previousOwner, newOwner, block.timestamp);
     }
     
+    // ============ ORGANIZATIONS ============
+    
     /**
-     * @notice Get device by index (for enumeration)
-     * @param index Device index
-     * @return deviceId Device identifier
+     * @notice Create an organization with the caller as its first admin
+     * @dev The organization gets an account address with no private key. Devices owned
+     *      by that address are managed by the organization's members according to their role.
+     * @param name Organization name
+     * @return orgId Organization identifier
      */
-    function getDeviceByIndex(uint256 index) 
-        external 
-        view 
-        returns (bytes32) 
-    {
-        require(index < allDeviceIds.length, "Index out of bounds");
-        return allDeviceIds[index];
+    function createOrganization(string memory name) external returns (uint256 orgId) {
+        require(bytes(name).length > 0, "Name cannot be empty");
+        
+        orgId = organizationCount + 1;
+        _storeOrganization(name, address(uint160(uint256(
+            keccak256(abi.encodePacked("ThingID organization", address(this), orgId))
+        ))), block.timestamp);
     }
     
     /**
-     * @notice Check access expiration time for a viewer
-     * @param deviceId Device identifier
-     * @param viewer Viewer address
-     * @return uint256 Expiration timestamp (0 if no access)
+     * @notice Add a member, change their role, or remove them
+     * @dev An organization always keeps at least one admin
+     * @param orgId Organization identifier
+     * @param member Member address
+     * @param role ROLE_VIEWER, ROLE_OPERATOR or ROLE_ADMIN; 0 removes the member
      */
-    function getAccessExpiration(bytes32 deviceId, address viewer) 
+    function setMemberRole(uint256 orgId, address member, uint8 role) 
         external 
-        view 
-        returns (uint256) 
+        onlyOrganizationAdmin(orgId) 
     {
-        return viewerAccess[deviceId][viewer];
+        require(member != address(0), "Invalid member address");
+        require(role <= ROLE_ADMIN, "Invalid role");
+        
+        _setMemberRole(orgId, member, role);
+    }
+    
+    // ============ MIGRATION ============
+    
+    /**
+     * @notice Import devices exported from a previous ThingID deployment
+     * @dev Keeps device IDs, owners and registration timestamps. Only the migrator can
+     *      import, and only until finalizeMigration is called.
+     * @param imports Devices to import, at most MAX_BATCH_SIZE
+     */
+    function importDevices(DeviceImport[] memory imports) external onlyMigrator {
+        require(imports.length > 0, "Empty batch");
+        require(imports.length <= MAX_BATCH_SIZE, "Batch too large");
+        
+        for (uint256 i = 0; i < imports.length; i++) {
+            DeviceImport memory entry = imports[i];
+            require(entry.deviceId != bytes32(0) && entry.owner != address(0), "Invalid import");
+            
+            _storeDevice(entry.deviceId, entry.owner, entry.registeredAt, entry.registration);
+            devices[entry.deviceId].isActive = entry.isActive;
+        }
+    }
+    
+    /**
+     * @notice Import an organization exported from a previous ThingID deployment
+     * @dev Keeps the organization ID and its account address, which owns the imported
+     *      organization devices but has no key, so it cannot be re-derived here. Import
+     *      organizations in ID order, before anyone creates one. The migrator becomes the
+     *      first admin, adds the members with setMemberRole, then removes itself.
+     * @param orgId Organization ID in the previous deployment
+     * @param name Organization name
+     * @param account Organization account in the previous deployment
+     * @param createdAt Original creation timestamp
+     */
+    function importOrganization(uint256 orgId, string memory name, address account, uint256 createdAt)
+        external
+        onlyMigrator
+    {
+        require(orgId == organizationCount + 1, "Invalid import");
+        
+        _storeOrganization(name, account, createdAt);
+    }
+    
+    /**
+     * @notice Import a device's ownership and key history
+     * @dev Call once per device, after importDevices, so isKeyValidAt keeps accepting
+     *      telemetry signed with rotated-out keys
+     * @param deviceId Imported device identifier
+     * @param owners Ownership history, oldest first
+     * @param keys Key history, oldest first
+     */
+    function importDeviceHistory(
+        bytes32 deviceId,
+        OwnershipRecord[] memory owners,
+        DeviceKey[] memory keys
+    ) external onlyMigrator deviceExists(deviceId) {
+        require(ownershipHistory[deviceId].length == 0, "History already imported");
+        
+        for (uint256 i = 0; i < owners.length; i++) {
+            ownershipHistory[deviceId].push(owners[i]);
+        }
+        for (uint256 i = 0; i < keys.length; i++) {
+            deviceKeys[deviceId].push(keys[i]);
+        }
+    }
+    
+    /**
+     * @notice Import a device's access pass history and current viewer access
+     * @dev Passes are stored as exported, keeping their pass IDs; each viewer's active pass
+     *      becomes their current one. viewerAccess and viewerPermissions come from viewers.
+     *      Emits AccessGranted for each pass so viewers can find it.
+     * @param deviceId Imported device identifier
+     * @param passes Access passes, oldest first
+     * @param viewers Current viewerAccess and viewerPermissions entries
+     */
+    function importAccessPasses(
+        bytes32 deviceId,
+        AccessPass[] calldata passes,
+        ViewerAccessImport[] calldata viewers
+    ) external onlyMigrator deviceExists(deviceId) {
+        for (uint256 i = 0; i < passes.length; i++) {
+            AccessPass calldata pass = passes[i];
+            deviceAccessPasses[deviceId].push(pass);
+            if (pass.isActive) {
+                currentPasses[deviceId][pass.viewer] = deviceAccessPasses[deviceId].length;
+            }
+            
+            emit AccessGranted(
+                deviceId,
+                pass.device_owner,
+                pass.viewer,
+                pass.expiresAt,
+                pass.permissions,
+                pass.grantedBy,
+                pass.grantedAt
+            );
+        }
+        
+        for (uint256 i = 0; i < viewers.length; i++) {
+            passExpirations[deviceId][viewers[i].viewer] = viewers[i].expiresAt;
+            passPermissions[deviceId][viewers[i].viewer] = viewers[i].permissions;
+        }
+    }
+    
+    /**
+     * @notice Close the import path for good
+     * @dev Fresh deployments call this straight away; migrations call it once parity is verified
+     */
+    function finalizeMigration() external onlyMigrator {
+        emit MigrationFinalized(migrator, allDeviceIds.length, block.timestamp);
+        migrator = address(0);
+    }
+    
+    // ============ META-TRANSACTIONS ============
+    
+    /**
+     * @notice Execute a call signed off-chain by another account, attributed to the signer
+     * @dev The signer signs an EIP-712 MetaTransaction over the ABI-encoded call. Only
+     *      registerDevice, registerDevices, grantAccess, revokeAccess, extendAccess,
+     *      renewAccess, updateDevice, toggleDeviceStatus, rotateDeviceKey and revokeDeviceKey
+     *      can be relayed. The call
+     *      is made to this contract with the signer appended to the calldata, where
+     *      _msgSender() picks it up (ERC-2771 style).
+     * @param signer Account that signed the request
+     * @param data ABI-encoded function call
+     * @param deadline Timestamp after which the signature is no longer valid
+     * @param signature 65-byte EIP-712 signature by signer
+     * @return Return data of the relayed call
+     */
+    function executeMetaTransaction(
+        address signer,
+        bytes calldata data,
+        uint256 deadline,
+        bytes calldata signature
+    ) external returns (bytes memory) {
+        require(block.timestamp <= deadline, "Signature expired");
+        require(data.length >= 4 && _isRelayable(bytes4(data[:4])), "Function not relayable");
+        
+        uint256 nonce = nonces[signer];
+        bytes32 structHash = keccak256(
+            abi.encode(META_TRANSACTION_TYPEHASH, signer, keccak256(data), nonce, deadline)
+        );
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+        require(signer != address(0) && _recoverSigner(digest, signature) == signer, "Invalid signature");
+        
+        nonces[signer] = nonce + 1;
+        
+        (bool success, bytes memory result) = address(this).call(abi.encodePacked(data, signer));
+        if (!success) {
+            // Bubble up the relayed call's revert reason
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        
+        emit MetaTransactionExecuted(signer, msg.sender, bytes4(data[:4]), nonce, block.timestamp);
+        
+        return result;
+    }
+    
+    /**
+     * @notice EIP-712 domain separator for meta-transaction signatures
+     * @return bytes32 Domain separator for the current chain
+     */
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256(bytes("ThingID")),
+            keccak256(bytes(VERSION)),
+            block.chainid,
+            address(this)
+        ));
+    }
+    
+    // ============ VIEW FUNCTIONS ============
+    
+    /**
+     * @notice Get device details
+     * @param deviceId Device identifier
+     * @return Device struct
+     */
+    function getDevice(bytes32 deviceId) 
+        external 
+        view 
+        deviceExists(deviceId) 
+        returns (Device memory) 
+    {
+        return devices[deviceId];
+    }
+    
+    /**
+     * @notice Resolve a DID to its device identifier
+     * @param _did Decentralized identifier of the device
+     * @return deviceId Device identifier
+     */
+    function getDeviceIdByDid(string memory _did) 
+        external 
+        view 
+        returns (bytes32) 
+    {
+        bytes32 deviceId = didToDeviceId[keccak256(bytes(_did))];
+        require(deviceId != bytes32(0), "DID not registered");
+        return deviceId;
+    }
+    
+    /**
+     * @notice Get all devices owned by an address
+     * @param owner Owner address
+     * @return Array of device IDs
+     */
+    function getOwnerDevices(address owner) 
+        external 
+        view 
+        returns (bytes32[] memory) 
+    {
+        return ownerDevices[owner];
+    }
+    
+    /**
+     * @notice Get access passes for a device
+     * @dev Passes revoked by a transfer are reported inactive
+     * @param deviceId Device identifier
+     * @return Array of access passes
+     */
+    function getDeviceAccessPasses(bytes32 deviceId) 
+        external 
+        view 
+        deviceExists(deviceId) 
+        returns (AccessPass[] memory) 
+    {
+        AccessPass[] memory passes = deviceAccessPasses[deviceId];
+        for (uint256 i = 0; i < accessEpochs[deviceId]; i++) {
+            passes[i].isActive = false;
+        }
+        return passes;
+    }
+    
+    /**
+     * @notice Get the viewers whose device pass currently grants access
+     * @dev Empty while the device is inactive. Group passes are listed by DeviceGroups.
+     * @param deviceId Device identifier
+     * @return viewers Pass holders
+     * @return passIds Index of each holder's pass in getDeviceAccessPasses
+     */
+    function getActiveViewers(bytes32 deviceId) 
+        external 
+        view 
+        deviceExists(deviceId) 
+        returns (address[] memory viewers, uint256[] memory passIds) 
+    {
+        AccessPass[] storage passes = deviceAccessPasses[deviceId];
+        viewers = new address[](passes.length);
+        passIds = new uint256[](passes.length);
+        uint256 count = 0;
+        
+        for (uint256 i = accessEpochs[deviceId]; i < passes.length && devices[deviceId].isActive; i++) {
+            if (passes[i].isActive && passes[i].expiresAt > block.timestamp) {
+                viewers[count] = passes[i].viewer;
+                passIds[count++] = i;
+            }
+        }
+        
+        assembly {
+            mstore(viewers, count)
+            mstore(passIds, count)
+        }
+    }
+    
+    /**
+     * @notice Get total number of registered devices
+     * @return uint256 Total device count
+     */
+    function getTotalDevices() external view returns (uint256) {
+        return allDeviceIds.length;
+    }
+    
+    /**
+     * @notice Get device by index (for enumeration)
+     * @param index Device index
+     * @return deviceId Device identifier
+     */
+    function getDeviceByIndex(uint256 index) 
+        external 
+        view 
+        returns (bytes32) 
+    {
+        require(index < allDeviceIds.length, "Index out of bounds");
+        return allDeviceIds[index];
+    }
+    
+    /**
+     * @notice Get a page of all registered devices, in registration order
+     * @param offset Index of the first device to return
+     * @param limit Maximum number of devices to return
+     * @return deviceIds Device identifiers for the page
+     * @return page Device structs matching deviceIds
+     */
+    function getDevicesPaginated(uint256 offset, uint256 limit) 
+        external 
+        view 
+        returns (bytes32[] memory deviceIds, Device[] memory page) 
+    {
+        return _paginate(allDeviceIds, offset, limit);
+    }
+    
+    /**
+     * @notice Get a page of the devices owned by an address
+     * @param owner Owner address
+     * @param offset Index of the first device to return
+     * @param limit Maximum number of devices to return
+     * @return deviceIds Device identifiers for the page
+     * @return page Device structs matching deviceIds
+     */
+    function getOwnerDevicesPaginated(address owner, uint256 offset, uint256 limit) 
+        external 
+        view 
+        returns (bytes32[] memory deviceIds, Device[] memory page) 
+    {
+        return _paginate(ownerDevices[owner], offset, limit);
+    }
+    
+    /**
+     * @notice Get the number of devices owned by an address
+     * @param owner Owner address
+     * @return uint256 Device count
+     */
+    function getOwnerDeviceCount(address owner) external view returns (uint256) {
+        return ownerDevices[owner].length;
+    }
+    
+    /**
+     * @notice Check whether an account owns a device or is an organization member with at least a role
+     * @param deviceId Device identifier
+     * @param account Address to check
+     * @param minRole Minimum organization role (ROLE_*)
+     * @return bool True if account is the owner or holds the role in the owning organization
+     */
+    function isOwnerOrMember(bytes32 deviceId, address account, uint8 minRole) 
+        external 
+        view 
+        deviceExists(deviceId) 
+        returns (bool) 
+    {
+        return _isOwnerOrMember(deviceId, account, minRole);
+    }
+    
+    /**
+     * @notice Get the members of an organization
+     * @param orgId Organization identifier
+     * @return members Member addresses
+     * @return roles Role of each member (ROLE_*)
+     */
+    function getOrganizationMembers(uint256 orgId) 
+        external 
+        view 
+        returns (address[] memory members, uint8[] memory roles) 
+    {
+        members = organizationMembers[orgId];
+        roles = new uint8[](members.length);
+        for (uint256 i = 0; i < members.length; i++) {
+            roles[i] = memberRoles[orgId][members[i]];
+        }
+    }
+    
+    /**
+     * @notice Get the organizations an address is a member of
+     * @param member Member address
+     * @return Array of organization IDs
+     */
+    function getMemberOrganizations(address member) external view returns (uint256[] memory) {
+        return memberOrganizations[member];
+    }
+    
+    /**
+     * @notice Get the ownership history of a device
+     * @param deviceId Device identifier
+     * @return Array of ownership records, oldest first
+     */
+    function getOwnershipHistory(bytes32 deviceId) 
+        external 
+        view 
+        deviceExists(deviceId) 
+        returns (OwnershipRecord[] memory) 
+    {
+        return ownershipHistory[deviceId];
+    }
+    
+    /**
+     * @notice Get every key a device has had, oldest first
+     * @param deviceId Device identifier
+     * @return DeviceKey[] Key history
+     */
+    function getDeviceKeys(bytes32 deviceId) 
+        external 
+        view 
+        deviceExists(deviceId) 
+        returns (DeviceKey[] memory) 
+    {
+        return deviceKeys[deviceId];
+    }
+    
+    /**
+     * @notice Check whether a key was a valid device key at a given time
+     * @param deviceId Device identifier
+     * @param publicKey Public key, exactly as registered
+     * @param timestamp Time to check (unix seconds)
+     * @return bool True if the key had been added and not yet revoked at that time
+     */
+    function isKeyValidAt(bytes32 deviceId, string memory publicKey, uint256 timestamp) 
+        external 
+        view 
+        returns (bool) 
+    {
+        DeviceKey[] storage keys = deviceKeys[deviceId];
+        bytes32 keyHash = keccak256(bytes(publicKey));
+        
+        for (uint256 i = 0; i < keys.length; i++) {
+            if (keccak256(bytes(keys[i].publicKey)) == keyHash) {
+                return keys[i].addedAt <= timestamp && (keys[i].revokedAt == 0 || timestamp < keys[i].revokedAt);
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * @notice Get the expiry of a viewer's current device pass
+     * @param deviceId Device identifier
+     * @param viewer Viewer address
+     * @return uint256 Expiration timestamp (0 if revoked, or granted before the last transfer)
+     */
+    function viewerAccess(bytes32 deviceId, address viewer) public view returns (uint256) {
+        return currentPasses[deviceId][viewer] > accessEpochs[deviceId] ? passExpirations[deviceId][viewer] : 0;
+    }
+    
+    /**
+     * @notice Get the permission bitmask of a viewer's current device pass
+     * @param deviceId Device identifier
+     * @param viewer Viewer address
+     * @return uint8 Permission bitmask (0 if revoked, or granted before the last transfer)
+     */
+    function viewerPermissions(bytes32 deviceId, address viewer) public view returns (uint8) {
+        return viewerAccess(deviceId, viewer) != 0 ? passPermissions[deviceId][viewer] : 0;
+    }
+    
+    // ============ INTERNAL FUNCTIONS ============
+    
+    function _checkDeviceOwner(bytes32 deviceId, uint8 minRole) internal view {
+        require(_isOwnerOrMember(deviceId, _msgSender(), minRole), "Not device owner");
+    }
+    
+    function _checkDeviceExists(bytes32 deviceId) internal view {
+        require(devices[deviceId].owner != address(0), "Device does not exist");
+    }
+    
+    function _checkAccessManager(bytes32 deviceId) internal view {
+        require(
+            devices[deviceId].owner == _msgSender() || _hasPermission(deviceId, _msgSender(), PERMISSION_ADMIN),
+            "Not device owner or admin"
+        );
+    }
+    
+    /**
+     * @dev Register a device owned by owner and return its ID
+     */
+    function _registerDevice(address owner, DeviceRegistration memory input) internal returns (bytes32) {
+        // Generate unique device ID from DID
+        bytes32 deviceId = keccak256(abi.encodePacked(input.did, owner, block.timestamp));
+        
+        _storeDevice(deviceId, owner, block.timestamp, input);
+        
+        ownershipHistory[deviceId].push(OwnershipRecord({
+            owner: owner,
+            acquiredAt: block.timestamp
+        }));
+        
+        if (bytes(input.publicKey).length > 0) {
+            deviceKeys[deviceId].push(DeviceKey({
+                publicKey: input.publicKey,
+                addedAt: block.timestamp,
+                revokedAt: 0,
+                compromised: false
+            }));
+        }
+        
+        return deviceId;
+    }
+    
+    /**
+     * @dev Store a new device under deviceId and index it; shared by registration and import
+     */
+    function _storeDevice(
+        bytes32 deviceId,
+        address owner,
+        uint256 registeredAt,
+        DeviceRegistration memory input
+    ) internal {
+        require(bytes(input.did).length > 0, "DID cannot be empty");
+        require(bytes(input.name).length > 0, "Name cannot be empty");
+        
+        // Each DID may only be bound to a single device
+        bytes32 didHash = keccak256(bytes(input.did));
+        require(didToDeviceId[didHash] == bytes32(0), "DID already registered");
+        
+        // Ensure device doesn't already exist
+        require(devices[deviceId].owner == address(0), "Device ID collision");
+        
+        // Create device
+        devices[deviceId] = Device({
+            did: input.did,
+            name: input.name,
+            deviceType: input.deviceType,
+            manufacturer: input.manufacturer,
+            model: input.model,
+            serialNumber: input.serialNumber,
+            location: input.location,
+            publicKey: input.publicKey,
+            owner: owner,
+            registeredAt: registeredAt,
+            isActive: true
+        });
+        
+        // Track ownership
+        ownerDevices[owner].push(deviceId);
+        allDeviceIds.push(deviceId);
+        didToDeviceId[didHash] = deviceId;
+        
+        emit DeviceRegistered(
+            deviceId,
+            input.did,
+            owner,
+            input.name,
+            input.deviceType,
+            registeredAt
+        );
+    }
+    
+    /**
+     * @dev Caller of the current function: the meta-transaction signer when the call was
+     *      relayed through executeMetaTransaction, the approver when AccessRequests forwards
+     *      an approval, otherwise msg.sender
+     */
+    function _msgSender() internal view returns (address sender) {
+        if ((msg.sender == address(this) || msg.sender == address(accessRequests)) && msg.data.length >= 24) {
+            assembly {
+                sender := shr(96, calldataload(sub(calldatasize(), 20)))
+            }
+        } else {
+            sender = msg.sender;
+        }
+    }
+    
+    /**
+     * @dev Functions that may be called through executeMetaTransaction
+     */
+    function _isRelayable(bytes4 selector) internal pure returns (bool) {
+        return selector == this.registerDevice.selector ||
+            selector == this.registerDevices.selector ||
+            selector == this.grantAccess.selector ||
+            selector == this.revokeAccess.selector ||
+            selector == this.extendAccess.selector ||
+            selector == this.renewAccess.selector ||
+            selector == this.updateDevice.selector ||
+            selector == this.toggleDeviceStatus.selector ||
+            selector == this.rotateDeviceKey.selector ||
+            selector == this.revokeDeviceKey.selector;
+    }
+    
+    /**
+     * @dev Recover the signer of a digest from a 65-byte (r, s, v) signature,
+     *      rejecting malleable high-s signatures
+     */
+    function _recoverSigner(bytes32 digest, bytes calldata signature) internal pure returns (address) {
+        require(signature.length == 65, "Invalid signature length");
+        
+        bytes32 r = bytes32(signature[:32]);
+        bytes32 s = bytes32(signature[32:64]);
+        uint8 v = uint8(signature[64]);
+        
+        require(
+            uint256(s) <= 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0,
+            "Invalid signature"
+        );
+        require(v == 27 || v == 28, "Invalid signature");
+        
+        return ecrecover(digest, v, r, s);
+    }
+    
+    /**
+     * @dev Owner and organization operators and admins hold every permission, organization
+     *      viewers hold READ; others need an unexpired device or group pass with the bits set,
+     *      on an active device
+     */
+    function _hasPermission(bytes32 deviceId, address account, uint8 permission) 
+        internal 
+        view 
+        returns (bool) 
+    {
+        if (_isOwnerOrMember(deviceId, account, permission == PERMISSION_READ ? ROLE_VIEWER : ROLE_OPERATOR)) {
+            return true;
+        }
+        
+        if (!devices[deviceId].isActive) {
+            return false;
+        }
+        
+        if (viewerAccess(deviceId, account) > block.timestamp &&
+            viewerPermissions(deviceId, account) & permission == permission) {
+            return true;
+        }
+        
+        (uint256 groupExpiresAt, ) = deviceGroups.groupAccessExpiration(
+            deviceId,
+            devices[deviceId].owner,
+            account,
+            permission
+        );
+        return groupExpiresAt != 0;
+    }
+    
+    /**
+     * @dev True if account owns the device, or the device is owned by an organization in
+     *      which account holds at least minRole
+     */
+    function _isOwnerOrMember(bytes32 deviceId, address account, uint8 minRole) 
+        internal 
+        view 
+        returns (bool) 
+    {
+        address owner = devices[deviceId].owner;
+        if (owner == account) {
+            return true;
+        }
+        
+        // Personal owners map to organization 0, which has no members
+        return minRole > 0 && memberRoles[accountOrganization[owner]][account] >= minRole;
+    }
+    
+    /**
+     * @dev Store the next organization, index its account and make the caller its first admin
+     */
+    function _storeOrganization(string memory name, address account, uint256 createdAt) internal {
+        uint256 orgId = ++organizationCount;
+        organizations[orgId] = Organization({
+            name: name,
+            account: account,
+            createdAt: createdAt,
+            adminCount: 0
+        });
+        accountOrganization[account] = orgId;
+        
+        emit OrganizationCreated(orgId, name, account, _msgSender(), createdAt);
+        
+        _setMemberRole(orgId, _msgSender(), ROLE_ADMIN);
+    }
+    
+    /**
+     * @dev Set a member's role, maintaining the member lists and the admin count
+     */
+    function _setMemberRole(uint256 orgId, address member, uint8 role) internal {
+        uint8 previous = memberRoles[orgId][member];
+        Organization storage org = organizations[orgId];
+        
+        if (previous == ROLE_ADMIN) {
+            org.adminCount--;
+        }
+        if (role == ROLE_ADMIN) {
+            org.adminCount++;
+        }
+        require(org.adminCount > 0, "Organization needs an admin");
+        
+        if (previous == 0 && role != 0) {
+            organizationMembers[orgId].push(member);
+            memberOrganizations[member].push(orgId);
+        } else if (previous != 0 && role == 0) {
+            _removeAddress(organizationMembers[orgId], member);
+            _removeOrgId(memberOrganizations[member], orgId);
+        }
+        
+        memberRoles[orgId][member] = role;
+        
+        emit MemberRoleChanged(orgId, member, role, _msgSender(), block.timestamp);
+    }
+    
+    /**
+     * @dev Slice a list of device IDs and load the matching devices
+     */
+    function _paginate(bytes32[] storage ids, uint256 offset, uint256 limit) 
+        internal 
+        view 
+        returns (bytes32[] memory deviceIds, Device[] memory page) 
+    {
+        if (offset >= ids.length) {
+            return (new bytes32[](0), new Device[](0));
+        }
+        
+        uint256 end = offset + limit;
+        if (end > ids.length) {
+            end = ids.length;
+        }
+        
+        deviceIds = new bytes32[](end - offset);
+        page = new Device[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            deviceIds[i - offset] = ids[i];
+            page[i - offset] = devices[ids[i]];
+        }
+    }
+    
+    /**
+     * @dev Remove a device from an owner's device list (swap and pop)
+     */
+    function _removeOwnerDevice(address owner, bytes32 deviceId) internal {
+        bytes32[] storage owned = ownerDevices[owner];
+        for (uint256 i = 0; i < owned.length; i++) {
+            if (owned[i] == deviceId) {
+                owned[i] = owned[owned.length - 1];
+                owned.pop();
+                return;
+            }
+        }
+    }
+    
+    /**
+     * @dev Remove an address from a list (swap and pop)
+     */
+    function _removeAddress(address[] storage list, address value) internal {
+        for (uint256 i = 0; i < list.length; i++) {
+            if (list[i] == value) {
+                list[i] = list[list.length - 1];
+                list.pop();
+                return;
+            }
+        }
+    }
+    
+    /**
+     * @dev Remove an organization ID from a list (swap and pop)
+     */
+    function _removeOrgId(uint256[] storage list, uint256 value) internal {
+        for (uint256 i = 0; i < list.length; i++) {
+            if (list[i] == value) {
+                list[i] = list[list.length - 1];
+                list.pop();
+                return;
+            }
+        }
+    }
+    
+    /**
+     * @dev Move a viewer's current pass to expiresAt and record it in viewerAccess
+     */
+    function _extendPass(bytes32 deviceId, address viewer, uint256 expiresAt) 
+        internal 
+        deviceExists(deviceId) 
+        onlyAccessManager(deviceId) 
+        deviceActive(deviceId) 
+    {
+        address sender = _msgSender();
+        uint256 passId = currentPasses[deviceId][viewer];
+        
+        require(passId > accessEpochs[deviceId], "No access pass");
+        require(expiresAt > viewerAccess(deviceId, viewer) && expiresAt <= block.timestamp + 365 days, "Invalid duration");
+        if (!_isOwnerOrMember(deviceId, sender, ROLE_OPERATOR)) {
+            require(viewerPermissions(deviceId, viewer) & PERMISSION_ADMIN == 0, "Delegates cannot extend admin");
+            require(expiresAt <= viewerAccess(deviceId, sender), "Grant outlasts delegate access");
+        }
+        
+        deviceAccessPasses[deviceId][passId - 1].expiresAt = expiresAt;
+        passExpirations[deviceId][viewer] = expiresAt;
+        
+        emit AccessExtended(deviceId, viewer, passId - 1, expiresAt, sender, block.timestamp);
+    }
+    
+    /**
+     * @dev Mark a viewer's current pass inactive, if there is one
+     */
+    function _closePass(bytes32 deviceId, address viewer) internal {
+        uint256 passId = currentPasses[deviceId][viewer];
+        if (passId != 0) {
+            deviceAccessPasses[deviceId][passId - 1].isActive = false;
+            delete currentPasses[deviceId][viewer];
+        }
     }
 }
\ No newline at end of file
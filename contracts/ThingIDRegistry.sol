@@ -0,0 +1,142 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/IThingID.sol";
+
+/**
+ * @title ThingIDRegistry - Pointer to the current ThingID deployment
+ * @notice Records each ThingID release so the frontend and backend can look up the current
+ *         contract instead of hardcoding its address. A new version is published once its
+ *         state has been imported from the previous one and its import path is closed.
+ * @dev Deployed once per network; its address stays the same across ThingID versions
+ */
+contract ThingIDRegistry {
+    
+    // ============ STRUCTS ============
+    
+    struct Release {
+        address thingId;                // ThingID deployment
+        address manufacturerRegistry;   // ManufacturerRegistry reading from it (zero if none)
+        string version;                 // ThingID VERSION of the deployment
+        uint256 publishedAt;            // When the release became current
+    }
+    
+    // ============ STATE VARIABLES ============
+    
+    // Account that publishes releases
+    address public admin;
+    
+    // Every published release, oldest first; the last one is current
+    Release[] internal releases;
+    
+    // ============ EVENTS ============
+    
+    event ReleasePublished(
+        uint256 indexed releaseId,
+        address indexed thingId,
+        address manufacturerRegistry,
+        string version,
+        uint256 timestamp
+    );
+    
+    event AdminTransferred(
+        address indexed previousAdmin,
+        address indexed newAdmin,
+        uint256 timestamp
+    );
+    
+    // ============ MODIFIERS ============
+    
+    modifier onlyAdmin() {
+        require(msg.sender == admin, "Not registry admin");
+        _;
+    }
+    
+    // ============ CONSTRUCTOR ============
+    
+    constructor() {
+        admin = msg.sender;
+    }
+    
+    // ============ RELEASE MANAGEMENT ============
+    
+    /**
+     * @notice Make a ThingID deployment the current one
+     * @dev The deployment must have finalized its migration, so clients are never pointed
+     *      at a contract whose state can still be imported into. Publishing an earlier
+     *      deployment again rolls back to it.
+     * @param thingId ThingID deployment
+     * @param manufacturerRegistry ManufacturerRegistry bound to it (zero if none)
+     * @return releaseId Index of the new release
+     */
+    function publishRelease(address thingId, address manufacturerRegistry) 
+        external 
+        onlyAdmin 
+        returns (uint256 releaseId) 
+    {
+        require(thingId != address(0), "Invalid ThingID address");
+        require(IThingID(thingId).migrator() == address(0), "Migration not finalized");
+        require(
+            releases.length == 0 || releases[releases.length - 1].thingId != thingId,
+            "Already current"
+        );
+        
+        string memory version = IThingID(thingId).VERSION();
+        releaseId = releases.length;
+        releases.push(Release({
+            thingId: thingId,
+            manufacturerRegistry: manufacturerRegistry,
+            version: version,
+            publishedAt: block.timestamp
+        }));
+        
+        emit ReleasePublished(releaseId, thingId, manufacturerRegistry, version, block.timestamp);
+    }
+    
+    /**
+     * @notice Hand the registry to a new admin
+     * @param newAdmin Address of the new admin
+     */
+    function transferAdmin(address newAdmin) external onlyAdmin {
+        require(newAdmin != address(0), "Invalid admin address");
+        
+        emit AdminTransferred(admin, newAdmin, block.timestamp);
+        
+        admin = newAdmin;
+    }
+    
+    // ============ VIEW FUNCTIONS ============
+    
+    /**
+     * @notice Get the current release
+     * @return Release Latest published release
+     */
+    function currentRelease() external view returns (Release memory) {
+        require(releases.length > 0, "No release published");
+        return releases[releases.length - 1];
+    }
+    
+    /**
+     * @notice Get the current ThingID address
+     * @return address Current ThingID deployment (zero before the first release)
+     */
+    function currentThingId() external view returns (address) {
+        return releases.length > 0 ? releases[releases.length - 1].thingId : address(0);
+    }
+    
+    /**
+     * @notice Get every release
+     * @return Release[] Releases, oldest first
+     */
+    function getReleases() external view returns (Release[] memory) {
+        return releases;
+    }
+    
+    /**
+     * @notice Get the number of releases
+     * @return uint256 Release count
+     */
+    function getReleaseCount() external view returns (uint256) {
+        return releases.length;
+    }
+}
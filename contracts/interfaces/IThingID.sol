@@ -0,0 +1,51 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title IThingID - Read interface of the ThingID device registry
+ * @notice Used by companion contracts that build on registered devices
+ */
+interface IThingID {
+    
+    struct Device {
+        string did;                 // Decentralized Identifier
+        string name;                // Device name
+        string deviceType;          // sensor, actuator, gateway, etc.
+        string manufacturer;        // Manufacturer name
+        string model;               // Device model
+        string serialNumber;        // Serial number
+        string location;            // Physical location
+        string publicKey;           // Device public key
+        address owner;              // Device owner address
+        uint256 registeredAt;       // Registration timestamp
+        bool isActive;              // Active status
+    }
+    
+    struct OwnershipRecord {
+        address owner;              // Owner address
+        uint256 acquiredAt;         // When ownership started
+    }
+    
+    function getDevice(bytes32 deviceId) external view returns (Device memory);
+    
+    function getOwnershipHistory(bytes32 deviceId) external view returns (OwnershipRecord[] memory);
+    
+    function accountOrganization(address account) external view returns (uint256);
+    
+    function memberRoles(uint256 orgId, address member) external view returns (uint8);
+    
+    function hasPermission(bytes32 deviceId, address viewer, uint8 permission) external view returns (bool);
+    
+    function isOwnerOrMember(bytes32 deviceId, address account, uint8 minRole) external view returns (bool);
+    
+    function viewerAccess(bytes32 deviceId, address viewer) external view returns (uint256);
+    
+    function grantAccess(bytes32 deviceId, address viewer, uint256 duration, uint8 permissions) external;
+    
+    function extendAccess(bytes32 deviceId, address viewer, uint256 duration) external;
+    
+    function migrator() external view returns (address);
+    
+    function VERSION() external view returns (string memory);
+}
+    
\ No newline at end of file
@@ -1,23 +1,48 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+const { PROFILES } = require("./config/networks");
 
 module.exports = {
   solidity: {
-    version: "0.8.19",
-    settings: {
-      optimizer: {
-        enabled: true,
-        runs: 200
+    compilers: [
+      {
+        version: "0.8.19",
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 200
+          },
+          // The IR pipeline keeps ThingID under the 24 KB contract size limit
+          viaIR: true
+        }
+      }
+    ],
+    overrides: {
+      // ThingID is optimized for size rather than call cost; at 200 runs it no longer fits
+      "contracts/ThingID.sol": {
+        version: "0.8.19",
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 1
+          },
+          viaIR: true
+        }
       }
     }
   },
   networks: {
     didlab: {
-      url: process.env.DIDLAB_RPC_URL || "https://eth.didlab.org",
-      chainId: 252501,
+      url: process.env.DIDLAB_RPC_URL || PROFILES.didlab.rpcUrl,
+      chainId: PROFILES.didlab.chainId,
       accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
       gasPrice: 1000000000,
       gas: 8000000
+    },
+    // `npx hardhat node` and its prefunded accounts
+    localhost: {
+      url: PROFILES.localhost.rpcUrl,
+      chainId: PROFILES.localhost.chainId
     }
   }
-};
\ No newline at end of file
+};
@@ -1,44 +1,60 @@
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { getProfile, profileNameByChainId } = require("../config/networks");
+const { seedFixtures } = require("./fixtures");
+const { saveDeployment } = require("./deployments");
 
 async function main() {
-  console.log("\n🚀 Deploying ThingID to DIDLab Network...\n");
+  console.log("\n🚀 Deploying ThingID...\n");
 
   try {
     // Get signers
     const signers = await hre.ethers.getSigners();
-    
+
     if (!signers || signers.length === 0) {
       console.error("❌ ERROR: No accounts available!");
       console.error("   Please check your .env file");
       process.exit(1);
     }
-    
+
     const deployer = signers[0];
     console.log("📋 Deployment Account:");
     console.log("   Address:", deployer.address);
-    
+
+    // Get network info and its profile from config/networks.js
+    const network = await hre.ethers.provider.getNetwork();
+    const chainId = Number(network.chainId);
+    const profileName = profileNameByChainId(chainId);
+    if (!profileName) {
+      console.error(`❌ ERROR: No network profile for chain ID ${chainId}`);
+      console.error("   Add one to config/networks.js");
+      process.exit(1);
+    }
+    const profile = getProfile(profileName);
+    const symbol = profile.currency.symbol;
+
     // Get balance - ethers v6 compatible
     const balance = await hre.ethers.provider.getBalance(deployer.address);
     const balanceInEther = hre.ethers.formatEther(balance);
-    console.log("   Balance:", balanceInEther, "TT");
-    
-    // Get network info
-    const network = await hre.ethers.provider.getNetwork();
+    console.log("   Balance:", balanceInEther, symbol);
+
     console.log("\n🌐 Network Info:");
-    console.log("   Chain ID:", network.chainId.toString());
-    console.log("   Network Name:", network.name || "DIDLab");
-    console.log("   RPC URL:", hre.network.config.url);
+    console.log("   Chain ID:", chainId.toString());
+    console.log("   Network Name:", profile.name);
+    console.log("   Profile:", profileName);
+    console.log("   RPC URL:", hre.network.config.url || profile.rpcUrl);
     console.log("");
 
     // Check balance - ethers v6 compatible
     if (balance < hre.ethers.parseEther("0.01")) {
       console.warn("⚠️  WARNING: Very low balance!");
-      console.warn("   Current balance:", balanceInEther, "TT");
-      console.warn("   You need TT tokens to deploy.");
+      console.warn("   Current balance:", balanceInEther, symbol);
+      console.warn(`   You need ${symbol} tokens to deploy.`);
       console.warn("");
-      console.warn("   🪙 Get tokens from: https://faucet.didlab.org");
+      if (profile.faucetUrl) {
+        console.warn("   🪙 Get tokens from:", profile.faucetUrl);
+      }
       console.warn("   📍 Your address:", deployer.address);
       console.warn("");
       process.exit(1);
@@ -47,39 +63,109 @@ async function main() {
     // Get contract factory
     console.log("📝 Getting ThingID contract factory...");
     const ThingID = await hre.ethers.getContractFactory("ThingID");
-    
+
     // Deploy contract - ethers v6 syntax
     console.log("🔨 Deploying ThingID contract...");
     console.log("   Please wait, this may take a minute...\n");
-    
+
     const thingid = await ThingID.deploy({
-      gasLimit: 3000000n
+      gasLimit: 12000000n
     });
-    
+
     console.log("⏳ Transaction sent! Waiting for deployment...");
     const deploymentTx = thingid.deploymentTransaction();
     console.log("   Tx Hash:", deploymentTx.hash);
-    
+
     // Wait for deployment - ethers v6 uses waitForDeployment()
     await thingid.waitForDeployment();
     const contractAddress = await thingid.getAddress();
+    const deploymentReceipt = await deploymentTx.wait();
+
+    // ThingID deploys its DeviceGroups and AccessRequests companions in its constructor
+    const deviceGroupsAddress = await thingid.deviceGroups();
+    const accessRequestsAddress = await thingid.accessRequests();
+
+    // Manufacturer registry reads devices from ThingID, so it is deployed second
+    console.log("🔨 Deploying ManufacturerRegistry contract...");
+    const ManufacturerRegistry = await hre.ethers.getContractFactory("ManufacturerRegistry");
+    const registry = await ManufacturerRegistry.deploy(contractAddress, {
+      gasLimit: 3000000n
+    });
+    await registry.waitForDeployment();
+    const registryAddress = await registry.getAddress();
+
+    // Device metadata versions are recorded per ThingID as well
+    console.log("🔨 Deploying DeviceMetadata contract...");
+    const DeviceMetadata = await hre.ethers.getContractFactory("DeviceMetadata");
+    const deviceMetadata = await DeviceMetadata.deploy(contractAddress, {
+      gasLimit: 3000000n
+    });
+    await deviceMetadata.waitForDeployment();
+    const deviceMetadataAddress = await deviceMetadata.getAddress();
+
+    // So are the encrypted private fields and the keys wrapped for their readers
+    console.log("🔨 Deploying EncryptedFields contract...");
+    const EncryptedFields = await hre.ethers.getContractFactory("EncryptedFields");
+    const encryptedFields = await EncryptedFields.deploy(contractAddress, {
+      gasLimit: 3000000n
+    });
+    await encryptedFields.waitForDeployment();
+    const encryptedFieldsAddress = await encryptedFields.getAddress();
+
+    // And the Merkle roots anchoring device telemetry
+    console.log("🔨 Deploying TelemetryAnchors contract...");
+    const TelemetryAnchors = await hre.ethers.getContractFactory("TelemetryAnchors");
+    const telemetryAnchors = await TelemetryAnchors.deploy(contractAddress, {
+      gasLimit: 3000000n
+    });
+    await telemetryAnchors.waitForDeployment();
+    const telemetryAnchorsAddress = await telemetryAnchors.getAddress();
+
+    // A fresh deployment has no earlier state to import, so its import paths are closed
+    // straight away (scripts/migrate.js keeps them open until the import is verified)
+    await (await thingid.finalizeMigration()).wait();
+    await (await deviceMetadata.finalizeMigration()).wait();
+    await (await encryptedFields.finalizeMigration()).wait();
+    await (await telemetryAnchors.finalizeMigration()).wait();
+
+    // Clients look up the current ThingID in the version registry, which later
+    // migrations publish new versions to
+    console.log("🔨 Deploying ThingIDRegistry contract...");
+    const ThingIDRegistry = await hre.ethers.getContractFactory("ThingIDRegistry");
+    const thingIdRegistry = await ThingIDRegistry.deploy({
+      gasLimit: 2000000n
+    });
+    await thingIdRegistry.waitForDeployment();
+    const thingIdRegistryAddress = await thingIdRegistry.getAddress();
+    await (await thingIdRegistry.publishRelease(contractAddress, registryAddress)).wait();
 
     console.log("\n✅ DEPLOYMENT SUCCESSFUL! 🎉");
     console.log("═══════════════════════════════════════════════════");
     console.log("📍 Contract Address:", contractAddress);
-    console.log("🔗 Block Explorer:");
-    console.log("   https://explorer.didlab.org/address/" + contractAddress);
-    console.log("📦 Deploy Transaction:");
-    console.log("   https://explorer.didlab.org/tx/" + deploymentTx.hash);
+    console.log("🏭 Manufacturer Registry:", registryAddress);
+    console.log("🗒️  Device Metadata:", deviceMetadataAddress);
+    console.log("🔐 Encrypted Fields:", encryptedFieldsAddress);
+    console.log("⚓ Telemetry Anchors:", telemetryAnchorsAddress);
+    console.log("🗂️  Device Groups:", deviceGroupsAddress);
+    console.log("🙋 Access Requests:", accessRequestsAddress);
+    console.log("🧭 Version Registry:", thingIdRegistryAddress);
+    if (profile.explorerUrl) {
+      console.log("🔗 Block Explorer:");
+      console.log(`   ${profile.explorerUrl}/address/${contractAddress}`);
+      console.log("📦 Deploy Transaction:");
+      console.log(`   ${profile.explorerUrl}/tx/${deploymentTx.hash}`);
+    } else {
+      console.log("📦 Deploy Transaction:", deploymentTx.hash);
+    }
     console.log("═══════════════════════════════════════════════════\n");
-    
+
     // Verify contract is working
     console.log("📊 Verifying contract...");
     try {
       const version = await thingid.VERSION();
       const networkName = await thingid.NETWORK();
       const totalDevices = await thingid.getTotalDevices();
-      
+
       console.log("   ✓ Contract Version:", version);
       console.log("   ✓ Network Name:", networkName);
       console.log("   ✓ Total Devices:", totalDevices.toString());
@@ -89,24 +175,38 @@ async function main() {
       console.log("   This is normal - contract is deployed!\n");
     }
 
+    // Seed example devices and passes on development chains
+    const fixtures = profile.seedFixtures ? await seedFixtures(hre, thingid, signers) : null;
+    if (fixtures) {
+      console.log("   ✓ Seeded", fixtures.devices.length, "devices and", fixtures.passes.length, "access passes\n");
+    }
+
     // Save deployment info
     const deploymentInfo = {
-      network: "DIDLab QBFT",
-      chainId: 252501,
+      network: profile.name,
+      chainId: chainId,
       contractAddress: contractAddress,
       contractName: "ThingID",
+      manufacturerRegistryAddress: registryAddress,
+      deviceMetadataAddress: deviceMetadataAddress,
+      encryptedFieldsAddress: encryptedFieldsAddress,
+      telemetryAnchorsAddress: telemetryAnchorsAddress,
+      deviceGroupsAddress: deviceGroupsAddress,
+      accessRequestsAddress: accessRequestsAddress,
+      thingIdRegistryAddress: thingIdRegistryAddress,
       deployer: deployer.address,
       deploymentTxHash: deploymentTx.hash,
+      blockNumber: deploymentReceipt.blockNumber,
       timestamp: new Date().toISOString(),
-      rpcUrl: "https://eth.didlab.org",
-      explorerUrl: "https://explorer.didlab.org/address/" + contractAddress,
-      faucetUrl: "https://faucet.didlab.org"
+      rpcUrl: profile.rpcUrl,
+      explorerUrl: profile.explorerUrl ? `${profile.explorerUrl}/address/${contractAddress}` : null,
+      faucetUrl: profile.faucetUrl || null,
+      fixtures: fixtures
     };
 
-    // Save to root directory
-    const deploymentPath = path.join(__dirname, "..", "deployment-info.json");
-    fs.writeFileSync(deploymentPath, JSON.stringify(deploymentInfo, null, 2));
-    console.log("💾 Deployment info saved to: deployment-info.json\n");
+    // Save to root directory, keyed by chain ID so each network keeps its own deployment
+    saveDeployment(chainId, deploymentInfo);
+    console.log(`💾 Deployment info saved to: deployment-info.json (chain ${chainId})\n`);
 
     // Save ABI
     try {
@@ -118,10 +218,10 @@ async function main() {
         "ThingID.sol",
         "ThingID.json"
       );
-      
+
       if (fs.existsSync(artifactPath)) {
         const artifact = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
-        
+
         // Save full ABI
         const abiPath = path.join(__dirname, "..", "ThingID-ABI.json");
         fs.writeFileSync(abiPath, JSON.stringify(artifact.abi, null, 2));
@@ -135,26 +235,19 @@ async function main() {
     console.log("📝 NEXT STEPS:");
     console.log("═══════════════════════════════════════════════════");
     console.log("");
-    console.log("1️⃣  Update .env file:");
-    console.log(`    CONTRACT_ADDRESS=${contractAddress}`);
-    console.log("");
-    console.log("2️⃣  Update backend/server.js:");
-    console.log("    Add this near the top:");
-    console.log(`    const CONTRACT_ADDRESS = "${contractAddress}";`);
-    console.log("");
-    console.log("3️⃣  Update frontend/index.html:");
-    console.log("    Add after line 330 (in script section):");
-    console.log(`    const CONTRACT_ADDRESS = "${contractAddress}";`);
-    console.log("    const CONTRACT_ABI = [/* paste from ThingID-ABI.json */];");
-    console.log("");
-    console.log("4️⃣  Start backend server:");
+    console.log("1️⃣  Start backend server (addresses come from deployment-info.json):");
     console.log("    cd backend");
-    console.log("    npm start");
+    console.log(`    THINGID_NETWORK=${profileName} npm start`);
     console.log("");
-    console.log("5️⃣  Test your dApp:");
-    console.log("    - Open frontend/index.html in browser");
-    console.log("    - Connect MetaMask to DIDLab network");
-    console.log("    - Register your first IoT device!");
+    console.log("2️⃣  Test your dApp:");
+    console.log("    - Serve the project root over HTTP, e.g. npx serve . -l 8080");
+    console.log(`    - Open index.html?network=${profileName}`);
+    console.log(`    - Connect MetaMask to ${profile.name}`);
+    if (fixtures) {
+      console.log("    - Import the Hardhat node's account #0 (device owner) and #1 (pass holder) into MetaMask");
+    } else {
+      console.log("    - Register your first IoT device!");
+    }
     console.log("");
     console.log("═══════════════════════════════════════════════════");
     console.log("\n✨ Deployment complete! Your contract is live! ✨\n");
@@ -162,7 +255,7 @@ async function main() {
   } catch (error) {
     console.error("\n❌ DEPLOYMENT FAILED!");
     console.error("═══════════════════════════════════════════════════");
-    
+
     if (error.message && error.message.includes("insufficient funds")) {
       console.error("ERROR: Insufficient funds for gas");
       console.error("SOLUTION: Get more TT tokens from https://faucet.didlab.org");
@@ -175,7 +268,7 @@ async function main() {
     } else {
       console.error("ERROR:", error.message || error);
     }
-    
+
     console.error("═══════════════════════════════════════════════════\n");
     process.exit(1);
   }
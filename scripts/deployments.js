@@ -0,0 +1,31 @@
+// deployment-info.json: one deployment record per chain ID, shared by deploy.js and migrate.js.
+// The backend and frontend read the same file through config/networks.js.
+const fs = require("fs");
+const path = require("path");
+const { deploymentForChain } = require("../config/networks");
+
+const DEPLOYMENT_INFO_PATH = path.join(__dirname, "..", "deployment-info.json");
+
+// All recorded deployments, keyed by chain ID. Older files hold a single deployment;
+// it is returned under its own chain ID.
+function readDeployments() {
+  if (!fs.existsSync(DEPLOYMENT_INFO_PATH)) {
+    return {};
+  }
+  const existing = JSON.parse(fs.readFileSync(DEPLOYMENT_INFO_PATH, "utf8"));
+  return existing.contractAddress ? { [existing.chainId]: existing } : existing;
+}
+
+// Deployment recorded for a chain (null if there is none)
+function readDeployment(chainId) {
+  return deploymentForChain(readDeployments(), chainId);
+}
+
+// Record the deployment for a chain, keeping the other chains' records
+function saveDeployment(chainId, deploymentInfo) {
+  const deployments = readDeployments();
+  deployments[chainId] = deploymentInfo;
+  fs.writeFileSync(DEPLOYMENT_INFO_PATH, JSON.stringify(deployments, null, 2));
+}
+
+module.exports = { readDeployment, saveDeployment };
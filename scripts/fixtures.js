@@ -0,0 +1,81 @@
+// Local development fixtures: the example devices from testdata.md and sample access passes.
+// Seeded by deploy.js on networks whose profile sets seedFixtures, so the app has data to
+// show without a faucet or manual registration.
+const fs = require("fs");
+const path = require("path");
+const { parseManifest } = require("../backend/device-manifest");
+
+const PERMISSION_READ = 1;
+const PERMISSION_CONTROL = 2;
+const PERMISSION_ADMIN = 4;
+const DAY = 24 * 60 * 60;
+
+// Passes granted by the deployer, by device serial number. viewer is a Hardhat signer index.
+const SAMPLE_PASSES = [
+  { serialNumber: "TI-TMP-2024-001", viewer: 1, permissions: PERMISSION_READ, duration: 30 * DAY },
+  { serialNumber: "HK-CAM-2024-042", viewer: 1, permissions: PERMISSION_READ, duration: 1 * DAY },
+  { serialNumber: "HNY-2024-0789", viewer: 1, permissions: PERMISSION_READ | PERMISSION_CONTROL, duration: 7 * DAY },
+  { serialNumber: "CSC-GW-2024-123", viewer: 2, permissions: PERMISSION_READ | PERMISSION_CONTROL | PERMISSION_ADMIN, duration: 30 * DAY }
+];
+
+// Devices from the bulk registration manifest in testdata.md
+function loadFixtureDevices() {
+  const testdata = fs.readFileSync(path.join(__dirname, "..", "testdata.md"), "utf8");
+  const section = testdata.split("## Bulk Registration Manifest")[1] || "";
+  const csv = (section.match(/```\n([\s\S]*?)```/) || [])[1];
+  if (!csv) {
+    throw new Error("No bulk registration manifest found in testdata.md");
+  }
+  return parseManifest(csv, "csv");
+}
+
+// Deterministic device key for a fixture, so simulators can sign telemetry as the device
+function fixtureDeviceWallet(hre, serialNumber) {
+  return new hre.ethers.Wallet(hre.ethers.id(`ThingID fixture ${serialNumber}`));
+}
+
+/**
+ * Register the fixture devices to signers[0] and grant the sample passes.
+ * Returns { devices, passes } for deployment-info.json.
+ */
+async function seedFixtures(hre, thingid, signers) {
+  const rows = loadFixtureDevices();
+  const registrations = rows.map(row => ({
+    did: `did:didlab:device:${row.deviceType}:${row.serialNumber.toLowerCase()}`,
+    name: row.name,
+    deviceType: row.deviceType,
+    manufacturer: row.manufacturer,
+    model: row.model,
+    serialNumber: row.serialNumber,
+    location: row.location,
+    publicKey: fixtureDeviceWallet(hre, row.serialNumber).signingKey.publicKey
+  }));
+
+  console.log(`🌱 Seeding ${registrations.length} devices from testdata.md...`);
+  await (await thingid.registerDevices(registrations)).wait();
+
+  const devices = [];
+  for (const registration of registrations) {
+    devices.push({
+      name: registration.name,
+      deviceType: registration.deviceType,
+      serialNumber: registration.serialNumber,
+      did: registration.did,
+      deviceId: await thingid.getDeviceIdByDid(registration.did),
+      keyAddress: fixtureDeviceWallet(hre, registration.serialNumber).address
+    });
+  }
+
+  console.log(`🎫 Granting ${SAMPLE_PASSES.length} sample access passes...`);
+  const passes = [];
+  for (const sample of SAMPLE_PASSES) {
+    const device = devices.find(d => d.serialNumber === sample.serialNumber);
+    const viewer = signers[sample.viewer].address;
+    await (await thingid.grantAccess(device.deviceId, viewer, sample.duration, sample.permissions)).wait();
+    passes.push({ deviceId: device.deviceId, viewer, permissions: sample.permissions });
+  }
+
+  return { devices, passes };
+}
+
+module.exports = { loadFixtureDevices, fixtureDeviceWallet, seedFixtures };
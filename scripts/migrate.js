@@ -0,0 +1,365 @@
+// Move a ThingID deployment's state to a new contract version:
+//   1. export devices, ownerDevices, access passes, viewerAccess and organizations to
+//      migrations/, and stop if there is state the import would drop
+//   2. deploy the new ThingID, and a ManufacturerRegistry, DeviceMetadata, EncryptedFields and
+//      TelemetryAnchors bound to it
+//   3. import the export, keeping device IDs, owners and registration timestamps, and copy
+//      each device's metadata versions, encrypted fields, wrapped keys and telemetry anchors
+//   4. check the new contract against the export, then close the import paths
+//   5. publish the new version to the ThingIDRegistry, where clients look it up
+//
+// Usage: npx hardhat run scripts/migrate.js --network <profile>
+//   MIGRATE_FROM         ThingID to migrate (default: the deployment in deployment-info.json)
+//   MIGRATE_EXPORT_ONLY  "true" to stop after writing the export
+//   MIGRATE_BATCH_SIZE   devices per importDevices transaction (default 10)
+//   MIGRATE_DROP_UNMIGRATED  "true" to migrate even though device groups, pending access
+//                        requests, marketplace listings or command log anchors would be lost
+//
+// Writes to the old contract after the export are not carried over: announce a freeze,
+// then run scripts/verify-migration.js to confirm the old contract did not change.
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { getProfile, profileNameByChainId } = require("../config/networks");
+const { readDeployment, saveDeployment } = require("./deployments");
+const { IMPORT_BATCH_SIZE, exportState, importState, compareStates, countPasses, describeUnmigrated } = require("./migration");
+
+const MANUFACTURER_REGISTRY_ABI = [
+  "function getManufacturers() view returns (address[])",
+  "function manufacturers(address account) view returns (string name, bool isActive, uint256 registeredAt)",
+  "function isAttested(bytes32 deviceId) view returns (bool)"
+];
+
+const DEVICE_METADATA_ABI = [
+  "function getMetadataHistory(bytes32 deviceId) view returns (tuple(string uri, bytes32 contentHash, address updatedBy, uint256 updatedAt)[])"
+];
+
+const ENCRYPTED_FIELDS_ABI = [
+  "function getEncryptedFields(bytes32 deviceId) view returns (tuple(bytes ciphertext, uint256 keyVersion, address updatedBy, uint256 updatedAt))",
+  "function getKeyRecipients(bytes32 deviceId) view returns (address[])",
+  "function getWrappedKey(bytes32 deviceId, address recipient) view returns (bytes)",
+  "function getEncryptionKeys(address[] accounts) view returns (bytes[] publicKeys)"
+];
+
+const TELEMETRY_ANCHORS_ABI = [
+  "function getAnchors(bytes32 deviceId) view returns (tuple(bytes32 root, uint256 fromTs, uint256 toTs, address anchoredBy, uint256 anchoredAt)[])"
+];
+
+// Accounts per importEncryptionKeys transaction
+const KEY_BATCH_SIZE = 50;
+
+async function main() {
+  console.log("\n🚚 Migrating ThingID...\n");
+
+  try {
+    const [deployer] = await hre.ethers.getSigners();
+    const network = await hre.ethers.provider.getNetwork();
+    const chainId = Number(network.chainId);
+    const profileName = profileNameByChainId(chainId);
+    if (!profileName) {
+      console.error(`❌ ERROR: No network profile for chain ID ${chainId}`);
+      process.exit(1);
+    }
+    const profile = getProfile(profileName);
+    const previous = readDeployment(chainId) || {};
+
+    const sourceAddress = process.env.MIGRATE_FROM || previous.contractAddress || profile.contractAddress;
+    if (!sourceAddress) {
+      console.error("❌ ERROR: Nothing to migrate");
+      console.error("   Set MIGRATE_FROM to the ThingID address");
+      process.exit(1);
+    }
+
+    console.log("📋 Migration:");
+    console.log("   Network:", profile.name);
+    console.log("   From:", sourceAddress);
+    console.log("   Deployer:", deployer.address);
+    console.log("");
+
+    // 1. Export
+    const state = await exportState(hre, sourceAddress, message => console.log(message));
+    const snapshotDir = path.join(__dirname, "..", "migrations");
+    fs.mkdirSync(snapshotDir, { recursive: true });
+    const snapshotName = `thingid-${chainId}-${state.blockNumber}.json`;
+    fs.writeFileSync(path.join(snapshotDir, snapshotName), JSON.stringify(state, null, 2));
+    console.log(`   ✓ ${state.devices.length} devices, ${countPasses(state)} access passes and ${state.organizations.length} organizations (v${state.version})`);
+    console.log(`💾 Export saved to: migrations/${snapshotName}\n`);
+
+    if (process.env.MIGRATE_EXPORT_ONLY === "true") {
+      return;
+    }
+
+    // Groups, requests, listings and command log anchors have no import path
+    const unmigrated = describeUnmigrated(state);
+    if (unmigrated.length > 0 && process.env.MIGRATE_DROP_UNMIGRATED !== "true") {
+      console.error("❌ ERROR: The source holds state this migration cannot carry over:");
+      unmigrated.forEach(entry => console.error("   -", entry));
+      console.error("   Clear it on the old contract (delete groups, decide requests, unlist devices),");
+      console.error("   or set MIGRATE_DROP_UNMIGRATED=true to migrate without it.");
+      process.exit(1);
+    }
+    if (unmigrated.length > 0) {
+      console.log(`⚠️  Dropping ${unmigrated.join(", ")} (MIGRATE_DROP_UNMIGRATED)\n`);
+    }
+
+    // 2. Deploy the new version; it keeps its import path open until finalizeMigration
+    console.log("🔨 Deploying ThingID contract...");
+    const ThingID = await hre.ethers.getContractFactory("ThingID");
+    const thingid = await ThingID.deploy({
+      gasLimit: 12000000n
+    });
+    await thingid.waitForDeployment();
+    const contractAddress = await thingid.getAddress();
+    const deploymentTx = thingid.deploymentTransaction();
+    const deploymentReceipt = await deploymentTx.wait();
+    console.log("   ✓ ThingID", await thingid.VERSION(), "at", contractAddress);
+
+    console.log("🔨 Deploying ManufacturerRegistry contract...");
+    const ManufacturerRegistry = await hre.ethers.getContractFactory("ManufacturerRegistry");
+    const registry = await ManufacturerRegistry.deploy(contractAddress, {
+      gasLimit: 3000000n
+    });
+    await registry.waitForDeployment();
+    const registryAddress = await registry.getAddress();
+
+    console.log("🔨 Deploying DeviceMetadata contract...");
+    const DeviceMetadata = await hre.ethers.getContractFactory("DeviceMetadata");
+    const deviceMetadata = await DeviceMetadata.deploy(contractAddress, {
+      gasLimit: 3000000n
+    });
+    await deviceMetadata.waitForDeployment();
+    const deviceMetadataAddress = await deviceMetadata.getAddress();
+
+    console.log("🔨 Deploying EncryptedFields contract...");
+    const EncryptedFields = await hre.ethers.getContractFactory("EncryptedFields");
+    const encryptedFields = await EncryptedFields.deploy(contractAddress, {
+      gasLimit: 3000000n
+    });
+    await encryptedFields.waitForDeployment();
+    const encryptedFieldsAddress = await encryptedFields.getAddress();
+
+    console.log("🔨 Deploying TelemetryAnchors contract...");
+    const TelemetryAnchors = await hre.ethers.getContractFactory("TelemetryAnchors");
+    const telemetryAnchors = await TelemetryAnchors.deploy(contractAddress, {
+      gasLimit: 3000000n
+    });
+    await telemetryAnchors.waitForDeployment();
+    const telemetryAnchorsAddress = await telemetryAnchors.getAddress();
+
+    // Manufacturers carry over; attestations are signed for the old registry and must be
+    // signed again for the new one
+    const oldRegistryAddress = previous.contractAddress === sourceAddress ? previous.manufacturerRegistryAddress : null;
+    if (oldRegistryAddress) {
+      const oldRegistry = new hre.ethers.Contract(oldRegistryAddress, MANUFACTURER_REGISTRY_ABI, hre.ethers.provider);
+      const manufacturers = await oldRegistry.getManufacturers();
+      for (const account of manufacturers) {
+        const manufacturer = await oldRegistry.manufacturers(account);
+        await (await registry.registerManufacturer(account, manufacturer.name)).wait();
+        if (!manufacturer.isActive) {
+          await (await registry.setManufacturerStatus(account, false)).wait();
+        }
+      }
+      let attested = 0;
+      for (const device of state.devices) {
+        if (await oldRegistry.isAttested(device.deviceId)) {
+          attested++;
+        }
+      }
+      console.log(`   ✓ ${manufacturers.length} manufacturers re-registered`);
+      if (attested > 0) {
+        console.log(`   ⚠️  ${attested} device attestations must be signed again for the new registry`);
+      }
+    }
+    console.log("");
+
+    // 3. Import
+    console.log("📥 Importing state...");
+    const batchSize = parseInt(process.env.MIGRATE_BATCH_SIZE) || IMPORT_BATCH_SIZE;
+    await importState(thingid, state, { batchSize, log: message => console.log(message) });
+
+    // Metadata versions are copied as of the export block, keeping their publishers and times
+    const oldMetadataAddress = previous.contractAddress === sourceAddress ? previous.deviceMetadataAddress : null;
+    if (oldMetadataAddress) {
+      const oldMetadata = new hre.ethers.Contract(oldMetadataAddress, DEVICE_METADATA_ABI, hre.ethers.provider);
+      let versions = 0;
+      for (const device of state.devices) {
+        const history = await oldMetadata.getMetadataHistory(device.deviceId, { blockTag: state.blockNumber });
+        if (history.length > 0) {
+          await (await deviceMetadata.importMetadata(device.deviceId, history.map(record => ({
+            uri: record.uri,
+            contentHash: record.contentHash,
+            updatedBy: record.updatedBy,
+            updatedAt: record.updatedAt
+          })))).wait();
+          versions += history.length;
+        }
+      }
+      console.log(`   ✓ ${versions} metadata versions`);
+    }
+
+    // Encrypted fields keep their key version and the keys wrapped for it. Encryption keys
+    // are copied for every owner, viewer and recipient in the export; other accounts
+    // register theirs again.
+    const oldEncryptedFieldsAddress = previous.contractAddress === sourceAddress ? previous.encryptedFieldsAddress : null;
+    if (oldEncryptedFieldsAddress) {
+      const oldFields = new hre.ethers.Contract(oldEncryptedFieldsAddress, ENCRYPTED_FIELDS_ABI, hre.ethers.provider);
+      const overrides = { blockTag: state.blockNumber };
+      const accounts = new Set();
+      let encrypted = 0;
+      for (const device of state.devices) {
+        accounts.add(device.owner);
+        device.viewers.forEach(entry => accounts.add(entry.viewer));
+
+        const record = await oldFields.getEncryptedFields(device.deviceId, overrides);
+        if (record.keyVersion === 0n) {
+          continue;
+        }
+        const recipients = await oldFields.getKeyRecipients(device.deviceId, overrides);
+        const keys = [];
+        for (const recipient of recipients) {
+          accounts.add(recipient);
+          keys.push({ recipient, wrappedKey: await oldFields.getWrappedKey(device.deviceId, recipient, overrides) });
+        }
+        await (await encryptedFields.importEncryptedFields(device.deviceId, {
+          ciphertext: record.ciphertext,
+          keyVersion: record.keyVersion,
+          updatedBy: record.updatedBy,
+          updatedAt: record.updatedAt
+        }, keys)).wait();
+        encrypted++;
+      }
+
+      const candidates = [...accounts];
+      const publicKeys = [...(await oldFields.getEncryptionKeys(candidates, overrides))];
+      const registered = candidates.filter((account, i) => publicKeys[i] !== "0x");
+      const registeredKeys = publicKeys.filter(publicKey => publicKey !== "0x");
+      for (let i = 0; i < registered.length; i += KEY_BATCH_SIZE) {
+        await (await encryptedFields.importEncryptionKeys(
+          registered.slice(i, i + KEY_BATCH_SIZE),
+          registeredKeys.slice(i, i + KEY_BATCH_SIZE)
+        )).wait();
+      }
+      console.log(`   ✓ Encrypted fields of ${encrypted} devices and ${registered.length} encryption keys`);
+    }
+
+    // Telemetry anchors keep their windows, so proofs against them stay valid
+    const oldAnchorsAddress = previous.contractAddress === sourceAddress ? previous.telemetryAnchorsAddress : null;
+    if (oldAnchorsAddress) {
+      const oldAnchors = new hre.ethers.Contract(oldAnchorsAddress, TELEMETRY_ANCHORS_ABI, hre.ethers.provider);
+      let anchored = 0;
+      for (const device of state.devices) {
+        const anchors = await oldAnchors.getAnchors(device.deviceId, { blockTag: state.blockNumber });
+        if (anchors.length > 0) {
+          await (await telemetryAnchors.importAnchors(device.deviceId, anchors.map(anchor => ({
+            root: anchor.root,
+            fromTs: anchor.fromTs,
+            toTs: anchor.toTs,
+            anchoredBy: anchor.anchoredBy,
+            anchoredAt: anchor.anchoredAt
+          })))).wait();
+          anchored += anchors.length;
+        }
+      }
+      console.log(`   ✓ ${anchored} telemetry anchors`);
+    }
+    console.log("");
+
+    // 4. Verify, and only then close the import path
+    console.log("🔍 Verifying parity...");
+    const imported = await exportState(hre, contractAddress);
+    const differences = compareStates(state, imported);
+    if (differences.length > 0) {
+      console.error(`❌ ${differences.length} differences between the export and ${contractAddress}:`);
+      differences.slice(0, 20).forEach(difference => console.error("   -", difference));
+      console.error("   The import path is still open; the new contract was not published.");
+      process.exit(1);
+    }
+    console.log("   ✓ Devices, histories, ownerDevices, access passes, viewerAccess and organizations match");
+
+    await (await thingid.finalizeMigration()).wait();
+    await (await deviceMetadata.finalizeMigration()).wait();
+    await (await encryptedFields.finalizeMigration()).wait();
+    await (await telemetryAnchors.finalizeMigration()).wait();
+    console.log("   ✓ Import paths closed\n");
+
+    // 5. Publish
+    let thingIdRegistryAddress = previous.thingIdRegistryAddress || profile.thingIdRegistryAddress;
+    if (!thingIdRegistryAddress) {
+      console.log("🔨 Deploying ThingIDRegistry contract...");
+      const ThingIDRegistry = await hre.ethers.getContractFactory("ThingIDRegistry");
+      const thingIdRegistry = await ThingIDRegistry.deploy({
+        gasLimit: 2000000n
+      });
+      await thingIdRegistry.waitForDeployment();
+      thingIdRegistryAddress = await thingIdRegistry.getAddress();
+    }
+    const thingIdRegistry = await hre.ethers.getContractAt("ThingIDRegistry", thingIdRegistryAddress);
+    if ((await thingIdRegistry.admin()).toLowerCase() === deployer.address.toLowerCase()) {
+      await (await thingIdRegistry.publishRelease(contractAddress, registryAddress)).wait();
+      console.log("🧭 Published to version registry:", thingIdRegistryAddress);
+    } else {
+      console.log("⚠️  Not the version registry admin; ask the admin to call");
+      console.log(`   publishRelease(${contractAddress}, ${registryAddress}) on ${thingIdRegistryAddress}`);
+    }
+
+    saveDeployment(chainId, {
+      network: profile.name,
+      chainId: chainId,
+      contractAddress: contractAddress,
+      contractName: "ThingID",
+      version: await thingid.VERSION(),
+      manufacturerRegistryAddress: registryAddress,
+      deviceMetadataAddress: deviceMetadataAddress,
+      encryptedFieldsAddress: encryptedFieldsAddress,
+      telemetryAnchorsAddress: telemetryAnchorsAddress,
+      deviceGroupsAddress: await thingid.deviceGroups(),
+      accessRequestsAddress: await thingid.accessRequests(),
+      thingIdRegistryAddress: thingIdRegistryAddress,
+      deployer: deployer.address,
+      deploymentTxHash: deploymentTx.hash,
+      blockNumber: deploymentReceipt.blockNumber,
+      timestamp: new Date().toISOString(),
+      rpcUrl: profile.rpcUrl,
+      explorerUrl: profile.explorerUrl ? `${profile.explorerUrl}/address/${contractAddress}` : null,
+      faucetUrl: profile.faucetUrl || null,
+      fixtures: previous.contractAddress === sourceAddress ? previous.fixtures || null : null,
+      migratedFrom: {
+        contractAddress: sourceAddress,
+        version: state.version,
+        blockNumber: state.blockNumber,
+        export: `migrations/${snapshotName}`,
+        devices: state.devices.length,
+        accessPasses: countPasses(state),
+        organizations: state.organizations.length
+      }
+    });
+    console.log(`💾 Deployment info saved to: deployment-info.json (chain ${chainId})\n`);
+
+    console.log("✅ MIGRATION SUCCESSFUL! 🎉");
+    console.log("═══════════════════════════════════════════════════");
+    console.log("📍 New Contract:", contractAddress);
+    console.log("🏭 Manufacturer Registry:", registryAddress);
+    console.log("🗒️  Device Metadata:", deviceMetadataAddress);
+    console.log("🔐 Encrypted Fields:", encryptedFieldsAddress);
+    console.log("⚓ Telemetry Anchors:", telemetryAnchorsAddress);
+    console.log("📦 Previous Contract:", sourceAddress);
+    console.log("═══════════════════════════════════════════════════");
+    console.log("\nRestart the backend to pick up the new version, and run");
+    console.log(`  npx hardhat run scripts/verify-migration.js --network ${profileName}`);
+    console.log("once the old contract has stopped taking writes.\n");
+
+  } catch (error) {
+    console.error("\n❌ MIGRATION FAILED!");
+    console.error("═══════════════════════════════════════════════════");
+    console.error("ERROR:", error.message);
+    console.error("═══════════════════════════════════════════════════\n");
+    process.exit(1);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,366 @@
+// ThingID state migration: export the state of a deployed ThingID, import it into a new
+// version and compare the two. Exports are pinned to one block and work against every
+// ThingID version back to the original 1.0.0, which has no ownership or key history and
+// no pass permissions; those are filled in the way that version behaved. Before 1.3,
+// revoked and replaced passes stayed marked active; exports mark them inactive.
+//
+// Organizations are migrated with their account addresses, members and roles. Device
+// groups, pending access requests, marketplace listings and command log anchors are not;
+// exports count them under `unmigrated` so the migration can refuse to drop them.
+
+const PERMISSION_READ = 1;
+
+// Devices per importDevices transaction (ThingID.MAX_BATCH_SIZE is 50, but each device
+// costs roughly 300k gas)
+const IMPORT_BATCH_SIZE = 10;
+
+const DEVICE_TUPLE = "tuple(string did, string name, string deviceType, string manufacturer, string model, string serialNumber, string location, string publicKey, address owner, uint256 registeredAt, bool isActive)";
+
+// View functions the export reads; the history and permission ones are missing before 1.1,
+// getActiveViewers before 1.3, and the organization, group, request and command log ones
+// in versions without those features
+const STATE_ABI = [
+  "function VERSION() view returns (string)",
+  "function getTotalDevices() view returns (uint256)",
+  "function getDeviceByIndex(uint256 index) view returns (bytes32)",
+  `function getDevice(bytes32 deviceId) view returns (${DEVICE_TUPLE})`,
+  "function getOwnerDevices(address owner) view returns (bytes32[])",
+  "function getOwnershipHistory(bytes32 deviceId) view returns (tuple(address owner, uint256 acquiredAt)[])",
+  "function getDeviceKeys(bytes32 deviceId) view returns (tuple(string publicKey, uint256 addedAt, uint256 revokedAt, bool compromised)[])",
+  "function getDeviceAccessPasses(bytes32 deviceId) view returns (tuple(address device_owner, address viewer, uint256 grantedAt, uint256 expiresAt, bool isActive, uint8 permissions, address grantedBy)[])",
+  "function viewerAccess(bytes32 deviceId, address viewer) view returns (uint256)",
+  "function viewerPermissions(bytes32 deviceId, address viewer) view returns (uint8)",
+  "function getActiveViewers(bytes32 deviceId) view returns (address[] viewers, uint256[] passIds)",
+  "function organizationCount() view returns (uint256)",
+  "function organizations(uint256 orgId) view returns (string name, address account, uint256 createdAt, uint256 adminCount)",
+  "function accountOrganization(address account) view returns (uint256)",
+  "function getOrganizationMembers(uint256 orgId) view returns (address[] members, uint8[] roles)",
+  "function commandLogAnchors(bytes32 deviceId) view returns (bytes32 logHash, uint256 entryCount, uint256 anchoredAt)",
+  "function deviceGroups() view returns (address)",
+  "function accessRequests() view returns (address)"
+];
+
+const DEVICE_GROUPS_ABI = [
+  "function groupCount() view returns (uint256)",
+  "function groups(uint256 groupId) view returns (string name, address owner, uint256 createdAt, bool exists)"
+];
+
+const ACCESS_REQUESTS_ABI = [
+  "function getPendingRequests(bytes32 deviceId) view returns (uint256[] requestIds, tuple(bytes32 deviceId, address requester, uint256 duration, string message, uint8 status, uint256 requestedAt, uint256 decidedAt, address decidedBy)[] page)",
+  "function getListings() view returns (bytes32[] deviceIds, tuple(uint256 price, uint256 unit, address seller, uint256 listedAt)[] page)"
+];
+
+// Passes of versions without permissions
+const LEGACY_PASSES_ABI = [
+  "function getDeviceAccessPasses(bytes32 deviceId) view returns (tuple(address device_owner, address viewer, uint256 grantedAt, uint256 expiresAt, bool isActive)[])"
+];
+
+/**
+ * Export the devices, ownerDevices, access passes, viewerAccess and organizations of a
+ * ThingID deployment, plus each device's ownership and key history, as of the latest block.
+ */
+async function exportState(hre, address, log = () => {}) {
+  const provider = hre.ethers.provider;
+  const blockNumber = await provider.getBlockNumber();
+  const overrides = { blockTag: blockNumber };
+
+  const code = await provider.getCode(address, blockNumber);
+  if (code === "0x") {
+    throw new Error(`No contract at ${address}`);
+  }
+
+  const thingid = new hre.ethers.Contract(address, STATE_ABI, provider);
+  const supports = name => code.includes(thingid.interface.getFunction(name).selector.slice(2));
+  const hasHistory = supports("getOwnershipHistory");
+  const hasKeys = supports("getDeviceKeys");
+  const hasPermissions = supports("viewerPermissions");
+  const hasPassLifecycle = supports("getActiveViewers");
+  const passReader = hasPermissions ? thingid : new hre.ethers.Contract(address, LEGACY_PASSES_ABI, provider);
+
+  const total = Number(await thingid.getTotalDevices(overrides));
+  log(`📤 Exporting ${total} devices from ${address} at block ${blockNumber}...`);
+
+  const devices = [];
+  for (let i = 0; i < total; i++) {
+    const deviceId = await thingid.getDeviceByIndex(i, overrides);
+    const device = await thingid.getDevice(deviceId, overrides);
+    const registeredAt = Number(device.registeredAt);
+
+    const ownershipHistory = hasHistory
+      ? (await thingid.getOwnershipHistory(deviceId, overrides)).map(record => ({
+          owner: record.owner,
+          acquiredAt: Number(record.acquiredAt)
+        }))
+      : [{ owner: device.owner, acquiredAt: registeredAt }];
+
+    let keys = [];
+    if (hasKeys) {
+      keys = (await thingid.getDeviceKeys(deviceId, overrides)).map(key => ({
+        publicKey: key.publicKey,
+        addedAt: Number(key.addedAt),
+        revokedAt: Number(key.revokedAt),
+        compromised: key.compromised
+      }));
+    } else if (device.publicKey) {
+      keys = [{ publicKey: device.publicKey, addedAt: registeredAt, revokedAt: 0, compromised: false }];
+    }
+
+    // Passes without permissions were read-only and granted by the owner
+    const accessPasses = (await passReader.getDeviceAccessPasses(deviceId, overrides)).map(pass => ({
+      device_owner: pass.device_owner,
+      viewer: pass.viewer,
+      grantedAt: Number(pass.grantedAt),
+      expiresAt: Number(pass.expiresAt),
+      isActive: pass.isActive,
+      permissions: hasPermissions ? Number(pass.permissions) : PERMISSION_READ,
+      grantedBy: hasPermissions ? pass.grantedBy : pass.device_owner
+    }));
+
+    // viewerAccess and viewerPermissions are exported alongside the passes they came from
+    const viewers = [];
+    for (const viewer of new Set(accessPasses.map(pass => pass.viewer))) {
+      const expiresAt = Number(await thingid.viewerAccess(deviceId, viewer, overrides));
+      const permissions = hasPermissions
+        ? Number(await thingid.viewerPermissions(deviceId, viewer, overrides))
+        : (expiresAt > 0 ? PERMISSION_READ : 0);
+      viewers.push({ viewer, expiresAt, permissions });
+    }
+
+    // Only each viewer's latest pass can still be active, and only if it was not revoked
+    if (!hasPassLifecycle) {
+      const latest = new Map(accessPasses.map((pass, index) => [pass.viewer, index]));
+      accessPasses.forEach((pass, index) => {
+        const current = viewers.find(entry => entry.viewer === pass.viewer);
+        pass.isActive = pass.isActive && latest.get(pass.viewer) === index && current.expiresAt > 0;
+      });
+    }
+
+    devices.push({
+      deviceId,
+      did: device.did,
+      name: device.name,
+      deviceType: device.deviceType,
+      manufacturer: device.manufacturer,
+      model: device.model,
+      serialNumber: device.serialNumber,
+      location: device.location,
+      publicKey: device.publicKey,
+      owner: device.owner,
+      registeredAt,
+      isActive: device.isActive,
+      ownershipHistory,
+      keys,
+      accessPasses,
+      viewers
+    });
+  }
+
+  const ownerDevices = {};
+  for (const owner of new Set(devices.map(device => device.owner))) {
+    ownerDevices[owner] = [...(await thingid.getOwnerDevices(owner, overrides))];
+  }
+
+  // Members are sorted by address: the member list is reordered as members leave
+  const organizations = [];
+  const organizationCount = supports("organizationCount") ? Number(await thingid.organizationCount(overrides)) : 0;
+  for (let orgId = 1; orgId <= organizationCount; orgId++) {
+    const organization = await thingid.organizations(orgId, overrides);
+    const [members, roles] = await thingid.getOrganizationMembers(orgId, overrides);
+    organizations.push({
+      orgId,
+      name: organization.name,
+      account: organization.account,
+      accountOrganization: Number(await thingid.accountOrganization(organization.account, overrides)),
+      createdAt: Number(organization.createdAt),
+      members: members
+        .map((member, i) => ({ member, role: Number(roles[i]) }))
+        .sort((a, b) => a.member.toLowerCase().localeCompare(b.member.toLowerCase()))
+    });
+  }
+
+  return {
+    contractAddress: address,
+    version: await thingid.VERSION(overrides),
+    chainId: Number((await provider.getNetwork()).chainId),
+    blockNumber,
+    exportedAt: new Date().toISOString(),
+    devices,
+    ownerDevices,
+    organizations,
+    unmigrated: await countUnmigrated(hre, thingid, supports, devices, overrides)
+  };
+}
+
+/**
+ * Count the state an import cannot carry over: existing device groups, pending access
+ * requests, marketplace listings and devices with a command log anchor.
+ */
+async function countUnmigrated(hre, thingid, supports, devices, overrides) {
+  const provider = hre.ethers.provider;
+  const unmigrated = { groups: 0, pendingRequests: 0, listings: 0, commandLogAnchors: 0 };
+
+  if (supports("commandLogAnchors")) {
+    for (const device of devices) {
+      if ((await thingid.commandLogAnchors(device.deviceId, overrides)).entryCount > 0n) {
+        unmigrated.commandLogAnchors++;
+      }
+    }
+  }
+
+  if (supports("deviceGroups")) {
+    const groups = new hre.ethers.Contract(await thingid.deviceGroups(overrides), DEVICE_GROUPS_ABI, provider);
+    const groupCount = Number(await groups.groupCount(overrides));
+    for (let groupId = 1; groupId <= groupCount; groupId++) {
+      if ((await groups.groups(groupId, overrides)).exists) {
+        unmigrated.groups++;
+      }
+    }
+  }
+
+  if (supports("accessRequests")) {
+    const requests = new hre.ethers.Contract(await thingid.accessRequests(overrides), ACCESS_REQUESTS_ABI, provider);
+    for (const device of devices) {
+      const [requestIds] = await requests.getPendingRequests(device.deviceId, overrides);
+      unmigrated.pendingRequests += requestIds.length;
+    }
+    const [listed] = await requests.getListings(overrides);
+    unmigrated.listings = listed.length;
+  }
+
+  return unmigrated;
+}
+
+/**
+ * Import an export into a new ThingID whose migrator is the connected signer. Organizations
+ * come first, keeping their IDs and accounts; devices are imported in registration order,
+ * so getDeviceByIndex matches the source.
+ */
+async function importState(thingid, state, { batchSize = IMPORT_BATCH_SIZE, log = () => {} } = {}) {
+  const { devices, organizations = [] } = state;
+
+  // importOrganization makes the migrator the first admin, so members can be added in any
+  // order; the migrator's own entry goes last, and without one it leaves the organization
+  const migrator = await thingid.runner.getAddress();
+  for (const organization of organizations) {
+    await (await thingid.importOrganization(
+      organization.orgId,
+      organization.name,
+      organization.account,
+      organization.createdAt
+    )).wait();
+
+    const own = organization.members.find(entry => entry.member.toLowerCase() === migrator.toLowerCase());
+    for (const entry of organization.members) {
+      if (entry !== own) {
+        await (await thingid.setMemberRole(organization.orgId, entry.member, entry.role)).wait();
+      }
+    }
+    await (await thingid.setMemberRole(organization.orgId, migrator, own ? own.role : 0)).wait();
+  }
+  if (organizations.length > 0) {
+    log(`   ✓ ${organizations.length} organizations`);
+  }
+
+  for (let i = 0; i < devices.length; i += batchSize) {
+    const batch = devices.slice(i, i + batchSize);
+    await (await thingid.importDevices(batch.map(device => ({
+      deviceId: device.deviceId,
+      owner: device.owner,
+      registeredAt: device.registeredAt,
+      isActive: device.isActive,
+      registration: {
+        did: device.did,
+        name: device.name,
+        deviceType: device.deviceType,
+        manufacturer: device.manufacturer,
+        model: device.model,
+        serialNumber: device.serialNumber,
+        location: device.location,
+        publicKey: device.publicKey
+      }
+    })))).wait();
+    log(`   ✓ Devices ${i + 1}-${i + batch.length} of ${devices.length}`);
+  }
+
+  for (const device of devices) {
+    await (await thingid.importDeviceHistory(device.deviceId, device.ownershipHistory, device.keys)).wait();
+    if (device.accessPasses.length > 0) {
+      await (await thingid.importAccessPasses(device.deviceId, device.accessPasses, device.viewers)).wait();
+    }
+  }
+  log(`   ✓ Histories and access passes of ${devices.length} devices`);
+}
+
+/**
+ * Differences between two exports, as readable strings (empty when they match). Device
+ * order must match; each owner's device list is compared as a set, since transfers
+ * reorder it in the source.
+ */
+function compareStates(expected, actual) {
+  const differences = [];
+
+  if (expected.devices.length !== actual.devices.length) {
+    differences.push(`device count: expected ${expected.devices.length}, found ${actual.devices.length}`);
+  }
+
+  const count = Math.min(expected.devices.length, actual.devices.length);
+  for (let i = 0; i < count; i++) {
+    const want = expected.devices[i];
+    const got = actual.devices[i];
+    if (want.deviceId !== got.deviceId) {
+      differences.push(`device #${i}: expected ${want.deviceId}, found ${got.deviceId}`);
+      continue;
+    }
+    for (const field of Object.keys(want)) {
+      if (JSON.stringify(want[field]) !== JSON.stringify(got[field])) {
+        differences.push(`${want.deviceId}: ${field} differs`);
+      }
+    }
+  }
+
+  const owners = new Set([...Object.keys(expected.ownerDevices), ...Object.keys(actual.ownerDevices)]);
+  for (const owner of owners) {
+    const want = [...(expected.ownerDevices[owner] || [])].sort();
+    const got = [...(actual.ownerDevices[owner] || [])].sort();
+    if (JSON.stringify(want) !== JSON.stringify(got)) {
+      differences.push(`ownerDevices of ${owner} differ`);
+    }
+  }
+
+  const wantOrganizations = expected.organizations || [];
+  const gotOrganizations = actual.organizations || [];
+  if (wantOrganizations.length !== gotOrganizations.length) {
+    differences.push(`organization count: expected ${wantOrganizations.length}, found ${gotOrganizations.length}`);
+  }
+  for (let i = 0; i < Math.min(wantOrganizations.length, gotOrganizations.length); i++) {
+    const want = wantOrganizations[i];
+    const got = gotOrganizations[i];
+    for (const field of Object.keys(want)) {
+      if (JSON.stringify(want[field]) !== JSON.stringify(got[field])) {
+        differences.push(`organization ${want.orgId}: ${field} differs`);
+      }
+    }
+  }
+
+  return differences;
+}
+
+// Number of access passes in an export
+function countPasses(state) {
+  return state.devices.reduce((total, device) => total + device.accessPasses.length, 0);
+}
+
+// Names and counts of the unmigrated state in an export, e.g. ["2 device groups"]
+function describeUnmigrated(state) {
+  const labels = {
+    groups: "device groups",
+    pendingRequests: "pending access requests",
+    listings: "marketplace listings",
+    commandLogAnchors: "command log anchors"
+  };
+  return Object.entries(state.unmigrated || {})
+    .filter(([, count]) => count > 0)
+    .map(([key, count]) => `${count} ${labels[key]}`);
+}
+
+module.exports = { IMPORT_BATCH_SIZE, exportState, importState, compareStates, countPasses, describeUnmigrated };
@@ -0,0 +1,42 @@
+// Compare the state of two ThingID deployments. After scripts/migrate.js this confirms the
+// previous version took no writes after its export.
+//
+// Usage: npx hardhat run scripts/verify-migration.js --network <profile>
+//   MIGRATE_FROM  previous ThingID (default: migratedFrom in deployment-info.json)
+//   MIGRATE_TO    new ThingID (default: the deployment in deployment-info.json)
+const hre = require("hardhat");
+const { readDeployment } = require("./deployments");
+const { exportState, compareStates, countPasses } = require("./migration");
+
+async function main() {
+  const network = await hre.ethers.provider.getNetwork();
+  const deployment = readDeployment(Number(network.chainId)) || {};
+
+  const sourceAddress = process.env.MIGRATE_FROM || (deployment.migratedFrom && deployment.migratedFrom.contractAddress);
+  const targetAddress = process.env.MIGRATE_TO || deployment.contractAddress;
+  if (!sourceAddress || !targetAddress) {
+    console.error("❌ ERROR: Set MIGRATE_FROM and MIGRATE_TO to the ThingID addresses to compare");
+    process.exit(1);
+  }
+
+  console.log(`\n🔍 Comparing ${sourceAddress} with ${targetAddress}...\n`);
+  const expected = await exportState(hre, sourceAddress);
+  const actual = await exportState(hre, targetAddress);
+
+  const differences = compareStates(expected, actual);
+  if (differences.length > 0) {
+    console.error(`❌ ${differences.length} differences:`);
+    differences.forEach(difference => console.error("   -", difference));
+    process.exit(1);
+  }
+
+  console.log(`✅ Parity: ${expected.devices.length} devices and ${countPasses(expected)} access passes match`);
+  console.log(`   v${expected.version} at block ${expected.blockNumber} → v${actual.version}\n`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("Unexpected error:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,67 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployThingID, registerDevice } = require("./helpers");
+
+const PERMISSION_READ = 1;
+
+describe("grantAccess and revokeAccess", function () {
+  async function deviceFixture() {
+    const [owner, viewer, stranger] = await ethers.getSigners();
+    const { thingid } = await deployThingID();
+    const deviceId = await registerDevice(thingid, owner, "did:didlab:device:sensor:grants");
+    return { thingid, deviceId, owner, viewer, stranger };
+  }
+
+  it("gives the viewer access until the pass expires", async function () {
+    const { thingid, deviceId, viewer } = await loadFixture(deviceFixture);
+
+    await expect(thingid.grantAccess(deviceId, viewer.address, 3600, PERMISSION_READ))
+      .to.emit(thingid, "AccessGranted");
+    expect(await thingid.hasAccess(deviceId, viewer.address)).to.equal(true);
+    expect((await thingid.getActiveViewers(deviceId))[0]).to.deep.equal([viewer.address]);
+
+    await time.increase(3601);
+    expect(await thingid.hasAccess(deviceId, viewer.address)).to.equal(false);
+  });
+
+  it("ends the pass on revocation", async function () {
+    const { thingid, deviceId, viewer } = await loadFixture(deviceFixture);
+
+    await thingid.grantAccess(deviceId, viewer.address, 3600, PERMISSION_READ);
+    await expect(thingid.revokeAccess(deviceId, viewer.address))
+      .to.emit(thingid, "AccessRevoked");
+
+    expect(await thingid.hasAccess(deviceId, viewer.address)).to.equal(false);
+    expect(await thingid.viewerAccess(deviceId, viewer.address)).to.equal(0);
+    expect((await thingid.getActiveViewers(deviceId))[0]).to.deep.equal([]);
+    expect((await thingid.getDeviceAccessPasses(deviceId))[0].isActive).to.equal(false);
+  });
+
+  it("lets only the device's access managers grant and revoke", async function () {
+    const { thingid, deviceId, viewer, stranger } = await loadFixture(deviceFixture);
+
+    await expect(thingid.connect(stranger).grantAccess(deviceId, viewer.address, 3600, PERMISSION_READ)).to.be.revertedWith("Not device owner or admin");
+
+    await thingid.grantAccess(deviceId, viewer.address, 3600, PERMISSION_READ);
+    await expect(thingid.connect(stranger).revokeAccess(deviceId, viewer.address)).to.be.revertedWith("Not device owner or admin");
+    await expect(thingid.connect(viewer).revokeAccess(deviceId, viewer.address)).to.be.revertedWith("Not device owner or admin");
+    expect(await thingid.hasAccess(deviceId, viewer.address)).to.equal(true);
+  });
+
+  it("refuses invalid grants", async function () {
+    const { thingid, deviceId, owner, viewer } = await loadFixture(deviceFixture);
+
+    await expect(thingid.grantAccess(deviceId, ethers.ZeroAddress, 3600, PERMISSION_READ)).to.be.revertedWith("Invalid viewer address");
+    await expect(thingid.grantAccess(deviceId, owner.address, 3600, PERMISSION_READ)).to.be.revertedWith("Cannot grant access to self");
+    await expect(thingid.grantAccess(deviceId, viewer.address, 0, PERMISSION_READ)).to.be.revertedWith("Invalid duration");
+    await expect(thingid.grantAccess(deviceId, viewer.address, 366 * 24 * 3600, PERMISSION_READ)).to.be.revertedWith("Invalid duration");
+  });
+
+  it("does not grant passes on an inactive device", async function () {
+    const { thingid, deviceId, viewer } = await loadFixture(deviceFixture);
+
+    await thingid.toggleDeviceStatus(deviceId);
+    await expect(thingid.grantAccess(deviceId, viewer.address, 3600, PERMISSION_READ)).to.be.revertedWith("Device is not active");
+  });
+});
@@ -0,0 +1,117 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployThingID, registerDevice } = require("./helpers");
+
+const DAY = 24 * 3600;
+const PERMISSION_READ = 1;
+const PERMISSION_ADMIN = 4;
+const STATUS_PENDING = 1;
+const STATUS_APPROVED = 2;
+const STATUS_DENIED = 3;
+const STATUS_CANCELLED = 4;
+
+describe("AccessRequests", function () {
+  async function requestFixture() {
+    const [owner, viewer, other] = await ethers.getSigners();
+    const { thingid, accessRequests } = await deployThingID();
+    const deviceId = await registerDevice(thingid, owner, "did:didlab:device:sensor:requests");
+    return { thingid, accessRequests, deviceId, owner, viewer, other };
+  }
+
+  it("records a pending request in the owner's inbox and the viewer's outbox", async function () {
+    const { accessRequests, deviceId, viewer } = await loadFixture(requestFixture);
+
+    await expect(accessRequests.connect(viewer).requestAccess(deviceId, DAY, "Dashboard access please"))
+      .to.emit(accessRequests, "AccessRequested")
+      .withArgs(1, deviceId, viewer.address, DAY, "Dashboard access please", timestamp => timestamp > 0n);
+
+    const request = await accessRequests.getRequest(1);
+    expect(request.requestedAt).to.equal(await time.latest());
+    expect(request.status).to.equal(STATUS_PENDING);
+    expect(request.requester).to.equal(viewer.address);
+
+    const [inbox] = await accessRequests.getPendingRequests(deviceId);
+    const [outbox, outboxRequests] = await accessRequests.getRequesterRequests(viewer.address);
+    expect(inbox).to.deep.equal([1n]);
+    expect(outbox).to.deep.equal([1n]);
+    expect(outboxRequests[0].message).to.equal("Dashboard access please");
+  });
+
+  it("grants a pass for the requested duration on approval", async function () {
+    const { thingid, accessRequests, deviceId, owner, viewer } = await loadFixture(requestFixture);
+    await accessRequests.connect(viewer).requestAccess(deviceId, DAY, "");
+
+    await expect(accessRequests.approveRequest(1, PERMISSION_READ))
+      .to.emit(accessRequests, "AccessRequestApproved")
+      .and.to.emit(thingid, "AccessGranted");
+
+    const approvedAt = await time.latest();
+    expect(await thingid.viewerAccess(deviceId, viewer.address)).to.equal(approvedAt + DAY);
+    expect(await thingid.viewerPermissions(deviceId, viewer.address)).to.equal(PERMISSION_READ);
+
+    const request = await accessRequests.getRequest(1);
+    expect(request.status).to.equal(STATUS_APPROVED);
+    expect(request.decidedBy).to.equal(owner.address);
+    expect(request.decidedAt).to.equal(approvedAt);
+    expect((await accessRequests.getPendingRequests(deviceId))[0]).to.deep.equal([]);
+
+    await expect(accessRequests.approveRequest(1, PERMISSION_READ)).to.be.revertedWith("Request not pending");
+  });
+
+  it("only lets access managers decide, with grantAccess's checks", async function () {
+    const { thingid, accessRequests, deviceId, viewer, other } = await loadFixture(requestFixture);
+    await accessRequests.connect(viewer).requestAccess(deviceId, DAY, "");
+
+    await expect(accessRequests.connect(other).approveRequest(1, PERMISSION_READ))
+      .to.be.revertedWith("Not device owner or admin");
+    await expect(accessRequests.connect(other).denyRequest(1))
+      .to.be.revertedWith("Not device owner or admin");
+    await expect(accessRequests.approveRequest(1, 0)).to.be.revertedWith("Invalid permissions");
+
+    // A delegated admin may approve, but not hand out admin passes
+    await thingid.grantAccess(deviceId, other.address, 2 * DAY, PERMISSION_READ | PERMISSION_ADMIN);
+    await expect(accessRequests.connect(other).approveRequest(1, PERMISSION_READ | PERMISSION_ADMIN))
+      .to.be.revertedWith("Delegates cannot grant admin");
+    await accessRequests.connect(other).approveRequest(1, PERMISSION_READ);
+    expect(await thingid.hasAccess(deviceId, viewer.address)).to.equal(true);
+  });
+
+  it("denies and cancels requests, freeing the requester to ask again", async function () {
+    const { thingid, accessRequests, deviceId, viewer, other } = await loadFixture(requestFixture);
+    await accessRequests.connect(viewer).requestAccess(deviceId, DAY, "");
+    await expect(accessRequests.connect(viewer).requestAccess(deviceId, DAY, ""))
+      .to.be.revertedWith("Request already pending");
+
+    await expect(accessRequests.denyRequest(1)).to.emit(accessRequests, "AccessRequestDenied");
+    expect((await accessRequests.getRequest(1)).status).to.equal(STATUS_DENIED);
+    expect(await thingid.hasAccess(deviceId, viewer.address)).to.equal(false);
+
+    await accessRequests.connect(viewer).requestAccess(deviceId, DAY, "Second try");
+    await expect(accessRequests.connect(other).cancelRequest(2)).to.be.revertedWith("Not requester");
+    await expect(accessRequests.connect(viewer).cancelRequest(2)).to.emit(accessRequests, "AccessRequestCancelled");
+    expect((await accessRequests.getRequest(2)).status).to.equal(STATUS_CANCELLED);
+
+    const [ids, page] = await accessRequests.getDeviceRequests(deviceId);
+    expect(ids).to.deep.equal([1n, 2n]);
+    expect(page.map(request => request.status)).to.deep.equal([BigInt(STATUS_DENIED), BigInt(STATUS_CANCELLED)]);
+    await expect(accessRequests.getRequest(3)).to.be.revertedWith("Request does not exist");
+  });
+
+  it("rejects invalid requests", async function () {
+    const { thingid, accessRequests, deviceId, owner, viewer } = await loadFixture(requestFixture);
+
+    await expect(accessRequests.connect(owner).requestAccess(deviceId, DAY, ""))
+      .to.be.revertedWith("Cannot request access to own device");
+    await expect(accessRequests.connect(viewer).requestAccess(deviceId, 0, ""))
+      .to.be.revertedWith("Invalid duration");
+    await expect(accessRequests.connect(viewer).requestAccess(deviceId, 366 * DAY, ""))
+      .to.be.revertedWith("Invalid duration");
+    await expect(accessRequests.connect(viewer).requestAccess(deviceId, DAY, "x".repeat(1000)))
+      .to.be.revertedWith("Message too long");
+
+    await thingid.toggleDeviceStatus(deviceId);
+    await expect(accessRequests.connect(viewer).requestAccess(deviceId, DAY, ""))
+      .to.be.revertedWith("Device is not active");
+  });
+});
@@ -0,0 +1,59 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployThingID } = require("./helpers");
+
+function registration(serial) {
+  return {
+    did: `did:didlab:device:sensor:${serial}`,
+    name: `Sensor ${serial}`,
+    deviceType: "sensor",
+    manufacturer: "Acme",
+    model: "T-1",
+    serialNumber: serial,
+    location: "Lab",
+    publicKey: ""
+  };
+}
+
+describe("registerDevices", function () {
+  async function deployFixture() {
+    const [owner] = await ethers.getSigners();
+    const { thingid } = await deployThingID();
+    return { thingid, owner };
+  }
+
+  it("registers every device in the batch to the caller, in order", async function () {
+    const { thingid, owner } = await loadFixture(deployFixture);
+    const batch = ["SN-1", "SN-2", "SN-3"].map(registration);
+
+    const receipt = await (await thingid.registerDevices(batch)).wait();
+    const deviceIds = receipt.logs
+      .map(log => thingid.interface.parseLog(log))
+      .filter(event => event && event.name === "DeviceRegistered")
+      .map(event => event.args.deviceId);
+
+    expect(await thingid.getTotalDevices()).to.equal(3);
+    for (let i = 0; i < batch.length; i++) {
+      expect(await thingid.getDeviceIdByDid(batch[i].did)).to.equal(deviceIds[i]);
+      expect((await thingid.getDevice(deviceIds[i])).owner).to.equal(owner.address);
+    }
+  });
+
+  it("registers nothing when one entry is invalid", async function () {
+    const { thingid } = await loadFixture(deployFixture);
+
+    await expect(thingid.registerDevices([registration("SN-1"), registration("SN-1")]))
+      .to.be.revertedWith("DID already registered");
+    expect(await thingid.getTotalDevices()).to.equal(0);
+  });
+
+  it("refuses empty and oversized batches", async function () {
+    const { thingid } = await loadFixture(deployFixture);
+    const limit = Number(await thingid.MAX_BATCH_SIZE());
+
+    await expect(thingid.registerDevices([])).to.be.revertedWith("Empty batch");
+    await expect(thingid.registerDevices(Array.from({ length: limit + 1 }, (_, i) => registration(`SN-${i}`))))
+      .to.be.revertedWith("Batch too large");
+  });
+});
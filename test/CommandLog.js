@@ -0,0 +1,42 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployThingID, registerDevice } = require("./helpers");
+
+describe("anchorCommandLog", function () {
+  async function deviceFixture() {
+    const [owner, stranger] = await ethers.getSigners();
+    const { thingid } = await deployThingID();
+    const deviceId = await registerDevice(thingid, owner, "did:didlab:device:actuator:commands");
+    return { thingid, deviceId, owner, stranger };
+  }
+
+  it("records the newest log head", async function () {
+    const { thingid, deviceId, owner } = await loadFixture(deviceFixture);
+    const head = ethers.id("entry 3");
+
+    await expect(thingid.anchorCommandLog(deviceId, head, 3))
+      .to.emit(thingid, "CommandLogAnchored");
+
+    const anchor = await thingid.commandLogAnchors(deviceId);
+    expect(anchor.logHash).to.equal(head);
+    expect(anchor.entryCount).to.equal(3);
+  });
+
+  it("only moves forward", async function () {
+    const { thingid, deviceId } = await loadFixture(deviceFixture);
+
+    await thingid.anchorCommandLog(deviceId, ethers.id("entry 3"), 3);
+
+    await expect(thingid.anchorCommandLog(deviceId, ethers.id("other entry 3"), 3)).to.be.revertedWith("Anchor must cover new entries");
+    await expect(thingid.anchorCommandLog(deviceId, ethers.id("entry 2"), 2)).to.be.revertedWith("Anchor must cover new entries");
+    await expect(thingid.anchorCommandLog(deviceId, ethers.ZeroHash, 4)).to.be.revertedWith("Invalid log hash");
+  });
+
+  it("is limited to the device's access managers", async function () {
+    const { thingid, deviceId, stranger } = await loadFixture(deviceFixture);
+
+    await expect(thingid.connect(stranger).anchorCommandLog(deviceId, ethers.id("entry 1"), 1))
+      .to.be.revertedWith("Not device owner or admin");
+  });
+});
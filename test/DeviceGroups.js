@@ -0,0 +1,129 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployThingID, registerDevice } = require("./helpers");
+
+const HOUR = 3600;
+const PERMISSION_READ = 1;
+const PERMISSION_CONTROL = 2;
+const PERMISSION_ADMIN = 4;
+
+describe("DeviceGroups", function () {
+  describe("group passes", function () {
+    async function groupFixture() {
+      const [owner, viewer, stranger] = await ethers.getSigners();
+      const { thingid, deviceGroups } = await deployThingID();
+      const grouped = await registerDevice(thingid, owner, "did:didlab:device:sensor:grouped");
+      const ungrouped = await registerDevice(thingid, owner, "did:didlab:device:sensor:ungrouped");
+      await deviceGroups.createGroup("Floor 1", owner.address);
+      await deviceGroups.addDevices(1, [grouped]);
+      return { thingid, deviceGroups, grouped, ungrouped, owner, viewer, stranger };
+    }
+
+    it("gives access to every device in the group, and only those", async function () {
+      const { thingid, deviceGroups, grouped, ungrouped, viewer } = await loadFixture(groupFixture);
+
+      await expect(deviceGroups.grantGroupAccess(1, viewer.address, HOUR, PERMISSION_READ | PERMISSION_CONTROL))
+        .to.emit(deviceGroups, "GroupAccessGranted");
+
+      expect(await thingid.hasAccess(grouped, viewer.address)).to.equal(true);
+      expect(await thingid.hasPermission(grouped, viewer.address, PERMISSION_CONTROL)).to.equal(true);
+      expect(await thingid.hasAccess(ungrouped, viewer.address)).to.equal(false);
+
+      await deviceGroups.addDevices(1, [ungrouped]);
+      expect(await thingid.hasAccess(ungrouped, viewer.address)).to.equal(true);
+      await deviceGroups.removeDevices(1, [ungrouped]);
+      expect(await thingid.hasAccess(ungrouped, viewer.address)).to.equal(false);
+    });
+
+    it("ends access when the pass is revoked or expires", async function () {
+      const { thingid, deviceGroups, grouped, viewer } = await loadFixture(groupFixture);
+
+      await deviceGroups.grantGroupAccess(1, viewer.address, HOUR, PERMISSION_READ);
+      await deviceGroups.revokeGroupAccess(1, viewer.address);
+      expect(await thingid.hasAccess(grouped, viewer.address)).to.equal(false);
+      await expect(deviceGroups.revokeGroupAccess(1, viewer.address)).to.be.revertedWith("No group pass");
+
+      await deviceGroups.grantGroupAccess(1, viewer.address, HOUR, PERMISSION_READ);
+      await time.increase(HOUR);
+      expect(await thingid.hasAccess(grouped, viewer.address)).to.equal(false);
+
+      await deviceGroups.extendGroupAccess(1, viewer.address, HOUR);
+      expect(await thingid.hasAccess(grouped, viewer.address)).to.equal(true);
+    });
+
+    it("does not delegate pass management through groups", async function () {
+      const { deviceGroups, viewer } = await loadFixture(groupFixture);
+
+      await expect(deviceGroups.grantGroupAccess(1, viewer.address, HOUR, PERMISSION_READ | PERMISSION_ADMIN))
+        .to.be.revertedWith("Invalid permissions");
+    });
+
+    it("only groups devices of the group owner", async function () {
+      const { thingid, deviceGroups, stranger } = await loadFixture(groupFixture);
+      const foreign = await registerDevice(thingid, stranger, "did:didlab:device:sensor:foreign");
+
+      await expect(deviceGroups.addDevices(1, [foreign])).to.be.revertedWith("Device not owned by group owner");
+      await expect(deviceGroups.connect(stranger).createGroup("Theirs", (await ethers.getSigners())[0].address))
+        .to.be.revertedWith("Not owner or organization operator");
+    });
+
+    it("lets only the group's managers change it", async function () {
+      const { deviceGroups, grouped, viewer, stranger } = await loadFixture(groupFixture);
+
+      await expect(deviceGroups.connect(stranger).grantGroupAccess(1, viewer.address, HOUR, PERMISSION_READ)).to.be.revertedWith("Not group owner");
+      await expect(deviceGroups.connect(stranger).removeDevices(1, [grouped])).to.be.revertedWith("Not group owner");
+      await expect(deviceGroups.connect(stranger).deleteGroup(1)).to.be.revertedWith("Not group owner");
+    });
+  });
+
+  describe("group size limits", function () {
+    // A group filled to MAX_GROUP_DEVICES devices and MAX_GROUP_VIEWERS pass holders
+    async function fullGroupFixture() {
+      const [owner] = await ethers.getSigners();
+      const { thingid, deviceGroups } = await deployThingID();
+      const maxDevices = Number(await deviceGroups.MAX_GROUP_DEVICES());
+      const maxViewers = Number(await deviceGroups.MAX_GROUP_VIEWERS());
+
+      const deviceIds = [];
+      for (let i = 0; i <= maxDevices; i++) {
+        deviceIds.push(await registerDevice(thingid, owner, `did:didlab:device:sensor:full-${i}`));
+      }
+      await deviceGroups.createGroup("Warehouse", owner.address);
+      for (let i = 0; i < maxDevices; i += 50) {
+        await deviceGroups.addDevices(1, deviceIds.slice(i, Math.min(i + 50, maxDevices)));
+      }
+      for (let i = 0; i < maxViewers; i++) {
+        await deviceGroups.grantGroupAccess(1, ethers.Wallet.createRandom().address, HOUR, PERMISSION_READ);
+      }
+
+      return { deviceGroups, deviceIds, maxDevices };
+    }
+
+    it("refuses devices and pass holders beyond the limits", async function () {
+      const { deviceGroups, deviceIds, maxDevices } = await loadFixture(fullGroupFixture);
+
+      await expect(deviceGroups.addDevices(1, [deviceIds[maxDevices]])).to.be.revertedWith("Group is full");
+      await expect(deviceGroups.grantGroupAccess(1, ethers.Wallet.createRandom().address, HOUR, PERMISSION_READ))
+        .to.be.revertedWith("Group has too many viewers");
+    });
+
+    it("still lets existing pass holders be re-granted in a full group", async function () {
+      const { deviceGroups } = await loadFixture(fullGroupFixture);
+      const [viewers] = await deviceGroups.getGroupPasses(1);
+
+      await deviceGroups.grantGroupAccess(1, viewers[0], 2 * HOUR, PERMISSION_READ);
+    });
+
+    it("deletes a full group well within a block", async function () {
+      const { deviceGroups, deviceIds } = await loadFixture(fullGroupFixture);
+
+      const receipt = await (await deviceGroups.deleteGroup(1)).wait();
+
+      expect(receipt.gasUsed).to.be.below(8_000_000n);
+      expect(await deviceGroups.getGroupDevices(1)).to.deep.equal([]);
+      expect((await deviceGroups.getGroupPasses(1))[0]).to.deep.equal([]);
+      expect(await deviceGroups.getDeviceGroups(deviceIds[0])).to.deep.equal([]);
+    });
+  });
+});
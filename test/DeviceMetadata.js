@@ -0,0 +1,76 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployThingID, registerDevice } = require("./helpers");
+
+const FIRST_HASH = ethers.id("metadata v1");
+const SECOND_HASH = ethers.id("metadata v2");
+
+describe("DeviceMetadata", function () {
+  async function metadataFixture() {
+    const [owner, operator, stranger] = await ethers.getSigners();
+    const { thingid } = await deployThingID();
+    const metadata = await (await ethers.getContractFactory("DeviceMetadata")).deploy(await thingid.getAddress());
+    const deviceId = await registerDevice(thingid, owner, "did:didlab:device:sensor:metadata");
+    return { thingid, metadata, deviceId, owner, operator, stranger };
+  }
+
+  it("adds a version per update and keeps the earlier ones", async function () {
+    const { metadata, deviceId, owner } = await loadFixture(metadataFixture);
+
+    const [, none] = await metadata.getMetadata(deviceId);
+    expect(none).to.equal(0);
+
+    await expect(metadata.setMetadata(deviceId, "ipfs://v1", FIRST_HASH))
+      .to.emit(metadata, "MetadataUpdated")
+      .withArgs(deviceId, 1, "ipfs://v1", FIRST_HASH, owner.address, timestamp => timestamp > 0n);
+    await metadata.setMetadata(deviceId, "https://example.com/v2.json", SECOND_HASH);
+
+    const [latest, version] = await metadata.getMetadata(deviceId);
+    expect(version).to.equal(2);
+    expect(latest.contentHash).to.equal(SECOND_HASH);
+    expect(latest.updatedAt).to.equal(await time.latest());
+
+    const history = await metadata.getMetadataHistory(deviceId);
+    expect(history.map(entry => entry.uri)).to.deep.equal(["ipfs://v1", "https://example.com/v2.json"]);
+  });
+
+  it("lets only the owner and organization operators publish", async function () {
+    const { thingid, metadata, deviceId, owner, operator, stranger } = await loadFixture(metadataFixture);
+
+    await expect(metadata.connect(stranger).setMetadata(deviceId, "ipfs://v1", FIRST_HASH))
+      .to.be.revertedWith("Not device owner");
+
+    await thingid.createOrganization("Acme Labs");
+    const orgAccount = (await thingid.organizations(1)).account;
+    await thingid.setMemberRole(1, operator.address, 2);
+    await thingid.proposeTransfer(deviceId, orgAccount);
+    await thingid.acceptTransfer(deviceId);
+
+    await metadata.connect(operator).setMetadata(deviceId, "ipfs://v1", FIRST_HASH);
+    expect((await metadata.getMetadata(deviceId)).latest.updatedBy).to.equal(operator.address);
+    await expect(metadata.connect(owner).setMetadata(deviceId, "ipfs://v2", SECOND_HASH)).to.emit(metadata, "MetadataUpdated");
+  });
+
+  it("refuses empty or long URIs and empty hashes", async function () {
+    const { metadata, deviceId } = await loadFixture(metadataFixture);
+
+    await expect(metadata.setMetadata(deviceId, "", FIRST_HASH)).to.be.revertedWith("Invalid metadata URI");
+    await expect(metadata.setMetadata(deviceId, "https://" + "a".repeat(256), FIRST_HASH))
+      .to.be.revertedWith("Invalid metadata URI");
+    await expect(metadata.setMetadata(deviceId, "ipfs://v1", ethers.ZeroHash)).to.be.revertedWith("Invalid content hash");
+  });
+
+  it("imports history only until the migration is finalized", async function () {
+    const { metadata, deviceId, owner, stranger } = await loadFixture(metadataFixture);
+    const versions = [{ uri: "ipfs://v1", contentHash: FIRST_HASH, updatedBy: owner.address, updatedAt: 1000 }];
+
+    await expect(metadata.connect(stranger).importMetadata(deviceId, versions)).to.be.revertedWith("Not migrator");
+    await metadata.importMetadata(deviceId, versions);
+    await expect(metadata.importMetadata(deviceId, versions)).to.be.revertedWith("Metadata already imported");
+    expect((await metadata.getMetadataHistory(deviceId))[0].updatedAt).to.equal(1000);
+
+    await expect(metadata.finalizeMigration()).to.emit(metadata, "MigrationFinalized");
+    await expect(metadata.importMetadata(ethers.id("other"), versions)).to.be.revertedWith("Not migrator");
+  });
+});
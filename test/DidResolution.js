@@ -0,0 +1,33 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployThingID, registerDevice } = require("./helpers");
+
+describe("DID reverse index", function () {
+  async function deviceFixture() {
+    const [owner, other] = await ethers.getSigners();
+    const { thingid } = await deployThingID();
+    const deviceId = await registerDevice(thingid, owner, "did:didlab:device:sensor:resolve");
+    return { thingid, deviceId, owner, other };
+  }
+
+  it("resolves a registered DID to its device", async function () {
+    const { thingid, deviceId } = await loadFixture(deviceFixture);
+
+    expect(await thingid.getDeviceIdByDid("did:didlab:device:sensor:resolve")).to.equal(deviceId);
+    expect((await thingid.getDevice(deviceId)).did).to.equal("did:didlab:device:sensor:resolve");
+  });
+
+  it("reverts for an unknown DID", async function () {
+    const { thingid } = await loadFixture(deviceFixture);
+
+    await expect(thingid.getDeviceIdByDid("did:didlab:device:sensor:unknown")).to.be.revertedWith("DID not registered");
+  });
+
+  it("binds each DID to a single device, whoever registers it", async function () {
+    const { thingid, owner, other } = await loadFixture(deviceFixture);
+
+    await expect(registerDevice(thingid, owner, "did:didlab:device:sensor:resolve")).to.be.revertedWith("DID already registered");
+    await expect(registerDevice(thingid, other, "did:didlab:device:sensor:resolve")).to.be.revertedWith("DID already registered");
+  });
+});
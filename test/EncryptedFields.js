@@ -0,0 +1,113 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployThingID, registerDevice } = require("./helpers");
+
+const HOUR = 3600;
+const PERMISSION_READ = 1;
+const CIPHERTEXT = "0x" + "11".repeat(64);
+
+// A 93-byte wrapped key: ephemeral compressed key, IV and encrypted content key
+function wrappedKey(seed) {
+  return "0x" + seed.repeat(93);
+}
+
+describe("EncryptedFields", function () {
+  async function encryptedFixture() {
+    const [owner, viewer, stranger] = await ethers.getSigners();
+    const { thingid } = await deployThingID();
+    const fields = await (await ethers.getContractFactory("EncryptedFields")).deploy(await thingid.getAddress());
+    const deviceId = await registerDevice(thingid, owner, "did:didlab:device:sensor:private");
+    await thingid.grantAccess(deviceId, viewer.address, HOUR, PERMISSION_READ);
+    return { thingid, fields, deviceId, owner, viewer, stranger };
+  }
+
+  it("registers compressed encryption keys only", async function () {
+    const { fields, viewer, stranger } = await loadFixture(encryptedFixture);
+    const publicKey = ethers.SigningKey.computePublicKey(ethers.id("viewer encryption key"), true);
+
+    await expect(fields.connect(viewer).registerEncryptionKey(publicKey)).to.emit(fields, "EncryptionKeyRegistered");
+    expect(await fields.getEncryptionKeys([viewer.address, stranger.address])).to.deep.equal([publicKey, "0x"]);
+
+    const uncompressed = ethers.SigningKey.computePublicKey(ethers.id("viewer encryption key"));
+    await expect(fields.registerEncryptionKey(uncompressed)).to.be.revertedWith("Invalid encryption key");
+    await expect(fields.registerEncryptionKey("0x04" + publicKey.slice(4))).to.be.revertedWith("Invalid encryption key");
+  });
+
+  it("stores fields under a new key version for readers of the device", async function () {
+    const { fields, deviceId, owner, viewer, stranger } = await loadFixture(encryptedFixture);
+    const keys = [{ recipient: owner.address, wrappedKey: wrappedKey("01") }, { recipient: viewer.address, wrappedKey: wrappedKey("02") }];
+
+    await expect(fields.setEncryptedFields(deviceId, CIPHERTEXT, keys))
+      .to.emit(fields, "FieldsEncrypted")
+      .and.to.emit(fields, "KeyShared");
+
+    const record = await fields.getEncryptedFields(deviceId);
+    expect(record.ciphertext).to.equal(CIPHERTEXT);
+    expect(record.keyVersion).to.equal(1);
+    expect(await fields.getWrappedKey(deviceId, viewer.address)).to.equal(wrappedKey("02"));
+    expect(await fields.getKeyRecipients(deviceId)).to.deep.equal([owner.address, viewer.address]);
+
+    await expect(fields.setEncryptedFields(deviceId, CIPHERTEXT, [{ recipient: stranger.address, wrappedKey: wrappedKey("03") }]))
+      .to.be.revertedWith("Recipient has no access");
+    await expect(fields.connect(viewer).setEncryptedFields(deviceId, CIPHERTEXT, keys)).to.be.revertedWith("Not device owner");
+  });
+
+  it("cuts revoked readers off by re-keying", async function () {
+    const { thingid, fields, deviceId, owner, viewer } = await loadFixture(encryptedFixture);
+    await fields.setEncryptedFields(deviceId, CIPHERTEXT, [{ recipient: viewer.address, wrappedKey: wrappedKey("02") }]);
+
+    await thingid.revokeAccess(deviceId, viewer.address);
+    await fields.setEncryptedFields(deviceId, CIPHERTEXT, [{ recipient: owner.address, wrappedKey: wrappedKey("04") }]);
+
+    expect((await fields.getEncryptedFields(deviceId)).keyVersion).to.equal(2);
+    expect(await fields.getWrappedKey(deviceId, viewer.address)).to.equal("0x");
+    expect(await fields.getKeyRecipients(deviceId)).to.deep.equal([owner.address]);
+  });
+
+  it("shares the current key with new readers once", async function () {
+    const { fields, deviceId, owner, viewer } = await loadFixture(encryptedFixture);
+    const viewerKey = [{ recipient: viewer.address, wrappedKey: wrappedKey("02") }];
+
+    await expect(fields.shareKey(deviceId, viewerKey)).to.be.revertedWith("No encrypted fields");
+    await fields.setEncryptedFields(deviceId, CIPHERTEXT, [{ recipient: owner.address, wrappedKey: wrappedKey("01") }]);
+
+    await expect(fields.shareKey(deviceId, [{ recipient: viewer.address, wrappedKey: "0x02" }])).to.be.revertedWith("Invalid wrapped key");
+    await fields.shareKey(deviceId, viewerKey);
+    await expect(fields.shareKey(deviceId, viewerKey)).to.be.revertedWith("Key already shared");
+    expect(await fields.getWrappedKey(deviceId, viewer.address)).to.equal(wrappedKey("02"));
+  });
+
+  it("clears fields but keeps the key version", async function () {
+    const { fields, deviceId, owner } = await loadFixture(encryptedFixture);
+    const ownerKey = [{ recipient: owner.address, wrappedKey: wrappedKey("01") }];
+
+    await expect(fields.clearEncryptedFields(deviceId)).to.be.revertedWith("No encrypted fields");
+    await expect(fields.setEncryptedFields(deviceId, "0x", ownerKey)).to.be.revertedWith("Invalid ciphertext");
+    await expect(fields.setEncryptedFields(deviceId, CIPHERTEXT, [])).to.be.revertedWith("No recipients");
+
+    await fields.setEncryptedFields(deviceId, CIPHERTEXT, ownerKey);
+    await expect(fields.clearEncryptedFields(deviceId)).to.emit(fields, "FieldsCleared");
+
+    const record = await fields.getEncryptedFields(deviceId);
+    expect(record.ciphertext).to.equal("0x");
+    expect(record.keyVersion).to.equal(1);
+    await fields.setEncryptedFields(deviceId, CIPHERTEXT, ownerKey);
+    expect((await fields.getEncryptedFields(deviceId)).keyVersion).to.equal(2);
+  });
+
+  it("imports state only until the migration is finalized", async function () {
+    const { fields, deviceId, owner, stranger } = await loadFixture(encryptedFixture);
+    const record = { ciphertext: CIPHERTEXT, keyVersion: 3, updatedBy: owner.address, updatedAt: 1000 };
+    const keys = [{ recipient: owner.address, wrappedKey: wrappedKey("01") }];
+
+    await expect(fields.connect(stranger).importEncryptedFields(deviceId, record, keys)).to.be.revertedWith("Not migrator");
+    await fields.importEncryptedFields(deviceId, record, keys);
+    await expect(fields.importEncryptedFields(deviceId, record, keys)).to.be.revertedWith("Fields already imported");
+    expect(await fields.getWrappedKey(deviceId, owner.address)).to.equal(wrappedKey("01"));
+    await expect(fields.importEncryptionKeys([owner.address], [])).to.be.revertedWith("Length mismatch");
+
+    await fields.finalizeMigration();
+    await expect(fields.importEncryptionKeys([], [])).to.be.revertedWith("Not migrator");
+  });
+});
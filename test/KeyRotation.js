@@ -0,0 +1,79 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployThingID, registerDevice } = require("./helpers");
+
+function publicKey(seed) {
+  return new ethers.SigningKey(ethers.id(`ThingID key ${seed}`)).publicKey;
+}
+
+describe("device key rotation", function () {
+  async function keyedDeviceFixture() {
+    const [owner, stranger] = await ethers.getSigners();
+    const { thingid } = await deployThingID();
+    const deviceId = await registerDevice(thingid, owner, "did:didlab:device:sensor:keys", publicKey(1));
+    const registeredAt = await time.latest();
+    return { thingid, deviceId, owner, stranger, registeredAt };
+  }
+
+  it("replaces the key and closes the previous one's validity", async function () {
+    const { thingid, deviceId, registeredAt } = await loadFixture(keyedDeviceFixture);
+
+    await time.increase(100);
+    await expect(thingid.rotateDeviceKey(deviceId, publicKey(2))).to.emit(thingid, "DeviceKeyRotated");
+    const rotatedAt = await time.latest();
+
+    expect((await thingid.getDevice(deviceId)).publicKey).to.equal(publicKey(2));
+    const keys = await thingid.getDeviceKeys(deviceId);
+    expect(keys.map(k => k.publicKey)).to.deep.equal([publicKey(1), publicKey(2)]);
+    expect(keys[0].revokedAt).to.equal(rotatedAt);
+    expect(keys[0].compromised).to.equal(false);
+
+    expect(await thingid.isKeyValidAt(deviceId, publicKey(1), registeredAt + 50)).to.equal(true);
+    expect(await thingid.isKeyValidAt(deviceId, publicKey(1), rotatedAt)).to.equal(false);
+    expect(await thingid.isKeyValidAt(deviceId, publicKey(2), rotatedAt)).to.equal(true);
+    expect(await thingid.isKeyValidAt(deviceId, publicKey(3), rotatedAt)).to.equal(false);
+  });
+
+  it("does not bring back a key used before", async function () {
+    const { thingid, deviceId } = await loadFixture(keyedDeviceFixture);
+
+    await thingid.rotateDeviceKey(deviceId, publicKey(2));
+
+    await expect(thingid.rotateDeviceKey(deviceId, publicKey(1))).to.be.revertedWith("Key was used before");
+    await expect(thingid.rotateDeviceKey(deviceId, publicKey(2))).to.be.revertedWith("Key was used before");
+    await expect(thingid.rotateDeviceKey(deviceId, "")).to.be.revertedWith("Public key cannot be empty");
+  });
+
+  it("revokes a compromised key from the time it was compromised", async function () {
+    const { thingid, deviceId, registeredAt } = await loadFixture(keyedDeviceFixture);
+
+    await time.increase(1000);
+    await expect(thingid.revokeDeviceKey(deviceId, registeredAt + 200)).to.emit(thingid, "DeviceKeyRevoked");
+
+    expect((await thingid.getDevice(deviceId)).publicKey).to.equal("");
+    const [key] = await thingid.getDeviceKeys(deviceId);
+    expect(key.revokedAt).to.equal(registeredAt + 200);
+    expect(key.compromised).to.equal(true);
+    expect(await thingid.isKeyValidAt(deviceId, publicKey(1), registeredAt + 199)).to.equal(true);
+    expect(await thingid.isKeyValidAt(deviceId, publicKey(1), registeredAt + 200)).to.equal(false);
+
+    await expect(thingid.revokeDeviceKey(deviceId, 0)).to.be.revertedWith("Device has no active key");
+    await thingid.rotateDeviceKey(deviceId, publicKey(2));
+    expect((await thingid.getDeviceKeys(deviceId))[0].revokedAt).to.equal(registeredAt + 200);
+  });
+
+  it("refuses revocation times outside the key's lifetime", async function () {
+    const { thingid, deviceId, registeredAt } = await loadFixture(keyedDeviceFixture);
+
+    await expect(thingid.revokeDeviceKey(deviceId, registeredAt - 1)).to.be.revertedWith("Invalid revocation time");
+    await expect(thingid.revokeDeviceKey(deviceId, (await time.latest()) + 3600)).to.be.revertedWith("Invalid revocation time");
+  });
+
+  it("lets only the owner manage the device key", async function () {
+    const { thingid, deviceId, stranger } = await loadFixture(keyedDeviceFixture);
+
+    await expect(thingid.connect(stranger).rotateDeviceKey(deviceId, publicKey(2))).to.be.revertedWith("Not device owner");
+    await expect(thingid.connect(stranger).revokeDeviceKey(deviceId, 0)).to.be.revertedWith("Not device owner");
+  });
+});
@@ -0,0 +1,124 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployThingID, registerDevice } = require("./helpers");
+
+const CURVE_ORDER = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+const DID = "did:didlab:device:sensor:attested";
+const ATTESTATION_TYPES = {
+  DeviceAttestation: [
+    { name: "publicKey", type: "string" },
+    { name: "model", type: "string" },
+    { name: "serialNumber", type: "string" }
+  ]
+};
+
+describe("ManufacturerRegistry", function () {
+  async function registryFixture() {
+    const [admin, owner, manufacturer, stranger] = await ethers.getSigners();
+    const { thingid } = await deployThingID();
+    const registry = await (await ethers.getContractFactory("ManufacturerRegistry")).deploy(await thingid.getAddress());
+    await registry.registerManufacturer(manufacturer.address, "Acme");
+
+    const deviceKey = new ethers.SigningKey(ethers.id("ThingID attested device")).publicKey;
+    const deviceId = await registerDevice(thingid, owner, DID, deviceKey);
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = {
+      name: "ThingID Manufacturer Registry",
+      version: await registry.VERSION(),
+      chainId,
+      verifyingContract: await registry.getAddress()
+    };
+    return { thingid, registry, domain, deviceId, deviceKey, admin, owner, manufacturer, stranger };
+  }
+
+  // Attestation over the given fields, signed as the factory would
+  async function attest(signer, domain, fields) {
+    return signer.signTypedData(domain, ATTESTATION_TYPES, fields);
+  }
+
+  function deviceFields(deviceKey) {
+    return { publicKey: deviceKey, model: "T-1", serialNumber: `SN-${DID}` };
+  }
+
+  it("signs the EIP-712 digest of the attested fields", async function () {
+    const { registry, domain, deviceKey } = await loadFixture(registryFixture);
+
+    expect(ethers.TypedDataEncoder.hash(domain, ATTESTATION_TYPES, deviceFields(deviceKey)))
+      .to.equal(await registry.attestationDigest(deviceKey, "T-1", `SN-${DID}`));
+  });
+
+  it("records an attestation from a registered manufacturer", async function () {
+    const { registry, domain, deviceId, deviceKey, manufacturer, stranger } = await loadFixture(registryFixture);
+    const signature = await attest(manufacturer, domain, deviceFields(deviceKey));
+
+    await expect(registry.connect(stranger).attestDevice(deviceId, signature))
+      .to.emit(registry, "DeviceAttested");
+
+    expect(await registry.isAttested(deviceId)).to.equal(true);
+    expect((await registry.deviceAttestations(deviceId)).manufacturer).to.equal(manufacturer.address);
+  });
+
+  it("refuses attestations that do not match the device record", async function () {
+    const { registry, domain, deviceId, deviceKey, manufacturer } = await loadFixture(registryFixture);
+    const signature = await attest(manufacturer, domain, { ...deviceFields(deviceKey), serialNumber: "SN-other" });
+
+    await expect(registry.attestDevice(deviceId, signature)).to.be.revertedWith("Not an active manufacturer");
+    expect(await registry.isAttested(deviceId)).to.equal(false);
+  });
+
+  it("refuses signers that are not active manufacturers of the device's brand", async function () {
+    const { registry, domain, deviceId, deviceKey, manufacturer, stranger } = await loadFixture(registryFixture);
+
+    await expect(registry.attestDevice(deviceId, await attest(stranger, domain, deviceFields(deviceKey))))
+      .to.be.revertedWith("Not an active manufacturer");
+
+    await registry.registerManufacturer(stranger.address, "Globex");
+    await expect(registry.attestDevice(deviceId, await attest(stranger, domain, deviceFields(deviceKey))))
+      .to.be.revertedWith("Manufacturer name mismatch");
+
+    await registry.setManufacturerStatus(manufacturer.address, false);
+    await expect(registry.attestDevice(deviceId, await attest(manufacturer, domain, deviceFields(deviceKey))))
+      .to.be.revertedWith("Not an active manufacturer");
+  });
+
+  it("refuses the high-s form of a valid signature", async function () {
+    const { registry, domain, deviceId, deviceKey, manufacturer } = await loadFixture(registryFixture);
+    const sig = ethers.Signature.from(await attest(manufacturer, domain, deviceFields(deviceKey)));
+    const highS = ethers.concat([sig.r, ethers.toBeHex(CURVE_ORDER - BigInt(sig.s), 32), sig.v === 27 ? "0x1c" : "0x1b"]);
+
+    await expect(registry.attestDevice(deviceId, highS)).to.be.revertedWith("Invalid signature");
+  });
+
+  it("stops counting an attestation once the manufacturer is suspended or the key changes", async function () {
+    const { thingid, registry, domain, deviceId, deviceKey, owner, manufacturer } = await loadFixture(registryFixture);
+    await registry.attestDevice(deviceId, await attest(manufacturer, domain, deviceFields(deviceKey)));
+
+    await registry.setManufacturerStatus(manufacturer.address, false);
+    expect(await registry.isAttested(deviceId)).to.equal(false);
+    await registry.setManufacturerStatus(manufacturer.address, true);
+    expect(await registry.isAttested(deviceId)).to.equal(true);
+
+    await thingid.connect(owner).rotateDeviceKey(deviceId, new ethers.SigningKey(ethers.id("ThingID new key")).publicKey);
+    expect(await registry.isAttested(deviceId)).to.equal(false);
+  });
+
+  it("vouches for an attested key on one device only", async function () {
+    const { thingid, registry, domain, deviceId, deviceKey, owner, manufacturer } = await loadFixture(registryFixture);
+    await registry.attestDevice(deviceId, await attest(manufacturer, domain, deviceFields(deviceKey)));
+
+    const twinDid = "did:didlab:device:sensor:twin";
+    const twinId = await registerDevice(thingid, owner, twinDid, deviceKey);
+    const signature = await attest(manufacturer, domain, { publicKey: deviceKey, model: "T-1", serialNumber: `SN-${twinDid}` });
+
+    await expect(registry.attestDevice(twinId, signature)).to.be.revertedWith("Key attested to another device");
+  });
+
+  it("lets only the admin manage manufacturers", async function () {
+    const { registry, manufacturer, stranger } = await loadFixture(registryFixture);
+
+    await expect(registry.connect(stranger).registerManufacturer(stranger.address, "Globex")).to.be.revertedWith("Not registry admin");
+    await expect(registry.connect(stranger).setManufacturerStatus(manufacturer.address, false)).to.be.revertedWith("Not registry admin");
+    await expect(registry.registerManufacturer(manufacturer.address, "Acme")).to.be.revertedWith("Manufacturer already registered");
+  });
+});
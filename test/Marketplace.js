@@ -0,0 +1,142 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployThingID, registerDevice, transferDevice } = require("./helpers");
+
+const HOUR = 3600;
+const PRICE = ethers.parseEther("0.01"); // per hour
+const PERMISSION_READ = 1;
+
+describe("Marketplace", function () {
+  async function listedDeviceFixture() {
+    const [owner, buyer, other] = await ethers.getSigners();
+    const { thingid, accessRequests } = await deployThingID();
+    const deviceId = await registerDevice(thingid, owner, "did:didlab:device:sensor:market");
+    await accessRequests.setAccessPrice(deviceId, PRICE, HOUR);
+    return { thingid, accessRequests, deviceId, owner, buyer, other };
+  }
+
+  describe("purchaseAccess", function () {
+    it("grants a read pass for the paid duration and credits the seller", async function () {
+      const { thingid, accessRequests, deviceId, owner, buyer } = await loadFixture(listedDeviceFixture);
+
+      await expect(accessRequests.connect(buyer).purchaseAccess(deviceId, 2 * HOUR, { value: 2n * PRICE }))
+        .to.emit(accessRequests, "AccessPurchased");
+
+      const purchasedAt = await time.latest();
+      expect(await thingid.viewerAccess(deviceId, buyer.address)).to.equal(purchasedAt + 2 * HOUR);
+      expect(await thingid.viewerPermissions(deviceId, buyer.address)).to.equal(PERMISSION_READ);
+      expect(await thingid.hasAccess(deviceId, buyer.address)).to.equal(true);
+      expect(await accessRequests.balances(owner.address)).to.equal(2n * PRICE);
+
+      const passes = await thingid.getDeviceAccessPasses(deviceId);
+      expect(passes.length).to.equal(1);
+      expect(passes[0].grantedBy).to.equal(owner.address);
+    });
+
+    it("rejects a wrong payment, a partial unit and unlisted devices", async function () {
+      const { thingid, accessRequests, deviceId, owner, buyer } = await loadFixture(listedDeviceFixture);
+
+      await expect(accessRequests.connect(buyer).purchaseAccess(deviceId, HOUR, { value: PRICE - 1n }))
+        .to.be.revertedWith("Incorrect payment");
+      await expect(accessRequests.connect(buyer).purchaseAccess(deviceId, HOUR + 1, { value: PRICE }))
+        .to.be.revertedWith("Invalid duration");
+
+      const unlisted = await registerDevice(thingid, owner, "did:didlab:device:sensor:unlisted");
+      await expect(accessRequests.connect(buyer).purchaseAccess(unlisted, HOUR, { value: PRICE }))
+        .to.be.revertedWith("Device not for sale");
+    });
+
+    it("stops selling once the seller no longer owns the device", async function () {
+      const { thingid, accessRequests, deviceId, owner, buyer, other } = await loadFixture(listedDeviceFixture);
+
+      await transferDevice(thingid, deviceId, owner, other);
+
+      await expect(accessRequests.connect(buyer).purchaseAccess(deviceId, HOUR, { value: PRICE }))
+        .to.be.revertedWith("Device not for sale");
+    });
+  });
+
+  describe("repurchase", function () {
+    it("extends an unexpired pass instead of adding one", async function () {
+      const { thingid, accessRequests, deviceId, buyer } = await loadFixture(listedDeviceFixture);
+
+      await accessRequests.connect(buyer).purchaseAccess(deviceId, HOUR, { value: PRICE });
+      const firstExpiry = await thingid.viewerAccess(deviceId, buyer.address);
+
+      await accessRequests.connect(buyer).purchaseAccess(deviceId, 3 * HOUR, { value: 3n * PRICE });
+
+      expect(await thingid.viewerAccess(deviceId, buyer.address)).to.equal(firstExpiry + BigInt(3 * HOUR));
+      expect((await thingid.getDeviceAccessPasses(deviceId)).length).to.equal(1);
+    });
+
+    it("grants a fresh pass once the previous one has expired", async function () {
+      const { thingid, accessRequests, deviceId, buyer } = await loadFixture(listedDeviceFixture);
+
+      await accessRequests.connect(buyer).purchaseAccess(deviceId, HOUR, { value: PRICE });
+      await time.increase(2 * HOUR);
+      await accessRequests.connect(buyer).purchaseAccess(deviceId, HOUR, { value: PRICE });
+
+      expect(await thingid.viewerAccess(deviceId, buyer.address)).to.equal((await time.latest()) + HOUR);
+      expect((await thingid.getDeviceAccessPasses(deviceId)).length).to.equal(2);
+    });
+  });
+
+  describe("withdraw", function () {
+    it("pays out the seller's earnings once", async function () {
+      const { accessRequests, deviceId, owner, buyer } = await loadFixture(listedDeviceFixture);
+
+      await accessRequests.connect(buyer).purchaseAccess(deviceId, 2 * HOUR, { value: 2n * PRICE });
+
+      await expect(accessRequests.withdraw())
+        .to.changeEtherBalances([owner, accessRequests], [2n * PRICE, -2n * PRICE]);
+      expect(await accessRequests.balances(owner.address)).to.equal(0);
+
+      await expect(accessRequests.withdraw()).to.be.revertedWith("Nothing to withdraw");
+    });
+
+    it("only pays out the caller's own balance", async function () {
+      const { accessRequests, deviceId, buyer } = await loadFixture(listedDeviceFixture);
+
+      await accessRequests.connect(buyer).purchaseAccess(deviceId, HOUR, { value: PRICE });
+
+      await expect(accessRequests.connect(buyer).withdraw()).to.be.revertedWith("Nothing to withdraw");
+    });
+  });
+
+  describe("price changes", function () {
+    it("leave passes already sold and earned balances untouched", async function () {
+      const { thingid, accessRequests, deviceId, owner, buyer } = await loadFixture(listedDeviceFixture);
+
+      await accessRequests.connect(buyer).purchaseAccess(deviceId, 2 * HOUR, { value: 2n * PRICE });
+      const expiry = await thingid.viewerAccess(deviceId, buyer.address);
+
+      await accessRequests.setAccessPrice(deviceId, 3n * PRICE, HOUR);
+
+      expect(await thingid.viewerAccess(deviceId, buyer.address)).to.equal(expiry);
+      expect(await accessRequests.balances(owner.address)).to.equal(2n * PRICE);
+    });
+
+    it("apply to purchases made after them", async function () {
+      const { accessRequests, deviceId, owner, buyer } = await loadFixture(listedDeviceFixture);
+
+      await accessRequests.setAccessPrice(deviceId, 3n * PRICE, HOUR);
+
+      await expect(accessRequests.connect(buyer).purchaseAccess(deviceId, HOUR, { value: PRICE }))
+        .to.be.revertedWith("Incorrect payment");
+      await accessRequests.connect(buyer).purchaseAccess(deviceId, HOUR, { value: 3n * PRICE });
+      expect(await accessRequests.balances(owner.address)).to.equal(3n * PRICE);
+    });
+
+    it("keep passes already sold when the device is taken off sale", async function () {
+      const { thingid, accessRequests, deviceId, buyer } = await loadFixture(listedDeviceFixture);
+
+      await accessRequests.connect(buyer).purchaseAccess(deviceId, HOUR, { value: PRICE });
+      await accessRequests.setAccessPrice(deviceId, 0, 0);
+
+      expect(await thingid.hasAccess(deviceId, buyer.address)).to.equal(true);
+      await expect(accessRequests.connect(buyer).purchaseAccess(deviceId, HOUR, { value: PRICE }))
+        .to.be.revertedWith("Device not for sale");
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployThingID, registerDevice } = require("./helpers");
+
+const META_TRANSACTION_TYPES = {
+  MetaTransaction: [
+    { name: "signer", type: "address" },
+    { name: "data", type: "bytes" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+describe("Meta-transactions", function () {
+  async function relayFixture() {
+    const [relayer, signer, viewer] = await ethers.getSigners();
+    const { thingid } = await deployThingID();
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = {
+      name: "ThingID",
+      version: await thingid.VERSION(),
+      chainId,
+      verifyingContract: await thingid.getAddress()
+    };
+    return { thingid, domain, relayer, signer, viewer };
+  }
+
+  // Sign `data` as `signer` for the given nonce (default: the current one) and deadline
+  async function signCall(thingid, domain, signer, data, { nonce, deadline } = {}) {
+    const request = {
+      signer: signer.address,
+      data,
+      nonce: nonce === undefined ? await thingid.nonces(signer.address) : nonce,
+      deadline: deadline === undefined ? (await time.latest()) + 3600 : deadline
+    };
+    const signature = await signer.signTypedData(domain, META_TRANSACTION_TYPES, request);
+    return { ...request, signature };
+  }
+
+  function registerCall(thingid, did) {
+    return thingid.interface.encodeFunctionData("registerDevice", [
+      did, "Relayed Device", "sensor", "Acme", "T-1", `SN-${did}`, "Lab", ""
+    ]);
+  }
+
+  it("runs the call as the signer and increments its nonce", async function () {
+    const { thingid, domain, relayer, signer } = await loadFixture(relayFixture);
+    const request = await signCall(thingid, domain, signer, registerCall(thingid, "did:didlab:device:sensor:relay"));
+
+    await expect(thingid.connect(relayer).executeMetaTransaction(
+      request.signer, request.data, request.deadline, request.signature
+    )).to.emit(thingid, "MetaTransactionExecuted");
+
+    expect(await thingid.nonces(signer.address)).to.equal(1);
+    expect((await thingid.getOwnerDevices(signer.address)).length).to.equal(1);
+    expect((await thingid.getOwnerDevices(relayer.address)).length).to.equal(0);
+  });
+
+  it("rejects a signature once its nonce has been used", async function () {
+    const { thingid, domain, relayer, signer } = await loadFixture(relayFixture);
+    const request = await signCall(thingid, domain, signer, registerCall(thingid, "did:didlab:device:sensor:replay"));
+    const args = [request.signer, request.data, request.deadline, request.signature];
+
+    await thingid.connect(relayer).executeMetaTransaction(...args);
+
+    await expect(thingid.connect(relayer).executeMetaTransaction(...args)).to.be.revertedWith("Invalid signature");
+  });
+
+  it("rejects a signature for a future nonce", async function () {
+    const { thingid, domain, relayer, signer } = await loadFixture(relayFixture);
+    const request = await signCall(thingid, domain, signer, registerCall(thingid, "did:didlab:device:sensor:ahead"), { nonce: 1 });
+
+    await expect(thingid.connect(relayer).executeMetaTransaction(
+      request.signer, request.data, request.deadline, request.signature
+    )).to.be.revertedWith("Invalid signature");
+    expect(await thingid.nonces(signer.address)).to.equal(0);
+  });
+
+  it("rejects a signature after its deadline", async function () {
+    const { thingid, domain, relayer, signer } = await loadFixture(relayFixture);
+    const deadline = (await time.latest()) + 60;
+    const request = await signCall(thingid, domain, signer, registerCall(thingid, "did:didlab:device:sensor:late"), { deadline });
+
+    await time.increaseTo(deadline + 1);
+
+    await expect(thingid.connect(relayer).executeMetaTransaction(
+      request.signer, request.data, request.deadline, request.signature
+    )).to.be.revertedWith("Signature expired");
+    expect(await thingid.nonces(signer.address)).to.equal(0);
+  });
+
+  it("accepts a signature up to and including its deadline", async function () {
+    const { thingid, domain, relayer, signer } = await loadFixture(relayFixture);
+    const deadline = (await time.latest()) + 60;
+    const request = await signCall(thingid, domain, signer, registerCall(thingid, "did:didlab:device:sensor:ontime"), { deadline });
+
+    await time.setNextBlockTimestamp(deadline);
+
+    await thingid.connect(relayer).executeMetaTransaction(
+      request.signer, request.data, request.deadline, request.signature
+    );
+    expect(await thingid.nonces(signer.address)).to.equal(1);
+  });
+
+  it("rejects a call whose data differs from what was signed", async function () {
+    const { thingid, domain, relayer, signer } = await loadFixture(relayFixture);
+    const request = await signCall(thingid, domain, signer, registerCall(thingid, "did:didlab:device:sensor:signed"));
+
+    await expect(thingid.connect(relayer).executeMetaTransaction(
+      request.signer, registerCall(thingid, "did:didlab:device:sensor:swapped"), request.deadline, request.signature
+    )).to.be.revertedWith("Invalid signature");
+  });
+
+  it("only relays the listed functions", async function () {
+    const { thingid, domain, relayer, signer, viewer } = await loadFixture(relayFixture);
+    const deviceId = await registerDevice(thingid, signer, "did:didlab:device:sensor:owned");
+    const data = thingid.interface.encodeFunctionData("proposeTransfer", [deviceId, viewer.address]);
+    const request = await signCall(thingid, domain, signer, data);
+
+    await expect(thingid.connect(relayer).executeMetaTransaction(
+      request.signer, request.data, request.deadline, request.signature
+    )).to.be.revertedWith("Function not relayable");
+  });
+
+  it("bubbles up the relayed call's revert without spending the nonce", async function () {
+    const { thingid, domain, relayer, signer, viewer } = await loadFixture(relayFixture);
+    const deviceId = await registerDevice(thingid, viewer, "did:didlab:device:sensor:theirs");
+    const data = thingid.interface.encodeFunctionData("grantAccess", [deviceId, signer.address, 3600, 1]);
+    const request = await signCall(thingid, domain, signer, data);
+
+    await expect(thingid.connect(relayer).executeMetaTransaction(
+      request.signer, request.data, request.deadline, request.signature
+    )).to.be.reverted;
+    expect(await thingid.nonces(signer.address)).to.equal(0);
+  });
+});
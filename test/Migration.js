@@ -0,0 +1,179 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { exportState, importState, compareStates, countPasses, describeUnmigrated } = require("../scripts/migration");
+const { deployThingID, registerDevice, transferDevice } = require("./helpers");
+
+const { ethers } = hre;
+
+function publicKey(seed) {
+  return new ethers.SigningKey(ethers.id(`ThingID key ${seed}`)).publicKey;
+}
+
+describe("migration", function () {
+  // A source deployment with a transferred device, a rotated key, a revoked and a live
+  // pass, and an organization with a second member
+  async function sourceFixture() {
+    const [deployer, owner, buyer, viewer, member] = await ethers.getSigners();
+    const { thingid: source } = await deployThingID();
+
+    const first = await registerDevice(source, owner, "did:didlab:device:sensor:m1", publicKey(1));
+    const second = await registerDevice(source, owner, "did:didlab:device:sensor:m2");
+    await source.connect(owner).rotateDeviceKey(first, publicKey(2));
+    await source.connect(owner).grantAccess(first, viewer.address, 3600, 1);
+    await source.connect(owner).revokeAccess(first, viewer.address);
+    await source.connect(owner).grantAccess(first, viewer.address, 7200, 1);
+    await transferDevice(source, second, owner, buyer);
+    await source.connect(buyer).toggleDeviceStatus(second);
+
+    await source.connect(owner).createOrganization("Acme Labs");
+    await source.connect(owner).setMemberRole(1, member.address, 2);
+
+    const target = await (await ethers.getContractFactory("ThingID")).deploy();
+    await target.waitForDeployment();
+    return { source, target, deployer, owner, buyer, viewer, member, first, second };
+  }
+
+  it("imports an export so the new deployment matches the source", async function () {
+    const { source, target, viewer, first } = await loadFixture(sourceFixture);
+
+    const expected = await exportState(hre, await source.getAddress());
+    expect(expected.devices).to.have.length(2);
+    expect(countPasses(expected)).to.equal(2);
+    expect(expected.devices[0].accessPasses.map(pass => pass.isActive)).to.deep.equal([false, true]);
+    expect(describeUnmigrated(expected)).to.deep.equal([]);
+
+    await importState(target, expected, { batchSize: 1 });
+    const actual = await exportState(hre, await target.getAddress());
+    expect(compareStates(expected, actual)).to.deep.equal([]);
+
+    const [, rotatedAt] = (await target.getDeviceKeys(first)).map(key => Number(key.addedAt));
+    expect(await target.isKeyValidAt(first, publicKey(1), rotatedAt - 1)).to.equal(true);
+    expect(await target.isKeyValidAt(first, publicKey(1), rotatedAt)).to.equal(false);
+    expect(await target.hasAccess(first, viewer.address)).to.equal(true);
+  });
+
+  it("reports differences between exports", async function () {
+    const { source } = await loadFixture(sourceFixture);
+    const expected = await exportState(hre, await source.getAddress());
+
+    const moved = structuredClone(expected);
+    moved.devices[1].owner = moved.devices[0].owner;
+    moved.organizations = [];
+    expect(compareStates(expected, moved)).to.deep.equal([
+      `${expected.devices[1].deviceId}: owner differs`,
+      "organization count: expected 1, found 0"
+    ]);
+
+    const truncated = { ...expected, devices: expected.devices.slice(0, 1) };
+    expect(compareStates(expected, truncated)).to.include("device count: expected 2, found 1");
+  });
+
+  it("counts the state an import cannot carry over", async function () {
+    const { source, owner, first } = await loadFixture(sourceFixture);
+    const deviceGroups = await ethers.getContractAt("DeviceGroups", await source.deviceGroups());
+    await deviceGroups.connect(owner).createGroup("Lab sensors", owner.address);
+
+    const state = await exportState(hre, await source.getAddress());
+    expect(state.unmigrated.groups).to.equal(1);
+    expect(describeUnmigrated(state)).to.deep.equal(["1 device groups"]);
+    expect(state.devices[0].deviceId).to.equal(first);
+  });
+
+  it("only lets the migrator import, until the migration is finalized", async function () {
+    const { source, target, deployer, owner } = await loadFixture(sourceFixture);
+    const state = await exportState(hre, await source.getAddress());
+    const entry = {
+      deviceId: state.devices[0].deviceId,
+      owner: state.devices[0].owner,
+      registeredAt: state.devices[0].registeredAt,
+      isActive: true,
+      registration: {
+        did: state.devices[0].did,
+        name: "Imported",
+        deviceType: "sensor",
+        manufacturer: "Acme",
+        model: "T-1",
+        serialNumber: "SN-1",
+        location: "Lab",
+        publicKey: ""
+      }
+    };
+
+    expect(await target.migrator()).to.equal(deployer.address);
+    await expect(target.connect(owner).importDevices([entry])).to.be.revertedWith("Not migrator");
+    await expect(target.importDevices([])).to.be.revertedWith("Empty batch");
+    await expect(target.importOrganization(2, "Acme Labs", owner.address, 1)).to.be.revertedWith("Invalid import");
+
+    await target.importDevices([entry]);
+    const history = [{ owner: entry.owner, acquiredAt: entry.registeredAt }];
+    await target.importDeviceHistory(entry.deviceId, history, []);
+    await expect(target.importDeviceHistory(entry.deviceId, history, []))
+      .to.be.revertedWith("History already imported");
+
+    await expect(target.finalizeMigration()).to.emit(target, "MigrationFinalized");
+    expect(await target.migrator()).to.equal(ethers.ZeroAddress);
+    await expect(target.importDevices([entry])).to.be.revertedWith("Not migrator");
+    await expect(target.finalizeMigration()).to.be.revertedWith("Not migrator");
+  });
+});
+
+describe("ThingIDRegistry", function () {
+  async function registryFixture() {
+    const [, other] = await ethers.getSigners();
+    const registry = await (await ethers.getContractFactory("ThingIDRegistry")).deploy();
+    const { thingid: current } = await deployThingID();
+    const { thingid: next } = await deployThingID();
+    return { registry, current, next, other };
+  }
+
+  it("publishes finalized deployments and rolls back to earlier ones", async function () {
+    const { registry, current, next } = await loadFixture(registryFixture);
+    expect(await registry.currentThingId()).to.equal(ethers.ZeroAddress);
+    await expect(registry.currentRelease()).to.be.revertedWith("No release published");
+
+    await expect(registry.publishRelease(await current.getAddress(), ethers.ZeroAddress))
+      .to.be.revertedWith("Migration not finalized");
+
+    await current.finalizeMigration();
+    await next.finalizeMigration();
+    await expect(registry.publishRelease(await current.getAddress(), ethers.ZeroAddress))
+      .to.emit(registry, "ReleasePublished");
+    const [release] = await registry.getReleases();
+    expect(release.version).to.equal(await current.VERSION());
+    expect(release.publishedAt).to.equal(await time.latest());
+    await expect(registry.publishRelease(await current.getAddress(), ethers.ZeroAddress))
+      .to.be.revertedWith("Already current");
+
+    await registry.publishRelease(await next.getAddress(), ethers.ZeroAddress);
+    expect(await registry.currentThingId()).to.equal(await next.getAddress());
+
+    await registry.publishRelease(await current.getAddress(), ethers.ZeroAddress);
+    expect((await registry.currentRelease()).thingId).to.equal(await current.getAddress());
+    expect(await registry.getReleaseCount()).to.equal(3);
+    expect((await registry.getReleases()).map(release => release.thingId)).to.deep.equal([
+      await current.getAddress(),
+      await next.getAddress(),
+      await current.getAddress()
+    ]);
+  });
+
+  it("only lets the admin publish and hand over the registry", async function () {
+    const { registry, current, other } = await loadFixture(registryFixture);
+    await current.finalizeMigration();
+
+    await expect(registry.connect(other).publishRelease(await current.getAddress(), ethers.ZeroAddress))
+      .to.be.revertedWith("Not registry admin");
+    await expect(registry.publishRelease(ethers.ZeroAddress, ethers.ZeroAddress))
+      .to.be.revertedWith("Invalid ThingID address");
+    await expect(registry.transferAdmin(ethers.ZeroAddress)).to.be.revertedWith("Invalid admin address");
+
+    await expect(registry.transferAdmin(other.address))
+      .to.emit(registry, "AdminTransferred");
+    await expect(registry.publishRelease(await current.getAddress(), ethers.ZeroAddress))
+      .to.be.revertedWith("Not registry admin");
+    await registry.connect(other).publishRelease(await current.getAddress(), ethers.ZeroAddress);
+    expect(await registry.admin()).to.equal(other.address);
+    expect(await registry.currentThingId()).to.equal(await current.getAddress());
+  });
+});
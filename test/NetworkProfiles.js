@@ -0,0 +1,76 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const networks = require("../config/networks");
+const { loadFixtureDevices, fixtureDeviceWallet, seedFixtures } = require("../scripts/fixtures");
+const { DEVICE_TYPES } = require("../backend/device-manifest");
+const { deployThingID } = require("./helpers");
+
+const { ethers } = hre;
+
+describe("network profiles", function () {
+  it("resolves profiles by name and chain ID", function () {
+    expect(networks.getProfile().chainId).to.equal(networks.PROFILES[networks.DEFAULT_PROFILE].chainId);
+    expect(networks.getProfile("localhost").chainId).to.equal(31337);
+    expect(networks.profileNameByChainId("31337")).to.equal("localhost");
+    expect(networks.profileNameByChainId(1)).to.equal(null);
+    expect(() => networks.getProfile("mainnet")).to.throw('Unknown network profile "mainnet"');
+  });
+
+  it("applies the deployment recorded for the profile's chain", function () {
+    const info = {
+      31337: { contractAddress: "0x5FbDB2315678afecb367f032d93F642f64180aa3", deviceMetadataAddress: "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512" },
+      252501: { contractAddress: "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0" }
+    };
+
+    const local = networks.resolveProfile("localhost", info);
+    expect(local).to.include({ contractAddress: info[31337].contractAddress, deviceMetadataAddress: info[31337].deviceMetadataAddress, telemetryAnchorsAddress: "" });
+    expect(networks.getProfile("localhost").contractAddress).to.equal("");
+
+    expect(networks.resolveProfile("localhost", { chainId: 31337, contractAddress: info[31337].contractAddress }).contractAddress)
+      .to.equal(info[31337].contractAddress);
+    expect(networks.resolveProfile("localhost", { 1: info[31337] }).contractAddress).to.equal("");
+    expect(networks.resolveProfile("localhost", null).contractAddress).to.equal("");
+  });
+});
+
+describe("development fixtures", function () {
+  async function seededFixture() {
+    const signers = await ethers.getSigners();
+    const { thingid } = await deployThingID();
+    const seeded = await seedFixtures(hre, thingid, signers);
+    return { thingid, signers, seeded };
+  }
+
+  it("reads the bulk registration manifest from testdata.md", function () {
+    const rows = loadFixtureDevices();
+
+    expect(rows.length).to.be.above(0);
+    for (const row of rows) {
+      expect(row.name).not.to.equal("");
+      expect(row.serialNumber).not.to.equal("");
+      expect(DEVICE_TYPES).to.include(row.deviceType);
+    }
+  });
+
+  it("registers every fixture device with its deterministic key", async function () {
+    const { thingid, signers, seeded } = await loadFixture(seededFixture);
+
+    expect(seeded.devices).to.have.length(loadFixtureDevices().length);
+    for (const device of seeded.devices) {
+      const onChain = await thingid.getDevice(device.deviceId);
+      expect(onChain.owner).to.equal(signers[0].address);
+      expect(ethers.computeAddress(onChain.publicKey)).to.equal(device.keyAddress);
+      expect(fixtureDeviceWallet(hre, device.serialNumber).address).to.equal(device.keyAddress);
+    }
+  });
+
+  it("grants the sample passes", async function () {
+    const { thingid, seeded } = await loadFixture(seededFixture);
+
+    expect(seeded.passes.length).to.be.above(0);
+    for (const pass of seeded.passes) {
+      expect(await thingid.viewerPermissions(pass.deviceId, pass.viewer)).to.equal(pass.permissions);
+    }
+  });
+});
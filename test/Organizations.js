@@ -0,0 +1,112 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployThingID, registerDevice } = require("./helpers");
+
+const ROLE_VIEWER = 1;
+const ROLE_OPERATOR = 2;
+const ROLE_ADMIN = 3;
+const PERMISSION_READ = 1;
+const PERMISSION_CONTROL = 2;
+
+describe("organizations", function () {
+  async function organizationFixture() {
+    const [admin, operator, viewer, outsider, buyer] = await ethers.getSigners();
+    const { thingid } = await deployThingID();
+
+    await thingid.createOrganization("Acme Facilities");
+    const orgId = await thingid.organizationCount();
+    const { account } = await thingid.organizations(orgId);
+    await thingid.setMemberRole(orgId, operator.address, ROLE_OPERATOR);
+    await thingid.setMemberRole(orgId, viewer.address, ROLE_VIEWER);
+
+    const receipt = await (await thingid.connect(operator).registerOrganizationDevices(orgId, [{
+      did: "did:didlab:device:sensor:org",
+      name: "Org Sensor",
+      deviceType: "sensor",
+      manufacturer: "Acme",
+      model: "T-1",
+      serialNumber: "SN-org",
+      location: "Plant",
+      publicKey: ""
+    }])).wait();
+    const deviceId = receipt.logs
+      .map(log => thingid.interface.parseLog(log))
+      .find(event => event && event.name === "DeviceRegistered")
+      .args.deviceId;
+
+    return { thingid, orgId, account, deviceId, admin, operator, viewer, outsider, buyer };
+  }
+
+  it("registers devices to the organization account", async function () {
+    const { thingid, orgId, account, deviceId, admin, outsider } = await loadFixture(organizationFixture);
+
+    expect((await thingid.getDevice(deviceId)).owner).to.equal(account);
+    expect(await thingid.getOwnerDeviceCount(account)).to.equal(1);
+    const [members, roles] = await thingid.getOrganizationMembers(orgId);
+    expect(members.length).to.equal(3);
+    expect(roles[0]).to.equal(ROLE_ADMIN);
+    expect(await thingid.getMemberOrganizations(admin.address)).to.deep.equal([orgId]);
+
+    await expect(thingid.connect(outsider).registerOrganizationDevices(orgId, [])).to.be.revertedWith("Not organization operator");
+  });
+
+  it("gives each role its share of control over organization devices", async function () {
+    const { thingid, deviceId, admin, operator, viewer, outsider } = await loadFixture(organizationFixture);
+
+    expect(await thingid.hasAccess(deviceId, viewer.address)).to.equal(true);
+    expect(await thingid.hasPermission(deviceId, viewer.address, PERMISSION_CONTROL)).to.equal(false);
+    expect(await thingid.hasPermission(deviceId, operator.address, PERMISSION_READ | PERMISSION_CONTROL)).to.equal(true);
+    expect(await thingid.hasAccess(deviceId, outsider.address)).to.equal(false);
+
+    await expect(thingid.connect(viewer).toggleDeviceStatus(deviceId)).to.be.revertedWith("Not device owner");
+    await thingid.connect(operator).toggleDeviceStatus(deviceId);
+    await thingid.connect(operator).toggleDeviceStatus(deviceId);
+    await thingid.connect(operator).grantAccess(deviceId, outsider.address, 3600, PERMISSION_READ);
+    expect(await thingid.hasAccess(deviceId, outsider.address)).to.equal(true);
+
+    await expect(thingid.connect(operator).proposeTransfer(deviceId, outsider.address)).to.be.revertedWith("Not device owner");
+    await thingid.connect(admin).proposeTransfer(deviceId, outsider.address);
+  });
+
+  it("lets only admins manage members", async function () {
+    const { thingid, orgId, operator, outsider } = await loadFixture(organizationFixture);
+
+    await expect(thingid.connect(operator).setMemberRole(orgId, outsider.address, ROLE_VIEWER)).to.be.revertedWith("Not organization admin");
+    await expect(thingid.setMemberRole(orgId, outsider.address, 4)).to.be.revertedWith("Invalid role");
+    await expect(thingid.setMemberRole(orgId, ethers.ZeroAddress, ROLE_VIEWER)).to.be.revertedWith("Invalid member address");
+  });
+
+  it("always keeps an admin", async function () {
+    const { thingid, orgId, admin, operator } = await loadFixture(organizationFixture);
+
+    await expect(thingid.setMemberRole(orgId, admin.address, ROLE_OPERATOR)).to.be.revertedWith("Organization needs an admin");
+    await expect(thingid.setMemberRole(orgId, admin.address, 0)).to.be.revertedWith("Organization needs an admin");
+
+    await thingid.setMemberRole(orgId, operator.address, ROLE_ADMIN);
+    await thingid.setMemberRole(orgId, admin.address, 0);
+    expect((await thingid.organizations(orgId)).adminCount).to.equal(1);
+    expect(await thingid.getMemberOrganizations(admin.address)).to.deep.equal([]);
+  });
+
+  it("takes a removed member's access away", async function () {
+    const { thingid, orgId, deviceId, operator } = await loadFixture(organizationFixture);
+
+    await thingid.setMemberRole(orgId, operator.address, 0);
+
+    expect(await thingid.hasAccess(deviceId, operator.address)).to.equal(false);
+    await expect(thingid.connect(operator).toggleDeviceStatus(deviceId)).to.be.revertedWith("Not device owner");
+  });
+
+  it("accepts transfers to the organization through one of its admins", async function () {
+    const { thingid, account, operator, buyer, admin } = await loadFixture(organizationFixture);
+    const deviceId = await registerDevice(thingid, buyer, "did:didlab:device:sensor:incoming");
+
+    await thingid.connect(buyer).proposeTransfer(deviceId, account);
+    await expect(thingid.connect(operator).acceptTransfer(deviceId)).to.be.revertedWith("No pending transfer to caller");
+    await thingid.connect(admin).acceptTransfer(deviceId);
+
+    expect((await thingid.getDevice(deviceId)).owner).to.equal(account);
+    expect(await thingid.hasPermission(deviceId, operator.address, PERMISSION_CONTROL)).to.equal(true);
+  });
+});
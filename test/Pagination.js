@@ -0,0 +1,57 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployThingID, registerDevice, transferDevice } = require("./helpers");
+
+describe("device pagination", function () {
+  async function devicesFixture() {
+    const [alice, bob] = await ethers.getSigners();
+    const { thingid } = await deployThingID();
+    const ids = [];
+    for (const [owner, name] of [[alice, "a1"], [bob, "b1"], [alice, "a2"], [alice, "a3"], [bob, "b2"]]) {
+      ids.push(await registerDevice(thingid, owner, `did:didlab:device:sensor:${name}`));
+    }
+    return { thingid, ids, alice, bob };
+  }
+
+  it("pages through all devices in registration order", async function () {
+    const { thingid, ids } = await loadFixture(devicesFixture);
+
+    const [firstIds, firstPage] = await thingid.getDevicesPaginated(0, 2);
+    expect(firstIds).to.deep.equal(ids.slice(0, 2));
+    expect(firstPage.map(d => d.did)).to.deep.equal(["did:didlab:device:sensor:a1", "did:didlab:device:sensor:b1"]);
+
+    expect((await thingid.getDevicesPaginated(2, 2))[0]).to.deep.equal(ids.slice(2, 4));
+    expect((await thingid.getDevicesPaginated(4, 2))[0]).to.deep.equal(ids.slice(4));
+    expect(await thingid.getTotalDevices()).to.equal(5);
+    expect(await thingid.getDeviceByIndex(3)).to.equal(ids[3]);
+  });
+
+  it("returns an empty page past the end", async function () {
+    const { thingid } = await loadFixture(devicesFixture);
+
+    const [deviceIds, page] = await thingid.getDevicesPaginated(5, 10);
+    expect(deviceIds).to.deep.equal([]);
+    expect(page).to.deep.equal([]);
+    await expect(thingid.getDeviceByIndex(5)).to.be.revertedWith("Index out of bounds");
+  });
+
+  it("pages through one owner's devices", async function () {
+    const { thingid, ids, alice, bob } = await loadFixture(devicesFixture);
+
+    expect(await thingid.getOwnerDeviceCount(alice.address)).to.equal(3);
+    expect((await thingid.getOwnerDevicesPaginated(alice.address, 1, 5))[0]).to.deep.equal([ids[2], ids[3]]);
+    expect((await thingid.getOwnerDevicesPaginated(bob.address, 0, 1))[1][0].owner).to.equal(bob.address);
+  });
+
+  it("moves a transferred device between the owners' pages", async function () {
+    const { thingid, ids, alice, bob } = await loadFixture(devicesFixture);
+
+    await transferDevice(thingid, ids[0], alice, bob);
+
+    expect(await thingid.getOwnerDeviceCount(alice.address)).to.equal(2);
+    expect([...(await thingid.getOwnerDevicesPaginated(alice.address, 0, 10))[0]]).to.have.members([ids[2], ids[3]]);
+    expect([...(await thingid.getOwnerDevicesPaginated(bob.address, 0, 10))[0]]).to.have.members([ids[1], ids[4], ids[0]]);
+    expect(await thingid.getTotalDevices()).to.equal(5);
+  });
+});
@@ -0,0 +1,95 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployThingID, registerDevice, transferDevice } = require("./helpers");
+
+const HOUR = 3600;
+const PERMISSION_READ = 1;
+
+describe("access pass lifecycle", function () {
+  async function grantedFixture() {
+    const [owner, viewer, other, buyer] = await ethers.getSigners();
+    const { thingid } = await deployThingID();
+    const deviceId = await registerDevice(thingid, owner, "did:didlab:device:sensor:passes");
+    await thingid.grantAccess(deviceId, viewer.address, HOUR, PERMISSION_READ);
+    return { thingid, deviceId, owner, viewer, other, buyer };
+  }
+
+  async function passStates(thingid, deviceId) {
+    return (await thingid.getDeviceAccessPasses(deviceId)).map(pass => pass.isActive);
+  }
+
+  it("marks revoked and replaced passes inactive", async function () {
+    const { thingid, deviceId, viewer, other } = await loadFixture(grantedFixture);
+
+    await thingid.grantAccess(deviceId, viewer.address, 2 * HOUR, PERMISSION_READ);
+    expect(await passStates(thingid, deviceId)).to.deep.equal([false, true]);
+
+    await thingid.grantAccess(deviceId, other.address, HOUR, PERMISSION_READ);
+    await thingid.revokeAccess(deviceId, viewer.address);
+    expect(await passStates(thingid, deviceId)).to.deep.equal([false, false, true]);
+
+    const [viewers, passIds] = await thingid.getActiveViewers(deviceId);
+    expect(viewers).to.deep.equal([other.address]);
+    expect(passIds).to.deep.equal([2n]);
+  });
+
+  it("extends an unexpired pass in place", async function () {
+    const { thingid, deviceId, owner, viewer } = await loadFixture(grantedFixture);
+    const expiresAt = await thingid.viewerAccess(deviceId, viewer.address);
+
+    await expect(thingid.extendAccess(deviceId, viewer.address, HOUR))
+      .to.emit(thingid, "AccessExtended")
+      .withArgs(deviceId, viewer.address, 0, expiresAt + BigInt(HOUR), owner.address, timestamp => timestamp > 0n);
+
+    const passes = await thingid.getDeviceAccessPasses(deviceId);
+    expect(passes).to.have.length(1);
+    expect(passes[0].expiresAt).to.equal(expiresAt + BigInt(HOUR));
+    expect(await thingid.viewerAccess(deviceId, viewer.address)).to.equal(expiresAt + BigInt(HOUR));
+
+    await expect(thingid.extendAccess(deviceId, viewer.address, 365 * 24 * HOUR))
+      .to.be.revertedWith("Invalid duration");
+    await time.increase(3 * HOUR);
+    await expect(thingid.extendAccess(deviceId, viewer.address, HOUR)).to.be.revertedWith("No unexpired pass");
+  });
+
+  it("renews an expired pass from now, but not a revoked one", async function () {
+    const { thingid, deviceId, viewer } = await loadFixture(grantedFixture);
+
+    await expect(thingid.renewAccess(deviceId, viewer.address, HOUR)).to.be.revertedWith("Pass has not expired");
+    await time.increase(2 * HOUR);
+    expect(await thingid.hasAccess(deviceId, viewer.address)).to.equal(false);
+
+    await thingid.renewAccess(deviceId, viewer.address, HOUR);
+    expect(await thingid.viewerAccess(deviceId, viewer.address)).to.equal((await time.latest()) + HOUR);
+    expect(await thingid.hasAccess(deviceId, viewer.address)).to.equal(true);
+    expect(await passStates(thingid, deviceId)).to.deep.equal([true]);
+
+    await thingid.revokeAccess(deviceId, viewer.address);
+    await expect(thingid.renewAccess(deviceId, viewer.address, HOUR)).to.be.revertedWith("No access pass");
+  });
+
+  it("suspends passes while the device is inactive", async function () {
+    const { thingid, deviceId, viewer } = await loadFixture(grantedFixture);
+
+    await thingid.toggleDeviceStatus(deviceId);
+    expect(await thingid.hasAccess(deviceId, viewer.address)).to.equal(false);
+    expect((await thingid.getActiveViewers(deviceId))[0]).to.deep.equal([]);
+    await expect(thingid.extendAccess(deviceId, viewer.address, HOUR)).to.be.revertedWith("Device is not active");
+
+    await thingid.toggleDeviceStatus(deviceId);
+    expect(await thingid.hasAccess(deviceId, viewer.address)).to.equal(true);
+    expect((await thingid.getActiveViewers(deviceId))[0]).to.deep.equal([viewer.address]);
+  });
+
+  it("ends every pass on transfer", async function () {
+    const { thingid, deviceId, owner, viewer, buyer } = await loadFixture(grantedFixture);
+
+    await transferDevice(thingid, deviceId, owner, buyer);
+    expect(await thingid.viewerAccess(deviceId, viewer.address)).to.equal(0);
+    expect(await passStates(thingid, deviceId)).to.deep.equal([false]);
+    expect((await thingid.getActiveViewers(deviceId))[0]).to.deep.equal([]);
+    await expect(thingid.connect(buyer).extendAccess(deviceId, viewer.address, HOUR))
+      .to.be.revertedWith("No unexpired pass");
+  });
+});
@@ -0,0 +1,77 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployThingID, registerDevice } = require("./helpers");
+
+const PERMISSION_READ = 1;
+const PERMISSION_CONTROL = 2;
+const PERMISSION_ADMIN = 4;
+
+describe("permission tiers", function () {
+  async function delegateFixture() {
+    const [owner, admin, reader, other] = await ethers.getSigners();
+    const { thingid } = await deployThingID();
+    const deviceId = await registerDevice(thingid, owner, "did:didlab:device:sensor:tiers");
+    await thingid.grantAccess(deviceId, admin.address, 7200, PERMISSION_READ | PERMISSION_ADMIN);
+    return { thingid, deviceId, owner, admin, reader, other };
+  }
+
+  it("grants only the permissions on the pass", async function () {
+    const { thingid, deviceId, reader } = await loadFixture(delegateFixture);
+
+    await thingid.grantAccess(deviceId, reader.address, 3600, PERMISSION_READ | PERMISSION_CONTROL);
+
+    expect(await thingid.viewerPermissions(deviceId, reader.address)).to.equal(PERMISSION_READ | PERMISSION_CONTROL);
+    expect(await thingid.hasPermission(deviceId, reader.address, PERMISSION_CONTROL)).to.equal(true);
+    expect(await thingid.hasPermission(deviceId, reader.address, PERMISSION_READ | PERMISSION_ADMIN)).to.equal(false);
+  });
+
+  it("requires read on every pass and refuses unknown bits", async function () {
+    const { thingid, deviceId, reader } = await loadFixture(delegateFixture);
+
+    await expect(thingid.grantAccess(deviceId, reader.address, 3600, PERMISSION_CONTROL)).to.be.revertedWith("Invalid permissions");
+    await expect(thingid.grantAccess(deviceId, reader.address, 3600, 8 | PERMISSION_READ)).to.be.revertedWith("Invalid permissions");
+  });
+
+  it("lets a delegated admin grant and revoke passes within its own", async function () {
+    const { thingid, deviceId, admin, reader } = await loadFixture(delegateFixture);
+
+    await thingid.connect(admin).grantAccess(deviceId, reader.address, 3600, PERMISSION_READ | PERMISSION_CONTROL);
+    expect((await thingid.getDeviceAccessPasses(deviceId))[1].grantedBy).to.equal(admin.address);
+
+    await expect(thingid.connect(admin).grantAccess(deviceId, reader.address, 3 * 3600, PERMISSION_READ))
+      .to.be.revertedWith("Grant outlasts delegate access");
+    await expect(thingid.connect(admin).grantAccess(deviceId, reader.address, 3600, PERMISSION_READ | PERMISSION_ADMIN))
+      .to.be.revertedWith("Delegates cannot grant admin");
+
+    await thingid.connect(admin).revokeAccess(deviceId, reader.address);
+    expect(await thingid.hasAccess(deviceId, reader.address)).to.equal(false);
+  });
+
+  it("does not let a delegated admin revoke or extend another admin", async function () {
+    const { thingid, deviceId, admin, other } = await loadFixture(delegateFixture);
+
+    await thingid.grantAccess(deviceId, other.address, 3600, PERMISSION_READ | PERMISSION_ADMIN);
+
+    await expect(thingid.connect(admin).revokeAccess(deviceId, other.address)).to.be.revertedWith("Delegates cannot revoke admin");
+    await expect(thingid.connect(admin).extendAccess(deviceId, other.address, 60)).to.be.revertedWith("Delegates cannot extend admin");
+  });
+
+  it("gives read and control passes no say over other passes", async function () {
+    const { thingid, deviceId, reader, other } = await loadFixture(delegateFixture);
+
+    await thingid.grantAccess(deviceId, reader.address, 3600, PERMISSION_READ | PERMISSION_CONTROL);
+
+    await expect(thingid.connect(reader).grantAccess(deviceId, other.address, 600, PERMISSION_READ))
+      .to.be.revertedWith("Not device owner or admin");
+  });
+
+  it("ends a delegate's powers with its pass", async function () {
+    const { thingid, deviceId, admin, reader } = await loadFixture(delegateFixture);
+
+    await thingid.revokeAccess(deviceId, admin.address);
+
+    await expect(thingid.connect(admin).grantAccess(deviceId, reader.address, 600, PERMISSION_READ))
+      .to.be.revertedWith("Not device owner or admin");
+  });
+});
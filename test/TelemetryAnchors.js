@@ -0,0 +1,89 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployThingID, registerDevice } = require("./helpers");
+
+const HOUR_MS = 3_600_000;
+const ROOT = ethers.id("telemetry batch");
+
+describe("TelemetryAnchors", function () {
+  async function anchorsFixture() {
+    const [owner, stranger] = await ethers.getSigners();
+    const { thingid } = await deployThingID();
+    const anchors = await (await ethers.getContractFactory("TelemetryAnchors")).deploy(await thingid.getAddress());
+
+    const deviceKey = new ethers.Wallet(ethers.id("ThingID anchoring device"), ethers.provider);
+    await owner.sendTransaction({ to: deviceKey.address, value: ethers.parseEther("1") });
+    const deviceId = await registerDevice(thingid, owner, "did:didlab:device:sensor:anchors", deviceKey.signingKey.publicKey);
+
+    const now = (await time.latest()) * 1000;
+    const firstWindow = Math.floor(now / HOUR_MS) * HOUR_MS - HOUR_MS;
+    return { thingid, anchors, deviceId, deviceKey, owner, stranger, firstWindow };
+  }
+
+  it("records anchors from the device key and the owner, oldest window first", async function () {
+    const { anchors, deviceId, deviceKey, owner, firstWindow } = await loadFixture(anchorsFixture);
+
+    await expect(anchors.connect(deviceKey).anchorTelemetry(deviceId, ROOT, firstWindow - HOUR_MS, firstWindow - 1))
+      .to.emit(anchors, "TelemetryAnchored")
+      .withArgs(deviceId, 0, ROOT, firstWindow - HOUR_MS, firstWindow - 1, deviceKey.address, timestamp => timestamp > 0n);
+    await anchors.connect(owner).anchorTelemetry(deviceId, ROOT, firstWindow, firstWindow + HOUR_MS - 1);
+
+    expect(await anchors.getAnchorCount(deviceId)).to.equal(2);
+    expect((await anchors.getAnchor(deviceId, 1)).anchoredBy).to.equal(owner.address);
+    expect((await anchors.getAnchors(deviceId)).map(anchor => anchor.fromTs)).to.deep.equal([
+      BigInt(firstWindow - HOUR_MS),
+      BigInt(firstWindow)
+    ]);
+    await expect(anchors.getAnchor(deviceId, 2)).to.be.revertedWith("Anchor not found");
+  });
+
+  it("finds the anchor covering a reading", async function () {
+    const { anchors, deviceId, firstWindow } = await loadFixture(anchorsFixture);
+    await anchors.anchorTelemetry(deviceId, ROOT, firstWindow - 3 * HOUR_MS, firstWindow - 2 * HOUR_MS - 1);
+    await anchors.anchorTelemetry(deviceId, ROOT, firstWindow, firstWindow + HOUR_MS - 1);
+
+    expect(await anchors.findAnchor(deviceId, firstWindow - 3 * HOUR_MS)).to.deep.equal([true, 0n]);
+    expect(await anchors.findAnchor(deviceId, firstWindow + HOUR_MS - 1)).to.deep.equal([true, 1n]);
+    expect(await anchors.findAnchor(deviceId, firstWindow - HOUR_MS)).to.deep.equal([false, 0n]);
+    expect(await anchors.findAnchor(deviceId, firstWindow + HOUR_MS)).to.deep.equal([false, 0n]);
+    expect(await anchors.findAnchor(ethers.id("other"), firstWindow)).to.deep.equal([false, 0n]);
+  });
+
+  it("refuses overlapping, unfinished and invalid windows", async function () {
+    const { anchors, deviceId, firstWindow } = await loadFixture(anchorsFixture);
+    await anchors.anchorTelemetry(deviceId, ROOT, firstWindow, firstWindow + HOUR_MS - 1);
+
+    await expect(anchors.anchorTelemetry(deviceId, ROOT, firstWindow + HOUR_MS - 1, firstWindow + HOUR_MS))
+      .to.be.revertedWith("Window overlaps last anchor");
+    await expect(anchors.anchorTelemetry(deviceId, ROOT, firstWindow + 3 * HOUR_MS, firstWindow + 4 * HOUR_MS))
+      .to.be.revertedWith("Window has not ended");
+    await expect(anchors.anchorTelemetry(deviceId, ROOT, firstWindow + 1, firstWindow))
+      .to.be.revertedWith("Invalid window");
+    await expect(anchors.anchorTelemetry(deviceId, ethers.ZeroHash, 0, 1)).to.be.revertedWith("Invalid root");
+  });
+
+  it("lets only the device and its owner anchor, while the device is active", async function () {
+    const { thingid, anchors, deviceId, deviceKey, stranger, firstWindow } = await loadFixture(anchorsFixture);
+
+    await expect(anchors.connect(stranger).anchorTelemetry(deviceId, ROOT, firstWindow, firstWindow + 1))
+      .to.be.revertedWith("Not device or owner");
+
+    await thingid.toggleDeviceStatus(deviceId);
+    await expect(anchors.connect(deviceKey).anchorTelemetry(deviceId, ROOT, firstWindow, firstWindow + 1))
+      .to.be.revertedWith("Device is not active");
+  });
+
+  it("imports anchors only until the migration is finalized", async function () {
+    const { anchors, deviceId, owner, stranger } = await loadFixture(anchorsFixture);
+    const imported = [{ root: ROOT, fromTs: 0, toTs: HOUR_MS - 1, anchoredBy: owner.address, anchoredAt: 1000 }];
+
+    await expect(anchors.connect(stranger).importAnchors(deviceId, imported)).to.be.revertedWith("Not migrator");
+    await anchors.importAnchors(deviceId, imported);
+    await expect(anchors.importAnchors(deviceId, imported)).to.be.revertedWith("Anchors already imported");
+    expect((await anchors.getAnchor(deviceId, 0)).anchoredAt).to.equal(1000);
+
+    await expect(anchors.finalizeMigration()).to.emit(anchors, "MigrationFinalized");
+    await expect(anchors.importAnchors(ethers.id("other"), imported)).to.be.revertedWith("Not migrator");
+  });
+});
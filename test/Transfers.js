@@ -0,0 +1,104 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployThingID, registerDevice, transferDevice } = require("./helpers");
+
+const PERMISSION_READ = 1;
+const PERMISSION_ADMIN = 4;
+
+describe("acceptTransfer", function () {
+  async function sharedDeviceFixture() {
+    const [owner, newOwner, viewer, delegate] = await ethers.getSigners();
+    const { thingid, deviceGroups, accessRequests } = await deployThingID();
+    const deviceId = await registerDevice(thingid, owner, "did:didlab:device:sensor:transfer");
+    await thingid.grantAccess(deviceId, viewer.address, 3600, PERMISSION_READ);
+    await thingid.grantAccess(deviceId, delegate.address, 3600, PERMISSION_READ | PERMISSION_ADMIN);
+    return { thingid, deviceGroups, accessRequests, deviceId, owner, newOwner, viewer, delegate };
+  }
+
+  it("revokes every pass granted under the previous owner", async function () {
+    const { thingid, deviceId, owner, newOwner, viewer, delegate } = await loadFixture(sharedDeviceFixture);
+
+    await transferDevice(thingid, deviceId, owner, newOwner);
+
+    expect(await thingid.hasAccess(deviceId, viewer.address)).to.equal(false);
+    expect(await thingid.viewerAccess(deviceId, viewer.address)).to.equal(0);
+    expect(await thingid.viewerPermissions(deviceId, delegate.address)).to.equal(0);
+    expect((await thingid.getActiveViewers(deviceId))[0]).to.deep.equal([]);
+    expect((await thingid.getDeviceAccessPasses(deviceId)).every(pass => !pass.isActive)).to.equal(true);
+  });
+
+  it("does not let old passes be extended, renewed or used to delegate", async function () {
+    const { thingid, deviceId, owner, newOwner, viewer, delegate } = await loadFixture(sharedDeviceFixture);
+
+    await transferDevice(thingid, deviceId, owner, newOwner);
+
+    await expect(thingid.connect(newOwner).extendAccess(deviceId, viewer.address, 600)).to.be.reverted;
+    await expect(thingid.connect(newOwner).renewAccess(deviceId, viewer.address, 600)).to.be.revertedWith("No access pass");
+    await expect(thingid.connect(delegate).grantAccess(deviceId, owner.address, 600, PERMISSION_READ)).to.be.reverted;
+  });
+
+  it("keeps revoked passes revoked when the device returns to its previous owner", async function () {
+    const { thingid, deviceId, owner, newOwner, viewer } = await loadFixture(sharedDeviceFixture);
+
+    await transferDevice(thingid, deviceId, owner, newOwner);
+    await transferDevice(thingid, deviceId, newOwner, owner);
+
+    expect(await thingid.hasAccess(deviceId, viewer.address)).to.equal(false);
+  });
+
+  it("lets the new owner grant passes again", async function () {
+    const { thingid, deviceId, owner, newOwner, viewer } = await loadFixture(sharedDeviceFixture);
+
+    await transferDevice(thingid, deviceId, owner, newOwner);
+    await thingid.connect(newOwner).grantAccess(deviceId, viewer.address, 3600, PERMISSION_READ);
+
+    expect(await thingid.hasAccess(deviceId, viewer.address)).to.equal(true);
+    expect((await thingid.getActiveViewers(deviceId))[0]).to.deep.equal([viewer.address]);
+  });
+
+  it("removes the device from the previous owner's groups and their group passes", async function () {
+    const { thingid, deviceGroups, deviceId, owner, newOwner, viewer } = await loadFixture(sharedDeviceFixture);
+    const groupViewer = (await ethers.getSigners())[4];
+
+    await deviceGroups.createGroup("Floor 1", owner.address);
+    await deviceGroups.addDevices(1, [deviceId]);
+    await deviceGroups.grantGroupAccess(1, groupViewer.address, 3600, PERMISSION_READ);
+    expect(await thingid.hasAccess(deviceId, groupViewer.address)).to.equal(true);
+
+    await transferDevice(thingid, deviceId, owner, newOwner);
+
+    expect(await deviceGroups.getDeviceGroups(deviceId)).to.deep.equal([]);
+    expect(await deviceGroups.getGroupDevices(1)).to.deep.equal([]);
+    expect(await thingid.hasAccess(deviceId, groupViewer.address)).to.equal(false);
+
+    await transferDevice(thingid, deviceId, newOwner, owner);
+    expect(await thingid.hasAccess(deviceId, groupViewer.address)).to.equal(false);
+    expect(await thingid.hasAccess(deviceId, viewer.address)).to.equal(false);
+  });
+
+  it("ends the device's marketplace listing, even when the device comes back", async function () {
+    const { thingid, accessRequests, deviceId, owner, newOwner, viewer } = await loadFixture(sharedDeviceFixture);
+    const price = ethers.parseEther("0.01");
+    await accessRequests.setAccessPrice(deviceId, price, 3600);
+    expect(await accessRequests.isForSale(deviceId)).to.equal(true);
+
+    await transferDevice(thingid, deviceId, owner, newOwner);
+    expect(await accessRequests.isForSale(deviceId)).to.equal(false);
+
+    await transferDevice(thingid, deviceId, newOwner, owner);
+    expect(await accessRequests.isForSale(deviceId)).to.equal(false);
+    await expect(accessRequests.connect(viewer).purchaseAccess(deviceId, 3600, { value: price }))
+      .to.be.revertedWith("Device not for sale");
+
+    await accessRequests.setAccessPrice(deviceId, price, 3600);
+    await accessRequests.connect(viewer).purchaseAccess(deviceId, 3600, { value: price });
+    expect(await thingid.hasAccess(deviceId, viewer.address)).to.equal(true);
+  });
+
+  it("only lets ThingID release a device from its groups", async function () {
+    const { deviceGroups, deviceId } = await loadFixture(sharedDeviceFixture);
+
+    await expect(deviceGroups.releaseDevice(deviceId)).to.be.revertedWith("Not ThingID");
+  });
+});
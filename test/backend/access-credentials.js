@@ -0,0 +1,91 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const credentials = require("../../backend/access-credentials");
+
+const CHAIN_ID = 31337;
+const CONTRACT = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const DEVICE_ID = "0x" + "ab".repeat(32);
+
+describe("access pass credentials", function () {
+  const owner = new ethers.Wallet(ethers.id("ThingID credential issuer"));
+  const viewer = new ethers.Wallet(ethers.id("ThingID credential holder"));
+  const domain = credentials.credentialDomain(CHAIN_ID, CONTRACT);
+  let credential;
+
+  function pass(overrides = {}) {
+    return {
+      deviceId: DEVICE_ID,
+      deviceDid: "did:didlab:device:sensor:1",
+      issuer: owner.address,
+      viewer: viewer.address,
+      permissions: 3,
+      expiresAt: 1893456000,
+      ...overrides
+    };
+  }
+
+  async function sign(unsigned, signer = owner) {
+    const typedData = credentials.credentialTypedData(unsigned, domain);
+    const signature = await signer.signTypedData(typedData.domain, typedData.types, typedData.message);
+    return credentials.attachProof(unsigned, typedData, signature);
+  }
+
+  beforeEach(async function () {
+    credential = await sign(credentials.buildAccessCredential(pass(), { chainId: CHAIN_ID, contractAddress: CONTRACT }));
+  });
+
+  it("describes the pass with did:pkh issuer and subject", function () {
+    expect(credential.type).to.deep.equal(["VerifiableCredential", credentials.CREDENTIAL_TYPE]);
+    expect(credential.issuer).to.equal(`did:pkh:eip155:${CHAIN_ID}:${owner.address}`);
+    expect(credential.expirationDate).to.equal("2030-01-01T00:00:00Z");
+    expect(credential.credentialSubject).to.deep.equal({
+      id: `did:pkh:eip155:${CHAIN_ID}:${viewer.address}`,
+      device: "did:didlab:device:sensor:1",
+      deviceId: DEVICE_ID,
+      registry: `eip155:${CHAIN_ID}:${CONTRACT}`,
+      permissions: ["read", "control"],
+      expiresAt: 1893456000
+    });
+    expect(credential.proof).to.include({ type: "EthereumEip712Signature2021", proofPurpose: "assertionMethod" });
+  });
+
+  it("recovers the issuer from the proof", function () {
+    expect(credentials.recoverCredentialSigner(credential, domain)).to.equal(owner.address);
+  });
+
+  it("no longer recovers the issuer once a signed field changes", function () {
+    const tampered = [
+      { ...credential, credentialSubject: { ...credential.credentialSubject, permissions: ["read", "control", "admin"] } },
+      { ...credential, credentialSubject: { ...credential.credentialSubject, expiresAt: 1893456001 } },
+      { ...credential, credentialSubject: { ...credential.credentialSubject, id: credential.issuer } },
+      { ...credential, issuanceDate: "2020-01-01T00:00:00Z" }
+    ];
+
+    for (const altered of tampered) {
+      expect(credentials.recoverCredentialSigner(altered, domain)).not.to.equal(owner.address);
+    }
+  });
+
+  it("binds the proof to the chain and registry", function () {
+    expect(credentials.recoverCredentialSigner(credential, credentials.credentialDomain(1, CONTRACT))).not.to.equal(owner.address);
+    expect(credentials.recoverCredentialSigner(credential, credentials.credentialDomain(CHAIN_ID, viewer.address))).not.to.equal(owner.address);
+  });
+
+  it("returns null for a missing or unreadable proof", function () {
+    expect(credentials.recoverCredentialSigner({ ...credential, proof: { ...credential.proof, proofValue: "0x1234" } }, domain)).to.equal(null);
+    expect(credentials.recoverCredentialSigner({ ...credential, proof: undefined }, domain)).to.equal(null);
+  });
+
+  it("reads addresses only from did:pkh:eip155 identifiers", function () {
+    expect(credentials.pkhAddress(credential.issuer)).to.equal(owner.address);
+    expect(credentials.pkhAddress(`did:pkh:eip155:1:${owner.address.toLowerCase()}`)).to.equal(owner.address);
+    expect(credentials.pkhAddress("did:didlab:device:sensor:1")).to.equal(null);
+    expect(credentials.pkhAddress(undefined)).to.equal(null);
+  });
+
+  it("maps permission names to the on-chain bitmask, ignoring unknown names", function () {
+    expect(credentials.permissionMask(["read", "admin"])).to.equal(5);
+    expect(credentials.permissionMask(["read", "root"])).to.equal(1);
+    expect(credentials.permissionMask(undefined)).to.equal(0);
+  });
+});
@@ -0,0 +1,18 @@
+const { expect } = require("chai");
+const { canonicalJson } = require("../../backend/canonical-json");
+
+describe("canonicalJson", function () {
+  it("sorts keys at every depth and leaves out whitespace", function () {
+    expect(canonicalJson({ b: 1, a: { d: [3, { f: null, e: "x" }], c: true } }))
+      .to.equal("{\"a\":{\"c\":true,\"d\":[3,{\"e\":\"x\",\"f\":null}]},\"b\":1}");
+  });
+
+  it("gives the same text for objects built in a different order", function () {
+    expect(canonicalJson({ deviceId: "0x01", timestamp: 5, data: { t: 1, h: 2 } }))
+      .to.equal(canonicalJson({ data: { h: 2, t: 1 }, timestamp: 5, deviceId: "0x01" }));
+  });
+
+  it("keeps array order and escapes strings like JSON", function () {
+    expect(canonicalJson(["b", "a", "quote \" and \n"])).to.equal("[\"b\",\"a\",\"quote \\\" and \\n\"]");
+  });
+});
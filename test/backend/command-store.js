@@ -0,0 +1,102 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { CommandStore, hashEntry } = require("../../backend/command-store");
+
+const DEVICE = "0x" + "ab".repeat(32);
+const ISSUER = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const ZERO_HASH = "0x" + "00".repeat(32);
+
+describe("CommandStore", function () {
+  let dataDir;
+  let store;
+
+  function issue(nonce, overrides = {}) {
+    return store.issue(DEVICE, { command: "reboot", params: { delay: 5 }, issuedBy: ISSUER, ttl: 60, nonce, ...overrides });
+  }
+
+  beforeEach(function () {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "thingid-commands-"));
+    store = new CommandStore(dataDir);
+  });
+
+  afterEach(function () {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("queues commands until the device fetches them, oldest first", async function () {
+    const first = issue(1);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const second = issue(2);
+
+    expect(first).to.include({ status: "pending", command: "reboot", issuedBy: ISSUER });
+    expect(store.deliver(DEVICE.toUpperCase().replace("0X", "0x")).map(c => c.id)).to.deep.equal([first.id, second.id]);
+    expect(store.get(DEVICE, first.id).status).to.equal("delivered");
+    expect(store.deliver(DEVICE)).to.deep.equal([]);
+  });
+
+  it("refuses a nonce the issuer already spent on the device", function () {
+    issue(7);
+
+    expect(() => issue(7)).to.throw().with.property("code", "NONCE_USED");
+    expect(() => issue(7, { issuedBy: ISSUER.toLowerCase() })).to.throw().with.property("code", "NONCE_USED");
+    expect(() => store.issue("0x" + "cd".repeat(32), { command: "reboot", issuedBy: ISSUER, ttl: 60, nonce: 7 })).not.to.throw();
+  });
+
+  it("follows the command lifecycle and records the device's result", function () {
+    const { id } = issue(1);
+    store.deliver(DEVICE);
+
+    store.acknowledge(DEVICE, id, { status: "accepted", timestamp: 1, signature: "0x01" });
+    const done = store.acknowledge(DEVICE, id, { status: "completed", result: { ok: true }, timestamp: 2, signature: "0x02" });
+
+    expect(done).to.include({ status: "completed", signature: "0x02" });
+    expect(done.result).to.deep.equal({ ok: true });
+    expect(done.history.map(h => h.status)).to.deep.equal(["pending", "delivered", "accepted", "completed"]);
+  });
+
+  it("refuses status changes the lifecycle does not allow", function () {
+    const { id } = issue(1);
+
+    expect(() => store.acknowledge(DEVICE, id, { status: "completed" })).to.throw().with.property("code", "INVALID_TRANSITION");
+    store.deliver(DEVICE);
+    store.acknowledge(DEVICE, id, { status: "rejected" });
+    expect(() => store.acknowledge(DEVICE, id, { status: "accepted" })).to.throw().with.property("code", "INVALID_TRANSITION");
+    expect(() => store.acknowledge(DEVICE, "missing", { status: "accepted" })).to.throw().with.property("code", "NOT_FOUND");
+  });
+
+  it("expires commands the device did not fetch in time", function () {
+    const { id } = issue(1, { ttl: 0 });
+
+    expect(store.get(DEVICE, id).status).to.equal("expired");
+    expect(store.deliver(DEVICE)).to.deep.equal([]);
+    expect(store.list(DEVICE, { status: "expired" }).map(c => c.id)).to.deep.equal([id]);
+  });
+
+  it("chains every entry to the one before it", function () {
+    const { id } = issue(1);
+    store.deliver(DEVICE);
+    store.acknowledge(DEVICE, id, { status: "completed", result: null });
+
+    const entries = store.entries(DEVICE);
+    expect(entries.map(e => e.seq)).to.deep.equal([1, 2, 3]);
+    entries.forEach((entry, i) => {
+      const { hash, ...fields } = entry;
+      expect(entry.prevHash).to.equal(i === 0 ? ZERO_HASH : entries[i - 1].hash);
+      expect(hashEntry(fields)).to.equal(hash);
+    });
+    expect(store.head(DEVICE)).to.deep.equal({ hash: entries[2].hash, count: 3 });
+    expect(store.head("0x" + "cd".repeat(32))).to.deep.equal({ hash: null, count: 0 });
+  });
+
+  it("rebuilds commands and spent nonces from the log on disk", function () {
+    const { id } = issue(1);
+    store.deliver(DEVICE);
+
+    const reopened = new CommandStore(dataDir);
+    expect(reopened.get(DEVICE, id).status).to.equal("delivered");
+    expect(reopened.isNonceUsed(DEVICE, ISSUER, 1)).to.equal(true);
+    expect(reopened.head(DEVICE)).to.deep.equal(store.head(DEVICE));
+  });
+});
@@ -0,0 +1,94 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const deviceKeys = require("../../backend/device-keys");
+
+const CURVE_ORDER = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+
+const FIRST_KEY = new ethers.SigningKey(ethers.id("ThingID key 1")).publicKey;
+const SECOND_KEY = new ethers.SigningKey(ethers.id("ThingID key 2")).publicKey;
+
+// Key records as the backend's contract binding returns them
+function keyRecord(publicKey, addedAt, revokedAt, compromised = false) {
+  const number = value => ({ toNumber: () => value });
+  return { publicKey, addedAt: number(addedAt), revokedAt: number(revokedAt), compromised };
+}
+
+describe("device keys", function () {
+  describe("canonicalSignature", function () {
+    const wallet = new ethers.Wallet(ethers.id("ThingID device key test"));
+    const message = "reading";
+    let signature;
+
+    before(async function () {
+      signature = await wallet.signMessage(message);
+    });
+
+    it("returns a low-s signature as lowercase 65-byte hex", function () {
+      const canonical = deviceKeys.canonicalSignature(signature.toUpperCase().replace("0X", "0x"));
+
+      expect(canonical).to.equal(signature.toLowerCase());
+      expect(ethers.verifyMessage(message, canonical)).to.equal(wallet.address);
+    });
+
+    it("expands a compact signature", function () {
+      const compact = ethers.Signature.from(signature).compactSerialized;
+
+      expect(deviceKeys.canonicalSignature(compact)).to.equal(signature.toLowerCase());
+    });
+
+    it("refuses the high-s twin of a valid signature", function () {
+      const sig = ethers.Signature.from(signature);
+      const highS = ethers.concat([
+        sig.r,
+        ethers.toBeHex(CURVE_ORDER - BigInt(sig.s), 32),
+        sig.v === 27 ? "0x1c" : "0x1b"
+      ]);
+
+      expect(() => deviceKeys.canonicalSignature(highS)).to.throw().with.property("code", "INVALID_SIGNATURE");
+    });
+
+    it("refuses malformed signatures", function () {
+      for (const malformed of ["0x1234", "not a signature", undefined, 42]) {
+        expect(() => deviceKeys.canonicalSignature(malformed)).to.throw().with.property("code", "INVALID_SIGNATURE");
+      }
+    });
+  });
+
+  it("derives the address of a public key", function () {
+    expect(deviceKeys.keyAddress(FIRST_KEY)).to.equal(ethers.computeAddress(FIRST_KEY));
+    expect(deviceKeys.keyAddress("")).to.equal(null);
+    expect(deviceKeys.keyAddress("0x1234")).to.equal(null);
+  });
+
+  describe("key history", function () {
+    const rotated = deviceKeys.describeKeys([keyRecord(FIRST_KEY, 100, 200), keyRecord(SECOND_KEY, 200, 0)]);
+    const revoked = deviceKeys.describeKeys([keyRecord(FIRST_KEY, 100, 150, true)]);
+
+    it("describes each key with its status", function () {
+      expect(rotated).to.deep.equal([
+        { index: 0, publicKey: FIRST_KEY, address: ethers.computeAddress(FIRST_KEY), addedAt: 100, revokedAt: 200, status: "rotated" },
+        { index: 1, publicKey: SECOND_KEY, address: ethers.computeAddress(SECOND_KEY), addedAt: 200, revokedAt: null, status: "current" }
+      ]);
+      expect(revoked[0].status).to.equal("compromised");
+    });
+
+    it("checks a key by public key or address at a point in time", function () {
+      expect(deviceKeys.checkKeyAt(rotated, { publicKey: FIRST_KEY.toUpperCase().replace("0X", "0x") }, 199).valid).to.equal(true);
+      expect(deviceKeys.checkKeyAt(rotated, { publicKey: FIRST_KEY }, 200).valid).to.equal(false);
+      expect(deviceKeys.checkKeyAt(rotated, { address: ethers.computeAddress(SECOND_KEY).toLowerCase() }, 10000).valid).to.equal(true);
+      expect(deviceKeys.checkKeyAt(rotated, { address: ethers.computeAddress(SECOND_KEY) }, 99)).to.include({ valid: false });
+    });
+
+    it("reports unknown keys as invalid", function () {
+      expect(deviceKeys.checkKeyAt(revoked, { publicKey: SECOND_KEY }, 120)).to.deep.equal({ valid: false, key: null });
+      expect(deviceKeys.checkKeyAt(revoked, { address: null }, 120)).to.deep.equal({ valid: false, key: null });
+    });
+
+    it("finds the key that was valid at a point in time", function () {
+      expect(deviceKeys.keyAt(rotated, 150).publicKey).to.equal(FIRST_KEY);
+      expect(deviceKeys.keyAt(rotated, 200).publicKey).to.equal(SECOND_KEY);
+      expect(deviceKeys.keyAt(rotated, 50)).to.equal(null);
+      expect(deviceKeys.keyAt(revoked, 150)).to.equal(null);
+    });
+  });
+});
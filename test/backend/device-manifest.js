@@ -0,0 +1,112 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { parseManifest, validateRows, isPublicKey, normalizeKeys } = require("../../backend/device-manifest");
+
+const signingKey = new ethers.SigningKey(ethers.id("ThingID manifest test"));
+const UNCOMPRESSED = signingKey.publicKey;
+const COMPRESSED = signingKey.compressedPublicKey;
+
+function device(overrides = {}) {
+  return {
+    did: "did:didlab:device:sensor:1",
+    name: "Sensor",
+    deviceType: "sensor",
+    manufacturer: "Acme",
+    model: "T-1",
+    serialNumber: "SN-1",
+    location: "",
+    publicKey: "",
+    ...overrides
+  };
+}
+
+describe("device manifests", function () {
+  describe("parseManifest", function () {
+    it("reads CSV with field names or testdata.md labels", function () {
+      const csv = [
+        "DID,Device Name,Type,Manufacturer,Model,Serial Number,Location",
+        "did:didlab:device:sensor:1,Sensor,sensor,Acme,T-1,SN-1,\"Lab, floor 2\"",
+        "",
+        "did:didlab:device:camera:2,\"The \"\"Eye\"\"\",camera,Acme,C-2,SN-2,Lobby\r\n"
+      ].join("\n");
+
+      const rows = parseManifest(csv, "csv");
+
+      expect(rows).to.have.length(2);
+      expect(rows[0]).to.deep.equal(device({ location: "Lab, floor 2" }));
+      expect(rows[1]).to.include({ name: "The \"Eye\"", deviceType: "camera", location: "Lobby" });
+    });
+
+    it("reads JSON arrays and { devices } objects, dropping unknown keys", function () {
+      const input = [{ ...device(), color: "blue", serial: "SN-9" }];
+
+      expect(parseManifest(JSON.stringify(input), "json")[0]).to.deep.equal(device({ serialNumber: "SN-9" }));
+      expect(parseManifest(JSON.stringify({ devices: input }), "json")).to.have.length(1);
+    });
+
+    it("refuses manifests it cannot read", function () {
+      expect(() => parseManifest("{\"items\": []}", "json")).to.throw("JSON manifest must be an array");
+      expect(() => parseManifest("did,name\n\"open", "csv")).to.throw("Unterminated quoted field");
+      expect(() => parseManifest("", "csv")).to.throw("CSV manifest is empty");
+      expect(() => parseManifest("did", "xml")).to.throw("Unsupported manifest format: xml");
+    });
+  });
+
+  describe("isPublicKey", function () {
+    it("accepts compressed and uncompressed secp256k1 keys", function () {
+      expect(isPublicKey(UNCOMPRESSED)).to.equal(true);
+      expect(isPublicKey(COMPRESSED)).to.equal(true);
+    });
+
+    it("refuses points off the curve and other lengths", function () {
+      const offCurve = UNCOMPRESSED.slice(0, -2) + (UNCOMPRESSED.endsWith("00") ? "01" : "00");
+
+      expect(isPublicKey(offCurve)).to.equal(false);
+      expect(isPublicKey("0x02" + "ff".repeat(32))).to.equal(false);
+      expect(isPublicKey(ethers.computeAddress(UNCOMPRESSED))).to.equal(false);
+      expect(isPublicKey("not hex")).to.equal(false);
+    });
+  });
+
+  it("expands compressed keys for the contracts", function () {
+    const [withKey, withoutKey] = normalizeKeys([device({ publicKey: COMPRESSED }), device()]);
+
+    expect(withKey.publicKey).to.equal(UNCOMPRESSED);
+    expect(withoutKey.publicKey).to.equal("");
+  });
+
+  describe("validateRows", function () {
+    it("reports every problem of every invalid row", async function () {
+      const rows = [
+        device(),
+        device({ did: "device-2", name: "", deviceType: "toaster", serialNumber: "SN-2", publicKey: "0x1234" }),
+        device({ serialNumber: "SN-3" }),
+        device({ did: "did:didlab:device:sensor:4" })
+      ];
+
+      expect(await validateRows(rows)).to.deep.equal([
+        {
+          row: 2,
+          serialNumber: "SN-2",
+          errors: [
+            "name is required",
+            "did must look like did:<method>:<id>",
+            "deviceType must be one of sensor, actuator, gateway, controller, camera, tracker",
+            "publicKey must be a 33 or 65 byte hex secp256k1 public key"
+          ]
+        },
+        { row: 3, serialNumber: "SN-3", errors: ["did duplicates row 1"] },
+        { row: 4, serialNumber: "SN-1", errors: ["serialNumber duplicates row 1"] }
+      ]);
+    });
+
+    it("reports DIDs that are already on chain", async function () {
+      const rows = [device(), device({ did: "did:didlab:device:sensor:2", serialNumber: "SN-2" })];
+      const isRegistered = async did => did === "did:didlab:device:sensor:2";
+
+      expect(await validateRows(rows, { isRegistered })).to.deep.equal([
+        { row: 2, serialNumber: "SN-2", errors: ["did is already registered"] }
+      ]);
+    });
+  });
+});
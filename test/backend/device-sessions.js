@@ -0,0 +1,95 @@
+const { expect } = require("chai");
+const { DeviceSessions } = require("../../backend/device-sessions");
+
+const DEVICE = "0x" + "ab".repeat(32);
+const OTHER_DEVICE = "0x" + "cd".repeat(32);
+const KEY = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+describe("DeviceSessions", function () {
+  let sessions;
+
+  beforeEach(function () {
+    sessions = new DeviceSessions({ sessionSecret: "test secret", challengeTtl: 300, sessionTtl: 900 });
+  });
+
+  describe("challenges", function () {
+    it("builds the message from a fresh nonce", function () {
+      const first = sessions.createChallenge(DEVICE, (nonce, expiresAt) => `${nonce}:${expiresAt}`);
+      const second = sessions.createChallenge(DEVICE, (nonce, expiresAt) => `${nonce}:${expiresAt}`);
+
+      expect(first.nonce).to.match(/^[0-9a-f]{64}$/);
+      expect(first.nonce).not.to.equal(second.nonce);
+      expect(first.message).to.equal(`${first.nonce}:${first.expiresAt}`);
+      expect(first.expiresAt).to.be.closeTo(Math.floor(Date.now() / 1000) + 300, 2);
+    });
+
+    it("can be taken only once", function () {
+      const { nonce, message } = sessions.createChallenge(DEVICE, () => "sign me");
+
+      expect(sessions.takeChallenge(nonce, DEVICE.toUpperCase().replace("0X", "0x"))).to.include({ message });
+      expect(sessions.takeChallenge(nonce, DEVICE)).to.equal(null);
+    });
+
+    it("is spent by an answer from another device", function () {
+      const { nonce } = sessions.createChallenge(DEVICE, () => "sign me");
+
+      expect(sessions.takeChallenge(nonce, OTHER_DEVICE)).to.equal(null);
+      expect(sessions.takeChallenge(nonce, DEVICE)).to.equal(null);
+    });
+
+    it("expires", function () {
+      sessions = new DeviceSessions({ sessionSecret: "test secret", challengeTtl: 0, sessionTtl: 900 });
+      const { nonce } = sessions.createChallenge(DEVICE, () => "sign me");
+
+      expect(sessions.takeChallenge(nonce, DEVICE)).to.equal(null);
+    });
+
+    it("drops expired challenges when a new one is created", function () {
+      sessions.challengeTtl = 0;
+      sessions.createChallenge(DEVICE, () => "old");
+      sessions.challengeTtl = 300;
+      sessions.createChallenge(DEVICE, () => "new");
+
+      expect(sessions.challenges.size).to.equal(1);
+    });
+  });
+
+  describe("tokens", function () {
+    it("carries the device, its key and the scopes", function () {
+      const claims = sessions.verify(sessions.issue(DEVICE, "did:didlab:device:sensor:1", KEY, ["commands:read", "commands:ack"]));
+
+      expect(claims).to.include({
+        iss: "thingid-backend",
+        sub: DEVICE,
+        did: "did:didlab:device:sensor:1",
+        key: KEY,
+        scope: "commands:read commands:ack"
+      });
+      expect(claims.exp - claims.iat).to.equal(900);
+    });
+
+    it("refuses tokens with altered claims", function () {
+      const [header, payload, signature] = sessions.issue(DEVICE, "did", KEY, ["commands:read"]).split(".");
+      const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+      const widened = Buffer.from(JSON.stringify({ ...claims, scope: "commands:read commands:ack" })).toString("base64url");
+
+      expect(sessions.verify(`${header}.${widened}.${signature}`)).to.equal(null);
+    });
+
+    it("refuses tokens signed with another secret", function () {
+      const other = new DeviceSessions({ sessionSecret: "other secret", challengeTtl: 300, sessionTtl: 900 });
+
+      expect(sessions.verify(other.issue(DEVICE, "did", KEY, ["commands:read"]))).to.equal(null);
+    });
+
+    it("refuses expired and malformed tokens", function () {
+      const expired = new DeviceSessions({ sessionSecret: "test secret", challengeTtl: 300, sessionTtl: 0 });
+
+      expect(sessions.verify(expired.issue(DEVICE, "did", KEY, ["commands:read"]))).to.equal(null);
+      expect(sessions.verify("")).to.equal(null);
+      expect(sessions.verify(undefined)).to.equal(null);
+      expect(sessions.verify("a.b")).to.equal(null);
+      expect(sessions.verify("a.b.c")).to.equal(null);
+    });
+  });
+});
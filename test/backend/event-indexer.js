@@ -0,0 +1,184 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { EventIndexer } = require("../../backend/event-indexer");
+
+const CONTRACT = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const ABI = [
+  "event DeviceRegistered(bytes32 indexed deviceId, string did, address indexed owner, string name, string deviceType, uint256 timestamp)",
+  "event AccessGranted(bytes32 indexed deviceId, address indexed owner, address indexed viewer, uint256 expiresAt, uint8 permissions, address grantedBy, uint256 timestamp)",
+  "event AccessRevoked(bytes32 indexed deviceId, address indexed viewer, uint256 timestamp)",
+  "event DeviceTransferred(bytes32 indexed deviceId, address indexed previousOwner, address indexed newOwner, uint256 timestamp)"
+];
+const iface = new ethers.Interface(ABI);
+
+const DEVICE = "0x" + "ab".repeat(32);
+const OWNER = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const NEW_OWNER = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+const VIEWER = "0x90F79bf6EB2c4f870365E785982E1f101E93b906";
+
+// Minimal provider over a list of blocks, each with its logs
+class FakeChain {
+  constructor() {
+    this.blocks = [];
+    this.getLogsCalls = 0;
+  }
+
+  mine(events = [], fork = "") {
+    const number = this.blocks.length;
+    const hash = ethers.id(`block ${number}${fork}`);
+    const logs = events.map(([name, args], logIndex) => ({
+      ...iface.encodeEventLog(name, args),
+      address: CONTRACT,
+      blockNumber: number,
+      blockHash: hash,
+      transactionHash: ethers.id(`tx ${number}:${logIndex}${fork}`),
+      logIndex
+    }));
+    this.blocks.push({ number, hash, timestamp: 1000 + number, logs });
+  }
+
+  // Replace every block from number on, as a reorganisation would
+  reorg(number) {
+    this.blocks = this.blocks.slice(0, number);
+  }
+
+  async getBlockNumber() {
+    return this.blocks.length - 1;
+  }
+
+  async getBlock(number) {
+    return this.blocks[number] || null;
+  }
+
+  async getLogs({ fromBlock, toBlock }) {
+    this.getLogsCalls++;
+    return this.blocks.slice(fromBlock, toBlock + 1).flatMap(block => block.logs);
+  }
+}
+
+function registered(timestamp) {
+  return ["DeviceRegistered", [DEVICE, "did:didlab:device:sensor:1", OWNER, "Sensor", "sensor", timestamp]];
+}
+
+function granted(timestamp) {
+  return ["AccessGranted", [DEVICE, OWNER, VIEWER, timestamp + 3600, 1, OWNER, timestamp]];
+}
+
+describe("EventIndexer", function () {
+  let dataDir;
+  let chain;
+
+  function createIndexer(options = {}) {
+    return new EventIndexer({ provider: chain, contractAddress: CONTRACT, abi: ABI, dataDir, batchSize: 2, ...options });
+  }
+
+  beforeEach(function () {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "thingid-events-"));
+    chain = new FakeChain();
+    chain.mine();
+    chain.mine([registered(1001)]);
+    chain.mine([granted(1002)]);
+    chain.mine([["DeviceTransferred", [DEVICE, OWNER, NEW_OWNER, 1003]]]);
+    chain.mine([["AccessRevoked", [DEVICE, VIEWER, 1004]]]);
+  });
+
+  afterEach(function () {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("indexes every event and attributes it to the device owner at the time", async function () {
+    const indexer = createIndexer();
+    await indexer.sync();
+
+    const { events, total } = indexer.query();
+    expect(total).to.equal(4);
+    expect(events.map(e => e.event)).to.deep.equal(["DeviceRegistered", "AccessGranted", "DeviceTransferred", "AccessRevoked"]);
+    expect(events.map(e => e.owner)).to.deep.equal([OWNER, OWNER, NEW_OWNER, NEW_OWNER].map(a => a.toLowerCase()));
+    expect(events[1]).to.include({ deviceId: DEVICE, viewer: VIEWER.toLowerCase(), blockNumber: 2, timestamp: 1002 });
+    expect(events[1].args.permissions).to.equal(1);
+    expect(indexer.status()).to.include({ lastIndexedBlock: 4, totalEvents: 4, lastError: null });
+  });
+
+  it("filters and pages query results", async function () {
+    const indexer = createIndexer();
+    await indexer.sync();
+
+    expect(indexer.query({ viewer: VIEWER }).total).to.equal(2);
+    expect(indexer.query({ owner: NEW_OWNER.toUpperCase().replace("0X", "0x") }).total).to.equal(2);
+    expect(indexer.query({ event: "AccessGranted,AccessRevoked", fromTime: 1003 }).events.map(e => e.event)).to.deep.equal(["AccessRevoked"]);
+    expect(indexer.query({ fromBlock: 2, toBlock: 3 }).total).to.equal(2);
+
+    const first = indexer.query({ order: "desc", limit: 3 });
+    expect(first.events.map(e => e.blockNumber)).to.deep.equal([4, 3, 2]);
+    const second = indexer.query({ order: "desc", limit: 3, cursor: first.nextCursor });
+    expect(second.events.map(e => e.blockNumber)).to.deep.equal([1]);
+    expect(second.nextCursor).to.equal(null);
+  });
+
+  it("emits the records of each indexed batch", async function () {
+    const indexer = createIndexer();
+    const batches = [];
+    indexer.on("events", records => batches.push(records.map(r => r.event)));
+
+    await indexer.sync();
+
+    expect(batches).to.deep.equal([["DeviceRegistered"], ["AccessGranted", "DeviceTransferred"], ["AccessRevoked"]]);
+  });
+
+  it("resumes from its checkpoint after a restart", async function () {
+    await createIndexer().sync();
+    chain.mine([["AccessRevoked", [DEVICE, VIEWER, 1005]]]);
+    chain.getLogsCalls = 0;
+
+    const restarted = createIndexer();
+    expect(restarted.query().total).to.equal(4);
+    await restarted.sync();
+
+    expect(chain.getLogsCalls).to.equal(1);
+    expect(restarted.query().total).to.equal(5);
+    expect(restarted.query({ fromBlock: 5 }).events[0].owner).to.equal(NEW_OWNER.toLowerCase());
+  });
+
+  it("drops records written after the last checkpoint", async function () {
+    await createIndexer().sync();
+    fs.appendFileSync(path.join(dataDir, "events.jsonl"), JSON.stringify({ id: "interrupted", blockNumber: 9 }) + "\n");
+
+    const restarted = createIndexer();
+    expect(restarted.query().total).to.equal(4);
+    expect(restarted.query({ fromBlock: 9 }).total).to.equal(0);
+  });
+
+  it("discards a log built for another contract", async function () {
+    await createIndexer().sync();
+
+    const other = createIndexer({ contractAddress: NEW_OWNER });
+    expect(other.query().total).to.equal(0);
+    expect(other.status().lastIndexedBlock).to.equal(-1);
+  });
+
+  it("rolls back events from blocks that left the chain", async function () {
+    const indexer = createIndexer();
+    await indexer.sync();
+    const reorgs = [];
+    indexer.on("reorg", reorg => reorgs.push(reorg));
+
+    chain.reorg(3);
+    chain.mine([], " fork");
+    chain.mine([], " fork");
+    await indexer.sync();
+
+    expect(reorgs).to.have.length(1);
+    // Checkpoints fall at the end of each batch of two blocks: 1, 3 and 4
+    expect(reorgs[0].safeBlock).to.equal(1);
+    expect(reorgs[0].removed.map(e => e.event)).to.deep.equal(["AccessGranted", "DeviceTransferred", "AccessRevoked"]);
+    expect(indexer.query().events.map(e => e.event)).to.deep.equal(["DeviceRegistered", "AccessGranted"]);
+    expect(indexer.status().lastIndexedBlock).to.equal(4);
+
+    chain.mine([["AccessRevoked", [DEVICE, VIEWER, 1005]]], " fork");
+    await indexer.sync();
+    expect(indexer.query({ fromBlock: 5 }).events[0].owner).to.equal(OWNER.toLowerCase());
+  });
+});
@@ -0,0 +1,52 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const attestations = require("../../backend/manufacturer-attestations");
+
+const REGISTRY = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512";
+
+describe("manufacturer attestations", function () {
+  const manufacturer = new ethers.Wallet(ethers.id("ThingID manufacturer"));
+  const domain = attestations.attestationDomain(31337, REGISTRY);
+  const fields = {
+    publicKey: new ethers.SigningKey(ethers.id("ThingID attested device")).publicKey,
+    model: "T-1",
+    serialNumber: "SN-1"
+  };
+
+  it("builds the digest ManufacturerRegistry.attestationDigest computes", function () {
+    const typedData = attestations.attestationTypedData(fields, domain);
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+    const domainSeparator = ethers.keccak256(coder.encode(
+      ["bytes32", "bytes32", "bytes32", "uint256", "address"],
+      [
+        ethers.id("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+        ethers.id("ThingID Manufacturer Registry"),
+        ethers.id("1.0.0"),
+        31337,
+        REGISTRY
+      ]
+    ));
+    const structHash = ethers.keccak256(coder.encode(
+      ["bytes32", "bytes32", "bytes32", "bytes32"],
+      [
+        ethers.id("DeviceAttestation(string publicKey,string model,string serialNumber)"),
+        ethers.id(fields.publicKey),
+        ethers.id(fields.model),
+        ethers.id(fields.serialNumber)
+      ]
+    ));
+
+    expect(ethers.TypedDataEncoder.hash(typedData.domain, typedData.types, typedData.message))
+      .to.equal(ethers.keccak256(ethers.concat(["0x1901", domainSeparator, structHash])));
+  });
+
+  it("recovers the manufacturer that signed the fields", async function () {
+    const typedData = attestations.attestationTypedData(fields, domain);
+    const signature = await manufacturer.signTypedData(typedData.domain, typedData.types, typedData.message);
+
+    expect(attestations.recoverAttester(fields, domain, signature)).to.equal(manufacturer.address);
+    expect(attestations.recoverAttester({ ...fields, serialNumber: "SN-2" }, domain, signature)).not.to.equal(manufacturer.address);
+    expect(attestations.recoverAttester(fields, attestations.attestationDomain(1, REGISTRY), signature)).not.to.equal(manufacturer.address);
+    expect(attestations.recoverAttester(fields, domain, "0x1234")).to.equal(null);
+  });
+});
@@ -0,0 +1,48 @@
+const { expect } = require("chai");
+const { schemaFor, validateDocument } = require("../../backend/metadata-schemas");
+
+describe("metadata schemas", function () {
+  it("accepts documents that follow their device type's schema", function () {
+    const document = {
+      firmwareVersion: "2.1.0",
+      capabilities: ["temperature", "humidity"],
+      networkInterfaces: [{ type: "wifi", protocols: ["mqtt"] }],
+      calibrationCertificates: [{ issuer: "NIST", issuedAt: "2026-01-15", contentHash: "0x" + "ab".repeat(32) }],
+      documentationUri: "https://example.com/manual.pdf",
+      measurements: [{ quantity: "temperature", unit: "C", accuracy: 0.1 }],
+      samplingIntervalSeconds: 60,
+      custom: { anything: [1, 2, 3] }
+    };
+
+    expect(validateDocument(document, schemaFor("sensor"))).to.deep.equal([]);
+    expect(schemaFor("sensor").$id).to.equal("urn:thingid:metadata:sensor");
+  });
+
+  it("reports each problem with its path", function () {
+    const document = {
+      networkInterfaces: [{ type: "fax" }],
+      calibrationCertificates: [{ issuer: "", issuedAt: "15/01/2026" }],
+      samplingIntervalSeconds: -1,
+      colour: "blue"
+    };
+
+    expect(validateDocument(document, schemaFor("sensor"))).to.deep.equal([
+      "$.firmwareVersion: is required",
+      "$.networkInterfaces[0].type: must be one of ethernet, wifi, cellular, lorawan, zigbee, thread, bluetooth, modbus, other",
+      "$.calibrationCertificates[0].issuer: must not be empty",
+      "$.calibrationCertificates[0].issuedAt: must be a date",
+      "$.samplingIntervalSeconds: must be at least 0",
+      "$.colour: is not allowed"
+    ]);
+    expect(validateDocument([], schemaFor("sensor"))).to.deep.equal(["$: must be of type object"]);
+  });
+
+  it("keeps type-specific properties to their own type", function () {
+    const camera = { firmwareVersion: "1.0", resolution: { width: 1920, height: 1080.5 } };
+
+    expect(validateDocument(camera, schemaFor("camera"))).to.deep.equal(["$.resolution.height: must be an integer"]);
+    expect(validateDocument(camera, schemaFor("sensor"))).to.deep.equal(["$.resolution: is not allowed"]);
+    expect(schemaFor("toaster").$id).to.equal("urn:thingid:metadata:common");
+    expect(validateDocument({ firmwareVersion: "1.0" }, schemaFor("toaster"))).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,51 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { MetadataStore, MAX_DOCUMENT_SIZE } = require("../../backend/metadata-store");
+
+const DOCUMENT = Buffer.from(JSON.stringify({ firmwareVersion: "1.2.0" }));
+
+describe("MetadataStore", function () {
+  let dataDir;
+
+  beforeEach(function () {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "thingid-metadata-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("stores documents under their keccak256 hash", function () {
+    const store = new MetadataStore(dataDir);
+    const contentHash = store.put(DOCUMENT);
+
+    expect(contentHash).to.equal(ethers.keccak256(DOCUMENT));
+    expect(store.has(contentHash.toUpperCase().replace("0X", "0x"))).to.equal(true);
+    expect(store.get(contentHash).equals(DOCUMENT)).to.equal(true);
+    expect(store.get(ethers.keccak256("0x01"))).to.equal(null);
+    expect(() => store.get("../secrets")).to.throw("Invalid content hash");
+  });
+
+  it("refuses oversized documents and files that no longer match their hash", function () {
+    const store = new MetadataStore(dataDir);
+    expect(() => store.put(Buffer.alloc(MAX_DOCUMENT_SIZE + 1))).to.throw(`Document exceeds ${MAX_DOCUMENT_SIZE} bytes`);
+
+    const contentHash = store.put(DOCUMENT);
+    fs.writeFileSync(path.join(dataDir, "metadata", `${contentHash}.json`), "{}");
+    expect(() => store.get(contentHash)).to.throw("Stored document does not match its content hash");
+  });
+
+  it("serves stored documents without fetching and refuses URIs it cannot fetch", async function () {
+    const store = new MetadataStore(dataDir);
+    const contentHash = store.put(DOCUMENT);
+
+    expect((await store.resolve("https://unreachable.invalid/doc.json", contentHash)).equals(DOCUMENT)).to.equal(true);
+    await expect(store.resolve("ipfs://bafy", ethers.keccak256("0x01")))
+      .to.be.rejectedWith("Document is not in the content store and its URI cannot be fetched");
+    await expect(store.resolve("http://127.0.0.1/doc.json", ethers.keccak256("0x01")))
+      .to.be.rejected.and.eventually.have.property("code", "PRIVATE_ADDRESS");
+  });
+});
@@ -0,0 +1,65 @@
+const { expect } = require("chai");
+const http = require("http");
+const { isPrivateAddress, assertPublicUrl, request } = require("../../backend/outbound-http");
+
+describe("outbound-http", function () {
+  describe("isPrivateAddress", function () {
+    it("flags loopback, private, link-local and reserved IPv4 addresses", function () {
+      for (const address of ["127.0.0.1", "10.1.2.3", "172.16.0.1", "192.168.1.1", "169.254.169.254", "100.64.0.1", "0.0.0.0", "255.255.255.255"]) {
+        expect(isPrivateAddress(address), address).to.equal(true);
+      }
+    });
+
+    it("flags IPv6 loopback, unique local and link-local addresses, and IPv4 targets embedded in IPv6", function () {
+      for (const address of ["::1", "::", "fd00::1", "fe80::1", "::ffff:127.0.0.1", "64:ff9b::a00:1", "2002:a00:1::1"]) {
+        expect(isPrivateAddress(address), address).to.equal(true);
+      }
+    });
+
+    it("passes public addresses and rejects anything that is not an IP address", function () {
+      expect(isPrivateAddress("8.8.8.8")).to.equal(false);
+      expect(isPrivateAddress("2606:4700::1111")).to.equal(false);
+      expect(isPrivateAddress("example.com")).to.equal(true);
+    });
+  });
+
+  describe("assertPublicUrl", function () {
+    it("rejects URLs that are not http(s)", async function () {
+      for (const url of ["ftp://example.com/", "file:///etc/passwd", "not a url"]) {
+        await expect(assertPublicUrl(url)).to.be.rejected.and.eventually.have.property("code", "INVALID_URL");
+      }
+    });
+
+    it("rejects private IP literals and host names that resolve to them", async function () {
+      for (const url of ["http://127.0.0.1:3000/", "http://[::1]/", "http://169.254.169.254/latest/meta-data", "http://localhost/"]) {
+        await expect(assertPublicUrl(url)).to.be.rejected.and.eventually.have.property("code", "PRIVATE_ADDRESS");
+      }
+    });
+  });
+
+  describe("request", function () {
+    let server;
+    let hits;
+
+    before(async function () {
+      hits = 0;
+      server = http.createServer((req, res) => {
+        hits++;
+        res.end("internal");
+      });
+      await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    });
+
+    after(function () {
+      server.close();
+    });
+
+    it("never connects to a private address, by literal or by name", async function () {
+      const { port } = server.address();
+
+      await expect(request(`http://127.0.0.1:${port}/`)).to.be.rejected.and.eventually.have.property("code", "PRIVATE_ADDRESS");
+      await expect(request(`http://localhost:${port}/`)).to.be.rejected.and.eventually.have.property("code", "PRIVATE_ADDRESS");
+      expect(hits).to.equal(0);
+    });
+  });
+});
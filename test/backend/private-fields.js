@@ -0,0 +1,37 @@
+const { expect } = require("chai");
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+const { PRIVATE_FIELDS, decryptFields } = require("../../backend/private-fields");
+
+const DEVICE = "0x" + "ab".repeat(32);
+
+// AES-256-GCM as the frontend encrypts: IV | ciphertext | tag, with the device ID as additional data
+function encrypt(contentKey, fields, deviceId) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", Buffer.from(ethers.getBytes(contentKey)), iv);
+  cipher.setAAD(Buffer.from(ethers.getBytes(deviceId)));
+  const body = Buffer.concat([cipher.update(JSON.stringify(fields)), cipher.final()]);
+  return ethers.hexlify(Buffer.concat([iv, body, cipher.getAuthTag()]));
+}
+
+describe("private fields", function () {
+  const contentKey = ethers.hexlify(crypto.randomBytes(32));
+
+  it("decrypts the private fields and drops anything else", function () {
+    const ciphertext = encrypt(contentKey, { serialNumber: "SN-42", location: "Roof", publicKey: "0x04", extra: 1 }, DEVICE);
+
+    expect(PRIVATE_FIELDS).to.deep.equal(["serialNumber", "location"]);
+    expect(decryptFields(contentKey, ciphertext, DEVICE)).to.deep.equal({ serialNumber: "SN-42", location: "Roof" });
+  });
+
+  it("refuses malformed keys, other keys and other devices", function () {
+    const ciphertext = encrypt(contentKey, { location: "Roof" }, DEVICE);
+
+    expect(() => decryptFields("0x1234", ciphertext, DEVICE)).to.throw("Content key must be 32 bytes of hex");
+    expect(() => decryptFields(ethers.hexlify(crypto.randomBytes(32)), ciphertext, DEVICE))
+      .to.throw("Content key does not open the current fields");
+    expect(() => decryptFields(contentKey, ciphertext, "0x" + "cd".repeat(32)))
+      .to.throw("Content key does not open the current fields");
+    expect(() => decryptFields(contentKey, "0x1234", DEVICE)).to.throw("Content key does not open the current fields");
+  });
+});
@@ -0,0 +1,56 @@
+const { expect } = require("chai");
+const { RelayLimiter } = require("../../backend/relay-limiter");
+
+const SIGNER = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const OTHER = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+
+describe("RelayLimiter", function () {
+  let limiter;
+
+  beforeEach(function () {
+    limiter = new RelayLimiter({ quota: 2, quotaWindow: 3600 });
+  });
+
+  it("lets a signer have only one relay in flight", function () {
+    const reservation = limiter.reserve(SIGNER);
+
+    expect(() => limiter.reserve(SIGNER.toLowerCase())).to.throw().with.property("code", "RELAY_PENDING");
+    expect(limiter.isPending(SIGNER)).to.equal(true);
+    expect(() => limiter.reserve(OTHER)).not.to.throw();
+
+    limiter.settle(reservation);
+    expect(limiter.isPending(SIGNER)).to.equal(false);
+    expect(() => limiter.reserve(SIGNER)).not.to.throw();
+  });
+
+  it("counts a reservation against the quota before the relay is submitted", function () {
+    limiter.reserve(SIGNER);
+
+    expect(limiter.describe(SIGNER)).to.include({ limit: 2, used: 1, remaining: 1 });
+  });
+
+  it("keeps the quota slot of a submitted relay", function () {
+    limiter.settle(limiter.reserve(SIGNER));
+    limiter.settle(limiter.reserve(SIGNER));
+
+    expect(() => limiter.reserve(SIGNER)).to.throw().with.property("code", "QUOTA_EXCEEDED");
+    expect(limiter.describe(SIGNER).remaining).to.equal(0);
+  });
+
+  it("gives both slots back when a relay is refused before submission", function () {
+    limiter.release(limiter.reserve(SIGNER));
+    limiter.release(limiter.reserve(SIGNER));
+
+    expect(limiter.describe(SIGNER)).to.include({ used: 0, remaining: 2, resetsAt: null });
+    expect(limiter.isPending(SIGNER)).to.equal(false);
+  });
+
+  it("frees quota slots once they leave the window", function () {
+    limiter.settle(limiter.reserve(SIGNER));
+    limiter.settle(limiter.reserve(SIGNER));
+    limiter.usage.get(SIGNER.toLowerCase()).forEach(reservation => { reservation.at -= 3600; });
+
+    expect(limiter.describe(SIGNER).remaining).to.equal(2);
+    expect(() => limiter.reserve(SIGNER)).not.to.throw();
+  });
+});
@@ -0,0 +1,52 @@
+const { expect } = require("chai");
+const { windowFor, hashLeaf, hashPair, buildTree, getProof, verifyProof } = require("../../backend/telemetry-merkle");
+
+const DEVICE = "0x" + "ab".repeat(32);
+
+function reading(timestamp, signature) {
+  return { deviceId: DEVICE, timestamp, data: { t: timestamp }, signature, receivedAt: timestamp + 5 };
+}
+
+describe("telemetry Merkle trees", function () {
+  const readings = [reading(3000, "0x03"), reading(1000, "0x01"), reading(2000, "0x02"), reading(2000, "0x00"), reading(4000, "0x04")];
+
+  it("places timestamps in inclusive windows", function () {
+    expect(windowFor(3_600_000, 3_600_000)).to.deep.equal({ fromTs: 3_600_000, toTs: 7_199_999 });
+    expect(windowFor(7_199_999, 3_600_000)).to.deep.equal({ fromTs: 3_600_000, toTs: 7_199_999 });
+  });
+
+  it("hashes readings without their server-side fields", function () {
+    const stored = reading(1000, "0x01");
+    const posted = { ...stored, deviceId: DEVICE.toUpperCase().replace("0X", "0x") };
+    delete posted.receivedAt;
+
+    expect(hashLeaf(posted)).to.equal(hashLeaf(stored));
+    expect(hashLeaf({ ...stored, data: { t: 1001 } })).to.not.equal(hashLeaf(stored));
+    expect(hashPair(hashLeaf(stored), hashLeaf(posted))).to.not.equal(hashLeaf(stored));
+  });
+
+  it("builds the same root whatever the reading order", function () {
+    const { root, levels } = buildTree(readings);
+
+    expect(levels.map(level => level.length)).to.deep.equal([5, 3, 2, 1]);
+    expect(buildTree([...readings].reverse()).root).to.equal(root);
+    expect(buildTree([]).root).to.equal(null);
+    expect(buildTree(readings.slice(0, 1)).root).to.equal(hashLeaf(readings[0]));
+  });
+
+  it("proves every reading of a batch and nothing else", function () {
+    const { root } = buildTree(readings);
+
+    for (const r of readings) {
+      const result = getProof(readings, r.signature);
+      expect(result.root).to.equal(root);
+      expect(result.leafCount).to.equal(5);
+      expect(verifyProof(r, result.proof, root)).to.equal(true);
+      expect(verifyProof({ ...r, data: { t: -1 } }, result.proof, root)).to.equal(false);
+    }
+
+    // The unpaired last leaf moves up unchanged, so its proof is shorter
+    expect(getProof(readings, "0x04").proof).to.have.length(1);
+    expect(getProof(readings, "0xff")).to.equal(null);
+  });
+});
@@ -0,0 +1,52 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { TelemetryStore } = require("../../backend/telemetry-store");
+
+const DEVICE = "0x" + "ab".repeat(32);
+
+function reading(timestamp, signature) {
+  return { deviceId: DEVICE, timestamp, data: { t: timestamp }, signature, receivedAt: timestamp };
+}
+
+describe("TelemetryStore", function () {
+  let dataDir;
+
+  beforeEach(function () {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "thingid-telemetry-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("keeps readings in timestamp order", function () {
+    const store = new TelemetryStore(dataDir);
+    store.append(reading(2000, "0x02"));
+    store.append(reading(1000, "0x01"));
+    store.append(reading(3000, "0x03"));
+
+    expect(store.query(DEVICE).map(r => r.timestamp)).to.deep.equal([1000, 2000, 3000]);
+    expect(store.query(DEVICE, { from: 1500, to: 3000, limit: 1 }).map(r => r.timestamp)).to.deep.equal([3000]);
+    expect(store.latest(DEVICE).timestamp).to.equal(3000);
+  });
+
+  it("recognises a reading by device and timestamp, whatever its signature", function () {
+    const store = new TelemetryStore(dataDir);
+    store.append(reading(1000, "0x01"));
+
+    expect(store.hasReadingAt(DEVICE, 1000)).to.equal(true);
+    expect(store.hasReadingAt(DEVICE.toUpperCase().replace("0X", "0x"), 1000)).to.equal(true);
+    expect(store.hasReadingAt(DEVICE, 1001)).to.equal(false);
+    expect(store.hasReadingAt("0x" + "cd".repeat(32), 1000)).to.equal(false);
+  });
+
+  it("reloads readings and their timestamps from disk", function () {
+    new TelemetryStore(dataDir).append(reading(1000, "0x01"));
+
+    const reopened = new TelemetryStore(dataDir);
+    expect(reopened.hasReadingAt(DEVICE, 1000)).to.equal(true);
+    expect(reopened.query(DEVICE)).to.have.length(1);
+  });
+});
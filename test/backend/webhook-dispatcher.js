@@ -0,0 +1,266 @@
+const { expect } = require("chai");
+const EventEmitter = require("events");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { WebhookDispatcher } = require("../../backend/webhook-dispatcher");
+
+const DEVICE = "0x" + "11".repeat(32);
+const OWNER = "0x70997970c51812dc3a010c7d01b50e0d17dc79c8";
+const BUYER = "0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc";
+
+// Event index holding a fixed list of records, filtered like EventIndexer.query
+class FakeIndexer extends EventEmitter {
+  constructor(records = []) {
+    super();
+    this.records = records;
+    this.lastBlock = 0;
+    this.deviceOwners = new Map();
+    this.queries = 0;
+  }
+
+  query({ deviceId, owner, event, fromBlock, toBlock, limit = 50 } = {}) {
+    this.queries++;
+    const names = event ? event.split(",") : null;
+    const events = this.records.filter(record =>
+      (!deviceId || record.deviceId === deviceId) &&
+      (!owner || record.owner === owner) &&
+      (!names || names.includes(record.event)) &&
+      (fromBlock === undefined || record.blockNumber >= fromBlock) &&
+      (toBlock === undefined || record.blockNumber <= toBlock)
+    );
+    return { events: events.slice(0, limit), total: events.length, nextCursor: null };
+  }
+}
+
+function record(event, blockNumber, fields = {}) {
+  return { id: `0x${blockNumber}:0`, event, blockNumber, deviceId: DEVICE, owner: OWNER, viewer: null, args: {}, ...fields };
+}
+
+describe("WebhookDispatcher", function () {
+  let dataDir;
+  let dispatcher;
+  let attempts;
+  let authorized;
+
+  // Dispatcher whose deliveries are recorded instead of sent
+  function createDispatcher(indexer, options = {}) {
+    dispatcher = new WebhookDispatcher({
+      dataDir,
+      eventIndexer: indexer,
+      authorize: async (deviceId, account) => {
+        if (authorized instanceof Error) {
+          throw authorized;
+        }
+        return authorized;
+      },
+      ...options
+    });
+    dispatcher.attempt = async (subscription, delivery) => {
+      attempts.push({ subscription: subscription.id, event: delivery.event });
+      dispatcher.queue = dispatcher.queue.filter(d => d.id !== delivery.id);
+    };
+    return dispatcher;
+  }
+
+  // Let the delivery run that dispatch starts finish, then run any deliveries still due
+  async function deliver() {
+    while (dispatcher.delivering) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    await dispatcher.deliverDue();
+  }
+
+  beforeEach(function () {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "webhooks-"));
+    attempts = [];
+    authorized = true;
+  });
+
+  afterEach(function () {
+    dispatcher.stop();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe("device subscriptions", function () {
+    it("deliver while the signer controls the device", async function () {
+      createDispatcher(new FakeIndexer());
+      const subscription = dispatcher.subscribe({ url: "https://example.com/hook", signer: OWNER, deviceId: DEVICE });
+
+      dispatcher.dispatch([record("DeviceUpdated", 1)]);
+      await deliver();
+
+      expect(attempts).to.deep.equal([{ subscription: subscription.id, event: "DeviceUpdated" }]);
+    });
+
+    it("are removed, with their queue, once the signer no longer controls the device", async function () {
+      createDispatcher(new FakeIndexer());
+      const subscription = dispatcher.subscribe({ url: "https://example.com/hook", signer: OWNER, deviceId: DEVICE });
+
+      authorized = false;
+      dispatcher.dispatch([record("DeviceTransferred", 1, { owner: BUYER }), record("AccessGranted", 2, { owner: BUYER })]);
+      await deliver();
+
+      expect(attempts).to.deep.equal([]);
+      expect(dispatcher.get(subscription.id)).to.equal(null);
+      expect(dispatcher.queue).to.deep.equal([]);
+    });
+
+    it("keep their deliveries queued when control cannot be checked", async function () {
+      createDispatcher(new FakeIndexer());
+      const subscription = dispatcher.subscribe({ url: "https://example.com/hook", signer: OWNER, deviceId: DEVICE });
+
+      authorized = new Error("RPC unavailable");
+      dispatcher.dispatch([record("DeviceUpdated", 1)]);
+      await deliver();
+
+      expect(attempts).to.deep.equal([]);
+      expect(dispatcher.get(subscription.id)).to.not.equal(null);
+      expect(dispatcher.queue).to.have.length(1);
+
+      authorized = true;
+      await deliver();
+      expect(attempts).to.have.length(1);
+    });
+
+    it("refuse a replay once the signer no longer controls the device", async function () {
+      createDispatcher(new FakeIndexer([record("DeviceUpdated", 1), record("DeviceTransferred", 2, { owner: BUYER })]));
+      const subscription = dispatcher.subscribe({ url: "https://example.com/hook", signer: OWNER, deviceId: DEVICE });
+
+      authorized = false;
+      await expect(dispatcher.replay(subscription.id, 0)).to.be.rejected.and.eventually.have.property("code", "NOT_AUTHORIZED");
+      expect(dispatcher.get(subscription.id)).to.equal(null);
+    });
+
+    it("replay while the signer controls the device", async function () {
+      createDispatcher(new FakeIndexer([record("DeviceUpdated", 1), record("DeviceUpdated", 2)]));
+      const subscription = dispatcher.subscribe({ url: "https://example.com/hook", signer: OWNER, deviceId: DEVICE });
+
+      const result = await dispatcher.replay(subscription.id, 0);
+      await deliver();
+
+      expect(result).to.deep.equal({ queued: 2, nextBlock: null });
+      expect(attempts).to.have.length(2);
+    });
+  });
+
+  describe("pass expiry", function () {
+    const VIEWER = "0x90f79bf6eb2c4f870365e785982e1f101e93b906";
+
+    function grant(blockNumber, expiresAt) {
+      return record("AccessGranted", blockNumber, { viewer: VIEWER, args: { expiresAt: String(expiresAt), permissions: "1", grantedBy: OWNER } });
+    }
+
+    function notices() {
+      return dispatcher.queue.map(delivery => `${delivery.event}:${delivery.data.expiresAt}`);
+    }
+
+    it("reads passes from the index once and follows new events from there", function () {
+      const now = Math.floor(Date.now() / 1000);
+      const indexer = new FakeIndexer([grant(1, now + 600)]);
+      createDispatcher(indexer, { pollInterval: 60 * 60 * 1000 });
+      dispatcher.subscribe({ url: "https://example.com/hook", signer: OWNER, owner: OWNER, events: ["PassExpiring", "PassExpired"] });
+
+      dispatcher.start();
+      const queries = indexer.queries;
+      dispatcher.checkExpiries();
+      dispatcher.checkExpiries();
+
+      expect(indexer.queries).to.equal(queries);
+      expect(notices()).to.deep.equal([`PassExpiring:${now + 600}`]);
+    });
+
+    it("moves the expiry on extension and forgets revoked passes and passes of transferred devices", function () {
+      const now = Math.floor(Date.now() / 1000);
+      createDispatcher(new FakeIndexer([grant(1, now + 600)]), { pollInterval: 60 * 60 * 1000 });
+      dispatcher.subscribe({ url: "https://example.com/hook", signer: OWNER, owner: OWNER, events: ["PassExpiring", "PassExpired"] });
+      dispatcher.start();
+      dispatcher.queue = [];
+
+      dispatcher.dispatch([record("AccessExtended", 2, { viewer: VIEWER, args: { expiresAt: String(now + 7200) } })]);
+      dispatcher.checkExpiries();
+      expect(notices()).to.deep.equal([]);
+      expect(dispatcher.passes.get(`${DEVICE}:${VIEWER}`).expiresAt).to.equal(now + 7200);
+
+      dispatcher.dispatch([record("AccessRevoked", 3, { viewer: VIEWER })]);
+      expect(dispatcher.passes.size).to.equal(0);
+
+      dispatcher.dispatch([grant(4, now - 60), record("DeviceTransferred", 5, { owner: BUYER })]);
+      expect(dispatcher.passes.size).to.equal(0);
+    });
+
+    it("reports a pass that ran out as expired", function () {
+      const now = Math.floor(Date.now() / 1000);
+      createDispatcher(new FakeIndexer(), { pollInterval: 60 * 60 * 1000 });
+      dispatcher.subscribe({ url: "https://example.com/hook", signer: OWNER, owner: OWNER, events: ["PassExpired"] });
+      dispatcher.start();
+
+      dispatcher.dispatch([grant(1, now + 1)]);
+      dispatcher.subscriptions.forEach(subscription => { subscription.createdAt = now - 10; });
+      dispatcher.passes.get(`${DEVICE}:${VIEWER}`).expiresAt = now - 5;
+      dispatcher.checkExpiries();
+
+      expect(notices()).to.deep.equal([`PassExpired:${now - 5}`]);
+    });
+
+    it("rebuilds its passes after a reorg", function () {
+      const now = Math.floor(Date.now() / 1000);
+      const indexer = new FakeIndexer([grant(1, now + 600)]);
+      createDispatcher(indexer, { pollInterval: 60 * 60 * 1000 });
+      dispatcher.start();
+
+      indexer.records = [];
+      indexer.emit("reorg", { safeBlock: 0, removed: [] });
+
+      expect(dispatcher.passes.size).to.equal(0);
+    });
+  });
+
+  describe("persistence", function () {
+    function saved() {
+      return JSON.parse(fs.readFileSync(path.join(dataDir, "webhooks.json"), "utf8"));
+    }
+
+    it("writes a new subscription straight away", function () {
+      createDispatcher(new FakeIndexer());
+      const subscription = dispatcher.subscribe({ url: "https://example.com/hook", signer: OWNER, owner: OWNER });
+
+      expect(saved().subscriptions.map(s => s.id)).to.deep.equal([subscription.id]);
+    });
+
+    it("writes queue changes once, shortly after a burst of them", async function () {
+      createDispatcher(new FakeIndexer());
+      dispatcher.subscribe({ url: "https://example.com/hook", signer: OWNER, owner: OWNER });
+      dispatcher.deliverDue = async () => {};
+
+      dispatcher.dispatch([record("DeviceUpdated", 1)]);
+      dispatcher.dispatch([record("DeviceUpdated", 2)]);
+      expect(saved().queue).to.have.length(0);
+
+      await new Promise(resolve => setTimeout(resolve, 1100));
+      expect(saved().queue).to.have.length(2);
+    });
+
+    it("writes pending changes when stopped", function () {
+      createDispatcher(new FakeIndexer());
+      dispatcher.subscribe({ url: "https://example.com/hook", signer: OWNER, owner: OWNER });
+      dispatcher.deliverDue = async () => {};
+
+      dispatcher.dispatch([record("DeviceUpdated", 1)]);
+      dispatcher.stop();
+
+      expect(saved().queue).to.have.length(1);
+    });
+  });
+
+  it("does not check control for owner subscriptions", async function () {
+    createDispatcher(new FakeIndexer());
+    dispatcher.subscribe({ url: "https://example.com/hook", signer: OWNER, owner: OWNER });
+
+    authorized = false;
+    dispatcher.dispatch([record("DeviceUpdated", 1)]);
+    await deliver();
+
+    expect(attempts).to.have.length(1);
+  });
+});
@@ -0,0 +1,31 @@
+const { ethers } = require("hardhat");
+
+// Deploy ThingID, which deploys its DeviceGroups and AccessRequests companions
+async function deployThingID() {
+  const thingid = await (await ethers.getContractFactory("ThingID")).deploy();
+  await thingid.waitForDeployment();
+
+  const deviceGroups = await ethers.getContractAt("DeviceGroups", await thingid.deviceGroups());
+  const accessRequests = await ethers.getContractAt("AccessRequests", await thingid.accessRequests());
+  return { thingid, deviceGroups, accessRequests };
+}
+
+// Register a device as `owner`, optionally with a public key, and return its device ID
+async function registerDevice(thingid, owner, did, publicKey = "") {
+  const receipt = await (await thingid.connect(owner).registerDevice(
+    did, "Test Device", "sensor", "Acme", "T-1", `SN-${did}`, "Lab", publicKey
+  )).wait();
+
+  return receipt.logs
+    .map(log => thingid.interface.parseLog(log))
+    .find(event => event && event.name === "DeviceRegistered")
+    .args.deviceId;
+}
+
+// Hand a device from its owner to newOwner through the two-step transfer
+async function transferDevice(thingid, deviceId, owner, newOwner) {
+  await thingid.connect(owner).proposeTransfer(deviceId, newOwner.address);
+  await thingid.connect(newOwner).acceptTransfer(deviceId);
+}
+
+module.exports = { deployThingID, registerDevice, transferDevice };